@@ -0,0 +1,90 @@
+// The app's data as the server functions see it, through the Admin SDK (which firestore.rules don't apply to).
+// Paths mirror src/dataRepository.js: artifacts/{appId}/users/{uid} for an account's own data,
+// artifacts/{appId}/households/{householdId} for a household's. Documents are upgraded to their current schema on
+// read and stamped with it on write, and audit entries are appended to the hash chain like the app does.
+import { getAdminDb } from './firebaseAdmin.js';
+import { COLLECTIONS, migrateDocument, withSchemaVersion } from '../../src/documentSchemas.js';
+import { WRITE_TYPES } from '../../src/offlineStore.js';
+import { AUDIT_CHAIN_DOC_ID, chainAuditEntry } from '../../src/auditLog.js';
+
+// Must match the app's REACT_APP_APP_ID (src/dataRepository.js)
+export const APP_ID = process.env.APP_ID || process.env.REACT_APP_APP_ID || 'default-app-id';
+
+// Firestore batches are capped at 500 writes
+const MAX_BATCH_WRITES = 450;
+
+export const userPath = (uid) => `artifacts/${APP_ID}/users/${uid}`;
+
+export const householdPath = (householdId) => `artifacts/${APP_ID}/households/${householdId}`;
+
+/**
+ * Where a person's data lives: their household's when their profile points at one, otherwise their own.
+ */
+export const resolveDataPath = async (uid) => {
+    const profile = (await getAdminDb().doc(userPath(uid)).get()).data() || {};
+    return profile.householdId ? householdPath(profile.householdId) : userPath(uid);
+};
+
+/**
+ * The accounts sharing some data, as [{ uid, role }]: a household's members, or the account whose own data it is.
+ */
+export const getDataMembers = async (basePath) => {
+    if (!basePath.startsWith(householdPath(''))) return [{ uid: basePath.split('/').pop(), role: 'owner' }];
+    const members = await getAdminDb().collection(`${basePath}/members`).get();
+    return members.docs.map(d => ({ uid: d.id, role: d.data().role }));
+};
+
+/**
+ * Every document of a collection, as [{ ...data, id }].
+ */
+export const readCollection = async (basePath, collectionName) => {
+    const snapshot = await getAdminDb().collection(`${basePath}/${collectionName}`).get();
+    return snapshot.docs.map(d => ({ ...migrateDocument(collectionName, d.data()).data, id: d.id }));
+};
+
+/**
+ * One document as { ...data, id }, or null when it doesn't exist.
+ */
+export const readDocument = async (basePath, collectionName, id) => {
+    const snapshot = await getAdminDb().doc(`${basePath}/${collectionName}/${id}`).get();
+    return snapshot.exists ? { ...migrateDocument(collectionName, snapshot.data()).data, id } : null;
+};
+
+/**
+ * Stages a write descriptor ({ collection, id, type, data }, see src/offlineStore.js) in a batch or transaction.
+ */
+export const stageWrite = (batch, basePath, { collection: collectionName, id, type, data }) => {
+    const ref = getAdminDb().doc(`${basePath}/${collectionName}/${id}`);
+    if (type === WRITE_TYPES.DELETE) batch.delete(ref);
+    else if (type === WRITE_TYPES.MERGE) batch.set(ref, data, { merge: true });
+    else batch.set(ref, withSchemaVersion(collectionName, data));
+};
+
+// Commits writes in as many batches as needed (not atomic beyond MAX_BATCH_WRITES)
+export const commitWrites = async (basePath, writes) => {
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = getAdminDb().batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => stageWrite(batch, basePath, write));
+        await batch.commit();
+    }
+};
+
+/**
+ * Appends audit entries (from createAuditEntry) to the data's hash chain, in order, in one transaction with the
+ * chain head.
+ */
+export const appendAuditEntries = (basePath, entries) => {
+    const db = getAdminDb();
+    return db.runTransaction(async (transaction) => {
+        const headRef = db.doc(`${basePath}/${COLLECTIONS.CONFIG}/${AUDIT_CHAIN_DOC_ID}`);
+        const headSnap = await transaction.get(headRef);
+        let head = headSnap.exists ? headSnap.data() : null;
+        for (const entry of entries) {
+            const id = crypto.randomUUID();
+            const chained = await chainAuditEntry(id, entry, head);
+            head = chained.head;
+            stageWrite(transaction, basePath, { collection: COLLECTIONS.AUDIT, id, type: WRITE_TYPES.SET, data: chained.entry });
+        }
+        if (head) transaction.set(headRef, head);
+    });
+};
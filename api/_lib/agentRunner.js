@@ -0,0 +1,216 @@
+// One agent run on the server for api/agent-runs.js: forecast, build a cart and, when the approval policy lets it,
+// check out; otherwise the cart goes to the approval queue like a checkout in the app would. The decisions are the
+// app's own (src/agentPlanner.js), so the spend cap, vendor allowlist and approval policy apply the same way.
+// Each run is a document in agentRuns, claimed in a transaction before anything happens: a run id that was already
+// claimed is skipped, and vendor orders carry the run id as their idempotency key, so a retried run can't order twice.
+// Vendors are reached at VENDOR_API_URL (the standalone sandbox, `node api/mock-vendor.js`, by default).
+import { getAdminDb } from './firebaseAdmin.js';
+import { getDataMembers, readCollection, readDocument, commitWrites, appendAuditEntries, APP_ID } from './adminData.js';
+import { consumeQuota } from './apiGuard.js';
+import { LLM_TASKS, getTask } from './llm/tasks.js';
+import { getProvider } from './llm/providers.js';
+import { notifyUser } from './notifications.js';
+import { COLLECTIONS, CONFIG_DOC_ID, migrateDocument } from '../../src/documentSchemas.js';
+import { FORECAST_MODES, runLocalForecast, compareForecasts } from '../../src/localForecaster.js';
+import { withProjectedQuantities } from '../../src/consumptionModel.js';
+import { buildForecastInput, withInTransitStock, planForecast, buildCart, quoteCart, placeVendorOrders, buildPurchaseWrites } from '../../src/agentPlanner.js';
+import { RUN_STATUSES, RUN_OUTCOMES, RUN_LEASE_MINUTES, normalizeAgentSchedule } from '../../src/agentSchedule.js';
+import { computeInTransit } from '../../src/orderLifecycle.js';
+import { buildSpendLedger, getCurrentPeriod, normalizeBillingPeriod } from '../../src/spendLedger.js';
+import { evaluateApprovalPolicy, getApprovalExpiry } from '../../src/approvalPolicy.js';
+import { findRecentDuplicatePurchases } from '../../src/duplicateDetection.js';
+import { createAuditEntry } from '../../src/auditLog.js';
+import { createVendorLookup } from '../../src/vendorAdapters.js';
+import { NOTIFICATION_RULES, describeEvent } from '../../src/notificationRules.js';
+
+const getVendorAdapter = createVendorLookup(process.env.VENDOR_API_URL || 'http://localhost:4010/api/mock-vendor');
+
+// Who the run's audit entries and purchases are attributed to
+const AGENT_ACTOR = { actorUid: null, actorName: 'Scheduled agent' };
+const PURCHASE_METHOD = 'Agent Scheduled';
+
+// Firestore's ALREADY_EXISTS status code, returned by create() for a document that exists
+const ALREADY_EXISTS = 6;
+
+/**
+ * Accounts and households with a schedule turned on, as [{ basePath, config }]. Uses the collection group index on
+ * config.agentSchedule.enabled in firestore.indexes.json.
+ */
+export const getScheduledData = async () => {
+    const snapshot = await getAdminDb().collectionGroup(COLLECTIONS.CONFIG).where('agentSchedule.enabled', '==', true).get();
+    return snapshot.docs
+        .filter(d => d.id === CONFIG_DOC_ID && d.ref.path.startsWith(`artifacts/${APP_ID}/`))
+        .map(d => ({ basePath: d.ref.parent.parent.path, config: migrateDocument(COLLECTIONS.CONFIG, d.data()).data }));
+};
+
+// Resolves to the attempt number, or null when the run is done or another attempt is still within its lease
+const claimRun = (runRef, run, now) => getAdminDb().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(runRef);
+    const existing = snapshot.exists ? snapshot.data() : null;
+    if (existing && !(existing.status === RUN_STATUSES.RUNNING
+        && now.getTime() - Date.parse(existing.startedAt) > RUN_LEASE_MINUTES * 60 * 1000)) {
+        return null;
+    }
+    const attempt = (existing?.attempt || 0) + 1;
+    transaction.set(runRef, { ...run, status: RUN_STATUSES.RUNNING, startedAt: now.toISOString(), finishedAt: null, attempt });
+    return attempt;
+});
+
+// The AI forecast, on the data owner's LLM quota; { failed, error } when it's unavailable
+const runAiForecast = async (ownerUid, inventory, purchaseHistory) => {
+    try {
+        const task = getTask(LLM_TASKS.FORECAST);
+        const provider = getProvider();
+        const input = buildForecastInput(inventory, purchaseHistory);
+        await consumeQuota(ownerUid, 'llm');
+        const result = task.normalize(await provider.run({ taskName: LLM_TASKS.FORECAST, task, prompt: task.buildPrompt(input), input, model: provider.model }));
+        if (result.inventoryForecasts.length === 0 && input.inventory.length > 0) {
+            return { suggestedCart: [], inventoryForecasts: [], failed: true, error: 'The AI returned no forecast.' };
+        }
+        return result;
+    } catch (error) {
+        console.error('Scheduled forecast error:', error);
+        return { suggestedCart: [], inventoryForecasts: [], failed: true, error: error.message };
+    }
+};
+
+const performRun = async (basePath, runId, { ownerUid, log, now }) => {
+    const [inventory, purchaseHistory, orders, priceCatalog, storedConfig] = await Promise.all([
+        readCollection(basePath, COLLECTIONS.INVENTORY),
+        readCollection(basePath, COLLECTIONS.HISTORY),
+        readCollection(basePath, COLLECTIONS.ORDERS),
+        readCollection(basePath, COLLECTIONS.PRICE_CATALOG),
+        readDocument(basePath, COLLECTIONS.CONFIG, CONFIG_DOC_ID),
+    ]);
+    const config = storedConfig || {};
+    const schedule = normalizeAgentSchedule(config.agentSchedule);
+    if (inventory.length === 0) return { outcome: RUN_OUTCOMES.NO_INVENTORY };
+
+    // 1. Forecast
+    const forecastMode = config.forecastMode || FORECAST_MODES.AI;
+    const safeInventory = withInTransitStock(withProjectedQuantities(inventory, now), computeInTransit(orders));
+    const baselineResult = runLocalForecast(safeInventory, purchaseHistory, now);
+    const llmResult = forecastMode === FORECAST_MODES.LOCAL ? null : await runAiForecast(ownerUid, safeInventory, purchaseHistory);
+    if (llmResult?.failed) {
+        log('Forecast Fallback', { reason: llmResult.error || 'AI prediction engine unavailable', source: 'Local Baseline', runId });
+    }
+
+    const { useAi, suggestions, skipped, aiForecasts, aiCount, writes: forecastWrites } = planForecast(safeInventory, baselineResult, llmResult);
+    skipped.forEach(({ item, inTransit }) => log('Forecasting Skipped', { item, reason: 'Already in transit', inTransit, runId }));
+    await commitWrites(basePath, forecastWrites);
+    log('Forecast Update', { count: baselineResult.inventoryForecasts.length, source: useAi ? 'AI Behavioral Analysis' : 'Local Baseline', aiForecasts: aiCount, runId });
+    if (forecastMode === FORECAST_MODES.COMPARE && useAi) {
+        const disagreements = compareForecasts(aiForecasts, baselineResult.inventoryForecasts).filter(row => row.disagrees);
+        if (disagreements.length > 0) log('Forecast Disagreement', { items: disagreements.map(row => ({ name: row.name, diffDays: row.diffDays })), runId });
+    }
+
+    // 2. Cart, within the period's budget and the vendor allowlist. The billing period follows the schedule's
+    // timezone when it has none of its own (it would be the browser's in the app)
+    const vendorAllowlist = config.vendorAllowlist || [];
+    const billingPeriod = normalizeBillingPeriod({ ...(config.billingPeriod || {}), timeZone: config.billingPeriod?.timeZone || schedule.timeZone });
+    const currentPeriod = getCurrentPeriod(buildSpendLedger(purchaseHistory, { spendCap: config.spendCapMonthly, billingPeriod, now }));
+    const { cart, total: cartTotal, blocked, unknownCount } = buildCart(suggestions, safeInventory, {
+        vendorAllowlist,
+        priceCatalog,
+        priceStrategy: config.priceStrategy,
+        currentPeriod,
+    });
+    blocked.forEach(item => log('Forecasting Blocked', { item, reason: 'Spend Cap Exceeded', runId }));
+    log('Cart Built', { count: cart.length, total: cartTotal.toFixed(2), priceUnknown: unknownCount, runId });
+
+    const summary = { forecasts: forecastWrites.length, forecastSource: useAi ? 'ai' : 'local', cartItems: cart.length, cartTotal: parseFloat(cartTotal.toFixed(2)) };
+    if (cart.length === 0) return { ...summary, outcome: RUN_OUTCOMES.NOTHING_TO_BUY };
+
+    // 3. Checkout: re-quote, then order or queue for approval. Nobody is there to confirm, so anything the app would
+    // ask about (a possible duplicate, a quote beyond the budget) goes to the approval queue too
+    const quotedCart = await quoteCart(cart, getVendorAdapter);
+    const policy = evaluateApprovalPolicy(quotedCart, config.approvalPolicy);
+    const reasons = [
+        ...(schedule.placeOrders ? [] : ['Scheduled runs ask before ordering']),
+        ...policy.reasons,
+    ];
+    if (currentPeriod.spend + policy.total > currentPeriod.available) {
+        reasons.push(`Quoted total $${policy.total.toFixed(2)} exceeds the remaining budget of $${Math.max(0, currentPeriod.available - currentPeriod.spend).toFixed(2)}`);
+    }
+    quotedCart.filter(line => !vendorAllowlist.includes(line.vendor)).forEach(line => reasons.push(`${line.vendor} is not on the vendor allowlist (${line.name})`));
+    const duplicates = findRecentDuplicatePurchases(quotedCart, purchaseHistory, { now, filter: entry => !!entry.vendorOrderId });
+    if (duplicates.length > 0) {
+        reasons.push(`Possible duplicate order: ${duplicates.map(d => d.line.name).join(', ')} already ordered recently`);
+    }
+
+    if (reasons.length > 0) {
+        // The run id doubles as the approval id, so a retried run doesn't queue the cart twice
+        try {
+            await getAdminDb().doc(`${basePath}/${COLLECTIONS.APPROVALS}/${runId}`).create({
+                items: quotedCart,
+                total: parseFloat(policy.total.toFixed(2)),
+                reasons,
+                status: 'pending',
+                createdAt: now.toISOString(),
+                expiresAt: getApprovalExpiry(config.approvalPolicy, now),
+                runId,
+            });
+        } catch (error) {
+            if (error.code !== ALREADY_EXISTS) throw error;
+        }
+        log('Approval Requested', { total: policy.total.toFixed(2), items: quotedCart.map(i => i.name), reasons, approvalId: runId, runId });
+        return { ...summary, outcome: RUN_OUTCOMES.AWAITING_APPROVAL, approvalId: runId, reasons, total: parseFloat(policy.total.toFixed(2)) };
+    }
+
+    log('Purchase Executed (Auto)', { total: policy.total.toFixed(2), runId });
+    const { placedOrders, failures } = await placeVendorOrders(quotedCart, runId, getVendorAdapter);
+    if (placedOrders.length === 0) {
+        throw new Error(`No vendor accepted the order. ${failures.map(f => f.error).join(' ')}`);
+    }
+    // Orders an interrupted attempt already recorded are not booked again
+    const recordedOrderIds = new Set(orders.map(order => order.id));
+    const { writes, totalPurchased, orders: placed } = buildPurchaseWrites(placedOrders, { inventory, priceCatalog, method: PURCHASE_METHOD, now, recordedOrderIds });
+    await commitWrites(basePath, writes);
+    log('Purchase Executed', { total: totalPurchased.toFixed(2), items: quotedCart.map(i => i.name), orders: placed, failures, runId });
+    return { ...summary, outcome: RUN_OUTCOMES.ORDERED, total: parseFloat(totalPurchased.toFixed(2)), orders: placed, failures };
+};
+
+/**
+ * Runs the agent once over the data at `basePath` as run `runId` ({ trigger, slot, requestedBy } are recorded with
+ * it). Resolves to the run record, or { runId, skipped: true } when the run was already done or is in progress.
+ * Failures are recorded on the run rather than thrown.
+ */
+export const runAgent = async (basePath, { runId, trigger, slot = null, requestedBy = null, now = new Date() }) => {
+    const runRef = getAdminDb().doc(`${basePath}/${COLLECTIONS.AGENT_RUNS}/${runId}`);
+    const attempt = await claimRun(runRef, { trigger, slot, requestedBy }, now);
+    if (!attempt) return { runId, skipped: true };
+
+    const members = await getDataMembers(basePath);
+    const ownerUid = (members.find(member => member.role === 'owner') || members[0])?.uid || null;
+    const audit = [];
+    const log = (action, details) => audit.push(createAuditEntry(action, details, AGENT_ACTOR));
+
+    let record;
+    try {
+        record = { status: RUN_STATUSES.SUCCEEDED, ...await performRun(basePath, runId, { ownerUid, log, now }) };
+    } catch (error) {
+        console.error(`Agent run ${runId} failed for ${basePath}:`, error);
+        record = { status: RUN_STATUSES.FAILED, error: error.message };
+        log('Scheduled Run Failed', { runId, error: error.message });
+    }
+    record.finishedAt = new Date().toISOString();
+
+    try {
+        await appendAuditEntries(basePath, audit);
+    } catch (error) {
+        console.error(`Audit entries of run ${runId} were not recorded:`, error);
+    }
+    await runRef.set(record, { merge: true });
+
+    const event = record.outcome === RUN_OUTCOMES.ORDERED
+        ? describeEvent(NOTIFICATION_RULES.PURCHASE_EXECUTED, { total: record.total, vendors: record.orders.map(o => o.vendor) })
+        : record.outcome === RUN_OUTCOMES.AWAITING_APPROVAL
+            ? describeEvent(NOTIFICATION_RULES.CART_BUILT, { count: record.cartItems, total: record.total })
+            : null;
+    if (event) {
+        const cache = new Map();
+        await Promise.all(members.map(member => notifyUser(member.uid, { events: [event], cache })
+            .catch(error => console.error(`Run notification failed for ${member.uid}:`, error))));
+    }
+    return { runId, attempt, trigger, slot, ...record };
+};
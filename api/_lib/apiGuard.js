@@ -0,0 +1,102 @@
+// Shared guards for the API routes that spend money on our keys: Firebase ID token auth, per-user
+// rate limits and daily quotas, and structured errors ({ error: { code, message } }) the frontend can show.
+import { getAdminAuth, getAdminDb } from './firebaseAdmin.js';
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Per-user limits, shared by all instances through Firestore (in-memory counters would reset per instance).
+// `label` names what is counted in the error messages.
+export const USAGE_LIMITS = {
+    label: 'AI requests',
+    requestsPerMinute: envInt('API_RATE_LIMIT_PER_MINUTE', 20),
+    requestsPerDay: envInt('API_DAILY_QUOTA', 300),
+};
+
+export class ApiError extends Error {
+    constructor(status, code, message, { retryAfter } = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Sends an error as { error: { code, message } }. Unexpected errors are logged and reported as internal_error.
+ */
+export const sendError = (res, error) => {
+    if (!(error instanceof ApiError)) {
+        console.error('API Error:', error);
+        return res.status(500).json({ error: { code: 'internal_error', message: 'Internal Server Error.' } });
+    }
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ error: { code: error.code, message: error.message } });
+};
+
+/**
+ * Verifies the Firebase ID token in the Authorization header (`Bearer <token>`). Returns the decoded token.
+ */
+export const requireUser = async (req) => {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+        throw new ApiError(401, 'unauthenticated', 'Sign-in required.');
+    }
+    try {
+        return await getAdminAuth().verifyIdToken(match[1]);
+    } catch (error) {
+        throw new ApiError(401, 'invalid_token', 'Your session has expired. Reload the page to sign in again.');
+    }
+};
+
+/**
+ * Lets only the scheduler through: scheduled routes (see vercel.json) are called with `Bearer $CRON_SECRET`.
+ */
+export const requireScheduler = (req) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        throw new ApiError(503, 'not_configured', 'Scheduled routes need CRON_SECRET to be set.');
+    }
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+        throw new ApiError(401, 'unauthenticated', 'Scheduler credentials required.');
+    }
+};
+
+/**
+ * Counts one request against the user's per-minute rate limit and daily quota (UTC day) for `bucket`.
+ * Throws rate_limited or quota_exceeded (with the seconds until the limit resets) when a limit is reached.
+ */
+export const consumeQuota = async (uid, bucket, limits = USAGE_LIMITS) => {
+    const db = getAdminDb();
+    const usageRef = db.doc(`apiUsage/${uid}_${bucket}`);
+    const now = Date.now();
+    const minute = Math.floor(now / 60000);
+    const day = new Date(now).toISOString().substring(0, 10);
+
+    await db.runTransaction(async (transaction) => {
+        const usage = (await transaction.get(usageRef)).data() || {};
+        const minuteCount = usage.minute === minute ? usage.minuteCount || 0 : 0;
+        const dayCount = usage.day === day ? usage.dayCount || 0 : 0;
+
+        if (dayCount >= limits.requestsPerDay) {
+            const midnight = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+            throw new ApiError(429, 'quota_exceeded', `Daily limit of ${limits.requestsPerDay} ${limits.label} reached. It resets at midnight UTC.`, {
+                retryAfter: Math.ceil((midnight - now) / 1000),
+            });
+        }
+        if (minuteCount >= limits.requestsPerMinute) {
+            throw new ApiError(429, 'rate_limited', `Too many ${limits.label}. Wait a moment and try again.`, {
+                retryAfter: Math.max(1, Math.ceil(((minute + 1) * 60000 - now) / 1000)),
+            });
+        }
+
+        transaction.set(usageRef, {
+            uid,
+            bucket,
+            minute,
+            minuteCount: minuteCount + 1,
+            day,
+            dayCount: dayCount + 1,
+            updatedAt: new Date(now).toISOString(),
+        });
+    });
+};
@@ -0,0 +1,20 @@
+// Firebase Admin SDK for the serverless functions (files under api/_lib are not exposed as routes).
+// Credentials come from FIREBASE_SERVICE_ACCOUNT_KEY (the service account JSON as a string); without it the
+// default application credentials are used, which is all the emulators need (FIREBASE_AUTH_EMULATOR_HOST,
+// FIRESTORE_EMULATOR_HOST).
+import { initializeApp, getApps, cert, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const getAdminApp = () => {
+    if (getApps().length > 0) return getApps()[0];
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT_KEY;
+    return initializeApp({
+        credential: serviceAccount ? cert(JSON.parse(serviceAccount)) : applicationDefault(),
+        projectId: process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID,
+    });
+};
+
+export const getAdminAuth = () => getAuth(getAdminApp());
+
+export const getAdminDb = () => getFirestore(getAdminApp());
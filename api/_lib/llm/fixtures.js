@@ -0,0 +1,54 @@
+// Fixtures for the mock LLM provider: canned receipts and per-item consumption figures, so receipt upload
+// and forecasting work offline and give the same answer for the same input.
+
+// Receipt extractions. An uploaded file always maps to the same fixture (by a hash of its bytes), or
+// MOCK_LLM_RECEIPT=<name> pins one.
+export const RECEIPT_FIXTURES = [
+    {
+        name: 'walmart-groceries',
+        output: {
+            vendor: 'Walmart',
+            purchaseDate: '2025-01-15',
+            total: 24.63,
+            items: [
+                { name: 'GV WHOLE MILK 1 GAL', quantity: 2, unit: 'gal', cost: 3.48, vendor: 'Walmart' },
+                { name: 'DAWN DISH SOAP', quantity: 1, unit: '', cost: 3.97, vendor: 'Walmart' },
+                { name: 'CHARMIN 12 PK', quantity: 1, unit: '', cost: 13.70, vendor: 'Walmart' },
+            ],
+        },
+    },
+    {
+        name: 'amazon-coffee',
+        output: {
+            vendor: 'Amazon',
+            purchaseDate: '2025-01-20',
+            total: 25.98,
+            items: [
+                { name: 'Coffee Beans 12oz Bag', quantity: 2, unit: '', cost: 12.99, vendor: 'Amazon' },
+            ],
+        },
+    },
+    {
+        name: 'local-grocer-produce',
+        output: {
+            vendor: 'Local Grocer',
+            purchaseDate: '2025-01-22',
+            total: 9.17,
+            items: [
+                { name: 'Bananas', quantity: 2.1, unit: 'lb', cost: 0.69, vendor: 'Local Grocer' },
+                { name: 'Eggs Large Dozen', quantity: 1, unit: '', cost: 4.29, vendor: 'Local Grocer' },
+                { name: 'Sourdough Bread', quantity: 1, unit: '', cost: 3.43, vendor: 'Local Grocer' },
+            ],
+        },
+    },
+];
+
+// Days an item lasts after a restock, by lowercased name; anything else lasts DEFAULT_DAYS_OF_SUPPLY
+export const DAYS_OF_SUPPLY = {
+    'coffee beans': 5,
+    'toilet paper': 8,
+    'milk': 5,
+    'dish soap': 20,
+};
+
+export const DEFAULT_DAYS_OF_SUPPLY = 14;
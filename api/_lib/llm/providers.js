@@ -0,0 +1,170 @@
+// LLM provider adapters. Each provider's `run({ taskName, task, prompt, input, model })` sends a task prompt (see tasks.js)
+// to its backend and returns the parsed JSON output. LLM_PROVIDER picks one: 'gemini' (default), 'openai' (any OpenAI-compatible
+// chat completions endpoint, e.g. a local model server) or 'mock' (deterministic fixtures, no network).
+// Requests may ask for a model, but only one on the provider's allowlist (GEMINI_ALLOWED_MODELS or
+// OPENAI_ALLOWED_MODELS, comma-separated); otherwise the configured model (GEMINI_MODEL or OPENAI_MODEL) is used.
+import { createHash } from 'node:crypto';
+import { ApiError } from '../apiGuard.js';
+import { LLM_TASKS } from './tasks.js';
+import { RECEIPT_FIXTURES, DAYS_OF_SUPPLY, DEFAULT_DAYS_OF_SUPPLY } from './fixtures.js';
+
+export const LLM_PROVIDERS = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    MOCK: 'mock',
+};
+
+const envList = (name, fallback) => (process.env[name] || fallback).split(',').map(model => model.trim()).filter(Boolean);
+
+const upstreamError = (provider, status, detail) => {
+    console.error(`${provider} Error:`, status, detail);
+    return status === 429
+        ? new ApiError(503, 'upstream_busy', 'The AI service is busy. Try again shortly.', { retryAfter: 5 })
+        : new ApiError(502, 'upstream_error', 'The AI service could not process the request.');
+};
+
+const parseModelJson = (text) => {
+    try {
+        // Some models wrap JSON in a ```json fence even when asked not to
+        return JSON.parse((text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+    } catch (error) {
+        throw new ApiError(502, 'invalid_model_output', 'The AI returned a response that could not be read.');
+    }
+};
+
+// Gemini's responseSchema uses upper-case OpenAPI type names
+const toGeminiSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+        key,
+        key === 'type' && typeof value === 'string' ? value.toUpperCase() : key === 'enum' || key === 'required' ? value : toGeminiSchema(value),
+    ]));
+};
+
+const gemini = {
+    model: () => process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025',
+    allowedModels: () => envList('GEMINI_ALLOWED_MODELS', 'gemini-2.5-flash-preview-09-2025,gemini-2.5-flash'),
+    run: async ({ task, prompt, model }) => {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey) throw new ApiError(500, 'server_misconfigured', 'Server error: Key missing.');
+
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                contents: [{
+                    role: 'user',
+                    parts: [{ text: prompt.user }, ...prompt.attachments.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))],
+                }],
+                systemInstruction: { parts: [{ text: prompt.system }] },
+                generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(task.schema) },
+            }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw upstreamError('Gemini', response.status, data?.error?.message);
+
+        const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+        return text ? parseModelJson(text) : {};
+    },
+};
+
+const openai = {
+    model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    allowedModels: () => envList('OPENAI_ALLOWED_MODELS', openai.model()),
+    run: async ({ taskName, task, prompt, model }) => {
+        const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        if (prompt.attachments.some(({ mimeType }) => mimeType === 'application/pdf')) {
+            throw new ApiError(415, 'unsupported_attachment', 'The configured AI provider cannot read PDF receipts. Upload a photo instead.');
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {}),
+            },
+            body: JSON.stringify({
+                model,
+                messages: [
+                    { role: 'system', content: prompt.system },
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt.user },
+                            ...prompt.attachments.map(({ mimeType, data }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } })),
+                        ],
+                    },
+                ],
+                response_format: { type: 'json_schema', json_schema: { name: taskName.replace(/-/g, '_'), schema: task.schema } },
+                temperature: 0,
+            }),
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok) throw upstreamError('OpenAI-compatible', response.status, data?.error?.message);
+
+        return parseModelJson(data?.choices?.[0]?.message?.content);
+    },
+};
+
+const addDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+const mock = {
+    model: () => 'fixtures',
+    allowedModels: () => ['fixtures'],
+    run: async ({ taskName, input }) => {
+        if (taskName === LLM_TASKS.RECEIPT_EXTRACT) {
+            const pinned = RECEIPT_FIXTURES.find(fixture => fixture.name === process.env.MOCK_LLM_RECEIPT);
+            const index = createHash('sha256').update(input.data).digest()[0] % RECEIPT_FIXTURES.length;
+            return (pinned || RECEIPT_FIXTURES[index]).output;
+        }
+
+        // Forecast: each item lasts its fixture's days of supply at its restock level; items at or below it are suggested
+        const items = input.inventory.filter(item => item && item.name);
+        const daysOfSupply = (item) => DAYS_OF_SUPPLY[item.name.toLowerCase()] ?? DEFAULT_DAYS_OF_SUPPLY;
+        return {
+            inventoryForecasts: items.map(item => ({
+                name: item.name,
+                predictedRunOutDate: addDays(Math.round(daysOfSupply(item) * (parseFloat(item.quantity) || 0) / Math.max(parseFloat(item.restockLevel) || 1, 1))),
+            })),
+            suggestedCart: items
+                .filter(item => (parseFloat(item.quantity) || 0) <= (parseFloat(item.restockLevel) || 0))
+                .slice(0, 5)
+                .map(item => ({
+                    name: item.name,
+                    quantityToBuy: Math.max(1, Math.ceil((parseFloat(item.restockLevel) || 1) * 2 - (parseFloat(item.quantity) || 0))),
+                    reason: 'Low stock (mock forecast)',
+                    vendor: 'Amazon',
+                })),
+        };
+    },
+};
+
+const PROVIDERS = {
+    [LLM_PROVIDERS.GEMINI]: gemini,
+    [LLM_PROVIDERS.OPENAI]: openai,
+    [LLM_PROVIDERS.MOCK]: mock,
+};
+
+/**
+ * The configured provider ({ name, model, allowedModels, run }).
+ */
+export const getProvider = () => {
+    const name = (process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI).toLowerCase();
+    const provider = PROVIDERS[name];
+    if (!provider) throw new ApiError(500, 'server_misconfigured', `Unknown LLM provider: ${name}.`);
+    return { name, model: provider.model(), allowedModels: provider.allowedModels(), run: provider.run };
+};
+
+/**
+ * The model to run a request with: the one it asked for if the provider allows it, else the configured one.
+ * Throws model_not_allowed for models off the allowlist.
+ */
+export const resolveModel = (provider, requested) => {
+    if (requested === undefined || requested === null || requested === '') return provider.model;
+    if (!provider.allowedModels.includes(requested)) {
+        throw new ApiError(400, 'model_not_allowed', `Model ${requested} is not available.`);
+    }
+    return requested;
+};
@@ -0,0 +1,145 @@
+// Provider-neutral LLM tasks. Each task validates its input, builds the prompt (system text, user text and any
+// attached image/PDF page) and declares the JSON Schema its output must follow; providers only translate that
+// into their own request format. Results are normalized here so every provider returns the same shape.
+import { ApiError } from '../apiGuard.js';
+
+export const LLM_TASKS = {
+    RECEIPT_EXTRACT: 'receipt-extract',
+    FORECAST: 'forecast',
+};
+
+// Receipts are sent one image or PDF page per request (Vercel rejects bodies over 4.5 MB)
+export const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const RECEIPT_SCHEMA = {
+    type: 'object',
+    properties: {
+        vendor: { type: 'string', description: "The store or vendor name printed on the receipt, or 'Unknown'." },
+        purchaseDate: { type: 'string', description: 'The purchase date as YYYY-MM-DD, or empty if not printed on this part.' },
+        total: { type: 'number', description: "The receipt's final total including tax, or 0 if not printed on this part." },
+        items: {
+            type: 'array',
+            description: 'A list of extracted items from the receipt.',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: "The name of the purchased item (e.g., 'Milk')." },
+                    quantity: { type: 'number', description: 'The purchased quantity (e.g., 2).' },
+                    unit: { type: 'string', description: "The unit the quantity is measured in if the receipt states one (e.g., 'lb', 'gal', 'kg'). Empty for plain item counts; keep pack sizes like '12-pack' in the name." },
+                    cost: { type: 'number', description: 'The individual item cost (e.g., 4.99). If line item total is provided, divide by quantity.' },
+                    vendor: { type: 'string', description: "The store or vendor name (e.g., 'Walmart')." },
+                },
+                required: ['name', 'quantity', 'cost', 'vendor'],
+            },
+        },
+    },
+    required: ['vendor', 'items'],
+};
+
+const FORECAST_SCHEMA = {
+    type: 'object',
+    properties: {
+        suggestedCart: {
+            type: 'array',
+            description: 'List of 0-5 items recommended for immediate purchase.',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'The name of the item.' },
+                    quantityToBuy: { type: 'number', description: 'The suggested quantity to add to the cart (e.g., 2).' },
+                    reason: { type: 'string', description: "A brief reason for the suggestion (e.g., 'Low stock', 'Bi-weekly refill needed')." },
+                    vendor: { type: 'string', enum: ['Amazon', 'Walmart', 'Unknown'], description: 'The suggested vendor.' },
+                },
+                required: ['name', 'quantityToBuy', 'reason'],
+            },
+        },
+        inventoryForecasts: {
+            type: 'array',
+            description: 'List of all inventory items with an AI-predicted run-out date.',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'The name of the item matching inventory.' },
+                    predictedRunOutDate: { type: 'string', description: 'The predicted date (YYYY-MM-DD) the item will run out, based on purchase history analysis.' },
+                },
+                required: ['name', 'predictedRunOutDate'],
+            },
+        },
+    },
+    required: ['suggestedCart', 'inventoryForecasts'],
+};
+
+const TASKS = {
+    [LLM_TASKS.RECEIPT_EXTRACT]: {
+        schema: RECEIPT_SCHEMA,
+        validate: (input) => {
+            if (!ATTACHMENT_TYPES.includes(input?.mimeType) || typeof input?.data !== 'string' || !input.data) {
+                throw new ApiError(400, 'invalid_request', 'receipt-extract needs a JPEG, PNG, WebP or PDF page as base64 data.');
+            }
+            // base64 encodes 3 bytes in 4 characters
+            if (Math.floor((input.data.length * 3) / 4) > MAX_ATTACHMENT_BYTES) {
+                throw new ApiError(413, 'image_too_large', `Images and PDF pages must be under ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`);
+            }
+        },
+        buildPrompt: (input) => ({
+            system: 'Extract structured data from the receipt image. Output only the requested JSON structure.',
+            user: `
+                You are an OCR and data extraction system for a shopping agent.
+                Analyze the provided receipt (a photo or one page of a PDF e-receipt; it may be only one part of a longer receipt). Identify and extract all shopping items, their purchased quantity, their individual cost, and the store name/vendor.
+                If no vendor is visible on this part, use "Unknown". Do not include subtotals, taxes or payment lines as items.
+                Also read the receipt's purchase date and its final total, if they are printed on this part.
+                The output must be a JSON object strictly adhering to the provided schema.
+                Combine item lines if necessary, and use a reasonable approximation if exact quantity/cost is unclear.
+            `,
+            attachments: [{ mimeType: input.mimeType, data: input.data }],
+        }),
+        normalize: (output) => ({
+            vendor: output?.vendor || null,
+            purchaseDate: output?.purchaseDate || null,
+            total: parseFloat(output?.total) || null,
+            items: Array.isArray(output?.items) ? output.items : [],
+        }),
+    },
+
+    [LLM_TASKS.FORECAST]: {
+        schema: FORECAST_SCHEMA,
+        validate: (input) => {
+            if (!Array.isArray(input?.inventory) || !Array.isArray(input?.history)) {
+                throw new ApiError(400, 'invalid_request', 'forecast needs inventory and history arrays.');
+            }
+        },
+        buildPrompt: (input) => ({
+            system: 'Analyze history for consumption patterns. Output ONLY a concise JSON object that strictly adheres to the provided schema, containing both the suggested cart and the inventory forecasts.',
+            user: `
+                You are the predictive core logic engine of an autonomous home shopping agent.
+                Analyze the provided Current Inventory and Recent Purchase History.
+
+                Task 1: Generate a behavioral run-out forecast (YYYY-MM-DD) for *every* item in the inventory, based on the historical purchase frequency.
+                Task 2: Predict and suggest up to 5 items that should be purchased soon (low stock or due for refill).
+                Quantities already include stock on open orders (inTransit); do not suggest items that open orders already cover.
+                Every quantity (inventory, restock levels, history and quantityToBuy) is in the item's own unit.
+                Each item's dailyUse is its consumption per day learned from purchase intervals, physical counts and recorded uses (dailyUseSamples observations, dailyUseConfidence); weigh it against the history accordingly.
+
+                Current Inventory: ${JSON.stringify(input.inventory)}
+                Recent Purchase History: ${JSON.stringify(input.history)}
+            `,
+            attachments: [],
+        }),
+        normalize: (output) => ({
+            suggestedCart: Array.isArray(output?.suggestedCart) ? output.suggestedCart : [],
+            inventoryForecasts: Array.isArray(output?.inventoryForecasts) ? output.inventoryForecasts : [],
+        }),
+    },
+};
+
+/**
+ * The task definition for a task name; throws unknown_task for anything else.
+ */
+export const getTask = (name) => {
+    const task = TASKS[name];
+    if (!task) {
+        throw new ApiError(400, 'unknown_task', `Unknown task: ${name || '(none)'}. Use one of ${Object.values(LLM_TASKS).join(', ')}.`);
+    }
+    return task;
+};
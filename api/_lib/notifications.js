@@ -0,0 +1,221 @@
+// Notification delivery for api/notifications.js: web push (web-push, VAPID keys from VAPID_PUBLIC_KEY /
+// VAPID_PRIVATE_KEY / VAPID_SUBJECT) and email digests over SMTP (nodemailer; SMTP_HOST, SMTP_PORT, SMTP_USER,
+// SMTP_PASS, SMTP_FROM). Without SMTP settings mail goes to localhost:1025, where a local catcher such as Mailpit or
+// MailHog shows it. Mail only goes to the account's own email address once Firebase Auth has verified it, never to an
+// address typed into the settings. Rules and settings live in src/notificationRules.js; per person, Firestore keeps
+//   artifacts/{appId}/users/{uid}/notifications/settings   what they asked for (written by the app)
+//   artifacts/{appId}/users/{uid}/notifications/state      open alerts, pushes held for quiet hours, the digest queue
+import webpush from 'web-push';
+import nodemailer from 'nodemailer';
+import { getAdminAuth, getAdminDb } from './firebaseAdmin.js';
+import { APP_ID, userPath, resolveDataPath, getDataMembers, readCollection, readDocument } from './adminData.js';
+import { COLLECTIONS, CONFIG_DOC_ID } from '../../src/documentSchemas.js';
+import {
+    normalizeNotificationSettings, evaluateAlerts, isQuietTime, getDueDigestKey, buildDigest,
+} from '../../src/notificationRules.js';
+
+// The digest keeps at most this many notifications (the newest)
+const MAX_DIGEST_ENTRIES = 200;
+
+const settingsPath = (uid) => `${userPath(uid)}/notifications/settings`;
+const statePath = (uid) => `${userPath(uid)}/notifications/state`;
+
+let pushConfigured = null;
+const isPushConfigured = () => {
+    if (pushConfigured === null) {
+        pushConfigured = !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+        if (pushConfigured) {
+            webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:notifications@akedoshop.local', process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+        }
+    }
+    return pushConfigured;
+};
+
+let transporter = null;
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {}),
+        });
+    }
+    return transporter;
+};
+
+export const sendEmail = ({ to, subject, text, html }) => getTransporter().sendMail({
+    from: process.env.SMTP_FROM || 'AKEDOshop <notifications@akedoshop.local>',
+    to,
+    subject,
+    text,
+    html,
+});
+
+// The account's email address if Firebase Auth has verified it, else null
+const getVerifiedEmail = async (uid) => {
+    const user = await getAdminAuth().getUser(uid).catch(() => null);
+    return user?.email && user.emailVerified ? user.email : null;
+};
+
+/**
+ * Pushes a notification ({ title, body, tag }) to each of a person's devices. Subscriptions the push service says
+ * are gone (404/410) are removed from their settings. Resolves to the number of devices reached.
+ */
+export const sendPush = async (uid, subscriptions, payload) => {
+    if (!isPushConfigured() || subscriptions.length === 0) return 0;
+    const expired = [];
+    let delivered = 0;
+    await Promise.all(subscriptions.map(async (subscription) => {
+        try {
+            await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, JSON.stringify(payload));
+            delivered++;
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) expired.push(subscription.endpoint);
+            else console.error('Push error:', error.statusCode, error.body || error.message);
+        }
+    }));
+    if (expired.length > 0) {
+        const ref = getAdminDb().doc(settingsPath(uid));
+        await getAdminDb().runTransaction(async (transaction) => {
+            const current = (await transaction.get(ref)).data() || {};
+            transaction.set(ref, { pushSubscriptions: (current.pushSubscriptions || []).filter(s => !expired.includes(s.endpoint)) }, { merge: true });
+        });
+    }
+    return delivered;
+};
+
+/**
+ * The data alerts are evaluated against. `cache` (a Map) shares it between household members in one sweep.
+ */
+export const loadAlertData = async (basePath, cache = new Map()) => {
+    if (!cache.has(basePath)) {
+        cache.set(basePath, (async () => {
+            const [inventory, orders, purchaseHistory, config] = await Promise.all([
+                readCollection(basePath, COLLECTIONS.INVENTORY),
+                readCollection(basePath, COLLECTIONS.ORDERS),
+                readCollection(basePath, COLLECTIONS.HISTORY),
+                readDocument(basePath, COLLECTIONS.CONFIG, CONFIG_DOC_ID),
+            ]);
+            return { inventory, orders, purchaseHistory, config: config || {} };
+        })());
+    }
+    return cache.get(basePath);
+};
+
+// Puts the notifications of a digest that couldn't be sent back at the front of the queue, and marks the digest as
+// not sent so the next run tries again
+const restoreDigest = (uid, digested, digestKey, previousDigestKey) => {
+    const db = getAdminDb();
+    return db.runTransaction(async (transaction) => {
+        const stateRef = db.doc(statePath(uid));
+        const state = (await transaction.get(stateRef)).data() || {};
+        transaction.set(stateRef, {
+            digestQueue: [...digested, ...(state.digestQueue || [])].slice(-MAX_DIGEST_ENTRIES),
+            ...(state.lastDigestKey === digestKey ? { lastDigestKey: previousDigestKey } : {}),
+        }, { merge: true });
+    });
+};
+
+/**
+ * Brings one person up to date: alerts for conditions that started since they were last told, `events` reported by
+ * the app, pushes held over quiet hours once they end, and their digest when it's due.
+ * Pushes respect per-rule opt-outs and quiet hours; notifications opted into email are queued for the digest.
+ * Resolves to { pushed, emailed } counts.
+ */
+export const notifyUser = async (uid, { events = [], cache, now = new Date() } = {}) => {
+    const db = getAdminDb();
+    const settingsSnap = await db.doc(settingsPath(uid)).get();
+    const settings = normalizeNotificationSettings(settingsSnap.data());
+    if (!settings.enabled) return { pushed: 0, emailed: 0 };
+
+    const alerts = evaluateAlerts(await loadAlertData(await resolveDataPath(uid), cache), settings, now);
+    const quiet = isQuietTime(settings, now);
+    const mailTo = await getVerifiedEmail(uid);
+    const digestKey = mailTo ? getDueDigestKey(settings, now) : null;
+
+    // Decide under a transaction (the schedule and app events may overlap), send afterwards
+    const outbox = await db.runTransaction(async (transaction) => {
+        const stateRef = db.doc(statePath(uid));
+        const state = (await transaction.get(stateRef)).data() || {};
+        const openAlerts = state.openAlerts || {};
+
+        const fresh = alerts.filter(alert => !openAlerts[alert.key]);
+        const stamped = [...fresh, ...events].map(notification => ({ ...notification, at: now.toISOString() }));
+        const toPush = stamped.filter(notification => settings.rules[notification.rule]?.push);
+        let held = [...(state.heldPushes || []), ...(quiet ? toPush : [])];
+        const pushes = quiet ? [] : [...toPush];
+        if (!quiet && held.length > 0) {
+            pushes.push({ rule: 'held', title: `${held.length} notification(s) during quiet hours`, body: held.map(n => n.title).join('; ') });
+            held = [];
+        }
+
+        let digestQueue = [...(state.digestQueue || []), ...stamped.filter(notification => settings.rules[notification.rule]?.email)].slice(-MAX_DIGEST_ENTRIES);
+        let digest = null;
+        const digested = digestQueue;
+        const digestDue = digestKey && digestKey !== state.lastDigestKey;
+        if (digestDue) {
+            const openAlerts = alerts.filter(alert => settings.rules[alert.rule]?.email);
+            // Nothing happened and nothing is open: skip this one rather than mail an empty digest
+            if (digestQueue.length > 0 || openAlerts.length > 0) digest = buildDigest(digestQueue, openAlerts, settings);
+            // Claimed here so overlapping runs don't both send it; put back if sending fails
+            digestQueue = [];
+        }
+
+        transaction.set(stateRef, {
+            // Conditions that cleared are forgotten, so they alert again if they come back
+            openAlerts: Object.fromEntries(alerts.map(alert => [alert.key, openAlerts[alert.key] || now.toISOString()])),
+            heldPushes: held,
+            digestQueue,
+            lastDigestKey: digestDue ? digestKey : state.lastDigestKey || null,
+            updatedAt: now.toISOString(),
+        });
+        return { pushes, digest, digested, previousDigestKey: state.lastDigestKey || null };
+    });
+
+    let pushed = 0;
+    for (const notification of outbox.pushes) {
+        pushed += await sendPush(uid, settings.pushSubscriptions, { title: notification.title, body: notification.body, tag: notification.key || notification.rule });
+    }
+    let emailed = 0;
+    if (outbox.digest) {
+        try {
+            await sendEmail({ to: mailTo, ...outbox.digest });
+        } catch (error) {
+            await restoreDigest(uid, outbox.digested, digestKey, outbox.previousDigestKey);
+            throw error;
+        }
+        emailed = 1;
+    }
+    return { pushed, emailed };
+};
+
+/**
+ * Accounts to tell about something that happened in `uid`'s data: everyone in their household, or just them.
+ */
+export const getRecipients = async (uid) => (await getDataMembers(await resolveDataPath(uid))).map(member => member.uid);
+
+/**
+ * Everyone who turned notifications on (settings documents with enabled: true). Uses the collection group index on
+ * notifications.enabled in firestore.indexes.json.
+ */
+export const getSubscribedUsers = async () => {
+    const snapshot = await getAdminDb().collectionGroup('notifications').where('enabled', '==', true).get();
+    return snapshot.docs
+        .filter(d => d.id === 'settings' && d.ref.path.startsWith(`artifacts/${APP_ID}/users/`))
+        .map(d => d.ref.parent.parent.id);
+};
+
+/**
+ * A test push and email to one person, ignoring quiet hours and opt-outs, to check the delivery setup. The email
+ * goes to their verified address only.
+ */
+export const sendTestNotification = async (uid) => {
+    const settings = normalizeNotificationSettings((await getAdminDb().doc(settingsPath(uid)).get()).data());
+    const pushed = await sendPush(uid, settings.pushSubscriptions, { title: 'AKEDOshop test notification', body: 'Notifications reach this device.', tag: 'test' });
+    const to = await getVerifiedEmail(uid);
+    if (to) {
+        await sendEmail({ to, subject: 'AKEDOshop test notification', text: 'Email notifications work. Digests will arrive here.', html: '<p>Email notifications work. Digests will arrive here.</p>' });
+    }
+    return { pushed, emailed: to ? 1 : 0, pushConfigured: isPushConfigured() };
+};
@@ -0,0 +1,65 @@
+// Scheduled agent runs endpoint, so the agent forecasts, builds carts and checks out without the app being open.
+// GET  (scheduler, `Authorization: Bearer $CRON_SECRET`; see vercel.json) runs the agent for every account and
+//      household whose schedule (config.agentSchedule, src/agentSchedule.js) has a slot due. Slots already run are
+//      skipped, so the scheduler may call as often as it likes. Returns { due, ran, skipped, failed }.
+// POST (signed-in app) { action: 'run', requestId } runs the agent now over the caller's data; household owners
+//      only. Repeating a requestId returns { skipped: true } instead of running again. Returns the run record.
+// Errors are returned as { error: { code, message } }.
+import { ApiError, sendError, requireUser, requireScheduler } from './_lib/apiGuard.js';
+import { resolveDataPath, getDataMembers } from './_lib/adminData.js';
+import { runAgent, getScheduledData } from './_lib/agentRunner.js';
+import { RUN_TRIGGERS, RUN_STATUSES, getDueRunSlot, getRunId } from '../src/agentSchedule.js';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const runSchedules = async () => {
+    const now = new Date();
+    const totals = { due: 0, ran: 0, skipped: 0, failed: 0 };
+    // One at a time: runs call vendors and the LLM, and one failing must not stop the others
+    for (const { basePath, config } of await getScheduledData()) {
+        const slot = getDueRunSlot(config.agentSchedule, now);
+        if (!slot) continue;
+        totals.due++;
+        try {
+            const run = await runAgent(basePath, { runId: getRunId(RUN_TRIGGERS.SCHEDULE, slot), trigger: RUN_TRIGGERS.SCHEDULE, slot, now });
+            if (run.skipped) totals.skipped++;
+            else if (run.status === RUN_STATUSES.FAILED) totals.failed++;
+            else totals.ran++;
+        } catch (error) {
+            console.error(`Scheduled run failed for ${basePath}:`, error);
+            totals.failed++;
+        }
+    }
+    return totals;
+};
+
+const runNow = async (uid, { requestId }) => {
+    if (typeof requestId !== 'string' || !REQUEST_ID_PATTERN.test(requestId)) {
+        throw new ApiError(400, 'invalid_request', 'requestId must be 8-64 letters, digits, dashes or underscores.');
+    }
+    const basePath = await resolveDataPath(uid);
+    const member = (await getDataMembers(basePath)).find(m => m.uid === uid);
+    if (member?.role !== 'owner') {
+        throw new ApiError(403, 'forbidden', 'Only a household owner can run the agent.');
+    }
+    return runAgent(basePath, { runId: getRunId(RUN_TRIGGERS.MANUAL, requestId), trigger: RUN_TRIGGERS.MANUAL, requestedBy: uid });
+};
+
+export default async function handler(req, res) {
+    try {
+        if (req.method === 'GET') {
+            requireScheduler(req);
+            return res.status(200).json(await runSchedules());
+        }
+        if (req.method !== 'POST') {
+            throw new ApiError(405, 'method_not_allowed', 'Method Not Allowed');
+        }
+        const user = await requireUser(req);
+        const { action, ...body } = req.body || {};
+        if (action === 'run') return res.status(200).json(await runNow(user.uid, body));
+        throw new ApiError(400, 'invalid_action', 'Unknown action.');
+
+    } catch (error) {
+        sendError(res, error);
+    }
+}
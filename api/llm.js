@@ -0,0 +1,42 @@
+// Provider-neutral LLM endpoint: POST { task, input, model? } -> { task, provider, model, result }.
+// Tasks ("receipt-extract", "forecast") own their prompts and output schema (api/_lib/llm/tasks.js); the provider
+// set by LLM_PROVIDER (Gemini, an OpenAI-compatible server, or the fixture-driven mock) runs them.
+// Only signed-in users may call it (Firebase ID token), only for allowlisted models (see providers.js), within size
+// limits and their rate limit/daily quota.
+// Errors are returned as { error: { code, message } }.
+import { ApiError, sendError, requireUser, consumeQuota } from './_lib/apiGuard.js';
+import { getTask } from './_lib/llm/tasks.js';
+import { getProvider, resolveModel } from './_lib/llm/providers.js';
+
+// Vercel rejects bodies over 4.5 MB; receipts are sent one image or PDF page per request
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const requestSize = (req) => parseInt(req.headers['content-length'], 10) || Buffer.byteLength(JSON.stringify(req.body || {}));
+
+// The 'handler' function processes all requests to /api/llm
+export default async function handler(req, res) {
+    try {
+        if (req.method !== 'POST') {
+            throw new ApiError(405, 'method_not_allowed', 'Method Not Allowed');
+        }
+        const provider = getProvider();
+        const user = await requireUser(req);
+
+        if (requestSize(req) > MAX_BODY_BYTES) {
+            throw new ApiError(413, 'payload_too_large', `Requests must be under ${MAX_BODY_BYTES / 1024 / 1024} MB.`);
+        }
+
+        const { task: taskName, input, model: requestedModel } = req.body || {};
+        const model = resolveModel(provider, requestedModel);
+        const task = getTask(taskName);
+        task.validate(input);
+
+        await consumeQuota(user.uid, 'llm');
+
+        const output = await provider.run({ taskName, task, prompt: task.buildPrompt(input), input, model });
+        res.status(200).json({ task: taskName, provider: provider.name, model, result: task.normalize(output) });
+
+    } catch (error) {
+        sendError(res, error);
+    }
+}
@@ -0,0 +1,218 @@
+// Sandbox vendor API used by the vendor adapters in development.
+// Runs as a Vercel function at /api/mock-vendor, or standalone with `node api/mock-vendor.js` (port 4010). It takes
+// no sign-in and writes to Firestore, so the Vercel route only answers when MOCK_VENDOR_ENABLED=true is set (a
+// sandbox deployment); everywhere else it is a 404.
+// Orders are kept in Firestore (Admin SDK, see _lib/firebaseAdmin.js) so every serverless instance, and the standalone
+// server, sees the same orders and idempotency keys; they move through their lifecycle based on elapsed time.
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { getAdminDb } from './_lib/firebaseAdmin.js';
+import { APP_ID } from './_lib/adminData.js';
+
+// Base unit prices the sandbox vendors sell at; anything else gets a stable price derived from its name.
+const BASE_PRICES = {
+    'coffee beans': 12.99,
+    'toilet paper': 2.1,
+    'milk': 3.89,
+    'dish soap': 3.49,
+};
+
+const VENDORS = {
+    amazon: { name: 'Amazon', prefix: 'AMZ', priceFactor: 1.0, minutesToShip: 2, minutesToDeliver: 5 },
+    walmart: { name: 'Walmart', prefix: 'WMT', priceFactor: 0.95, minutesToShip: 3, minutesToDeliver: 8 },
+    'local-grocer': { name: 'Local Grocer', prefix: 'LGR', priceFactor: 1.1, minutesToShip: 1, minutesToDeliver: 2 },
+};
+
+// Time scale for the order lifecycle: 1 means the minutes above are real minutes.
+const TIME_SCALE = parseFloat(process.env.MOCK_VENDOR_TIME_SCALE) || 1;
+
+// Sandbox data, next to the app's (clients have no access): mockVendor/{vendor}/orders/{orderId}, and
+// mockVendor/{vendor}/idempotencyKeys/{key} pointing at the order a key placed
+const vendorPath = (vendor) => `artifacts/${APP_ID}/mockVendor/${vendor.prefix}`;
+
+const orderRef = (vendor, orderId) => getAdminDb().doc(`${vendorPath(vendor)}/orders/${encodeURIComponent(orderId)}`);
+
+const idempotencyKeyRef = (vendor, key) => getAdminDb().doc(`${vendorPath(vendor)}/idempotencyKeys/${encodeURIComponent(key)}`);
+
+const getOrder = async (vendor, orderId) => {
+    if (!orderId) return null;
+    const snapshot = await orderRef(vendor, String(orderId)).get();
+    return snapshot.exists ? snapshot.data() : null;
+};
+
+// Stores a new order, or resolves to the order its idempotency key already placed (claimed in the same
+// transaction, so concurrent retries can't both place one)
+const saveNewOrder = (vendor, order) => getAdminDb().runTransaction(async (transaction) => {
+    const keyRef = order.idempotencyKey && idempotencyKeyRef(vendor, order.idempotencyKey);
+    if (keyRef) {
+        const claimed = await transaction.get(keyRef);
+        if (claimed.exists) {
+            const existing = await transaction.get(orderRef(vendor, claimed.data().orderId));
+            if (existing.exists) return { order: existing.data(), created: false };
+        }
+        transaction.set(keyRef, { orderId: order.orderId, createdAt: order.placedAt });
+    }
+    transaction.set(orderRef(vendor, order.orderId), order);
+    return { order, created: true };
+});
+
+const vendorKey = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+const unitPriceFor = (vendor, itemName) => {
+    const key = (itemName || '').trim().toLowerCase();
+    let base = BASE_PRICES[key];
+    if (base === undefined) {
+        // Deterministic pseudo-price between $2 and $15 so repeated quotes agree
+        let hash = 0;
+        for (const ch of key) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+        base = 2 + (hash % 1300) / 100;
+    }
+    return parseFloat((base * vendor.priceFactor).toFixed(2));
+};
+
+const quoteItems = (vendor, items) => {
+    const lines = items.map(item => {
+        const quantity = parseFloat(item.quantity) || 1;
+        const unitPrice = unitPriceFor(vendor, item.name);
+        // Prices are per the unit ordered in (each, pack, gallon...); the sandbox does not scale them by pack size
+        return { name: item.name, quantity, unit: item.unit || null, unitPrice, lineTotal: parseFloat((unitPrice * quantity).toFixed(2)) };
+    });
+    const total = parseFloat(lines.reduce((sum, line) => sum + line.lineTotal, 0).toFixed(2));
+    return { vendor: vendor.name, lines, total, currency: 'USD', quotedAt: new Date().toISOString() };
+};
+
+// Derives the current status of an order from how long ago it was placed.
+const currentStatus = (vendor, order) => {
+    if (order.status === 'cancelled') return order;
+    const elapsedMinutes = (Date.now() - new Date(order.placedAt).getTime()) / 60000 * TIME_SCALE;
+
+    let status = 'placed';
+    if (elapsedMinutes >= vendor.minutesToDeliver) status = 'delivered';
+    else if (elapsedMinutes >= vendor.minutesToShip) status = 'shipped';
+    else if (elapsedMinutes >= 0.25) status = 'confirmed';
+
+    return { ...order, status };
+};
+
+const errorResponse = (res, status, code, message) => res.status(status).json({ error: { code, message } });
+
+// Runs one action for a vendor
+const handleAction = async (res, vendor, { action, items, orderId, idempotencyKey }) => {
+    switch (action) {
+        case 'quote': {
+            if (!Array.isArray(items) || items.length === 0) {
+                return errorResponse(res, 400, 'invalid_items', 'A quote needs at least one item.');
+            }
+            return res.status(200).json(quoteItems(vendor, items));
+        }
+
+        case 'placeOrder': {
+            if (!Array.isArray(items) || items.length === 0) {
+                return errorResponse(res, 400, 'invalid_items', 'An order needs at least one item.');
+            }
+            const quote = quoteItems(vendor, items);
+            const order = {
+                orderId: `${vendor.prefix}-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+                vendor: vendor.name,
+                idempotencyKey: idempotencyKey || null,
+                lines: quote.lines,
+                total: quote.total,
+                status: 'placed',
+                placedAt: new Date().toISOString(),
+                estimatedDelivery: new Date(Date.now() + vendor.minutesToDeliver / TIME_SCALE * 60000).toISOString(),
+            };
+            // Retried requests with the same key get the original order back instead of a duplicate
+            const saved = await saveNewOrder(vendor, order);
+            return saved.created
+                ? res.status(201).json(saved.order)
+                : res.status(200).json(currentStatus(vendor, saved.order));
+        }
+
+        case 'getOrderStatus': {
+            const order = await getOrder(vendor, orderId);
+            if (!order || order.vendor !== vendor.name) {
+                return errorResponse(res, 404, 'order_not_found', `No order ${orderId} at ${vendor.name}.`);
+            }
+            return res.status(200).json(currentStatus(vendor, order));
+        }
+
+        case 'cancelOrder': {
+            const order = await getOrder(vendor, orderId);
+            if (!order || order.vendor !== vendor.name) {
+                return errorResponse(res, 404, 'order_not_found', `No order ${orderId} at ${vendor.name}.`);
+            }
+            const status = currentStatus(vendor, order).status;
+            if (status === 'shipped' || status === 'delivered') {
+                return errorResponse(res, 409, 'not_cancellable', `Order ${orderId} has already ${status === 'shipped' ? 'shipped' : 'been delivered'}.`);
+            }
+            const cancelled = { ...order, status: 'cancelled', cancelledAt: new Date().toISOString() };
+            await orderRef(vendor, orderId).set(cancelled);
+            return res.status(200).json(cancelled);
+        }
+
+        default:
+            return errorResponse(res, 400, 'unknown_action', `Unknown action: ${action}`);
+    }
+};
+
+const isEnabled = () => process.env.MOCK_VENDOR_ENABLED === 'true';
+
+// The 'handler' function processes all requests to /api/mock-vendor?vendor=<name>
+export default async function handler(req, res) {
+    if (!isEnabled()) {
+        return errorResponse(res, 404, 'not_found', 'The sandbox vendor is not enabled on this deployment.');
+    }
+    if (req.method !== 'POST') {
+        return errorResponse(res, 405, 'method_not_allowed', 'Method Not Allowed');
+    }
+
+    const vendor = VENDORS[vendorKey(req.query?.vendor)];
+    if (!vendor) {
+        return errorResponse(res, 404, 'unknown_vendor', `Unknown sandbox vendor: ${req.query?.vendor}`);
+    }
+
+    const { action, items, orderId, idempotencyKey } = req.body || {};
+
+    try {
+        return await handleAction(res, vendor, { action, items, orderId, idempotencyKey });
+    } catch (error) {
+        console.error('Mock vendor order store error:', error);
+        return errorResponse(res, 503, 'store_unavailable', 'The sandbox order store is unavailable.');
+    }
+}
+
+// Standalone mode: a minimal HTTP server exposing the same handler, for local development without Vercel. It keeps
+// orders in the same Firestore, so it needs the Admin SDK's credentials or FIRESTORE_EMULATOR_HOST. Starting it is
+// enabling the sandbox.
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+if (isMain) {
+    process.env.MOCK_VENDOR_ENABLED = 'true';
+    const port = parseInt(process.env.MOCK_VENDOR_PORT, 10) || 4010;
+    http.createServer((req, res) => {
+        const url = new URL(req.url, `http://localhost:${port}`);
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body = {};
+            try {
+                body = raw ? JSON.parse(raw) : {};
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: { code: 'invalid_json', message: 'Body must be JSON.' } }));
+            }
+            const response = {
+                status(code) { res.statusCode = code; return this; },
+                json(data) {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.setHeader('Access-Control-Allow-Origin', '*');
+                    res.end(JSON.stringify(data));
+                },
+            };
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type', 'Access-Control-Allow-Methods': 'POST' });
+                return res.end();
+            }
+            handler({ method: req.method, query: Object.fromEntries(url.searchParams), body }, response);
+        });
+    }).listen(port, () => console.log(`Mock vendor server listening on http://localhost:${port}/api/mock-vendor`));
+}
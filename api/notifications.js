@@ -0,0 +1,116 @@
+// Notifications endpoint.
+// GET  (scheduler, `Authorization: Bearer $CRON_SECRET`; see vercel.json) checks every subscribed person's data for
+//      low stock, run-outs and the spend cap, releases pushes held over quiet hours and sends due email digests.
+//      Returns { users, pushed, emailed, failed }.
+// POST (signed-in app) { action: 'event', rule } reports a cart built or a purchase executed to everyone sharing the
+//      user's data; the event is described from the audit entry the user's app just wrote for it (see
+//      EVENT_AUDIT_ACTIONS), so only what the caller actually did can be reported. Rate-limited per user.
+//      { action: 'test' } sends the user a test push, and an email if their account's address is verified.
+//      Both actions count against the same per-user limit.
+// Errors are returned as { error: { code, message } }.
+import { ApiError, sendError, requireUser, requireScheduler, consumeQuota } from './_lib/apiGuard.js';
+import { notifyUser, getRecipients, getSubscribedUsers, sendTestNotification } from './_lib/notifications.js';
+import { getAdminDb } from './_lib/firebaseAdmin.js';
+import { resolveDataPath, getDataMembers } from './_lib/adminData.js';
+import { NOTIFICATION_RULES, describeEvent } from '../src/notificationRules.js';
+import { COLLECTIONS, migrateDocument } from '../src/documentSchemas.js';
+import { can, HOUSEHOLD_PERMISSIONS } from '../src/households.js';
+
+// The audit actions that record each app-reported event, and the permission needed to have done it
+const EVENT_AUDIT_ACTIONS = {
+    [NOTIFICATION_RULES.CART_BUILT]: { actions: ['Cart Built'], permission: null },
+    [NOTIFICATION_RULES.PURCHASE_EXECUTED]: { actions: ['Purchase Executed', 'Approval Granted'], permission: HOUSEHOLD_PERMISSIONS.APPROVE_ORDERS },
+};
+
+// How recent the audit entry behind a reported event must be
+const EVENT_WINDOW_MS = 10 * 60 * 1000;
+
+// Each report can notify the whole household and a test sends mail, so they get a tighter budget than the AI routes
+const EVENT_LIMITS = {
+    label: 'notification events',
+    requestsPerMinute: 5,
+    requestsPerDay: 50,
+};
+
+const runSweep = async () => {
+    const cache = new Map();
+    const totals = { users: 0, pushed: 0, emailed: 0, failed: 0 };
+    // One person at a time: a failure (e.g. a bad SMTP address) must not stop everyone else's notifications
+    for (const uid of await getSubscribedUsers()) {
+        try {
+            const { pushed, emailed } = await notifyUser(uid, { cache });
+            totals.pushed += pushed;
+            totals.emailed += emailed;
+        } catch (error) {
+            console.error(`Notification sweep failed for ${uid}:`, error);
+            totals.failed++;
+        }
+        totals.users++;
+    }
+    return totals;
+};
+
+// The caller's latest audit entry for `actions` within the event window, or null
+const findRecentAuditEntry = async (basePath, uid, actions, now) => {
+    const snapshot = await getAdminDb().collection(`${basePath}/${COLLECTIONS.AUDIT}`)
+        .where('action', 'in', actions)
+        .orderBy('timestamp', 'desc')
+        .limit(20)
+        .get();
+    const since = new Date(now.getTime() - EVENT_WINDOW_MS).toISOString();
+    return snapshot.docs
+        .map(d => migrateDocument(COLLECTIONS.AUDIT, d.data()).data)
+        .find(entry => entry.actorUid === uid && entry.timestamp >= since) || null;
+};
+
+const reportEvent = async (uid, { rule }, now = new Date()) => {
+    const source = EVENT_AUDIT_ACTIONS[rule];
+    if (!source) {
+        throw new ApiError(400, 'invalid_event', `Unknown notification event: ${rule}`);
+    }
+    await consumeQuota(uid, 'notifications', EVENT_LIMITS);
+
+    const basePath = await resolveDataPath(uid);
+    if (source.permission) {
+        const member = (await getDataMembers(basePath)).find(m => m.uid === uid);
+        if (!can(member?.role, source.permission)) {
+            throw new ApiError(403, 'forbidden', 'Your role in this household cannot report this event.');
+        }
+    }
+    const entry = await findRecentAuditEntry(basePath, uid, source.actions, now);
+    if (!entry) {
+        throw new ApiError(409, 'event_not_recorded', 'No matching entry in your audit log; nothing to report.');
+    }
+    const details = entry.details || {};
+    const event = describeEvent(rule, {
+        count: details.count,
+        total: details.total,
+        vendors: Array.isArray(details.orders) ? [...new Set(details.orders.map(order => order?.vendor).filter(Boolean))] : [],
+    });
+    const cache = new Map();
+    const results = await Promise.all((await getRecipients(uid)).map(recipient => notifyUser(recipient, { events: [event], cache })));
+    return results.reduce((totals, { pushed, emailed }) => ({ pushed: totals.pushed + pushed, emailed: totals.emailed + emailed }), { pushed: 0, emailed: 0 });
+};
+
+export default async function handler(req, res) {
+    try {
+        if (req.method === 'GET') {
+            requireScheduler(req);
+            return res.status(200).json(await runSweep());
+        }
+        if (req.method !== 'POST') {
+            throw new ApiError(405, 'method_not_allowed', 'Method Not Allowed');
+        }
+        const user = await requireUser(req);
+        const { action, ...body } = req.body || {};
+        if (action === 'event') return res.status(200).json(await reportEvent(user.uid, body));
+        if (action === 'test') {
+            await consumeQuota(user.uid, 'notifications', EVENT_LIMITS);
+            return res.status(200).json(await sendTestNotification(user.uid));
+        }
+        throw new ApiError(400, 'invalid_action', 'Unknown action.');
+
+    } catch (error) {
+        sendError(res, error);
+    }
+}
@@ -0,0 +1,19 @@
+// Service worker for web push notifications (see src/notificationSettings.js). Shows what api/notifications.js
+// pushes ({ title, body, tag }) and brings the app forward when one is clicked.
+self.addEventListener('push', (event) => {
+    const payload = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(payload.title || 'AKEDOshop', {
+        body: payload.body || '',
+        tag: payload.tag,
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (open) return open.focus();
+        return self.clients.openWindow('/');
+    })());
+});
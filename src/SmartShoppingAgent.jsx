@@ -1,13 +1,39 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, collection, query, orderBy, limit, deleteDoc, getDoc, writeBatch } from 'firebase/firestore';
-import { Upload, Edit, RefreshCw, Zap, Bot, Trash2 } from 'lucide-react'; // Added Trash2 icon
-
-const appId = 'default-app-id';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator, signOut } from 'firebase/auth';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { getFirestore, connectFirestoreEmulator, setDoc, where, writeBatch, runTransaction, increment, arrayUnion } from 'firebase/firestore';
+import { Upload, Edit, RefreshCw, Zap, Bot, Trash2, ShieldCheck, Clock, Truck } from 'lucide-react'; // Added Trash2 icon
+import { buildSpendLedger, getCurrentPeriod, getLedgerRange, defaultBillingPeriod, normalizeBillingPeriod, getLocalTimeZone, getZonedTime } from './spendLedger.js';
+import { ITEM_CATEGORIES, ITEM_CATEGORY_LABELS, BREAKDOWNS, RANGE_PRESETS, RANGE_PRESET_LABELS, getItemCategory, selectHistory, buildSpendAnalytics, projectPeriodSpend, getPresetRange, getHistoryQueryBounds } from './spendAnalytics.js';
+import { projectQuantity, withProjectedQuantities, confirmCountFields, recordUseFields } from './consumptionModel.js';
+import { buildForecastInput, withInTransitStock, planForecast, buildCart, quoteCart, placeVendorOrders, buildPurchaseWrites } from './agentPlanner.js';
+import { SCHEDULE_FREQUENCIES, SCHEDULE_FREQUENCY_LABELS, RUN_TRIGGERS, RUN_STATUSES, RUN_STATUS_LABELS, normalizeAgentSchedule, describeRun } from './agentSchedule.js';
+import { FORECAST_MODES, FORECAST_MODE_LABELS, FORECAST_CONFIDENCE, FORECAST_CONFIDENCE_LABELS, DISAGREEMENT_THRESHOLD_DAYS, runLocalForecast, compareForecasts, summarizeForecastAccuracy } from './localForecaster.js';
+import { PRICE_STRATEGIES, PRICE_STRATEGY_LABELS, catalogKey, getUnitPrice, addPriceObservation, buildCatalogFromHistory } from './priceCatalog.js';
+import { SUPPORTED_VENDORS, getVendorAdapter } from './vendorAdapters.js';
+import { ORDER_STATUSES, ORDER_STATUS_LABELS, OPEN_ORDER_STATUSES, isOpenOrder, computeInTransit, getInTransitQuantity, applyDelivery, remainingQuantities, createItemFromDelivery } from './orderLifecycle.js';
+import { DUPLICATE_PURCHASE_WINDOW_HOURS, hashFile, buildReceiptFingerprint, findDuplicateReceipt, findRecentDuplicatePurchases, describeAge } from './duplicateDetection.js';
+import { RECEIPT_STATUSES, RECEIPT_STATUS_LABELS, uploadReceiptFiles, getReceiptFileUrl, downloadReceiptFile } from './receiptArchive.js';
+import { toApiError, describeApiError } from './apiErrors.js';
+import { OFFLINE_COLLECTIONS, WRITE_TYPES, openOfflineStore, readCollection, cacheDocuments, queueWrites, getPendingWrites, clearOfflineStore, getMeta, setMeta } from './offlineStore.js';
+import { syncPendingWrites } from './offlineSync.js';
+import { COLLECTIONS, CONFIG_DOC_ID, createRepository, prepareWrite } from './dataRepository.js';
+import { migrateDocument } from './documentSchemas.js';
+import { HOUSEHOLD_ROLES, HOUSEHOLD_ROLE_LABELS, HOUSEHOLD_PERMISSIONS, can, getOwnerFieldChanges, subscribeHouseholdId, subscribeHousehold, createHousehold, joinHousehold, leaveHousehold, clearHousehold, setMemberRole, findOwnerSuccessor, regenerateInviteCode } from './households.js';
+import { SIGN_IN_METHODS, SIGN_IN_METHOD_LABELS, describeUser, signInWithGoogle, sendEmailSignInLink, getPendingEmailLink, completeEmailLinkSignIn, signInToExistingAccount, captureAccountData, buildAccountMergeWrites } from './accounts.js';
+import { AUDIT_CHAIN_DOC_ID, createAuditEntry, appendAuditEntry, fetchAuditPage, verifyAuditChain, summarizeAuditDetails } from './auditLog.js';
+import { NOTIFICATION_RULES, NOTIFICATION_RULE_LABELS, DIGEST_FREQUENCIES, DIGEST_FREQUENCY_LABELS, WEEKDAY_LABELS, defaultNotificationSettings } from './notificationRules.js';
+import { subscribeNotificationSettings, saveNotificationSettings, isPushSupported, getPushSubscription, enablePushOnThisDevice, disablePushOnThisDevice } from './notificationSettings.js';
+import { DATASETS, DATASET_LABELS, IMPORTABLE_DATASETS, FILE_FORMATS, IMPORT_ACTION_LABELS, getImportFields, buildExportFile, downloadFile, readImportFile, guessColumnMapping, planImport } from './dataTransfer.js';
+import { ACCEPTED_RECEIPT_TYPES, FILE_STATUSES, validateReceiptFile, fileToParts, stitchReceiptParts, groupFilesIntoReceipts } from './receiptIngestion.js';
+import { ROW_ACTIONS, createReviewRows, reviewRowsToUpdates, buildReviewRecord, getCorrectedFields, summarizeOcrAccuracy } from './receiptReview.js';
+import { isSameItem, findInventoryItem, findPossibleDuplicates, shouldLearnAlias } from './itemIdentity.js';
+import { UNIT_OPTIONS, normalizeUnit, isMeasureUnit, formatQuantity, formatUnit, convertToItemUnit, toItemQuantity, unitForNewItem, getPackSize, normalizeItemUnits, changeItemUnit } from './units.js';
+import { APPROVAL_MODES, APPROVAL_MODE_LABELS, defaultApprovalPolicy, normalizeApprovalPolicy, evaluateApprovalPolicy, getApprovalExpiry, isApprovalExpired } from './approvalPolicy.js';
 
 // --- Global Context Variables
-// const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+// The data namespace (appId) is REACT_APP_APP_ID, see dataRepository.js
 // const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 
 const firebaseConfig = {
@@ -19,16 +45,19 @@ const firebaseConfig = {
     appId: process.env.REACT_APP_FIREBASE_APP_ID,
 };
 
+// Set (e.g. to 'localhost') to use the Firebase emulators for Auth, Firestore and Storage in development
+const FIREBASE_EMULATOR_HOST = process.env.REACT_APP_FIREBASE_EMULATOR_HOST || '';
+
 // const apiKey = "";
 
 // --- Initial Data Structures for Seeding the Database ---
 
 const initialInventory = [
-    { id: '1', name: 'Coffee Beans', quantity: 0.5, unit: 'bags', restockLevel: 1, dailyUse: 0.1, lastUsed: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() }, 
-    { id: '2', name: 'Toilet Paper', quantity: 4, unit: 'rolls', restockLevel: 8, dailyUse: 0.5, lastUsed: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() },
+    { id: '1', name: 'Coffee Beans', quantity: 0.5, unit: 'bag', contents: { quantity: 12, unit: 'oz' }, restockLevel: 1, dailyUse: 0.1, lastUsed: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() }, 
+    { id: '2', name: 'Toilet Paper', quantity: 4, unit: 'roll', packs: [{ unit: 'pack', size: 12 }], purchaseUnit: 'pack', restockLevel: 8, dailyUse: 0.5, lastUsed: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() },
     { id: '3', name: 'Milk', quantity: 1, unit: 'gallon', restockLevel: 2, dailyUse: 0.2, lastUsed: new Date().toISOString() },
     { id: '4', name: 'Dish Soap', quantity: 1, unit: 'bottle', restockLevel: 1, dailyUse: 0.05, lastUsed: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString() },
-];
+].map(item => ({ ...item, countedQuantity: item.quantity, countedAt: item.lastUsed })); // Counted when last used
 
 const initialHistory = [
     { id: 'h1', item: 'Toilet Paper', quantity: 12, vendor: 'Amazon', cost: 25.50, date: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), method: 'Auto' },
@@ -37,28 +66,41 @@ const initialHistory = [
 
 const initialConfig = {
     spendCapMonthly: 500,
-    currentMonthSpend: 150,
+    billingPeriod: defaultBillingPeriod,
     vendorAllowlist: ['Amazon', 'Walmart'],
+    approvalPolicy: defaultApprovalPolicy,
+    forecastMode: FORECAST_MODES.AI,
+    priceStrategy: PRICE_STRATEGIES.LAST,
+    priceCatalogSeeded: true,
 };
 
 
-// --- Utility Functions (fetchWithRetry, imageToBase64, callVisionAPI - unchanged) ---
+// --- Utility Functions (fetchWithRetry, callVisionAPI) ---
+
+/**
+ * Headers for calls to our API routes: JSON plus the signed-in user's Firebase ID token.
+ */
+const apiHeaders = async () => {
+    const user = getAuth().currentUser;
+    const token = user ? await user.getIdToken() : null;
+    return { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+};
 
 /**
  * Custom fetch wrapper with exponential backoff for API resilience.
+ * 429 and 5xx responses are retried, unless the server says to wait longer than a retry would (e.g. a daily quota);
+ * the last failed response is returned so callers can read its structured error.
  */
 const fetchWithRetry = async (url, options, maxRetries = 5) => {
     for (let i = 0; i < maxRetries; i++) {
         try {
             const response = await fetch(url, options);
-            if (!response.ok) {
-                // If 4xx or 5xx error, throw it unless it's the last attempt
-                if (response.status === 429 || response.status >= 500) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
+            const retryable = response.status === 429 || response.status >= 500;
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 0;
+            if (!retryable || retryAfter > 10 || i === maxRetries - 1) {
                 return response;
             }
-            return response;
+            throw new Error(`HTTP error! status: ${response.status}`);
         } catch (error) {
             if (i === maxRetries - 1) throw error;
             const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
@@ -68,196 +110,192 @@ const fetchWithRetry = async (url, options, maxRetries = 5) => {
 };
 
 /**
- * Converts File object to a base64 string for the Vision API.
+ * Runs a task on the server's LLM provider (POST /api/llm) and returns its provider-neutral result.
+ * Throws an ApiError when the request fails.
  */
-const imageToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result.split(',')[1]);
-        reader.onerror = (error) => reject(error);
-        reader.readAsDataURL(file);
+const callLlmTask = async (task, input) => {
+    const response = await fetchWithRetry('/api/llm', {
+        method: 'POST',
+        headers: await apiHeaders(),
+        body: JSON.stringify({ task, input }),
     });
+    if (!response.ok) throw await toApiError(response);
+    const { result } = await response.json();
+    return result;
 };
 
 /**
- * Calls the Gemini Vision API to extract structured data from a receipt image.
+ * Tells everyone sharing the user's data about something the agent did (POST /api/notifications), by push or in
+ * their digest depending on their settings. The server describes the event from the audit entry recording it, so
+ * call this once that entry is written. Notifications are best effort: failures are only logged.
  */
-const callVisionAPI = async (base64Image, mimeType) => {
-    const model = 'gemini-2.5-flash-preview-09-2025';
-    // const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-    const proxyUrl = '/api/gemini';
-
-    const visionPrompt = `
-        You are an OCR and data extraction system for a shopping agent.
-        Analyze the provided image of a receipt. Identify and extract all shopping items, their purchased quantity, their individual cost, and the store name/vendor.
-        The output must be a JSON array of objects, strictly adhering to the provided schema.
-        Combine item lines if necessary, and use a reasonable approximation if exact quantity/cost is unclear.
-    `;
-
-    const payload = {
-        contents: [{
-            role: "user",
-            parts: [
-                { text: visionPrompt },
-                { inlineData: { mimeType: mimeType, data: base64Image } }
-            ]
-        }],
-        systemInstruction: { parts: [{ text: "Extract structured data from the receipt image. Output only the requested JSON structure." }] },
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "ARRAY",
-                description: "A list of extracted items from the receipt.",
-                items: {
-                    type: "OBJECT",
-                    properties: {
-                        name: { type: "STRING", description: "The name of the purchased item (e.g., 'Milk')." },
-                        quantity: { type: "NUMBER", description: "The purchased quantity (e.g., 2)." },
-                        cost: { type: "NUMBER", description: "The individual item cost (e.g., 4.99). If line item total is provided, divide by quantity." },
-                        vendor: { type: "STRING", description: "The store or vendor name (e.g., 'Walmart')." }
-                    },
-                    required: ["name", "quantity", "cost", "vendor"]
-                }
-            }
-        }
-    };
-
+const reportNotificationEvent = async (rule) => {
     try {
-        const response = await fetchWithRetry(proxyUrl, {
+        const response = await fetch('/api/notifications', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ model, payload})
+            headers: await apiHeaders(),
+            body: JSON.stringify({ action: 'event', rule }),
         });
+        if (!response.ok) throw await toApiError(response);
+    } catch (error) {
+        console.error("Notification error:", error);
+    }
+};
 
-        const result = await response.json();
-        const jsonText = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-        if (jsonText) {
-            return JSON.parse(jsonText);
-        }
-        return [];
+/**
+ * Extracts structured data from a receipt image or a single PDF page ("receipt-extract" task).
+ * Returns { items, receipt: { vendor, date, total } }; the receipt summary fingerprints the receipt for duplicate checks.
+ * Throws when the request fails, so callers can report which part of an upload could not be read.
+ */
+const callVisionAPI = async (base64Data, mimeType) => {
+    try {
+        const result = await callLlmTask('receipt-extract', { mimeType, data: base64Data });
+        return {
+            items: result.items,
+            receipt: { vendor: result.vendor, date: result.purchaseDate, total: result.total },
+        };
     } catch (error) {
-            console.error("LLM Vision Error:", error);
-            return []; // Return empty array on error
+        console.error("LLM Vision Error:", error);
+        throw error;
     }
 };
 
 /**
- * Simulates the LLM's predictive engine to suggest items and provide behavioral run-out forecasts.
+ * Asks the LLM's predictive engine ("forecast" task) to suggest items and provide behavioral run-out forecasts.
  * The model returns both the suggested cart items and the full inventory with predicted dates.
+ * On failure the result carries `failed: true` so callers can fall back to the local forecaster.
  */
 const callPredictiveEngine = async (inventory, purchaseHistory) => {
-    const model = 'gemini-2.5-flash-preview-09-2025';
-    // const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-    const proxyUrl = '/api/gemini'
-
-    // Prepare data for the prompt
-    // FIX: Add optional chaining to ensure name and other properties exist before accessing them.
-    const inventorySummary = inventory
-        .filter(item => item && item.name)
-        .map(item => ({ 
-            name: item.name, 
-            quantity: item.quantity, 
-            unit: item.unit, 
-            lastUsed: item.lastUsed ? new Date(item.lastUsed).toISOString().substring(0, 10) : 'N/A' 
-        }));
-        
-    const historySummary = purchaseHistory
-        .filter(entry => entry && entry.item)
-        .map(entry => ({ 
-            item: entry.item, 
-            quantity: entry.quantity, 
-            date: new Date(entry.date).toISOString().substring(0, 10), 
-            vendor: entry.vendor 
-        }));
-
-    const userQuery = `
-        You are the predictive core logic engine of an autonomous home shopping agent.
-        Analyze the provided Current Inventory and Recent Purchase History.
-        
-        Task 1: Generate a behavioral run-out forecast (YYYY-MM-DD) for *every* item in the inventory, based on the historical purchase frequency.
-        Task 2: Predict and suggest up to 5 items that should be purchased soon (low stock or due for refill).
-        
-        Current Inventory: ${JSON.stringify(inventorySummary)}
-        Recent Purchase History (last 10 entries): ${JSON.stringify(historySummary)}
-    `;
-
-    const systemPrompt = "Analyze history for consumption patterns. Output ONLY a concise JSON object that strictly adheres to the provided schema, containing both the suggested cart and the inventory forecasts.";
-
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    suggestedCart: {
-                        type: "ARRAY",
-                        description: "List of 0-5 items recommended for immediate purchase.",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                name: { type: "STRING", description: "The name of the item." },
-                                quantityToBuy: { type: "NUMBER", description: "The suggested quantity to add to the cart (e.g., 2)." },
-                                reason: { type: "STRING", description: "A brief reason for the suggestion (e.g., 'Low stock', 'Bi-weekly refill needed')." },
-                                vendor: { type: "STRING", enum: ["Amazon", "Walmart", "Unknown"], description: "The suggested vendor." }
-                            },
-                            required: ["name", "quantityToBuy", "reason"]
-                        }
-                    },
-                    inventoryForecasts: {
-                        type: "ARRAY",
-                        description: "List of all inventory items with an AI-predicted run-out date.",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                name: { type: "STRING", description: "The name of the item matching inventory." },
-                                predictedRunOutDate: { type: "STRING", description: "The predicted date (YYYY-MM-DD) the item will run out, based on purchase history analysis." }
-                            },
-                            required: ["name", "predictedRunOutDate"]
-                        }
-                    }
-                },
-                required: ["suggestedCart", "inventoryForecasts"]
-            }
-        }
-    };
-
+    const input = buildForecastInput(inventory, purchaseHistory);
     try {
-        const response = await fetchWithRetry(proxyUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ model, payload})
-        });
-
-        const result = await response.json();
-        const jsonText = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-        if (jsonText) {
-            return JSON.parse(jsonText);
+        const result = await callLlmTask('forecast', input);
+        if (result.inventoryForecasts.length === 0 && input.inventory.length > 0) {
+            return { suggestedCart: [], inventoryForecasts: [], failed: true, error: 'The AI returned no forecast.' };
         }
-        return { suggestedCart: [], inventoryForecasts: [] };
+        return result;
     } catch (error) {
         console.error("LLM Prediction Error:", error);
-        return { suggestedCart: [], inventoryForecasts: [] };
+        return { suggestedCart: [], inventoryForecasts: [], failed: true, error: describeApiError(error) };
     }
 };
 
+// Price catalog entries by id (catalogKey), as a working copy observations can be added to
+const toCatalogMap = (entries) => new Map(entries.map(entry => [entry.id, entry]));
+
+/**
+ * The price catalog write recording a price observation for a purchase, to commit with the purchase's other writes.
+ * `cost` is the line total. Reads and updates `catalog` (see toCatalogMap), so several observations for the same
+ * entry in one batch all count. Returns null for entries without a usable unit price.
+ */
+const priceObservationWrite = (catalog, name, vendor, cost, quantity, source) => {
+    const price = getUnitPrice({ cost, quantity });
+    if (!name || price === null) return null;
+    const key = catalogKey(name, vendor);
+    const updated = addPriceObservation(catalog.get(key), name, vendor || 'Unknown', { price, date: new Date().toISOString(), source });
+    catalog.set(key, updated);
+    return { collection: COLLECTIONS.PRICE_CATALOG, id: key, type: WRITE_TYPES.SET, data: updated };
+};
+
+const newestFirst = (field) => (a, b) => String(b[field] || '').localeCompare(String(a[field] || ''));
+
+/**
+ * Status line summarizing a purchase, including vendors that refused their part of it.
+ */
+const describePurchase = ({ totalPurchased, orders, failures }) =>
+    `Purchase Complete! ${orders.length} order(s) placed (${orders.map(o => o.orderId).join(', ')}). Total: $${totalPurchased.toFixed(2)}. Inventory updates on delivery.`
+    + (failures.length > 0 ? ` Failed at ${failures.map(f => f.vendor).join(', ')}.` : '');
+
+/**
+ * Recent purchases a manual entry would repeat (same item, quantity in the item's unit, and vendor).
+ */
+const findManualEntryDuplicates = (input, inventory, purchaseHistory) => {
+    if (!input.name.trim() || !(parseFloat(input.quantity) > 0)) return [];
+    const item = findInventoryItem(input.name, inventory);
+    const source = { quantity: input.quantity, unit: input.unit, name: input.name };
+    const quantity = item ? toItemQuantity(source, item).quantity : unitForNewItem(source).quantity;
+    return findRecentDuplicatePurchases([{ name: item ? item.name : input.name.trim(), itemId: item?.id, quantity, vendor: input.vendor }], purchaseHistory);
+};
+
+// Identifies a cart's contents, so a duplicate warning is only confirmed for the cart it was shown for
+const cartSignature = (cart) => cart.map(item => `${item.name}|${item.quantity}|${item.vendor}`).sort().join(';');
+
+/**
+ * Describes duplicate matches for a status line: "Milk (2 gallons, Walmart, 3 hour(s) ago)".
+ */
+const describeDuplicates = (matches) => matches
+    .map(({ entry, age }) => `${entry.item} (${formatQuantity(entry.quantity, entry.unit)}, ${entry.vendor}, ${age})`)
+    .join('; ');
+
 // --- React Component ---
 
 const App = () => {
     // --- Firebase/Auth State ---
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
 
+    // --- Account (anonymous until linked to Google or an email link, see accounts.js) ---
+    const [account, setAccount] = useState(null);
+    const [accountEmail, setAccountEmail] = useState('');
+    const [pendingEmailLink, setPendingEmailLink] = useState(null); // Opened from a sign-in link whose email this browser doesn't know
+    const [accountMerge, setAccountMerge] = useState(null); // { credential, method }: the credential belongs to an existing account
+
+    // --- Notifications (this person's own settings, see notificationRules.js and notificationSettings.js) ---
+    const [notificationSettings, setNotificationSettings] = useState(defaultNotificationSettings);
+    const [pushEndpoint, setPushEndpoint] = useState(null); // This browser's push subscription, if any
+
+    // --- Audit Log (hash-chained, see auditLog.js) ---
+    const [auditFilters, setAuditFilters] = useState({ action: '', item: '', from: '', to: '' });
+    const [auditQuery, setAuditQuery] = useState(null); // { filters, filtered, entries, hasMore } once filters are applied or older entries loaded
+    const [isAuditLoading, setIsAuditLoading] = useState(false);
+    const [selectedAuditEntry, setSelectedAuditEntry] = useState(null);
+    const [auditVerification, setAuditVerification] = useState(null);
+    const auditQueue = useRef(Promise.resolve());
+
+    // --- Import & Export (see dataTransfer.js) ---
+    const [exportFormat, setExportFormat] = useState(FILE_FORMATS.CSV);
+    const [importDataset, setImportDataset] = useState(DATASETS.INVENTORY);
+    const [importFile, setImportFile] = useState(null); // readImportFile result plus the file's name
+    const [importMapping, setImportMapping] = useState({});
+    const [importPlan, setImportPlan] = useState(null); // planImport result from the last run
+    const [isDryRun, setIsDryRun] = useState(true);
+
+    // --- Household (shared data and roles, see households.js) ---
+    const [householdId, setHouseholdId] = useState(undefined); // undefined until the profile is loaded, null for the account's own data
+    const [household, setHousehold] = useState(null);
+    const [householdMembers, setHouseholdMembers] = useState([]);
+    const [householdInput, setHouseholdInput] = useState({ name: '', displayName: '', inviteCode: '' });
+
+    // All Firestore reads and writes go through the repository (dataRepository.js); null until signed in
+    const repository = useMemo(
+        () => (db && userId && householdId !== undefined ? createRepository(db, userId, { householdId }) : null),
+        [db, userId, householdId]
+    );
+
+    // --- Offline Mode (IndexedDB copy of the core collections, see offlineStore.js) ---
+    const [offlineStore, setOfflineStore] = useState(null);
+    const [isOffline, setIsOffline] = useState(typeof navigator !== 'undefined' && navigator.onLine === false);
+    const [isSignedIn, setIsSignedIn] = useState(false); // False in local mode, when sign-in failed
+    const [pendingWriteCount, setPendingWriteCount] = useState(0);
+    const [syncConflicts, setSyncConflicts] = useState([]);
+
     // --- Agent State (Stored in Firestore) ---
     const [inventory, setInventory] = useState([]);
     const [purchaseHistory, setPurchaseHistory] = useState([]);
+    const [ledgerHistory, setLedgerHistory] = useState([]); // Every purchase in the periods the spend ledger covers
     const [userConfig, setUserConfig] = useState(initialConfig);
-    const [auditLog, setAuditLog] = useState([]);
+    const [auditLog, setAuditLog] = useState([]); // Latest entries (live); older and filtered pages are in auditQuery
+    const [pendingApprovals, setPendingApprovals] = useState([]);
+    const [priceCatalog, setPriceCatalog] = useState([]);
+    const [isPriceCatalogLoaded, setIsPriceCatalogLoaded] = useState(false);
+    const [orders, setOrders] = useState([]); // Latest orders, newest first
+    const [openOrders, setOpenOrders] = useState([]); // Every order still to be delivered, newest first
+    const [ocrReviews, setOcrReviews] = useState([]);
+    const [receipts, setReceipts] = useState([]);
+    const [agentRuns, setAgentRuns] = useState([]); // Latest scheduled and server runs, newest first
+    const [openReceipt, setOpenReceipt] = useState(null); // Receipt browser: { id, fileUrls, history, isLoading }
 
     // --- UI/Runtime State ---
     const [activeTab, setActiveTab] = useState('dashboard');
@@ -266,43 +304,75 @@ const App = () => {
     const [logMessage, setLogMessage] = useState('');
     const [isProcessing, setIsProcessing] = useState(false);
     const [pendingDeleteId, setPendingDeleteId] = useState(null); // State for delete confirmation
+    const [countDrafts, setCountDrafts] = useState({}); // Physical counts being entered, by item id
+    const [analyticsRange, setAnalyticsRange] = useState(() => getPresetRange(RANGE_PRESETS.LAST_3_MONTHS, getZonedTime(new Date(), getLocalTimeZone()).dateKey));
+    const [analyticsHistory, setAnalyticsHistory] = useState(null); // { entries, range, partial }: history loaded for the analytics range
+    const [isAnalyticsLoading, setIsAnalyticsLoading] = useState(false);
+    const [analyticsDrill, setAnalyticsDrill] = useState(null); // { dimension, key, label }: breakdown row whose history is shown
     
     const [manualInput, setManualInput] = useState({
-        name: '', quantity: 1, cost: 0.00, vendor: initialConfig.vendorAllowlist[0] || 'Unknown'
+        name: '', quantity: 1, unit: '', cost: 0.00, vendor: initialConfig.vendorAllowlist[0] || 'Unknown'
     });
+    // Staged OCR results waiting for review, oldest first: { id, fileName, files: [{ name, type, url }], rows, droppedOverlap }
+    const [receiptQueue, setReceiptQueue] = useState([]);
+    const receiptReview = receiptQueue[0] || null;
+    const [confirmManualDuplicate, setConfirmManualDuplicate] = useState(false);
+    const [duplicateCheckoutKey, setDuplicateCheckoutKey] = useState(null); // Cart the user was warned about and may confirm
+    const [overBudgetApprovalId, setOverBudgetApprovalId] = useState(null); // Approval the owner was told exceeds the budget
+    const [stitchUploads, setStitchUploads] = useState(false); // Treat a multi-file upload as parts of one receipt
+    const [ingestionReport, setIngestionReport] = useState([]); // Per-file progress of the latest upload
+    const [receivedInput, setReceivedInput] = useState({});
+    const [mergeSelection, setMergeSelection] = useState({ sourceId: '', targetId: '' });
+    const [aliasInput, setAliasInput] = useState({}); // { [itemId]: alias being typed } // { [orderId]: { [lineIndex]: quantity } }
+    const [catalogInput, setCatalogInput] = useState({
+        name: '', vendor: initialConfig.vendorAllowlist[0] || 'Unknown', price: ''
+    });
+
+    // --- Derived Spend (computed per billing period from the history the ledger covers, not the latest purchases) ---
+    const billingPeriod = useMemo(() => normalizeBillingPeriod(userConfig.billingPeriod), [userConfig.billingPeriod]);
+    const ledgerRange = useMemo(() => getLedgerRange(billingPeriod), [billingPeriod]);
+    const spendLedger = useMemo(
+        () => buildSpendLedger(ledgerHistory, { spendCap: userConfig.spendCapMonthly, billingPeriod, from: ledgerRange?.from }),
+        [ledgerHistory, userConfig.spendCapMonthly, billingPeriod, ledgerRange]
+    );
+    const currentPeriod = getCurrentPeriod(spendLedger);
+
+    // --- Derived In-Transit Stock (undelivered quantity of open orders, by item name) ---
+    const inTransit = useMemo(() => computeInTransit(openOrders), [openOrders]);
+
+    // --- Derived Role (an account working on its own data owns it) ---
+    const currentMember = householdMembers.find(member => member.uid === userId) || null;
+    const householdRole = householdId ? currentMember?.role || null : HOUSEHOLD_ROLES.OWNER;
+    const canManageSpending = can(householdRole, HOUSEHOLD_PERMISSIONS.MANAGE_SPENDING);
+    const canApproveOrders = can(householdRole, HOUSEHOLD_PERMISSIONS.APPROVE_ORDERS);
+    const canManageMembers = can(householdRole, HOUSEHOLD_PERMISSIONS.MANAGE_MEMBERS);
+    // Who did it, for the audit log
+    const auditActor = useMemo(() => ({ actorUid: userId, actorName: currentMember?.displayName || null }), [userId, currentMember?.displayName]);
 
     // --- CORE FIREBASE FUNCTIONS ---
 
     // 1. Initialize User Data (Seed database on first login)
-    const initializeUserData = useCallback(async (firestoreDb, uid, baseUserPath) => {
-        const configDocRef = doc(firestoreDb, `${baseUserPath}/config/userConfig`);
-        
+    const initializeUserData = useCallback(async (repository) => {
         try {
-            const configSnap = await getDoc(configDocRef);
+            const config = await repository.getDocument(COLLECTIONS.CONFIG, CONFIG_DOC_ID);
 
-            if (!configSnap.exists()) {
+            if (!config) {
                 setLogMessage('First time user detected. Seeding initial data...');
-                const batch = writeBatch(firestoreDb);
-
-                // A. Set Config
-                batch.set(configDocRef, initialConfig);
-
-                // B. Set Inventory
-                const invCollectionRef = collection(firestoreDb, `${baseUserPath}/inventory`);
-                initialInventory.forEach(item => {
-                    batch.set(doc(invCollectionRef, item.id), item);
-                });
-
-                // C. Set History
-                const histCollectionRef = collection(firestoreDb, `${baseUserPath}/purchaseHistory`);
-                initialHistory.forEach(item => {
-                    batch.set(doc(histCollectionRef), item); // Firestore generates ID for history
-                });
-
-                await batch.commit();
+                await repository.commit([
+                    // A. Set Config
+                    { collection: COLLECTIONS.CONFIG, id: CONFIG_DOC_ID, type: WRITE_TYPES.SET, data: initialConfig },
+                    // B. Set Inventory
+                    ...initialInventory.map(item => ({ collection: COLLECTIONS.INVENTORY, id: item.id, type: WRITE_TYPES.SET, data: item })),
+                    // C. Set History (random IDs, like Firestore's auto-generated ones)
+                    ...initialHistory.map(({ id, ...entry }) => ({ collection: COLLECTIONS.HISTORY, id: crypto.randomUUID(), type: WRITE_TYPES.SET, data: entry })),
+                    // D. Seed Price Catalog from the same history
+                    ...[...buildCatalogFromHistory(initialHistory)].map(([key, entry]) => ({ collection: COLLECTIONS.PRICE_CATALOG, id: key, type: WRITE_TYPES.SET, data: entry })),
+                ]);
                 setLogMessage('Initial data setup complete. Loading agent...');
             } else {
-                setLogMessage('Existing data found. Loading agent...');
+                // Bring documents written by older versions of the app up to the current schema
+                const migrated = await repository.migrateStoredDocuments();
+                setLogMessage(migrated > 0 ? `Existing data found. Upgraded ${migrated} document(s) to the current format. Loading agent...` : 'Existing data found. Loading agent...');
             }
         } catch (e) {
             console.error("Error initializing user data:", e);
@@ -313,25 +383,38 @@ const App = () => {
     // 2. Firebase Initialization and Auth
     useEffect(() => {
         if (!firebaseConfig.apiKey) {
-            setLogMessage('Error: Firebase configuration is missing.');
+            setLogMessage('Firebase configuration is missing. Running in local mode; changes are kept on this device.');
+            setUserId(crypto.randomUUID());
+            setIsOffline(true);
+            setIsAuthReady(true);
             return;
         }
 
         const app = initializeApp(firebaseConfig);
         const firestoreDb = getFirestore(app);
         const firebaseAuth = getAuth(app);
+        const firebaseStorage = getStorage(app);
+        // Local development against the Firebase emulator suite (see firebase.json for ports)
+        if (FIREBASE_EMULATOR_HOST) {
+            connectAuthEmulator(firebaseAuth, `http://${FIREBASE_EMULATOR_HOST}:9099`, { disableWarnings: true });
+            connectFirestoreEmulator(firestoreDb, FIREBASE_EMULATOR_HOST, 8080);
+            connectStorageEmulator(firebaseStorage, FIREBASE_EMULATOR_HOST, 9199);
+        }
         setDb(firestoreDb);
         setAuth(firebaseAuth);
+        setStorage(firebaseStorage);
 
         const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
             if (user) {
                 const uid = user.uid;
                 setUserId(uid);
-                const baseUserPath = `artifacts/${appId}/users/${uid}`;
+                setAccount(describeUser(user));
+                setIsSignedIn(true);
+                setIsOffline(navigator.onLine === false);
                 setLogMessage(`Authenticated successfully as User: ${uid.substring(0, 8)}...`);
 
                 // Run initialization check immediately after successful auth
-                await initializeUserData(firestoreDb, uid, baseUserPath);
+                if (navigator.onLine !== false) await initializeUserData(createRepository(firestoreDb, uid));
             } else {
                 try {
                     if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
@@ -341,8 +424,10 @@ const App = () => {
                     }
                 } catch (error) {
                     console.error("Firebase Auth Error:", error);
-                    setLogMessage(`Auth Failed. Running in local simulation mode. Error: ${error.message}`);
-                    setUserId(crypto.randomUUID());
+                    setLogMessage(`Auth Failed. Running in local mode; changes are kept on this device and sync once sign-in works. Error: ${error.message}`);
+                    setUserId(current => current || crypto.randomUUID());
+                    setIsSignedIn(false);
+                    setIsOffline(true);
                 }
             }
             setIsAuthReady(true);
@@ -351,41 +436,219 @@ const App = () => {
         return () => unsubscribe();
     }, [initializeUserData]);
 
+    // --- Household ---
+
+    // Which data the account works on: its own, or the household its profile points to
+    useEffect(() => {
+        if (!db || !userId || !isSignedIn) return;
+        setHouseholdId(undefined); // Another account (e.g. after signing in) mustn't see the previous one's household
+        return subscribeHouseholdId(db, userId, setHouseholdId, (error) => {
+            console.error("Profile sync error:", error);
+            setHouseholdId(current => (current === undefined ? null : current));
+        });
+    }, [db, userId, isSignedIn]);
+
+    useEffect(() => {
+        if (!db || !userId || !householdId) {
+            setHousehold(null);
+            setHouseholdMembers([]);
+            return;
+        }
+        return subscribeHousehold(db, householdId, setHousehold, setHouseholdMembers, (error) => {
+            console.error("Household sync error:", error);
+            // Removed by an owner: the household is no longer readable, so go back to the account's own data
+            if (error.code === 'permission-denied') {
+                setLogMessage('You are no longer a member of this household. Showing your own data.');
+                clearHousehold(db, userId).catch(e => console.error("Error leaving household:", e));
+            }
+        });
+    }, [db, userId, householdId]);
+
+    // --- Offline Mode ---
+
+    useEffect(() => {
+        openOfflineStore().then(setOfflineStore);
+    }, []);
+
+    // Reads collections from the offline store into state (what the Firestore listeners do online).
+    // Only the given collections are reloaded, so e.g. an audit entry doesn't hand out a new inventory array.
+    const loadOfflineState = useCallback(async (store, collections = Object.values(OFFLINE_COLLECTIONS)) => {
+        const setters = {
+            [COLLECTIONS.INVENTORY]: docs => setInventory(docs),
+            [COLLECTIONS.HISTORY]: docs => {
+                setLedgerHistory(docs);
+                setPurchaseHistory(docs.sort(newestFirst('date')).slice(0, 100));
+            },
+            [COLLECTIONS.CONFIG]: docs => {
+                const config = docs.find(d => d.id === CONFIG_DOC_ID);
+                if (!config) return;
+                const { id, ...configData } = config;
+                setUserConfig(configData);
+            },
+            [COLLECTIONS.AUDIT]: docs => setAuditLog(docs.sort(newestFirst('timestamp')).slice(0, 50)),
+            [COLLECTIONS.PRICE_CATALOG]: docs => {
+                setPriceCatalog(docs);
+                setIsPriceCatalogLoaded(true);
+            },
+            [COLLECTIONS.APPROVALS]: docs => setPendingApprovals(docs.sort(newestFirst('createdAt')).slice(0, 50)),
+        };
+        for (const collectionName of collections) {
+            const docs = await readCollection(store, collectionName);
+            setters[collectionName](docs.map(d => migrateDocument(collectionName, d).data));
+        }
+        setPendingWriteCount((await getPendingWrites(store)).length);
+    }, []);
+
+    /**
+     * Saves writes ({ collection, id, type, data }) to Firestore in one batch, or, while offline,
+     * to the offline store and its queue of pending writes.
+     */
+    const commitWrites = useCallback(async (writes) => {
+        if (writes.length === 0) return;
+        if (isOffline) {
+            if (!offlineStore) throw new Error('Offline storage is not available in this browser.');
+            if (await queueWrites(offlineStore, writes.map(prepareWrite)) > 0) {
+                await loadOfflineState(offlineStore, [...new Set(writes.map(write => write.collection))]);
+            }
+            return;
+        }
+        await repository.commit(writes);
+    }, [repository, isOffline, offlineStore, loadOfflineState]);
+
+    // Actions that need vendors, Storage or server-side checks say so instead of failing while offline
+    const requireOnline = useCallback((action) => {
+        if (!isOffline) return true;
+        setLogMessage(`${action} needs a connection. It will be available again once you are back online.`);
+        return false;
+    }, [isOffline]);
+
+    // Follow connectivity; when it returns after a failed sign-in, try signing in again
+    useEffect(() => {
+        const goOffline = () => setIsOffline(true);
+        const goOnline = async () => {
+            if (isSignedIn) {
+                setIsOffline(false);
+                return;
+            }
+            if (!auth) return;
+            try {
+                await signInAnonymously(auth); // onAuthStateChanged leaves local mode
+            } catch (error) {
+                console.error("Firebase Auth Retry Error:", error);
+            }
+        };
+        window.addEventListener('offline', goOffline);
+        window.addEventListener('online', goOnline);
+        return () => {
+            window.removeEventListener('offline', goOffline);
+            window.removeEventListener('online', goOnline);
+        };
+    }, [auth, isSignedIn]);
+
+    // Offline: show the cached data. A device that has never been online starts from the same seed data as a new account
+    // (cached, not queued, so it never overwrites an account's data on sync).
+    useEffect(() => {
+        if (!isOffline || !offlineStore) return;
+        const loadOffline = async () => {
+            const cachedConfig = await readCollection(offlineStore, COLLECTIONS.CONFIG);
+            if (cachedConfig.length === 0) {
+                await cacheDocuments(offlineStore, COLLECTIONS.CONFIG, [{ id: CONFIG_DOC_ID, ...initialConfig }]);
+                await cacheDocuments(offlineStore, COLLECTIONS.INVENTORY, initialInventory);
+                await cacheDocuments(offlineStore, COLLECTIONS.HISTORY, initialHistory);
+                await cacheDocuments(offlineStore, COLLECTIONS.PRICE_CATALOG, [...buildCatalogFromHistory(initialHistory)].map(([id, entry]) => ({ id, ...entry })));
+            }
+            await loadOfflineState(offlineStore);
+        };
+        loadOffline().catch(error => console.error("Offline load error:", error));
+    }, [isOffline, offlineStore, loadOfflineState]);
+
+    // Back online and signed in: replay the writes made offline, then report conflicts with other devices
+    useEffect(() => {
+        if (isOffline || !isSignedIn || !repository || !offlineStore) return;
+        const sync = async () => {
+            // The cache belongs to one account's (or household's) data; switching to other data starts clean
+            const dataPath = await getMeta(offlineStore, 'dataPath');
+            if (dataPath && dataPath !== repository.basePath) {
+                await clearOfflineStore(offlineStore);
+            }
+            await setMeta(offlineStore, 'dataPath', repository.basePath);
+
+            const pending = await getPendingWrites(offlineStore);
+            if (pending.length === 0) return;
+            setLogMessage(`Back online. Syncing ${pending.length} change(s) made offline...`);
+            const { synced, conflicts } = await syncPendingWrites(repository, offlineStore);
+            setPendingWriteCount(0);
+            setSyncConflicts(conflicts);
+            setLogMessage(`Synced ${synced} offline change(s).${conflicts.length > 0 ? ` ${conflicts.length} item(s) were also changed on another device and have been merged.` : ''}`);
+            await appendAuditEntry(repository, createAuditEntry('Offline Changes Synced', {
+                synced,
+                conflicts: conflicts.map(c => ({ name: c.name, fields: c.fields.map(f => f.field), resolution: c.resolution })),
+            }, auditActor));
+        };
+        sync().catch(error => {
+            console.error("Offline sync error:", error);
+            setLogMessage(`Could not sync offline changes yet: ${error.message}. They stay queued on this device.`);
+        });
+    }, [isOffline, isSignedIn, repository, offlineStore, auditActor]);
+
     // 3. Agent Actions (Database Operations) 
 
     const updateInventory = useCallback(async (item) => {
-        if (!db || !userId) return;
+        if (!userId) return;
         
         // Ensure core fields are present for consistency
         const sanitizedItem = {
             id: item.id || crypto.randomUUID(),
             name: item.name,
             quantity: parseFloat(item.quantity) || 0,
-            unit: item.unit || 'units',
+            ...normalizeItemUnits(item),
             restockLevel: parseFloat(item.restockLevel) || 1,
             dailyUse: parseFloat(item.dailyUse) || 0.05,
             lastUsed: item.lastUsed || new Date().toISOString(),
+            // A new item's quantity is its first count
+            countedQuantity: item.countedQuantity ?? (parseFloat(item.quantity) || 0),
+            countedAt: item.countedAt || new Date().toISOString(),
+            usedSinceCount: parseFloat(item.usedSinceCount) || 0,
+            usageSamples: item.usageSamples || [],
+            forecastChecks: item.forecastChecks || [],
+            category: item.category || null,
+            aliases: item.aliases || [],
             // Remove old AI prediction when manual change occurs, forcing a re-run
             predictedRunOutDate: null, 
         };
 
-        const invRef = doc(db, `artifacts/${appId}/users/${userId}/inventory/${sanitizedItem.id}`);
         try {
-            await setDoc(invRef, sanitizedItem);
+            await commitWrites([{ collection: COLLECTIONS.INVENTORY, id: sanitizedItem.id, type: WRITE_TYPES.SET, data: sanitizedItem }]);
             setLogMessage(`Inventory updated for: ${sanitizedItem.name}`);
             setPendingDeleteId(null); // Clear pending delete if editing
         } catch (e) {
             console.error("Error updating inventory:", e);
         }
-    }, [db, userId]);
+    }, [userId, commitWrites]);
+
+    /**
+     * Records a physical count of an item, which re-anchors its estimated stock (see consumptionModel.js).
+     */
+    const confirmCount = useCallback(async (item, quantity) => {
+        if (!userId) return;
+        const estimated = projectQuantity(item).estimated;
+        const fields = confirmCountFields(item, quantity);
+        try {
+            await commitWrites([{ collection: COLLECTIONS.INVENTORY, id: item.id, type: WRITE_TYPES.MERGE, data: fields }]);
+            setCountDrafts(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== item.id)));
+            logAudit('Count Confirmed', { item: item.name, counted: fields.quantity, estimated, unit: item.unit || null });
+            setLogMessage(`Count confirmed for ${item.name}: ${formatQuantity(fields.quantity, item.unit)} (estimated ${formatQuantity(estimated, item.unit)}).`);
+        } catch (e) {
+            console.error("Error confirming count:", e);
+        }
+    }, [userId, commitWrites, logAudit]);
 
     const deleteInventoryItem = useCallback(async (itemId) => {
-        if (!db || !userId) return;
+        if (!userId) return;
         setIsProcessing(true);
         
-        const invRef = doc(db, `artifacts/${appId}/users/${userId}/inventory/${itemId}`);
         try {
-            await deleteDoc(invRef);
+            await commitWrites([{ collection: COLLECTIONS.INVENTORY, id: itemId, type: WRITE_TYPES.DELETE }]);
             setLogMessage(`Item with ID ${itemId} deleted successfully.`);
             logAudit('Inventory Deletion', { itemId });
         } catch (e) {
@@ -395,38 +658,212 @@ const App = () => {
             setPendingDeleteId(null);
             setIsProcessing(false);
         }
-    }, [db, userId]);
+    }, [userId, commitWrites]);
 
 
-    const logAudit = useCallback(async (action, details) => {
-        if (!db || !userId) return;
-        const logRef = collection(db, `artifacts/${appId}/users/${userId}/auditLog`);
+    // Entries are appended one at a time: each one links to the hash of the one before it.
+    // Offline, entries are queued as they are and join the chain when they sync.
+    const logAudit = useCallback((action, details) => {
+        if (!userId) return Promise.resolve();
+        const entry = createAuditEntry(action, details, auditActor);
+        const append = auditQueue.current.then(async () => {
+            try {
+                if (isOffline) {
+                    // Random IDs, like Firestore's auto-generated ones, so entries made on two devices never collide
+                    await commitWrites([{ collection: COLLECTIONS.AUDIT, id: crypto.randomUUID(), type: WRITE_TYPES.SET, data: entry }]);
+                } else {
+                    await appendAuditEntry(repository, entry);
+                }
+            } catch (e) {
+                console.error("Error logging audit:", e);
+            }
+        });
+        auditQueue.current = append;
+        return append;
+    }, [userId, isOffline, repository, commitWrites, auditActor]);
+
+    const addAlias = useCallback(async (item, alias) => {
+        if (!userId || !alias.trim() || !shouldLearnAlias(alias, item)) return;
         try {
-            // Note: Using setDoc with doc() will generate a new document ID automatically.
-            await setDoc(doc(logRef), {
-                timestamp: new Date().toISOString(),
-                action,
-                details: typeof details === 'string' ? details : JSON.stringify(details),
-            });
+            await commitWrites([{ collection: COLLECTIONS.INVENTORY, id: item.id, type: WRITE_TYPES.MERGE, data: { aliases: [...new Set([...(item.aliases || []), alias.trim()])] } }]);
+            logAudit('Alias Added', { item: item.name, alias: alias.trim() });
+        } catch (e) {
+            console.error("Error adding alias:", e);
+        }
+    }, [userId, commitWrites, logAudit]);
+
+    const removeAlias = useCallback(async (item, alias) => {
+        if (!userId) return;
+        try {
+            await commitWrites([{ collection: COLLECTIONS.INVENTORY, id: item.id, type: WRITE_TYPES.MERGE, data: { aliases: (item.aliases || []).filter(a => a !== alias) } }]);
+            logAudit('Alias Removed', { item: item.name, alias });
+        } catch (e) {
+            console.error("Error removing alias:", e);
+        }
+    }, [userId, commitWrites, logAudit]);
+
+    /**
+     * Updates an item's unit definitions (canonical unit, pack size, purchase unit, contents).
+     * Changing the canonical unit converts quantity, restock level and daily use when the units are related.
+     */
+    const updateItemUnits = useCallback(async (item, changes) => {
+        if (!userId) return;
+        const { fields, converted } = changes.unit !== undefined ? changeItemUnit(item, changes.unit) : { fields: {}, converted: false };
+        const { unit, ...otherChanges } = changes;
+        const updated = { ...item, ...otherChanges, ...fields };
+        const units = normalizeItemUnits(updated);
+        try {
+            await commitWrites([{
+                collection: COLLECTIONS.INVENTORY,
+                id: item.id,
+                type: WRITE_TYPES.MERGE,
+                data: {
+                    ...units,
+                    quantity: parseFloat(updated.quantity) || 0,
+                    restockLevel: parseFloat(updated.restockLevel) || 0,
+                    dailyUse: parseFloat(updated.dailyUse) || 0,
+                    predictedRunOutDate: null,
+                },
+            }]);
+            logAudit('Units Updated', { item: item.name, ...units, converted });
+            if (unit !== undefined && !converted && normalizeUnit(unit) !== normalizeUnit(item.unit)) {
+                setLogMessage(`${item.name} now counts in ${units.unit}. ${formatUnit(item.unit, 2)} and ${formatUnit(units.unit, 2)} are not related, so quantities were kept as they were.`);
+            }
+        } catch (e) {
+            console.error("Error updating units:", e);
+        }
+    }, [userId, commitWrites, logAudit]);
+
+    // An empty category goes back to the one guessed from the item's name
+    const updateItemCategory = useCallback(async (item, category) => {
+        if (!userId) return;
+        try {
+            await commitWrites([{ collection: COLLECTIONS.INVENTORY, id: item.id, type: WRITE_TYPES.MERGE, data: { category: category || null } }]);
+            logAudit('Category Updated', { item: item.name, category: category || null });
+        } catch (e) {
+            console.error("Error updating category:", e);
+        }
+    }, [userId, commitWrites, logAudit]);
+
+    /**
+     * Merges one inventory item into another: quantities are combined, the source's name and aliases
+     * become aliases of the target, and all of the source's purchase history is re-pointed to the target.
+     */
+    const mergeItems = useCallback(async (sourceId, targetId) => {
+        if (!repository || sourceId === targetId || !requireOnline('Merging items')) return;
+        const source = inventory.find(item => item.id === sourceId);
+        const target = inventory.find(item => item.id === targetId);
+        if (!source || !target) return;
+
+        // The source's stock and history move into the target's unit
+        const conversion = convertToItemUnit(1, source.unit, target);
+        if (conversion.quantity === null) {
+            setLogMessage(`Cannot merge: ${conversion.error} Set a pack size or contents on "${target.name}" first.`);
+            return;
+        }
+        const factor = conversion.quantity;
+        const toTargetUnit = (value) => parseFloat(((parseFloat(value) || 0) * factor).toFixed(4));
+
+        setIsProcessing(true);
+        try {
+            // Full history for the source, not just the entries the listener has loaded
+            const [byName, byId] = await Promise.all([
+                repository.find(COLLECTIONS.HISTORY, where('item', '==', source.name)),
+                repository.find(COLLECTIONS.HISTORY, where('itemId', '==', source.id)),
+            ]);
+            const historyDocs = new Map([...byName, ...byId].map(entry => [entry.id, entry]));
+            // Open orders still deliver into the source item unless their lines are re-pointed
+            const affectedOrders = openOrders.filter(order => (order.lines || []).some(line => line.inventoryItemId === source.id || isSameItem(line.name, source)));
+
+            const { id: targetId, ...targetData } = target;
+            await repository.commit([
+                {
+                    collection: COLLECTIONS.INVENTORY,
+                    id: targetId,
+                    type: WRITE_TYPES.SET,
+                    data: {
+                        ...targetData,
+                        // The source's stock as estimated now joins the target's like a purchase would
+                        quantity: (target.quantity || 0) + toTargetUnit(projectQuantity(source).estimated),
+                        aliases: [...new Set([...(target.aliases || []), source.name, ...(source.aliases || [])])],
+                        predictedRunOutDate: null,
+                    },
+                },
+                { collection: COLLECTIONS.INVENTORY, id: source.id, type: WRITE_TYPES.DELETE },
+                ...[...historyDocs.values()].map(entry => ({
+                    collection: COLLECTIONS.HISTORY,
+                    id: entry.id,
+                    type: WRITE_TYPES.MERGE,
+                    data: {
+                        item: target.name,
+                        itemId: target.id,
+                        mergedFrom: source.name,
+                        ...(factor !== 1 ? { quantity: toTargetUnit(entry.quantity), unit: target.unit } : {}),
+                    },
+                })),
+                ...affectedOrders.map(order => ({
+                    collection: COLLECTIONS.ORDERS,
+                    id: order.id,
+                    type: WRITE_TYPES.MERGE,
+                    data: {
+                        lines: order.lines.map(line => (line.inventoryItemId === source.id || isSameItem(line.name, source))
+                            ? { ...line, inventoryItemId: target.id, unit: target.unit, quantity: toTargetUnit(line.quantity), deliveredQuantity: toTargetUnit(line.deliveredQuantity) }
+                            : line),
+                    },
+                })),
+            ]);
+
+            logAudit('Items Merged', { from: source.name, into: target.name, items: [source.name, target.name], historyEntries: historyDocs.size, unitFactor: factor });
+            setLogMessage(`Merged "${source.name}" into "${target.name}" (${historyDocs.size} history entries re-pointed).`);
         } catch (e) {
-            console.error("Error logging audit:", e);
+            console.error("Error merging items:", e);
+            setLogMessage(`Error merging items: ${e.message}`);
+        } finally {
+            setIsProcessing(false);
         }
-    }, [db, userId]);
+    }, [repository, inventory, openOrders, requireOnline, logAudit]);
 
     const updateConfig = useCallback(async (newConfig) => {
-        if (!db || !userId) return;
-        const configDocRef = doc(db, `artifacts/${appId}/users/${userId}/config/userConfig`);
+        if (!userId) return;
+        const ownerFields = getOwnerFieldChanges(userConfig, newConfig);
+        if (ownerFields.length > 0 && !canManageSpending) {
+            setLogMessage(`Only a household owner can change ${ownerFields.join(', ')}.`);
+            return;
+        }
         try {
-            await setDoc(configDocRef, newConfig, { merge: true });
+            await commitWrites([{ collection: COLLECTIONS.CONFIG, id: CONFIG_DOC_ID, type: WRITE_TYPES.MERGE, data: newConfig }]);
             setLogMessage('Configuration saved successfully.');
             logAudit('Config Update', newConfig);
         } catch (e) {
             console.error("Error updating config:", e);
         }
-    }, [db, userId, logAudit]);
+    }, [userId, userConfig, canManageSpending, commitWrites, logAudit]);
+
+    const updateCatalogPrice = useCallback(async (name, vendor, price) => {
+        if (!userId || !name || !(price > 0)) return;
+        try {
+            await commitWrites([priceObservationWrite(toCatalogMap(priceCatalog), name.trim(), vendor, price, 1, 'Manual Edit')]);
+            setLogMessage(`Price catalog updated: ${name} at ${vendor} is $${price.toFixed(2)}.`);
+            logAudit('Price Catalog Update', { item: name, vendor, price: price.toFixed(2) });
+        } catch (e) {
+            console.error("Error updating price catalog:", e);
+        }
+    }, [userId, priceCatalog, commitWrites, logAudit]);
+
+    const deleteCatalogEntry = useCallback(async (entry) => {
+        if (!userId) return;
+        try {
+            await commitWrites([{ collection: COLLECTIONS.PRICE_CATALOG, id: entry.id, type: WRITE_TYPES.DELETE }]);
+            logAudit('Price Catalog Deletion', { item: entry.item, vendor: entry.vendor });
+        } catch (e) {
+            console.error("Error deleting price catalog entry:", e);
+        }
+    }, [userId, commitWrites, logAudit]);
 
-    const runForecasting = useCallback(async () => {
-        if (!db || !userId) return;
+    // Only a cart the user asked for (`notify`) is reported to the household; the automatic runs on load and after
+    // purchases rebuild it silently
+    const runForecasting = useCallback(async ({ notify = false } = {}) => {
+        if (!userId) return;
 
         // NEW FEATURE: Stop prediction if there is no household inventory
         if (inventory.length === 0) {
@@ -435,200 +872,753 @@ const App = () => {
             return;
         }
 
+        const forecastMode = userConfig.forecastMode || FORECAST_MODES.AI;
+
         setIsProcessing(true);
-        setCartStatus('Running AI prediction engine for forecast and cart...');
+        setCartStatus(forecastMode === FORECAST_MODES.LOCAL
+            ? 'Running local forecast engine for forecast and cart...'
+            : 'Running AI prediction engine for forecast and cart...');
 
-        // FIX: Filter out any items that are null/undefined or missing a 'name' property
-        // This prevents the 'Cannot read properties of undefined (reading toLowerCase)' error.
-        const safeInventory = inventory.filter(item => item && item.name);
-        
-        // 1. LLM-Based Prediction (Now returns BOTH cart suggestions and inventory forecasts)
-        const llmResult = await callPredictiveEngine(safeInventory, purchaseHistory);
-        const llmSuggestions = llmResult.suggestedCart;
-        const inventoryForecasts = llmResult.inventoryForecasts;
-
-        // FIX: Only map items that passed the filter
-        const inventoryMap = new Map(
-            safeInventory.map(item => [item.name.toLowerCase(), item])
-        );
+        // Named items only, at their estimated stock (consumptionModel.js) plus what's already on its way (agentPlanner.js)
+        const safeInventory = withInTransitStock(withProjectedQuantities(inventory), inTransit);
 
-        const baseUserPath = `artifacts/${appId}/users/${userId}`;
-        const batch = writeBatch(db);
-        
-        // 2. Process and Commit Behavioral Forecasts to Inventory
-        setLogMessage('Updating inventory with AI-driven run-out dates...');
-        
-        for (const forecast of inventoryForecasts) {
-            // FIX: Safely access name.toLowerCase() in case LLM output is malformed
-            const existingItem = inventoryMap.get(forecast.name?.toLowerCase());
-            
-            if (existingItem) {
-                const invRef = doc(db, `${baseUserPath}/inventory/${existingItem.id}`);
-                
-                // Use batch.set with merge: true to avoid 'No document to update' errors
-                batch.set(invRef, { 
-                    predictedRunOutDate: forecast.predictedRunOutDate 
-                }, { merge: true });
-            }
+        // 1. Local Baseline (always available, no network) and LLM-Based Prediction (unless local-only)
+        const baselineResult = runLocalForecast(safeInventory, purchaseHistory);
+        const llmResult = forecastMode === FORECAST_MODES.LOCAL || isOffline
+            ? null
+            : await callPredictiveEngine(safeInventory, purchaseHistory);
+
+        if (llmResult?.failed) {
+            setLogMessage(`AI prediction unavailable: ${llmResult.error} Using the local baseline.`);
+            logAudit('Forecast Fallback', { reason: llmResult.error || 'AI prediction engine unavailable', source: 'Local Baseline' });
         }
-        
+
+        const { useAi, suggestions, skipped, aiForecasts, aiCount, writes: forecastWrites } = planForecast(safeInventory, baselineResult, llmResult);
+        skipped.forEach(({ item, inTransit: onOrder }) => logAudit('Forecasting Skipped', { item, reason: 'Already in transit', inTransit: onOrder }));
+
+        // 2. Commit Behavioral Forecasts to Inventory
+        setLogMessage(useAi ? 'Updating inventory with AI-driven run-out dates...' : 'Updating inventory with local baseline run-out dates...');
+
         // Commit forecast updates (Triggers the inventory listener)
         try {
-            await batch.commit();
-            logAudit('Forecast Update', { count: inventoryForecasts.length, source: 'AI Behavioral Analysis' });
+            await commitWrites(forecastWrites);
+            logAudit('Forecast Update', {
+                count: baselineResult.inventoryForecasts.length,
+                source: useAi ? 'AI Behavioral Analysis' : 'Local Baseline',
+                aiForecasts: aiCount,
+            });
+            if (forecastMode === FORECAST_MODES.COMPARE && useAi) {
+                const disagreements = compareForecasts(aiForecasts, baselineResult.inventoryForecasts).filter(row => row.disagrees);
+                if (disagreements.length > 0) {
+                    logAudit('Forecast Disagreement', { items: disagreements.map(row => ({ name: row.name, diffDays: row.diffDays })) });
+                }
+            }
         } catch (e) {
             console.error("Batch update error for forecasts:", e);
         }
 
-        // 3. Filter and Enforce Policies on Suggested Cart
-        let newCart = [];
-        let totalCost = 0; // Simulated cost
-
-        for (const item of llmSuggestions) {
-            const vendor = item.vendor && userConfig.vendorAllowlist.includes(item.vendor) ? item.vendor : userConfig.vendorAllowlist[0] || 'Unknown';
-            const itemCost = item.quantityToBuy * (Math.random() * 5 + 5); // Price simulation
-            if (userConfig.currentMonthSpend + totalCost + itemCost <= userConfig.spendCapMonthly) {
-                newCart.push({
-                    name: item.name,
-                    quantity: item.quantityToBuy,
-                    cost: parseFloat(itemCost.toFixed(2)),
-                    vendor: vendor,
-                    reason: item.reason,
-                });
-                totalCost += itemCost;
-            } else {
-                logAudit('Forecasting Blocked', { item: item.name, reason: 'Spend Cap Exceeded' });
-            }
-        }
+        // 3. Enforce the spend cap and vendor allowlist on the suggested cart
+        const { cart: newCart, total: totalCost, blocked, unknownCount } = buildCart(suggestions, safeInventory, {
+            vendorAllowlist: userConfig.vendorAllowlist,
+            priceCatalog,
+            priceStrategy: userConfig.priceStrategy,
+            currentPeriod,
+        });
+        blocked.forEach(item => logAudit('Forecasting Blocked', { item, reason: 'Spend Cap Exceeded' }));
 
         setSuggestedCart(newCart);
-        setCartStatus(`Cart built: ${newCart.length} items. Total: $${totalCost.toFixed(2)}.`);
-        logAudit('Cart Built', { count: newCart.length, total: totalCost.toFixed(2) });
+        setCartStatus(`Cart built: ${newCart.length} items. Total: $${totalCost.toFixed(2)}${unknownCount > 0 ? ` (+${unknownCount} price unknown)` : ''}.`);
+        const cartLogged = logAudit('Cart Built', { count: newCart.length, total: totalCost.toFixed(2), priceUnknown: unknownCount });
+        if (notify && newCart.length > 0 && !isOffline) cartLogged.then(() => reportNotificationEvent(NOTIFICATION_RULES.CART_BUILT));
         setIsProcessing(false);
 
-    }, [db, userId, inventory, purchaseHistory, userConfig, logAudit]);
-
-    // --- Firestore Data Listeners (Real-time Sync) ---
-    useEffect(() => {
-        if (!isAuthReady || !db || !userId) return;
-
-        const baseUserPath = `artifacts/${appId}/users/${userId}`;
-
-        // Inventory Listener (will now include predictedRunOutDate)
-        const unsubscribeInv = onSnapshot(collection(db, `${baseUserPath}/inventory`), (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
-            setInventory(data);
-        }, (error) => console.error("Inventory sync error:", error));
-
-        // History Listener
-        const qHist = query(collection(db, `${baseUserPath}/purchaseHistory`), orderBy('date', 'desc'), limit(100));
-        const unsubscribeHist = onSnapshot(qHist, (qSnapshot) => {
-            const data = qSnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
-            setPurchaseHistory(data);
-        }, (error) => console.error("History sync error:", error));
-
-        // Config Listener
-        const configDocRef = doc(db, `${baseUserPath}/config/userConfig`);
-        const unsubscribeConfig = onSnapshot(configDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                setUserConfig(docSnap.data());
-            } 
-        }, (error) => console.error("Config sync error:", error));
-
-        // Audit Log Listener
-        const qLog = query(collection(db, `${baseUserPath}/auditLog`), orderBy('timestamp', 'desc'), limit(50));
-        const unsubscribeLog = onSnapshot(qLog, (qSnapshot) => {
-            const data = qSnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
-            setAuditLog(data);
-        }, (error) => console.error("Audit log sync error:", error));
+    }, [userId, isOffline, commitWrites, inventory, inTransit, purchaseHistory, userConfig, currentPeriod, priceCatalog, logAudit]);
 
-        return () => {
-            unsubscribeInv();
-            unsubscribeHist();
-            unsubscribeConfig();
-            unsubscribeLog();
-        };
-    }, [isAuthReady, db, userId]);
+    // --- Household Management ---
 
-    // Auto-run forecasting on initial data load
-    useEffect(() => {
-        // Run only when auth is ready, inventory is populated (meaning data loaded), and cart is empty
-        // We also check if any item is missing a predictedRunOutDate to ensure first run happens
-        const needsForecast = inventory.some(item => !item.predictedRunOutDate);
+    const handleCreateHousehold = async () => {
+        const name = householdInput.name.trim();
+        const displayName = householdInput.displayName.trim();
+        if (!db || !userId || !name || !displayName || !requireOnline('Creating a household')) return;
+        setIsProcessing(true);
+        try {
+            await createHousehold(db, userId, { name, displayName });
+            logAudit('Household Created', { household: name });
+            setHouseholdInput({ name: '', displayName: '', inviteCode: '' });
+            setLogMessage(`Household "${name}" created from your data. Share its invite code so others can join.`);
+        } catch (error) {
+            console.error("Household creation error:", error);
+            setLogMessage(`Could not create the household: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
 
-        // FEATURE UPDATE: Added inventory.length > 0 check
-        if (isAuthReady && inventory.length > 0 && purchaseHistory.length > 0 && (suggestedCart.length === 0 || needsForecast)) {
-            runForecasting();
+    const handleJoinHousehold = async () => {
+        const displayName = householdInput.displayName.trim();
+        if (!db || !userId || !householdInput.inviteCode.trim() || !displayName || !requireOnline('Joining a household')) return;
+        setIsProcessing(true);
+        try {
+            await joinHousehold(db, userId, { inviteCode: householdInput.inviteCode, displayName });
+            logAudit('Household Joined', { as: displayName });
+            setHouseholdInput({ name: '', displayName: '', inviteCode: '' });
+            setLogMessage('Joined the household. You now see its shared inventory and history.');
+        } catch (error) {
+            console.error("Household join error:", error);
+            setLogMessage(`Could not join the household: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
         }
-    }, [isAuthReady, inventory, purchaseHistory, runForecasting, suggestedCart.length]);
+    };
 
+    // How an owner stops being one: { successorUid }, the owner taking over as the household's ownerUid when they hold
+    // it (null otherwise), or null when no other owner would be left
+    const ownerHandover = (memberUid) => {
+        const successorUid = findOwnerSuccessor(householdMembers, memberUid);
+        if (!successorUid) return null;
+        return { successorUid: household?.ownerUid === memberUid ? successorUid : null };
+    };
 
-    // --- Core Data Processing ---
+    const handleLeaveHousehold = async () => {
+        if (!db || !userId || !householdId || !requireOnline('Leaving a household')) return;
+        const handover = householdRole === HOUSEHOLD_ROLES.OWNER ? ownerHandover(userId) : { successorUid: null };
+        if (!handover) {
+            setLogMessage(householdMembers.length > 1
+                ? 'Make another member an owner before leaving the household.'
+                : 'You are the household\'s only member, so it can\'t be left without an owner.');
+            return;
+        }
+        try {
+            await logAudit('Household Left', { household: household?.name });
+            await leaveHousehold(db, userId, householdId, userId, handover.successorUid);
+            setLogMessage('You left the household. Showing your own data.');
+        } catch (error) {
+            console.error("Household leave error:", error);
+            setLogMessage(`Could not leave the household: ${error.message}`);
+        }
+    };
 
-    const processUpdates = useCallback(async (updates) => {
-        if (!db || !userId || updates.length === 0) return;
-        setIsProcessing(true);
-        setLogMessage(`Processing ${updates.length} incoming item update(s) and logging history...`);
+    const handleRemoveMember = async (member) => {
+        if (!db || !householdId || !canManageMembers || !requireOnline('Removing a member')) return;
+        const handover = member.role === HOUSEHOLD_ROLES.OWNER ? ownerHandover(member.uid) : { successorUid: null };
+        if (!handover) {
+            setLogMessage('A household needs at least one owner.');
+            return;
+        }
+        try {
+            await leaveHousehold(db, userId, householdId, member.uid, handover.successorUid);
+            logAudit('Household Member Removed', { member: member.displayName });
+        } catch (error) {
+            console.error("Member removal error:", error);
+            setLogMessage(`Could not remove ${member.displayName}: ${error.message}`);
+        }
+    };
 
-        // Use a batch for atomic updates
-        const batch = writeBatch(db);
-        const histRef = collection(db, `artifacts/${appId}/users/${userId}/purchaseHistory`);
-        const baseUserPath = `artifacts/${appId}/users/${userId}`;
+    const handleSetMemberRole = async (member, role) => {
+        if (!db || !householdId || !canManageMembers || !requireOnline('Changing a role')) return;
+        const handover = role !== HOUSEHOLD_ROLES.OWNER && member.role === HOUSEHOLD_ROLES.OWNER ? ownerHandover(member.uid) : { successorUid: null };
+        if (!handover) {
+            setLogMessage('A household needs at least one owner.');
+            return;
+        }
+        try {
+            await setMemberRole(db, householdId, member.uid, role, handover.successorUid);
+            logAudit('Household Role Changed', { member: member.displayName, role });
+        } catch (error) {
+            console.error("Role change error:", error);
+            setLogMessage(`Could not change the role of ${member.displayName}: ${error.message}`);
+        }
+    };
 
-        // 1. Prepare History and Inventory Updates
-        for (const u of updates) {
-            const cost = parseFloat(u.cost) || 0;
-            const quantity = parseFloat(u.quantity) || 1;
+    const handleRegenerateInviteCode = async () => {
+        if (!db || !household || !canManageMembers || !requireOnline('Changing the invite code')) return;
+        try {
+            await regenerateInviteCode(db, household);
+            logAudit('Household Invite Code Changed', { household: household.name });
+            setLogMessage('New invite code created. The old code no longer works.');
+        } catch (error) {
+            console.error("Invite code error:", error);
+            setLogMessage(`Could not change the invite code: ${error.message}`);
+        }
+    };
 
-            // A. Add to History
-            batch.set(doc(histRef), {
-                item: u.name,
-                quantity: quantity,
-                vendor: u.vendor,
-                cost: cost,
-                date: new Date().toISOString(),
-                method: u.method || 'Agent Input',
-            });
+    // --- Audit Log ---
 
-            // B. Prepare Inventory Update
-            // FIX: Use optional chaining to safely access name properties when checking for existing items.
-            const existingItem = inventory.find(i => (i?.name?.toLowerCase() || '') === (u.name?.toLowerCase() || ''));
-            
-            if (existingItem) {
-                // Item exists: increase quantity and clear old prediction
-                const updatedItem = {
-                    ...existingItem,
-                    quantity: (existingItem.quantity || 0) + quantity,
-                    lastUsed: new Date().toISOString(),
-                    predictedRunOutDate: null, // Clear old AI forecast
-                };
-                const invRef = doc(db, `${baseUserPath}/inventory/${existingItem.id}`);
-                batch.set(invRef, updatedItem);
+    // Without filters, the live latest entries come first and loaded pages continue after them
+    const displayedAuditEntries = useMemo(() => {
+        if (auditQuery?.filtered) return auditQuery.entries;
+        const liveIds = new Set(auditLog.map(entry => entry.id));
+        return [...auditLog, ...(auditQuery?.entries || []).filter(entry => !liveIds.has(entry.id))];
+    }, [auditLog, auditQuery]);
+
+    /**
+     * Applies the filters (first page), or with `more` loads the next page of the current view.
+     */
+    const loadAuditEntries = async (more = false) => {
+        if (!repository || !requireOnline('Browsing the full audit log')) return;
+        const filters = more ? (auditQuery?.filters || {}) : auditFilters;
+        const filtered = Object.values(filters).some(Boolean);
+        if (!more && !filtered) {
+            setAuditQuery(null);
+            return;
+        }
+        setIsAuditLoading(true);
+        try {
+            const shown = more ? displayedAuditEntries : [];
+            // Date inputs are local days; the log stores ISO timestamps
+            const page = await fetchAuditPage(repository, {
+                action: filters.action,
+                item: filters.item,
+                from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+                to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : '',
+            }, { after: shown[shown.length - 1]?.timestamp });
+            setAuditQuery({ filters, filtered, entries: [...(more ? auditQuery?.entries || [] : []), ...page.entries], hasMore: page.hasMore });
+        } catch (error) {
+            console.error("Audit log query error:", error);
+            setLogMessage(`Could not load audit entries: ${error.message}`);
+        } finally {
+            setIsAuditLoading(false);
+        }
+    };
+
+    /**
+     * Loads the purchase history in the analytics range. The live listener only keeps the latest entries, which is
+     * all there is to work with offline.
+     */
+    const loadAnalytics = async (range = analyticsRange) => {
+        setAnalyticsDrill(null);
+        if (!repository || isOffline) {
+            setAnalyticsHistory({ entries: null, range, partial: true });
+            return;
+        }
+        setIsAnalyticsLoading(true);
+        try {
+            const { start, end } = getHistoryQueryBounds(range);
+            const constraints = [
+                ...(start ? [where('date', '>=', start)] : []),
+                ...(end ? [where('date', '<', end)] : []),
+            ];
+            const entries = await repository.find(COLLECTIONS.HISTORY, ...constraints);
+            setAnalyticsHistory({ entries, range, partial: false });
+        } catch (error) {
+            console.error("Analytics history error:", error);
+            setLogMessage(`Could not load purchase history for analytics: ${error.message}`);
+        } finally {
+            setIsAnalyticsLoading(false);
+        }
+    };
+
+    const applyAnalyticsPreset = (preset) => {
+        const range = getPresetRange(preset, getZonedTime(new Date(), billingPeriod.timeZone).dateKey);
+        setAnalyticsRange(range);
+        loadAnalytics(range);
+    };
+
+    const analyticsRows = useMemo(
+        () => selectHistory((analyticsHistory?.partial ? purchaseHistory : analyticsHistory?.entries) || [], inventory, { ...analyticsHistory?.range, timeZone: billingPeriod.timeZone }),
+        [analyticsHistory, purchaseHistory, inventory, billingPeriod.timeZone]
+    );
+    const spendAnalytics = useMemo(() => buildSpendAnalytics(analyticsRows), [analyticsRows]);
+    const periodProjection = useMemo(
+        () => projectPeriodSpend(currentPeriod, getZonedTime(new Date(), billingPeriod.timeZone).dateKey),
+        [currentPeriod, billingPeriod.timeZone]
+    );
+    const drillRows = useMemo(
+        () => (analyticsDrill ? analyticsRows.filter(({ keys }) => keys[analyticsDrill.dimension] === analyticsDrill.key).reverse() : []),
+        [analyticsDrill, analyticsRows]
+    );
+
+    const clearAuditFilters = () => {
+        setAuditFilters({ action: '', item: '', from: '', to: '' });
+        setAuditQuery(null);
+    };
+
+    // Reads the whole log and checks every entry against the hash chain
+    const verifyAuditLog = async () => {
+        if (!repository || !requireOnline('Verifying the audit log')) return;
+        setIsAuditLoading(true);
+        try {
+            await auditQueue.current;
+            const [entries, head] = await Promise.all([
+                repository.find(COLLECTIONS.AUDIT),
+                repository.getDocument(COLLECTIONS.CONFIG, AUDIT_CHAIN_DOC_ID),
+            ]);
+            const result = await verifyAuditChain(entries, head);
+            setAuditVerification({ ...result, verifiedAt: new Date().toISOString() });
+            logAudit('Audit Log Verified', { valid: result.valid, checked: result.checked, unchained: result.unchained, problems: result.problems.length });
+        } catch (error) {
+            console.error("Audit verification error:", error);
+            setLogMessage(`Could not verify the audit log: ${error.message}`);
+        } finally {
+            setIsAuditLoading(false);
+        }
+    };
+
+    // --- Import & Export ---
+
+    // Inventory and settings are fully loaded; the listeners only keep recent history and audit entries, so those are read in full
+    const handleExport = async (dataset) => {
+        let records;
+        if (dataset === DATASETS.INVENTORY) {
+            records = inventory;
+        } else if (dataset === DATASETS.CONFIG) {
+            const { id, ...config } = userConfig;
+            records = config;
+        } else {
+            if (!requireOnline('Exporting the full history and audit log')) return;
+            const [collectionName, dateField] = dataset === DATASETS.HISTORY ? [COLLECTIONS.HISTORY, 'date'] : [COLLECTIONS.AUDIT, 'timestamp'];
+            try {
+                records = (await repository.find(collectionName))
+                    .sort((a, b) => new Date(b[dateField] || 0) - new Date(a[dateField] || 0));
+            } catch (error) {
+                console.error("Export error:", error);
+                setLogMessage(`Export failed: ${error.message}`);
+                return;
+            }
+        }
+        downloadFile(buildExportFile(dataset, records, exportFormat));
+        const count = Array.isArray(records) ? records.length : 1;
+        setLogMessage(`Exported ${DATASET_LABELS[dataset].toLowerCase()} (${count} record(s)) as ${exportFormat.toUpperCase()}.`);
+        logAudit('Data Exported', { dataset: DATASET_LABELS[dataset], format: exportFormat, records: count });
+    };
+
+    const handleImportFileChange = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const parsed = readImportFile(await file.text(), file.name);
+            // Files made by the export say what they hold
+            const dataset = IMPORTABLE_DATASETS.includes(parsed.dataset) ? parsed.dataset : importDataset;
+            setImportDataset(dataset);
+            setImportFile({ ...parsed, name: file.name });
+            setImportMapping(guessColumnMapping(dataset, parsed.headers));
+            setImportPlan(null);
+            setLogMessage(`Read ${parsed.rows.length} row(s) from ${file.name}. Check the column mapping, then run the import.`);
+        } catch (error) {
+            setImportFile(null);
+            setImportPlan(null);
+            setLogMessage(`Could not read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const changeImportDataset = (dataset) => {
+        setImportDataset(dataset);
+        setImportMapping(importFile ? guessColumnMapping(dataset, importFile.headers) : {});
+        setImportPlan(null);
+    };
+
+    /**
+     * Validates the file against current data and, unless it's a dry run, writes the valid rows.
+     * Purchase history is checked against the full history, so re-importing a backup adds nothing twice.
+     */
+    const runImport = async () => {
+        if (!importFile || !userId) return;
+        if (importDataset === DATASETS.HISTORY && !requireOnline('Importing purchase history')) return;
+        setIsProcessing(true);
+        try {
+            const history = importDataset === DATASETS.HISTORY ? await repository.find(COLLECTIONS.HISTORY) : [];
+            const plan = planImport(importDataset, importFile, importMapping, { inventory, history });
+            setImportPlan({ ...plan, dryRun: isDryRun });
+            const { created, updated, skipped, invalid } = plan.summary;
+            if (isDryRun) {
+                setLogMessage(`Dry run of ${importFile.name}: ${created} to add, ${updated} to update, ${skipped} unchanged, ${invalid} with errors. Nothing was written.`);
+                return;
+            }
+            await commitWrites(plan.writes);
+            setLogMessage(`Imported ${importFile.name}: ${created} added, ${updated} updated, ${skipped} unchanged, ${invalid} with errors.`);
+            logAudit('Data Imported', { dataset: DATASET_LABELS[importDataset], file: importFile.name, ...plan.summary });
+        } catch (error) {
+            console.error("Import error:", error);
+            setLogMessage(`Import failed: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    // --- Account Management ---
+
+    // Linked: same uid, so nothing moves. Credential in use: ask whether to bring this device's data along.
+    const handleSignInResult = (result, method) => {
+        if (result.user) {
+            setAccount(describeUser(result.user));
+            setLogMessage(`Signed in with ${SIGN_IN_METHOD_LABELS[method]}. Your data is now kept with your account.`);
+            logAudit('Account Linked', { method: SIGN_IN_METHOD_LABELS[method] });
+        } else {
+            setAccountMerge({ credential: result.existingCredential, method });
+            setLogMessage(`That ${SIGN_IN_METHOD_LABELS[method]} account already has data. Choose whether to merge this device's data into it.`);
+        }
+    };
+
+    const handleGoogleSignIn = async () => {
+        if (!auth || !requireOnline('Signing in')) return;
+        try {
+            handleSignInResult(await signInWithGoogle(auth), SIGN_IN_METHODS.GOOGLE);
+        } catch (error) {
+            console.error("Google sign-in error:", error);
+            setLogMessage(`Google sign-in failed: ${error.message}`);
+        }
+    };
+
+    const handleSendEmailLink = async () => {
+        const email = accountEmail.trim();
+        if (!auth || !email || !requireOnline('Signing in')) return;
+        try {
+            await sendEmailSignInLink(auth, email);
+            setLogMessage(`Sign-in link sent to ${email}. Open it in this browser to keep this device's data.`);
+        } catch (error) {
+            console.error("Email link error:", error);
+            setLogMessage(`Could not send the sign-in link: ${error.message}`);
+        }
+    };
+
+    const finishEmailLink = async () => {
+        const email = accountEmail.trim();
+        if (!auth || !email) return;
+        setPendingEmailLink(null);
+        try {
+            handleSignInResult(await completeEmailLinkSignIn(auth, email), SIGN_IN_METHODS.EMAIL_LINK);
+        } catch (error) {
+            console.error("Email link sign-in error:", error);
+            setLogMessage(`Email sign-in failed: ${error.message} Request a new link and try again.`);
+        }
+    };
+
+    // Opened from a sign-in link: offer to finish signing in once the anonymous session exists, so it can be linked.
+    // The address is prefilled when this browser requested the link; otherwise the user confirms it.
+    useEffect(() => {
+        if (!auth || !isAuthReady || !isSignedIn) return;
+        const pending = getPendingEmailLink(auth);
+        if (!pending) return;
+        setPendingEmailLink(pending);
+        setAccountEmail(pending.email);
+        setActiveTab('settings');
+        setLogMessage('Confirm your email address in Account settings to finish signing in.');
+    }, [auth, isAuthReady, isSignedIn]);
+
+    /**
+     * Switches to the existing account the credential belongs to. With `mergeData`, this device's own data
+     * (inventory, history, prices) is read first and merged into that account's data afterwards.
+     */
+    const resolveAccountMerge = async (mergeData) => {
+        if (!accountMerge || !db || !userId || !requireOnline('Signing in')) return;
+        const { credential, method } = accountMerge;
+        setIsProcessing(true);
+        try {
+            const source = mergeData ? await captureAccountData(createRepository(db, userId)) : null;
+            const user = await signInToExistingAccount(auth, credential);
+            setAccountMerge(null);
+
+            if (!source) {
+                setLogMessage(`Signed in with ${SIGN_IN_METHOD_LABELS[method]}. This device's previous data was left behind.`);
+                return;
+            }
+            const target = createRepository(db, user.uid);
+            const { writes, summary } = buildAccountMergeWrites(source, await captureAccountData(target));
+            await target.commit(writes);
+            await appendAuditEntry(target, createAuditEntry('Account Data Merged', { from: userId, ...summary }, { actorUid: user.uid }));
+            setLogMessage(`Signed in with ${SIGN_IN_METHOD_LABELS[method]} and merged this device's data: ${summary.itemsAdded} new item(s), ${summary.itemsMatched} matched, ${summary.historyAdded} history entries.`);
+        } catch (error) {
+            console.error("Account merge error:", error);
+            setLogMessage(`Could not switch accounts: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const handleSignOut = async () => {
+        if (!auth) return;
+        try {
+            await signOut(auth); // onAuthStateChanged starts a new anonymous session
+            setLogMessage('Signed out. Sign in again to get back to your data.');
+        } catch (error) {
+            console.error("Sign-out error:", error);
+        }
+    };
+
+    // --- Notifications ---
+
+    useEffect(() => {
+        if (!db || !userId || !isSignedIn) return;
+        getPushSubscription().then(subscription => setPushEndpoint(subscription?.endpoint || null)).catch(() => setPushEndpoint(null));
+        return subscribeNotificationSettings(db, userId, setNotificationSettings, (error) => console.error("Notification settings sync error:", error));
+    }, [db, userId, isSignedIn]);
+
+    // Saves a change right away; times are interpreted in this browser's timezone
+    const updateNotificationSettings = async (changes) => {
+        if (!db || !userId || !requireOnline('Changing notification settings')) return;
+        const updated = { ...notificationSettings, ...changes, timeZone: getLocalTimeZone() };
+        setNotificationSettings(updated);
+        try {
+            await saveNotificationSettings(db, userId, updated);
+        } catch (error) {
+            console.error("Notification settings error:", error);
+            setLogMessage(`Could not save notification settings: ${error.message}`);
+        }
+    };
+
+    const updateNotificationRule = (rule, channel, value) => updateNotificationSettings({
+        rules: { ...notificationSettings.rules, [rule]: { ...notificationSettings.rules[rule], [channel]: value } },
+    });
+
+    const togglePushOnThisDevice = async () => {
+        if (!db || !userId || !requireOnline('Changing push notifications')) return;
+        try {
+            if (pushEndpoint) {
+                await disablePushOnThisDevice(db, userId);
+                setPushEndpoint(null);
+                setLogMessage('Push notifications turned off on this device.');
+            } else {
+                setPushEndpoint(await enablePushOnThisDevice(db, userId));
+                setLogMessage('Push notifications turned on for this device.');
+            }
+        } catch (error) {
+            console.error("Push subscription error:", error);
+            setLogMessage(`Could not change push notifications: ${error.message}`);
+        }
+    };
+
+    const sendTestNotification = async () => {
+        if (!requireOnline('Sending a test notification')) return;
+        try {
+            const response = await fetch('/api/notifications', { method: 'POST', headers: await apiHeaders(), body: JSON.stringify({ action: 'test' }) });
+            if (!response.ok) throw await toApiError(response);
+            const { pushed, emailed, pushConfigured } = await response.json();
+            setLogMessage(`Test sent: ${pushed} device(s) by push${pushConfigured ? '' : ' (push is not configured on the server)'}, ${emailed ? 'one email' : 'no email (your account has no verified email address)'}.`);
+        } catch (error) {
+            console.error("Test notification error:", error);
+            setLogMessage(`Test notification failed: ${error.message}`);
+        }
+    };
+
+    // --- Firestore Data Listeners (Real-time Sync) ---
+    // The core collections are also cached in the offline store, so they are available when the connection drops.
+    useEffect(() => {
+        if (!isAuthReady || !repository || isOffline) return;
+
+        const cache = (collectionName, data, options) => {
+            if (offlineStore) cacheDocuments(offlineStore, collectionName, data, options).catch(error => console.error("Offline cache error:", error));
+        };
+
+        const unsubscribes = [
+            // Inventory Listener (will now include predictedRunOutDate)
+            repository.subscribe(COLLECTIONS.INVENTORY, {}, (data) => {
+                setInventory(data);
+                cache(COLLECTIONS.INVENTORY, data, { replace: true });
+            }, (error) => console.error("Inventory sync error:", error)),
+
+            // History Listener
+            repository.subscribe(COLLECTIONS.HISTORY, { orderByField: 'date', max: 100 }, (data) => {
+                setPurchaseHistory(data);
+                cache(COLLECTIONS.HISTORY, data);
+            }, (error) => console.error("History sync error:", error)),
+
+            // Config Listener
+            repository.subscribeDocument(COLLECTIONS.CONFIG, CONFIG_DOC_ID, (config) => {
+                if (!config) return;
+                const { id, ...configData } = config;
+                setUserConfig(configData);
+                cache(COLLECTIONS.CONFIG, [config]);
+            }, (error) => console.error("Config sync error:", error)),
+
+            // Audit Log Listener
+            repository.subscribe(COLLECTIONS.AUDIT, { orderByField: 'timestamp', max: 50 }, (data) => {
+                setAuditLog(data);
+                cache(COLLECTIONS.AUDIT, data);
+            }, (error) => console.error("Audit log sync error:", error)),
+
+            // Pending Approvals Listener (the approval queue, newest first)
+            repository.subscribe(COLLECTIONS.APPROVALS, { orderByField: 'createdAt', max: 50 }, (data) => {
+                setPendingApprovals(data);
+                cache(COLLECTIONS.APPROVALS, data);
+            }, (error) => console.error("Approval queue sync error:", error)),
+
+            // Price Catalog Listener
+            repository.subscribe(COLLECTIONS.PRICE_CATALOG, {}, (data) => {
+                setPriceCatalog(data);
+                setIsPriceCatalogLoaded(true);
+                cache(COLLECTIONS.PRICE_CATALOG, data, { replace: true });
+            }, (error) => console.error("Price catalog sync error:", error)),
+
+            // Orders Listener (vendor orders and their lifecycle)
+            repository.subscribe(COLLECTIONS.ORDERS, { orderByField: 'placedAt', max: 50 }, setOrders,
+                (error) => console.error("Orders sync error:", error)),
+
+            // Open Orders Listener (all of them, however old: in-transit stock and status polling depend on it)
+            repository.subscribe(COLLECTIONS.ORDERS, { filters: [where('status', 'in', OPEN_ORDER_STATUSES)] },
+                (data) => setOpenOrders(data.sort(newestFirst('placedAt'))),
+                (error) => console.error("Open orders sync error:", error)),
+
+            // OCR Review Listener (outcomes of past receipt reviews, for accuracy tracking)
+            repository.subscribe(COLLECTIONS.OCR_REVIEWS, { orderByField: 'reviewedAt', max: 100 }, setOcrReviews,
+                (error) => console.error("OCR review sync error:", error)),
+
+            // Receipt Archive Listener (uploaded receipts and what they produced)
+            repository.subscribe(COLLECTIONS.RECEIPTS, { orderByField: 'uploadedAt', max: 50 }, setReceipts,
+                (error) => console.error("Receipt archive sync error:", error)),
+
+            // Scheduled Run History Listener (written by the server, see api/agent-runs.js)
+            repository.subscribe(COLLECTIONS.AGENT_RUNS, { orderByField: 'startedAt', max: 10 }, setAgentRuns,
+                (error) => console.error("Agent run sync error:", error)),
+        ];
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [isAuthReady, repository, isOffline, offlineStore]);
+
+    // Spend Ledger Listener: every purchase since the oldest period the ledger shows (all of them with rollover), so
+    // spend and the remaining budget don't depend on how many purchases the history listener keeps
+    const ledgerQueryFrom = ledgerRange?.queryFrom || null;
+    useEffect(() => {
+        if (!isAuthReady || !repository || isOffline) return;
+        return repository.subscribe(COLLECTIONS.HISTORY, { filters: ledgerQueryFrom ? [where('date', '>=', ledgerQueryFrom)] : [] }, (data) => {
+            setLedgerHistory(data);
+            if (offlineStore) cacheDocuments(offlineStore, COLLECTIONS.HISTORY, data).catch(error => console.error("Offline cache error:", error));
+        }, (error) => console.error("Spend ledger sync error:", error));
+    }, [isAuthReady, repository, isOffline, offlineStore, ledgerQueryFrom]);
+
+    // One-time seeding of the price catalog for accounts created before it existed.
+    // Only adds item/vendor pairs the catalog doesn't have, so manual prices are never overwritten.
+    useEffect(() => {
+        if (!repository || isOffline || !isPriceCatalogLoaded || userConfig.priceCatalogSeeded || purchaseHistory.length === 0) return;
+
+        const seedCatalog = async () => {
+            const existingKeys = new Set(priceCatalog.map(entry => entry.id));
+            const writes = [...buildCatalogFromHistory(purchaseHistory)]
+                .filter(([key]) => !existingKeys.has(key))
+                .map(([key, entry]) => ({ collection: COLLECTIONS.PRICE_CATALOG, id: key, type: WRITE_TYPES.SET, data: entry }));
+            const added = writes.length;
+            writes.push({ collection: COLLECTIONS.CONFIG, id: CONFIG_DOC_ID, type: WRITE_TYPES.MERGE, data: { priceCatalogSeeded: true } });
+            try {
+                await repository.commit(writes);
+                logAudit('Price Catalog Seeded', { entries: added, source: 'Purchase History' });
+            } catch (e) {
+                console.error("Error seeding price catalog:", e);
+            }
+        };
+        seedCatalog();
+    }, [repository, isOffline, isPriceCatalogLoaded, userConfig.priceCatalogSeeded, purchaseHistory, priceCatalog, logAudit]);
+
+    // Auto-run forecasting on initial data load
+    useEffect(() => {
+        // Run only when auth is ready, inventory is populated (meaning data loaded), and cart is empty
+        // We also check if any item is missing a predictedRunOutDate to ensure first run happens
+        const needsForecast = inventory.some(item => !item.predictedRunOutDate);
+
+        // FEATURE UPDATE: Added inventory.length > 0 check
+        if (isAuthReady && inventory.length > 0 && purchaseHistory.length > 0 && (suggestedCart.length === 0 || needsForecast)) {
+            runForecasting();
+        }
+    }, [isAuthReady, inventory, purchaseHistory, runForecasting, suggestedCart.length]);
+
+
+    // --- Core Data Processing ---
+
+    // Updates read from an archived receipt pass its `receiptId`, so the history entries and inventory changes
+    // they create are linked to the receipt in the same batch
+    const processUpdates = useCallback(async (updates, { receiptId = null } = {}) => {
+        if (!userId || updates.length === 0) return;
+        setIsProcessing(true);
+        setLogMessage(`Processing ${updates.length} incoming item update(s) and logging history...`);
+
+        // Collect all writes and commit them together (one batch online, one queue entry per write offline)
+        const writes = [];
+
+        // Working copy of inventory, so several rows for the same item in one batch add up
+        // instead of overwriting each other, and a new item created by one row is found by the next
+        const workingInventory = inventory.filter(item => item && item.name).map(item => ({ ...item }));
+        // Likewise for prices, so two rows for the same item and vendor both add an observation
+        const workingCatalog = toCatalogMap(priceCatalog);
+
+        // 1. Prepare History and Inventory Updates
+        const unitNotes = [];
+        const historyEntryIds = [];
+        const inventoryChanges = [];
+        for (const u of updates) {
+            const cost = parseFloat(u.cost) || 0;
+            const enteredQuantity = parseFloat(u.quantity) || 1;
+
+            // Resolve the incoming name ("MILK", "Whole Milk 1 gal") to an inventory item via name, aliases or fuzzy match
+            const existingItem = findInventoryItem(u.name, workingInventory);
+            const itemName = existingItem ? existingItem.name : u.name;
+            const itemId = existingItem ? existingItem.id : crypto.randomUUID();
+
+            // Convert to the item's canonical unit ("2 x 12-pack" -> 24 rolls, "2 l" -> 0.53 gallon);
+            // the name as entered/read carries the pack size even when the row was mapped to another name
+            const source = { quantity: enteredQuantity, unit: u.unit, name: u.sourceName || u.name };
+            const newItemUnits = existingItem ? null : unitForNewItem(source);
+            const conversion = existingItem ? toItemQuantity(source, existingItem) : { quantity: newItemUnits.quantity };
+            const quantity = conversion.quantity;
+            if (conversion.note) unitNotes.push(`${itemName}: ${conversion.note}`);
+            if (conversion.warning) unitNotes.push(`${itemName}: ${conversion.warning} Logged as ${formatQuantity(quantity, existingItem.unit)}.`);
+            const unitFields = quantity !== enteredQuantity || (u.unit && normalizeUnit(u.unit) !== normalizeUnit(existingItem?.unit || newItemUnits?.unit))
+                ? { enteredQuantity, enteredUnit: normalizeUnit(u.unit) || null }
+                : {};
+
+            // A. Add to History (cost is the line total) and record the price
+            const historyId = crypto.randomUUID();
+            historyEntryIds.push(historyId);
+            inventoryChanges.push({ itemId, name: itemName, quantity, unit: existingItem ? existingItem.unit : newItemUnits.unit, created: !existingItem, receiptLine: u.receiptLine ?? null });
+            writes.push({ collection: COLLECTIONS.HISTORY, id: historyId, type: WRITE_TYPES.SET, data: {
+                item: itemName,
+                quantity: quantity,
+                vendor: u.vendor,
+                cost: cost,
+                date: new Date().toISOString(),
+                method: u.method || 'Agent Input',
+                itemId,
+                unit: existingItem ? existingItem.unit : newItemUnits.unit,
+                ...unitFields,
+                ...(itemName !== u.name ? { rawName: u.name } : {}),
+                ...(receiptId ? { receiptId, receiptLine: u.receiptLine ?? null } : {}),
+            } });
+            const priceWrite = priceObservationWrite(workingCatalog, itemName, u.vendor, cost, quantity, u.method || 'Agent Input');
+            if (priceWrite) writes.push(priceWrite);
+
+            // B. Prepare Inventory Update
+            if (existingItem) {
+                // Item exists: increase quantity and clear old prediction
+                existingItem.quantity = (existingItem.quantity || 0) + quantity;
+                existingItem.lastUsed = new Date().toISOString();
+                existingItem.predictedRunOutDate = null; // Clear old AI forecast
+                writes.push({ collection: COLLECTIONS.INVENTORY, id: existingItem.id, type: WRITE_TYPES.SET, data: { ...existingItem } });
 
             } else {
                 // Item is NEW: add with sensible defaults for consistency
-                const newId = crypto.randomUUID();
-                const defaultUnit = quantity > 1 ? 'units' : 'unit';
+                const newId = itemId;
                 
                 const newItem = {
                     id: newId,
                     name: u.name,
                     quantity: quantity,
-                    unit: defaultUnit,
+                    unit: newItemUnits.unit,
+                    packs: newItemUnits.packs,
                     restockLevel: quantity * 2,
                     dailyUse: quantity / 30,
                     lastUsed: new Date().toISOString(),
+                    countedQuantity: quantity,
+                    countedAt: new Date().toISOString(),
                     predictedRunOutDate: null,
+                    aliases: [],
                 };
-                const invRef = doc(db, `${baseUserPath}/inventory/${newId}`);
-                batch.set(invRef, newItem);
+                writes.push({ collection: COLLECTIONS.INVENTORY, id: newId, type: WRITE_TYPES.SET, data: { ...newItem } });
+                workingInventory.push(newItem);
             }
         }
 
+        // The receipt archive is online-only; offline, the history entries still carry the receiptId
+        if (receiptId && !isOffline) {
+            writes.push({ collection: COLLECTIONS.RECEIPTS, id: receiptId, type: WRITE_TYPES.MERGE, data: {
+                status: RECEIPT_STATUSES.COMMITTED,
+                reviewedAt: new Date().toISOString(),
+                historyEntryIds: arrayUnion(...historyEntryIds),
+                inventoryChanges: arrayUnion(...inventoryChanges),
+            } });
+        }
+
         // 2. Commit Batch
         try {
-            await batch.commit();
-            setLogMessage(`Successfully processed ${updates.length} item(s). Inventory and History updated.`);
+            await commitWrites(writes);
+            setLogMessage(`Successfully processed ${updates.length} item(s). Inventory and History updated.${unitNotes.length > 0 ? ` Units: ${unitNotes.join('; ')}.` : ''}`);
             logAudit('Input Processed', { source: updates[0]?.method, items: updates.map(u => u.name) });
             runForecasting(); // Re-run prediction after restocking to update the forecast date
         } catch (error) {
@@ -638,145 +1628,760 @@ const App = () => {
             setIsProcessing(false);
         }
         
-    }, [db, userId, inventory, logAudit, runForecasting]);
+    }, [userId, isOffline, inventory, priceCatalog, commitWrites, logAudit, runForecasting]);
 
 
     // --- Input Source Handlers (Unchanged) ---
 
-    // 1. Image Upload (Vision API)
-    const handleImageUpload = async (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
+    // Committed receipts containing any of these files, looked up in Firestore so exact re-uploads are caught
+    // even beyond the reviews the listener has loaded
+    const findCommittedReceiptsByHash = async (fileHashes) => {
+        if (!repository || fileHashes.length === 0) return [];
+        try {
+            const reviews = await repository.find(COLLECTIONS.OCR_REVIEWS, where('fingerprint.fileHashes', 'array-contains-any', fileHashes.slice(0, 30)));
+            return reviews.filter(record => record.outcome === 'committed');
+        } catch (e) {
+            console.error("Error checking receipt fingerprints:", e);
+            return [];
+        }
+    };
+
+    // 1. Receipt Upload (Vision API): several images and/or PDFs at once
+    // Every file is read part by part (one part per image, one per PDF page); each receipt's rows are
+    // stitched into one transaction, archived to Storage and queued for review. The report shows how each file went.
+    // `archivedReceipt` re-runs extraction on a receipt that is already in the archive.
+    const ingestReceiptFiles = async (files, { stitch, archivedReceipt = null }) => {
+        if (!requireOnline('Reading receipts')) return;
+        const report = files.map(file => {
+            const error = validateReceiptFile(file);
+            return { fileName: file.name, status: error ? FILE_STATUSES.SKIPPED : FILE_STATUSES.QUEUED, pages: 0, pagesRead: 0, rows: 0, error };
+        });
+        setIngestionReport(report);
+        const updateReport = (index, changes) => setIngestionReport(current => current.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
 
-        if (!file.type.startsWith('image/')) {
-            setLogMessage('Error: Please upload a valid image file (JPEG or PNG).');
-            event.target.value = '';
+        const accepted = files.map((file, index) => ({ file, index })).filter(({ index }) => !report[index].error);
+        if (accepted.length === 0) {
+            setLogMessage('Error: None of the selected files can be read. Upload JPEG, PNG, WebP or PDF receipts.');
+            setIsProcessing(false);
             return;
         }
 
         setIsProcessing(true);
-        setLogMessage(`Uploading and sending image (${file.name}) to Vision API for OCR...`);
-        try {
-            const base64Image = await imageToBase64(file);
-            const extractedItems = await callVisionAPI(base64Image, file.type);
+        setLogMessage(`Sending ${accepted.length} file(s) to Vision API for OCR...`);
+        const staged = [];
+        for (const group of groupFilesIntoReceipts(accepted, stitch)) {
+            const parts = [];
+            const summaries = [];
+            for (const { file, index } of group) {
+                updateReport(index, { status: FILE_STATUSES.PROCESSING });
+                try {
+                    const fileParts = await fileToParts(file);
+                    updateReport(index, { pages: fileParts.length });
+                    let rowCount = 0;
+                    let failedPages = 0;
+                    let lastError = null;
+                    for (const part of fileParts) {
+                        try {
+                            const { items: rows, receipt } = await callVisionAPI(part.data, part.mimeType);
+                            parts.push({ mimeType: part.mimeType, rows });
+                            if (receipt) summaries.push(receipt);
+                            rowCount += rows.length;
+                        } catch (error) {
+                            failedPages++;
+                            lastError = describeApiError(error);
+                        }
+                        updateReport(index, { pagesRead: part.page, rows: rowCount });
+                    }
+                    updateReport(index, {
+                        status: failedPages === fileParts.length ? FILE_STATUSES.FAILED : rowCount === 0 ? FILE_STATUSES.EMPTY : FILE_STATUSES.DONE,
+                        error: failedPages > 0 ? `${failedPages} of ${fileParts.length} page(s) could not be read: ${lastError}` : null,
+                    });
+                } catch (error) {
+                    console.error("Receipt file error:", error);
+                    updateReport(index, { status: FILE_STATUSES.FAILED, error: error.message });
+                }
+            }
 
-            if (extractedItems.length > 0) {
-                const updates = extractedItems.map(item => ({...item, method: 'Vision OCR'}));
-                processUpdates(updates);
-            } else {
-                setLogMessage('Vision API failed to extract items from the receipt. Check console for details.');
+            const { rows, vendor, droppedOverlap } = stitchReceiptParts(parts);
+            if (rows.length === 0) continue;
+
+            // Fingerprint the receipt: file hashes, plus the date and total (usually printed on the first/last part)
+            const fileHashes = await Promise.all(group.map(({ file }) => hashFile(file)));
+            const fingerprint = buildReceiptFingerprint({
+                fileHashes,
+                summary: {
+                    vendor,
+                    date: summaries.find(summary => summary.date)?.date || null,
+                    total: [...summaries].reverse().find(summary => summary.total > 0)?.total || null,
+                },
+                rows,
+            });
+
+            // Archive the files so the receipt can be reopened and re-extracted; review still works if this fails
+            const receiptId = archivedReceipt ? archivedReceipt.id : crypto.randomUUID();
+            const receiptRef = repository.docRef(COLLECTIONS.RECEIPTS, receiptId);
+            const fileName = group.map(({ file }) => file.name).join(' + ');
+            let archived = false;
+            try {
+                if (archivedReceipt) {
+                    await setDoc(receiptRef, {
+                        lastExtractedAt: new Date().toISOString(),
+                        extractions: increment(1),
+                        // A discarded receipt goes back to review; a committed one keeps its status (and its links)
+                        ...(archivedReceipt.status !== RECEIPT_STATUSES.COMMITTED ? { status: RECEIPT_STATUSES.PENDING_REVIEW } : {}),
+                    }, { merge: true });
+                } else {
+                    const archivedFiles = await uploadReceiptFiles(storage, repository.basePath, receiptId, group.map(({ file }) => file), fileHashes);
+                    await setDoc(receiptRef, {
+                        fileName,
+                        files: archivedFiles,
+                        status: RECEIPT_STATUSES.PENDING_REVIEW,
+                        uploadedAt: new Date().toISOString(),
+                        lastExtractedAt: new Date().toISOString(),
+                        extractions: 1,
+                        fingerprint,
+                        historyEntryIds: [],
+                        inventoryChanges: [],
+                    });
+                }
+                archived = true;
+            } catch (error) {
+                console.error("Receipt archive error:", error);
+                setLogMessage(`Could not archive ${fileName}: ${error.message}. You can still review it.`);
             }
-        } catch (error) {
-            console.error("Image processing error:", error);
-            setLogMessage('Error processing image file. Check console.');
-        } finally {
-            event.target.value = ''; // Clear file input
+
+            // Stage the rows for review; nothing touches inventory until the review is committed
+            staged.push({
+                id: receiptId,
+                receiptId: archived ? receiptId : null,
+                fileName,
+                files: group.map(({ file }) => ({ name: file.name, type: file.type, url: URL.createObjectURL(file) })),
+                rows: createReviewRows(rows, inventory),
+                droppedOverlap,
+                fingerprint,
+            });
+        }
+
+        // Compare each new receipt with committed receipts and with receipts already waiting for review
+        for (const review of staged) {
+            const earlier = [
+                ...await findCommittedReceiptsByHash(review.fingerprint.fileHashes),
+                ...ocrReviews.filter(record => record.outcome === 'committed'),
+                ...receiptQueue,
+                ...staged.slice(0, staged.indexOf(review)),
+            ];
+            const match = findDuplicateReceipt(review.fingerprint, earlier);
+            if (match) {
+                review.duplicateOf = {
+                    fileName: match.receipt.fileName,
+                    at: match.receipt.reviewedAt || null,
+                    pending: !match.receipt.reviewedAt,
+                    reasons: match.reasons,
+                    fingerprint: match.receipt.fingerprint,
+                };
+                logAudit('Duplicate Receipt Suspected', { fileName: review.fileName, matches: match.receipt.fileName, reasons: match.reasons });
+            }
+        }
+
+        setReceiptQueue(queue => [...queue, ...staged]);
+        setLogMessage(staged.length > 0
+            ? `Queued ${staged.length} receipt(s) with ${staged.reduce((sum, review) => sum + review.rows.length, 0)} row(s) for review.`
+            : 'Vision API did not extract any items from the upload. See the upload report for details.');
+        setIsProcessing(false);
+    };
+
+    const handleReceiptUpload = (event) => {
+        const files = Array.from(event.target.files || []);
+        event.target.value = ''; // Clear file input
+        if (files.length > 0) ingestReceiptFiles(files, { stitch: stitchUploads });
+    };
+
+    // Receipt review: edit a staged OCR row
+    const updateReviewRow = (key, changes) => {
+        setReceiptQueue(queue => queue.map((review, index) => (index === 0
+            ? { ...review, rows: review.rows.map(row => (row.key === key ? { ...row, ...changes } : row)) }
+            : review)));
+    };
+
+    // Receipt review: commit accepted rows to inventory/history, or discard the whole receipt.
+    // Either way the review outcome (corrections and rejected rows) is stored for OCR accuracy tracking.
+    const finishReceiptReview = async (outcome) => {
+        if (!receiptReview || !requireOnline('Finishing a receipt review')) return;
+        const { id, receiptId, rows, fileName, files, fingerprint, duplicateOf, duplicateConfirmed } = receiptReview;
+        const record = buildReviewRecord(rows, inventory, { fileName, sourceFiles: files.map(file => file.name), outcome, fingerprint, duplicateOf, receiptId });
+        const receiptRef = receiptId ? repository.docRef(COLLECTIONS.RECEIPTS, receiptId) : null;
+
+        if (outcome === 'committed') {
+            if (duplicateOf && !duplicateConfirmed) {
+                setLogMessage(`${fileName} looks like a receipt you already logged. Confirm it is a different purchase, or discard it.`);
+                return;
+            }
+            const invalid = rows.find(row => row.mapping !== ROW_ACTIONS.IGNORE && (!row.name.trim() || !(parseFloat(row.quantity) > 0) || parseFloat(row.cost) < 0));
+            if (invalid) {
+                setLogMessage('Each kept row needs a name, a quantity above 0 and a non-negative cost.');
+                return;
+            }
+            const updates = reviewRowsToUpdates(rows, inventory);
+            if (updates.length > 0) {
+                await processUpdates(updates, { receiptId });
+            } else if (receiptRef) {
+                await setDoc(receiptRef, { status: RECEIPT_STATUSES.COMMITTED, reviewedAt: new Date().toISOString() }, { merge: true });
+            }
+
+            // Learn aliases from confirmed mappings, so the same receipt wording resolves automatically next time
+            const learned = [];
+            const aliasBatch = writeBatch(repository.db);
+            for (const row of rows) {
+                const target = inventory.find(item => item.id === row.mapping);
+                if (target && shouldLearnAlias(row.original.name, target)) {
+                    aliasBatch.update(repository.docRef(COLLECTIONS.INVENTORY, target.id), { aliases: arrayUnion(row.original.name.trim()) });
+                    learned.push({ item: target.name, alias: row.original.name.trim() });
+                }
+            }
+            if (learned.length > 0) {
+                try {
+                    await aliasBatch.commit();
+                    logAudit('Aliases Learned', { source: 'Receipt Review', aliases: learned });
+                } catch (e) {
+                    console.error("Error learning aliases:", e);
+                }
+            }
+        }
+
+        try {
+            const reviewRef = repository.docRef(COLLECTIONS.OCR_REVIEWS);
+            await setDoc(reviewRef, record);
+            if (receiptRef) {
+                await setDoc(receiptRef, {
+                    reviewIds: arrayUnion(reviewRef.id),
+                    ...(outcome === 'discarded' ? { status: RECEIPT_STATUSES.DISCARDED, reviewedAt: new Date().toISOString() } : {}),
+                }, { merge: true });
+            }
+            logAudit(outcome === 'committed' ? 'Receipt Review Committed' : 'Receipt Review Discarded', {
+                fileName,
+                ...record.stats,
+                ...(duplicateOf ? { suspectedDuplicateOf: duplicateOf.fileName } : {}),
+            });
+        } catch (e) {
+            console.error("Error saving OCR review:", e);
+        }
+
+        if (outcome === 'discarded') {
+            setLogMessage(`Receipt ${fileName} discarded. No inventory changes were made.`);
+        }
+        files.forEach(file => URL.revokeObjectURL(file.url));
+        setReceiptQueue(queue => queue.filter(review => review.id !== id));
+    };
+
+    // Receipt archive: open a stored receipt with its files and the history entries it produced
+    const openArchivedReceipt = async (receipt) => {
+        setOpenReceipt({ id: receipt.id, fileUrls: [], history: [], isLoading: true });
+        try {
+            const [fileUrls, entries] = await Promise.all([
+                Promise.all((receipt.files || []).map(file => getReceiptFileUrl(storage, file.storagePath))),
+                repository.find(COLLECTIONS.HISTORY, where('receiptId', '==', receipt.id)),
+            ]);
+            const history = entries
+                .sort((a, b) => (a.receiptLine ?? 0) - (b.receiptLine ?? 0));
+            setOpenReceipt({ id: receipt.id, fileUrls, history, isLoading: false });
+        } catch (e) {
+            console.error("Error opening receipt:", e);
+            setOpenReceipt({ id: receipt.id, fileUrls: [], history: [], isLoading: false, error: e.message });
+        }
+    };
+
+    // Receipt archive: read the stored files again (e.g. after a better model or prompt) and stage the result for review
+    const rerunReceiptExtraction = async (receipt) => {
+        if (!storage || !receipt.files?.length || !requireOnline('Re-running extraction')) return;
+        setIsProcessing(true);
+        setLogMessage(`Fetching ${receipt.fileName} from the archive...`);
+        try {
+            const files = await Promise.all(receipt.files.map(file => downloadReceiptFile(storage, file)));
+            logAudit('Receipt Re-extracted', { fileName: receipt.fileName, receiptId: receipt.id });
+            setActiveTab('dashboard');
+            await ingestReceiptFiles(files, { stitch: true, archivedReceipt: receipt });
+        } catch (e) {
+            console.error("Error re-running extraction:", e);
+            setLogMessage(`Could not re-run extraction for ${receipt.fileName}: ${e.message}`);
             setIsProcessing(false);
         }
     };
 
     // 2. Manual Input (Single Item)
     const addItemManually = () => {
-        const { name, quantity, cost, vendor } = manualInput;
+        const { name, quantity, unit, cost, vendor } = manualInput;
         if (!name || isNaN(quantity) || quantity <= 0 || isNaN(cost) || cost < 0) {
             setLogMessage('Please enter valid item name, quantity, and cost.');
             return;
         }
 
+        const duplicates = findManualEntryDuplicates(manualInput, inventory, purchaseHistory);
+        if (duplicates.length > 0 && !confirmManualDuplicate) {
+            setLogMessage(`This repeats a purchase logged in the last ${DUPLICATE_PURCHASE_WINDOW_HOURS} hours: ${describeDuplicates(duplicates)}. Tick "log it again" to add it anyway.`);
+            return;
+        }
+        if (duplicates.length > 0) {
+            logAudit('Duplicate Purchase Confirmed', { source: 'Manual Input', item: name.trim(), matches: duplicates.map(d => d.entry.id) });
+        }
+
         const update = {
             name: name.trim(),
             quantity: parseFloat(quantity),
+            unit, // Empty means the item's own unit
             cost: parseFloat(cost),
             vendor: vendor.trim(),
             method: 'Manual Input'
         };
 
         processUpdates([update]);
-        setManualInput({ name: '', quantity: 1, cost: 0.00, vendor: userConfig.vendorAllowlist[0] || 'Unknown' });
+        setManualInput({ name: '', quantity: 1, unit: '', cost: 0.00, vendor: userConfig.vendorAllowlist[0] || 'Unknown' });
+        setConfirmManualDuplicate(false);
     };
 
-    // --- Cart Execution (Always Auto) ---
+    // --- Cart Execution (Approval Policy) ---
+
+    const approvalPolicy = useMemo(() => normalizeApprovalPolicy(userConfig.approvalPolicy), [userConfig.approvalPolicy]);
+    const agentSchedule = useMemo(() => normalizeAgentSchedule(userConfig.agentSchedule), [userConfig.agentSchedule]);
+
+    // The schedule's hours are in this browser's timezone
+    const updateAgentSchedule = (changes) => updateConfig({ ...userConfig, agentSchedule: { ...agentSchedule, ...changes, timeZone: getLocalTimeZone() } });
+
+    // Runs the agent on the server now, the way a scheduled run would (forecast, cart, checkout within the policy)
+    const runAgentNow = async () => {
+        if (!canManageSpending || !requireOnline('Running the agent on the server')) return;
+        setIsProcessing(true);
+        setCartStatus('Running the agent on the server...');
+        try {
+            const response = await fetchWithRetry('/api/agent-runs', {
+                method: 'POST',
+                headers: await apiHeaders(),
+                body: JSON.stringify({ action: 'run', requestId: crypto.randomUUID() }),
+            });
+            if (!response.ok) throw await toApiError(response);
+            const run = await response.json();
+            setCartStatus(`Server run: ${describeRun(run)}`);
+        } catch (error) {
+            console.error("Agent run error:", error);
+            setLogMessage(`Server run failed: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Places the given items as orders through each vendor's adapter, then logs history
+     * (which books the spend, with the vendor order ID) and starts tracking each order.
+     * Inventory is not touched here: it grows when the order is delivered (see confirmDelivery).
+     * Vendors that reject the order are reported back; the rest still go through.
+     */
+    const executePurchase = useCallback(async (itemsToPurchase, method, idempotencyKey) => {
+        // 1. Place one order per vendor
+        const { placedOrders, failures } = await placeVendorOrders(itemsToPurchase, idempotencyKey);
+        if (placedOrders.length === 0) {
+            throw new Error(`No vendor accepted the order. ${failures.map(f => f.error).join(' ')}`);
+        }
+
+        // 2. Track Orders & Log New History in one transaction (spend is derived from the new history rows). Orders a
+        // vendor replayed for a retried idempotency key are already recorded, with their deliveries, and stay as they are
+        const { totalPurchased, orders: placed } = await runTransaction(repository.db, async (transaction) => {
+            const recordedOrderIds = new Set();
+            for (const { order } of placedOrders) {
+                if ((await transaction.get(repository.docRef(COLLECTIONS.ORDERS, order.orderId))).exists()) recordedOrderIds.add(order.orderId);
+            }
+            const result = buildPurchaseWrites(placedOrders, { inventory, priceCatalog, method, recordedOrderIds });
+            result.writes.forEach(write => repository.stage(transaction, write));
+            return result;
+        });
+        return { totalPurchased, orders: placed, failures };
+    }, [repository, inventory, priceCatalog]);
+
+    // Offline, vendors can't be reached: the cart is queued for approval and synced, to be ordered once back online
+    const queueOfflineCheckout = async () => {
+        const { reasons, total } = evaluateApprovalPolicy(suggestedCart, approvalPolicy);
+        const now = new Date();
+        setIsProcessing(true);
+        try {
+            await commitWrites([{
+                collection: COLLECTIONS.APPROVALS,
+                id: crypto.randomUUID(),
+                type: WRITE_TYPES.SET,
+                data: {
+                    items: suggestedCart,
+                    total: parseFloat(total.toFixed(2)),
+                    reasons: ['Checked out while offline; prices will be re-quoted when approved', ...reasons],
+                    status: 'pending',
+                    createdAt: now.toISOString(),
+                    expiresAt: getApprovalExpiry(approvalPolicy, now),
+                },
+            }]);
+            logAudit('Approval Requested', { total: total.toFixed(2), items: suggestedCart.map(i => i.name), reasons: ['Offline checkout', ...reasons] });
+            setSuggestedCart([]);
+            setCartStatus('Offline: the order was queued for approval and will be placed once you approve it online.');
+        } catch (error) {
+            console.error("Offline checkout error:", error);
+            setLogMessage(`Could not queue the order offline: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
 
     const handleCheckout = async () => {
         if (suggestedCart.length === 0) return;
-        
-        // Always proceed to execution (Fully Autonomous Mode)
-        setCartStatus('Agent is fully Autonomous. Executing Purchase...');
-        logAudit('Purchase Executed (Auto)', { total: suggestedCart.reduce((sum, item) => sum + item.cost, 0).toFixed(2) });
+        if (isOffline) {
+            await queueOfflineCheckout();
+            return;
+        }
+
+        // An agent order repeating one placed within the window needs a second click to go through
+        const cartKey = cartSignature(suggestedCart);
+        const duplicates = findRecentDuplicatePurchases(suggestedCart, purchaseHistory, { filter: entry => !!entry.vendorOrderId });
+        if (duplicates.length > 0 && duplicateCheckoutKey !== cartKey) {
+            setDuplicateCheckoutKey(cartKey);
+            setCartStatus(`Possible duplicate order: ${describeDuplicates(duplicates)} already ordered. Check out again to confirm.`);
+            logAudit('Duplicate Purchase Warning', { source: 'Checkout', items: duplicates.map(d => d.line.name) });
+            return;
+        }
+        if (duplicates.length > 0) {
+            logAudit('Duplicate Purchase Confirmed', { source: 'Checkout', items: duplicates.map(d => d.line.name) });
+        }
+        setDuplicateCheckoutKey(null);
 
+        // Refresh prices with live vendor quotes so the policy sees what will actually be charged
         setIsProcessing(true);
-        await new Promise(resolve => setTimeout(resolve, 1500)); // Simulate transaction delay
-
-        const totalPurchased = suggestedCart.reduce((sum, item) => sum + item.cost, 0);
-        const itemsToPurchase = suggestedCart;
-
-        // Use a batch for atomic purchase logging/inventory update
-        const batch = writeBatch(db);
-        const histRef = collection(db, `artifacts/${appId}/users/${userId}/purchaseHistory`);
-        const baseUserPath = `artifacts/${appId}/users/${userId}`;
-
-        // 1. Log New History & Update Inventory
-        for (const item of itemsToPurchase) {
-            // Log History
-            batch.set(doc(histRef), {
-                item: item.name,
-                quantity: item.quantity,
-                vendor: item.vendor,
-                cost: item.cost,
-                date: new Date().toISOString(),
-                method: 'Agent Auto',
-            });
+        setCartStatus('Requesting quotes from vendors...');
+        const quotedCart = await quoteCart(suggestedCart);
+        setSuggestedCart(quotedCart);
+        setIsProcessing(false);
 
-            // Update Inventory (Find current state and calculate new quantity)
-            // FIX: Use optional chaining to safely access name properties when checking for existing items.
-            const existingItem = inventory.find(i => (i?.name?.toLowerCase() || '') === (item.name?.toLowerCase() || ''));
-            if (existingItem) {
-                const invRef = doc(db, `${baseUserPath}/inventory/${existingItem.id}`);
-                batch.set(invRef, {
-                    ...existingItem,
-                    quantity: (existingItem.quantity || 0) + item.quantity,
-                    lastUsed: new Date().toISOString(),
-                    predictedRunOutDate: null, // Clear AI forecast upon successful restock
+        const policyResult = evaluateApprovalPolicy(quotedCart, approvalPolicy);
+        const { total } = policyResult;
+        // Household members can't place orders themselves: their carts always wait for an owner
+        const requiresApproval = policyResult.requiresApproval || !canApproveOrders;
+        const reasons = canApproveOrders ? policyResult.reasons : ['Checked out by a household member; an owner places the order', ...policyResult.reasons];
+
+        // Orders the policy doesn't let through go to the approval queue instead of executing
+        if (requiresApproval) {
+            setIsProcessing(true);
+            try {
+                const now = new Date();
+                await setDoc(repository.docRef(COLLECTIONS.APPROVALS), {
+                    items: quotedCart,
+                    total: parseFloat(total.toFixed(2)),
+                    reasons,
+                    status: 'pending',
+                    createdAt: now.toISOString(),
+                    expiresAt: getApprovalExpiry(approvalPolicy, now),
                 });
+                logAudit('Approval Requested', { total: total.toFixed(2), items: quotedCart.map(i => i.name), reasons });
+                setSuggestedCart([]);
+                setCartStatus(`Awaiting approval: ${reasons[0]}${reasons.length > 1 ? ` (+${reasons.length - 1} more)` : ''}.`);
+            } catch (error) {
+                console.error("Approval queue error:", error);
+                setLogMessage('Error queueing order for approval. Check console.');
+            } finally {
+                setIsProcessing(false);
             }
+            return;
         }
 
-        // 2. Update Spend Cap in Config
-        const configDocRef = doc(db, `artifacts/${appId}/users/${userId}/config/userConfig`);
-        batch.update(configDocRef, { currentMonthSpend: userConfig.currentMonthSpend + totalPurchased });
-        
-        // 3. Commit Batch
+        setCartStatus('Order within approval policy. Placing vendor orders...');
+        logAudit('Purchase Executed (Auto)', { total: total.toFixed(2) });
+
+        setIsProcessing(true);
         try {
-            await batch.commit();
+            const result = await executePurchase(quotedCart, 'Agent Auto', crypto.randomUUID());
 
             // 4. Log Audit (Separate from batch as it runs after transaction)
-            logAudit('Purchase Executed (Simulated)', { total: totalPurchased.toFixed(2), items: itemsToPurchase.map(i => i.name) });
+            logAudit('Purchase Executed', { total: result.totalPurchased.toFixed(2), items: quotedCart.map(i => i.name), orders: result.orders, failures: result.failures })
+                .then(() => reportNotificationEvent(NOTIFICATION_RULES.PURCHASE_EXECUTED));
 
             setSuggestedCart([]);
-            setCartStatus(`Purchase Complete! Total: $${totalPurchased.toFixed(2)}.`);
+            setCartStatus(describePurchase(result));
             runForecasting(); // Re-run forecasting to get new predicted run-out dates
         } catch (error) {
             console.error("Checkout batch commit error:", error);
-            setLogMessage('Error during purchase execution. Check console.');
+            setLogMessage(`Error during purchase execution: ${error.message}`);
+            setCartStatus('Purchase failed. Cart kept for retry.');
         } finally {
             setIsProcessing(false);
         }
     };
 
+    const approveOrder = useCallback(async (approval) => {
+        if (!repository || approval.status !== 'pending' || !requireOnline('Placing an approved order')) return;
+        if (!canApproveOrders) {
+            setLogMessage('Only a household owner can approve orders.');
+            return;
+        }
+        if (isApprovalExpired(approval)) {
+            setLogMessage('This order has expired and can no longer be approved.');
+            return;
+        }
+
+        // The budget may have been spent since the order was queued (or a new period started): check it against the
+        // current period's purchases as they are now, like scheduled runs do, and ask for a second click if it's over
+        setIsProcessing(true);
+        try {
+            const range = getLedgerRange(billingPeriod);
+            const history = await repository.find(COLLECTIONS.HISTORY, ...(range ? [where('date', '>=', range.queryFrom)] : []));
+            const period = getCurrentPeriod(buildSpendLedger(history, { spendCap: userConfig.spendCapMonthly, billingPeriod, from: range?.from }));
+            const remaining = Math.max(0, period.available - period.spend);
+            const total = parseFloat(approval.total) || 0;
+            if (total > remaining && overBudgetApprovalId !== approval.id) {
+                setOverBudgetApprovalId(approval.id);
+                setLogMessage(`This order ($${total.toFixed(2)}) exceeds the remaining budget of $${remaining.toFixed(2)} for ${period.label}. Approve again to place it anyway.`);
+                logAudit('Over Budget Warning', { source: 'Approval', approvalId: approval.id, total: total.toFixed(2), remaining: remaining.toFixed(2) });
+                setIsProcessing(false);
+                return;
+            }
+            if (total > remaining) {
+                logAudit('Over Budget Confirmed', { source: 'Approval', approvalId: approval.id, total: total.toFixed(2), remaining: remaining.toFixed(2) });
+            }
+            setOverBudgetApprovalId(null);
+        } catch (error) {
+            console.error("Budget check error:", error);
+            setLogMessage(`Could not check the remaining budget: ${error.message}`);
+            setIsProcessing(false);
+            return;
+        }
+
+        setCartStatus('Order approved. Executing Purchase...');
+        const approvalRef = repository.docRef(COLLECTIONS.APPROVALS, approval.id);
+        try {
+            // The approval ID doubles as the idempotency key, so a retried approval can't order twice
+            const result = await executePurchase(approval.items, 'Agent Approved', approval.id);
+            await setDoc(approvalRef, { status: 'approved', decidedAt: new Date().toISOString(), orders: result.orders }, { merge: true });
+            logAudit('Approval Granted', { approvalId: approval.id, total: result.totalPurchased.toFixed(2), items: approval.items.map(i => i.name), orders: result.orders, failures: result.failures })
+                .then(() => reportNotificationEvent(NOTIFICATION_RULES.PURCHASE_EXECUTED));
+            setCartStatus(describePurchase(result));
+            runForecasting();
+        } catch (error) {
+            console.error("Approval execution error:", error);
+            setLogMessage(`Error executing approved order: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    }, [repository, canApproveOrders, requireOnline, billingPeriod, userConfig.spendCapMonthly, overBudgetApprovalId, executePurchase, logAudit, runForecasting]);
+
+    const rejectOrder = useCallback(async (approval) => {
+        if (!repository || approval.status !== 'pending' || !requireOnline('Rejecting an order')) return;
+        if (!canApproveOrders) {
+            setLogMessage('Only a household owner can reject orders.');
+            return;
+        }
+        const approvalRef = repository.docRef(COLLECTIONS.APPROVALS, approval.id);
+        try {
+            await setDoc(approvalRef, { status: 'rejected', decidedAt: new Date().toISOString() }, { merge: true });
+            logAudit('Approval Rejected', { approvalId: approval.id, total: Number(approval.total).toFixed(2), items: approval.items.map(i => i.name) });
+            setLogMessage('Order rejected. No purchase was made.');
+        } catch (error) {
+            console.error("Approval rejection error:", error);
+            setLogMessage('Error rejecting order. Check console.');
+        }
+    }, [repository, canApproveOrders, requireOnline, logAudit]);
+
+    // --- Order Lifecycle ---
+
+    /**
+     * Records received goods for an order and restocks inventory by exactly the newly received quantity.
+     * Goods for lines no inventory item takes (unmatched, or deleted since) become new items, which the lines then
+     * point at. Runs as a transaction on the order document so the same delivery is never counted twice,
+     * even if two tabs confirm it at once.
+     */
+    const confirmDelivery = useCallback(async (order, received, source) => {
+        if (!repository || !requireOnline('Recording a delivery')) return;
+        const orderRef = repository.docRef(COLLECTIONS.ORDERS, order.id);
+
+        try {
+            const result = await runTransaction(repository.db, async (transaction) => {
+                const orderSnap = await transaction.get(orderRef);
+                if (!orderSnap.exists()) throw new Error(`Order ${order.id} not found.`);
+                const current = { ...migrateDocument(COLLECTIONS.ORDERS, orderSnap.data()).data, id: orderSnap.id };
+                if (!isOpenOrder(current)) return { status: current.status, deltas: [], createdItems: [] };
+
+                const { lines, status, deltas } = applyDelivery(current, received);
+                const deliveredAt = new Date();
+                const now = deliveredAt.toISOString();
+
+                // Resolve inventory docs (reads must all happen before writes)
+                const targets = [];
+                const created = new Map(); // Lowercased name -> { id, item } of items added for this delivery
+                for (const delta of deltas) {
+                    const itemId = delta.inventoryItemId
+                        || findInventoryItem(delta.name, inventory)?.id;
+                    const invRef = itemId && repository.docRef(COLLECTIONS.INVENTORY, itemId);
+                    if (invRef && (await transaction.get(invRef)).exists()) {
+                        targets.push({ invRef, quantity: delta.quantity });
+                        continue;
+                    }
+                    const key = delta.name.toLowerCase();
+                    const added = created.get(key);
+                    if (added) added.item.quantity += delta.quantity;
+                    else created.set(key, { id: crypto.randomUUID(), item: createItemFromDelivery(lines[delta.index], delta.quantity, deliveredAt) });
+                    lines[delta.index] = { ...lines[delta.index], inventoryItemId: created.get(key).id };
+                }
+
+                transaction.update(orderRef, {
+                    lines,
+                    status,
+                    statusHistory: [...(current.statusHistory || []), { status, at: now, source }],
+                    ...(status === ORDER_STATUSES.DELIVERED ? { deliveredAt: now } : {}),
+                });
+                for (const { invRef, quantity } of targets) {
+                    transaction.update(invRef, {
+                        quantity: increment(quantity),
+                        lastUsed: now,
+                        predictedRunOutDate: null, // Clear AI forecast upon successful restock
+                    });
+                }
+                for (const { id, item } of created.values()) {
+                    repository.stage(transaction, { collection: COLLECTIONS.INVENTORY, id, type: WRITE_TYPES.SET, data: item });
+                }
+                return { status, deltas, createdItems: [...created.values()].map(({ item }) => item.name) };
+            });
+
+            if (result.deltas.length > 0) {
+                logAudit(result.status === ORDER_STATUSES.DELIVERED ? 'Order Delivered' : 'Order Partially Delivered', {
+                    orderId: order.orderId,
+                    vendor: order.vendor,
+                    source,
+                    received: result.deltas.map(d => ({ item: d.name, quantity: d.quantity })),
+                    ...(result.createdItems.length > 0 ? { itemsAdded: result.createdItems } : {}),
+                });
+                const added = result.createdItems.length > 0 ? ` Added to inventory as new item(s): ${result.createdItems.join(', ')}.` : '';
+                setLogMessage(`Order ${order.orderId}: received ${result.deltas.map(d => `${d.quantity} x ${d.name}`).join(', ')}. Inventory updated.${added}`);
+            }
+        } catch (error) {
+            console.error("Delivery confirmation error:", error);
+            setLogMessage(`Error confirming delivery: ${error.message}`);
+        }
+    }, [repository, inventory, requireOnline, logAudit]);
+
+    const cancelOrder = useCallback(async (order) => {
+        if (!repository || !isOpenOrder(order) || !requireOnline('Cancelling an order')) return;
+        if (!canApproveOrders) {
+            setLogMessage('Only a household owner can cancel orders.');
+            return;
+        }
+        setIsProcessing(true);
+        try {
+            await getVendorAdapter(order.vendor).cancelOrder(order.orderId);
+            const now = new Date().toISOString();
+            await setDoc(repository.docRef(COLLECTIONS.ORDERS, order.id), {
+                status: ORDER_STATUSES.CANCELLED,
+                cancelledAt: now,
+                statusHistory: [...(order.statusHistory || []), { status: ORDER_STATUSES.CANCELLED, at: now, source: 'User' }],
+            }, { merge: true });
+            logAudit('Order Cancelled', { orderId: order.orderId, vendor: order.vendor, total: order.total });
+            setLogMessage(`Order ${order.orderId} cancelled.`);
+        } catch (error) {
+            console.error("Order cancellation error:", error);
+            setLogMessage(`Could not cancel order: ${error.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    }, [repository, canApproveOrders, requireOnline, logAudit]);
+
+    /**
+     * Asks each vendor for the status of our open orders. Status changes are recorded;
+     * a vendor-reported delivery restocks whatever hasn't been received yet.
+     */
+    const isRefreshingOrders = useRef(false);
+    const refreshOrderStatuses = useCallback(async () => {
+        if (!repository || isOffline || isRefreshingOrders.current) return;
+        const open = openOrders.filter(order => order.status !== ORDER_STATUSES.PARTIALLY_DELIVERED);
+        if (open.length === 0) return;
+
+        isRefreshingOrders.current = true;
+        try {
+            for (const order of open) {
+                try {
+                    const vendorOrder = await getVendorAdapter(order.vendor).getOrderStatus(order.orderId);
+                    if (vendorOrder.status === order.status) continue;
+
+                    if (vendorOrder.status === ORDER_STATUSES.DELIVERED) {
+                        await confirmDelivery(order, remainingQuantities(order), 'Vendor');
+                        continue;
+                    }
+
+                    const now = new Date().toISOString();
+                    await setDoc(repository.docRef(COLLECTIONS.ORDERS, order.id), {
+                        status: vendorOrder.status,
+                        statusHistory: [...(order.statusHistory || []), { status: vendorOrder.status, at: now, source: 'Vendor' }],
+                    }, { merge: true });
+                    logAudit('Order Status Update', { orderId: order.orderId, vendor: order.vendor, from: order.status, to: vendorOrder.status });
+                } catch (error) {
+                    console.error(`Order status error (${order.orderId}):`, error);
+                }
+            }
+        } finally {
+            isRefreshingOrders.current = false;
+        }
+    }, [repository, isOffline, openOrders, confirmDelivery, logAudit]);
+
+    // Poll vendors for open orders while the app is open
+    useEffect(() => {
+        if (openOrders.length === 0) return;
+        refreshOrderStatuses();
+        const interval = setInterval(refreshOrderStatuses, 30 * 1000);
+        return () => clearInterval(interval);
+    }, [openOrders, refreshOrderStatuses]);
+
+    // Expire unapproved carts: checked on every queue update and once a minute while the app is open
+    useEffect(() => {
+        if (!userId) return;
+
+        const expireStale = async () => {
+            const stale = pendingApprovals.filter(approval => isApprovalExpired(approval));
+            if (stale.length === 0) return;
+
+            try {
+                await commitWrites(stale.map(approval => ({
+                    collection: COLLECTIONS.APPROVALS,
+                    id: approval.id,
+                    type: WRITE_TYPES.MERGE,
+                    data: { status: 'expired', decidedAt: new Date().toISOString() },
+                })));
+                stale.forEach(approval => logAudit('Approval Expired', { approvalId: approval.id, total: Number(approval.total).toFixed(2), expiresAt: approval.expiresAt }));
+            } catch (e) {
+                console.error("Approval expiry error:", e);
+            }
+        };
+
+        expireStale();
+        const interval = setInterval(expireStale, 60 * 1000);
+        return () => clearInterval(interval);
+    }, [userId, pendingApprovals, commitWrites, logAudit]);
+
 
     // --- UI Components ---
 
+    const forecastMode = userConfig.forecastMode || FORECAST_MODES.AI;
+
+    // AI vs baseline rows, from the dates runForecasting stored on each item
+    const forecastComparison = useMemo(() => compareForecasts(
+        inventory.filter(item => item && item.name && item.aiRunOutDate).map(item => ({ name: item.name, predictedRunOutDate: item.aiRunOutDate })),
+        inventory.filter(item => item && item.name && item.baselineRunOutDate).map(item => ({ name: item.name, predictedRunOutDate: item.baselineRunOutDate }))
+    ), [inventory]);
+    const comparisonByName = useMemo(
+        () => new Map(forecastComparison.map(row => [row.name.toLowerCase(), row])),
+        [forecastComparison]
+    );
+
     const CartReview = useMemo(() => {
-        const cartTotal = suggestedCart.reduce((sum, item) => sum + item.cost, 0).toFixed(2);
-        
-        const badgeText = 'Autonomous Mode';
+        const cartTotal = suggestedCart.reduce((sum, item) => sum + (item.cost || 0), 0).toFixed(2);
+        const unknownCount = suggestedCart.filter(item => item.priceUnknown).length;
+        const { requiresApproval, reasons } = evaluateApprovalPolicy(suggestedCart, approvalPolicy);
+        const isAutonomous = approvalPolicy.mode === APPROVAL_MODES.AUTONOMOUS;
+
+        const badgeText = isAutonomous ? 'Autonomous Mode' : 'Approval Mode';
 
         return (
             <div className="bg-white p-6 rounded-xl shadow-lg border-2 border-green-200">
                 <h2 className="text-xl font-bold mb-4 flex items-center justify-between">
                     Suggested Shopping Cart
-                    <span className={`px-3 py-1 text-sm font-medium rounded-full bg-green-100 text-green-800 flex items-center`}>
-                        <Zap className="w-4 h-4 mr-1"/>{badgeText}
+                    <span className={`px-3 py-1 text-sm font-medium rounded-full flex items-center ${isAutonomous ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                        {isAutonomous ? <Zap className="w-4 h-4 mr-1"/> : <ShieldCheck className="w-4 h-4 mr-1"/>}{badgeText}
                     </span>
                 </h2>
                 <div className="space-y-3 min-h-[100px]">
@@ -790,8 +2395,16 @@ const App = () => {
                                     <p className="text-xs text-indigo-600">{item.reason}</p>
                                 </div>
                                 <div className="text-right">
-                                    <p className="text-sm text-gray-600">{item.quantity} x {item.vendor}</p>
-                                    <p className="font-bold text-green-700">${item.cost.toFixed(2)}</p>
+                                    <p className="text-sm text-gray-600">{formatQuantity(item.quantity, item.unit)} from {item.vendor}</p>
+                                    {item.unitsPerOrderUnit > 1 && <p className="text-xs text-gray-500">Ordered as {formatQuantity(item.orderQuantity, item.orderUnit)} of {item.unitsPerOrderUnit}</p>}
+                                    {item.priceUnknown ? (
+                                        <p className="font-bold text-yellow-700">Price unknown</p>
+                                    ) : (
+                                        <>
+                                            <p className="font-bold text-green-700">${item.cost.toFixed(2)}</p>
+                                            <p className="text-xs text-gray-400">${item.unitPrice.toFixed(2)} / {formatUnit(item.unit, 1)} · {item.priceBasis}</p>
+                                        </>
+                                    )}
                                 </div>
                             </div>
                         ))
@@ -802,17 +2415,27 @@ const App = () => {
                     <p className="text-lg font-bold flex justify-between">
                         Total Estimated Cost: <span className="text-indigo-700">${cartTotal}</span>
                     </p>
-                    <p className="text-sm mt-2 mb-4 text-green-600 font-medium">Policy: Fully Autonomous (No Manual Review)</p>
+                    {unknownCount > 0 && <p className="text-xs text-yellow-700">Excludes {unknownCount} item(s) with no known price. Add them to the Price Catalog to include them.</p>}
+                    <p className={`text-sm mt-2 font-medium ${requiresApproval ? 'text-yellow-700' : 'text-green-600'}`}>Policy: {APPROVAL_MODE_LABELS[approvalPolicy.mode]}</p>
+                    {requiresApproval && (
+                        <ul className="text-xs text-yellow-700 list-disc list-inside mt-1">
+                            {reasons.map((reason, index) => <li key={index}>{reason}</li>)}
+                        </ul>
+                    )}
 
                     <button
                         onClick={handleCheckout}
                         disabled={suggestedCart.length === 0 || isProcessing}
-                        className={`w-full py-3 rounded-xl font-bold transition duration-150 ${suggestedCart.length === 0 || isProcessing
+                        className={`w-full mt-4 py-3 rounded-xl font-bold transition duration-150 ${suggestedCart.length === 0 || isProcessing
                             ? 'bg-gray-300 text-gray-600 cursor-not-allowed'
-                            : 'bg-green-600 text-white hover:bg-green-700 shadow-md hover:shadow-lg'
+                            : requiresApproval
+                                ? 'bg-yellow-500 text-white hover:bg-yellow-600 shadow-md hover:shadow-lg'
+                                : 'bg-green-600 text-white hover:bg-green-700 shadow-md hover:shadow-lg'
                             }`}
                     >
-                        {'Execute Purchase (Fully Autonomous)'}
+                        {duplicateCheckoutKey === cartSignature(suggestedCart)
+                            ? 'Confirm Duplicate Order'
+                            : requiresApproval ? 'Submit for Approval' : 'Execute Purchase'}
                     </button>
                     <button
                         onClick={() => setSuggestedCart([])}
@@ -823,10 +2446,88 @@ const App = () => {
                 </div>
             </div>
         );
-    }, [suggestedCart, handleCheckout, isProcessing]); 
+    }, [suggestedCart, approvalPolicy, handleCheckout, isProcessing, duplicateCheckoutKey]);
+
+    const ApprovalQueue = useMemo(() => {
+        const pending = pendingApprovals.filter(approval => approval.status === 'pending');
+        const decided = pendingApprovals.filter(approval => approval.status !== 'pending').slice(0, 5);
+
+        const statusStyles = {
+            approved: 'bg-green-100 text-green-800',
+            rejected: 'bg-red-100 text-red-800',
+            expired: 'bg-gray-200 text-gray-700',
+        };
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg border-2 border-yellow-200">
+                <h2 className="text-xl font-bold mb-4 flex items-center">
+                    <ShieldCheck className="w-5 h-5 mr-2 text-yellow-600" /> Pending Approvals
+                    <span className="ml-2 text-sm font-medium text-gray-500">({pending.length})</span>
+                </h2>
+                {pending.length === 0 ? (
+                    <p className="text-gray-500 italic">No orders waiting for approval.</p>
+                ) : (
+                    <div className="space-y-4">
+                        {pending.map(approval => (
+                            <div key={approval.id} className="border rounded-lg p-4 bg-yellow-50">
+                                <div className="flex justify-between items-start">
+                                    <div>
+                                        <p className="font-semibold text-gray-800">
+                                            {approval.items.map(item => `${formatQuantity(item.quantity, item.unit)} ${item.name}`).join(', ')}
+                                        </p>
+                                        <ul className="text-xs text-yellow-700 list-disc list-inside mt-1">
+                                            {(approval.reasons || []).map((reason, index) => <li key={index}>{reason}</li>)}
+                                        </ul>
+                                        <p className="text-xs text-gray-500 mt-1 flex items-center">
+                                            <Clock className="w-3 h-3 mr-1" /> Expires {new Date(approval.expiresAt).toLocaleString()}
+                                        </p>
+                                    </div>
+                                    <p className="font-bold text-indigo-700">${Number(approval.total).toFixed(2)}</p>
+                                </div>
+                                {canApproveOrders ? (
+                                    <div className="flex space-x-2 mt-3">
+                                        <button
+                                            onClick={() => approveOrder(approval)}
+                                            disabled={isProcessing}
+                                            className="flex-1 py-2 rounded-md font-medium bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300"
+                                        >
+                                            Approve & Purchase
+                                        </button>
+                                        <button
+                                            onClick={() => rejectOrder(approval)}
+                                            disabled={isProcessing}
+                                            className="flex-1 py-2 rounded-md font-medium bg-gray-200 text-gray-700 hover:bg-red-100 hover:text-red-700"
+                                        >
+                                            Reject
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <p className="text-xs text-gray-500 mt-3">Waiting for a household owner to approve or reject.</p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+                {decided.length > 0 && (
+                    <div className="mt-4 pt-3 border-t">
+                        <p className="text-xs font-medium text-gray-500 uppercase mb-2">Recent Decisions</p>
+                        {decided.map(approval => (
+                            <div key={approval.id} className="flex justify-between text-sm text-gray-600 py-1">
+                                <span className="truncate">{approval.items.map(item => item.name).join(', ')}</span>
+                                <span className={`ml-2 px-2 rounded-full text-xs font-medium ${statusStyles[approval.status] || ''}`}>{approval.status}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    }, [pendingApprovals, approveOrder, rejectOrder, isProcessing]);
+
+    const forecastAccuracy = useMemo(() => summarizeForecastAccuracy(inventory), [inventory]);
 
     const InventoryTable = useMemo(() => {
-        // Now uses the AI-predicted date if available
+        // Uses the AI-predicted date if available, the local baseline otherwise
+        const now = new Date();
         const getForecastDisplay = (item) => {
             if (item.predictedRunOutDate) {
                 const date = new Date(item.predictedRunOutDate);
@@ -834,14 +2535,36 @@ const App = () => {
                 const diffTime = date.getTime() - today.getTime();
                 const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
+                let display = `${diffDays} days (${date.toLocaleDateString()})`;
                 if (diffDays <= 0) {
-                    return <span className="text-red-600 font-bold">Today/Overdue</span>;
+                    display = <span className="text-red-600 font-bold">Today/Overdue</span>;
                 } else if (diffDays <= 7) {
-                    return <span className="text-orange-500 font-bold">{diffDays} days ({date.toLocaleDateString()})</span>;
+                    display = <span className="text-orange-500 font-bold">{diffDays} days ({date.toLocaleDateString()})</span>;
                 }
-                return `${diffDays} days (${date.toLocaleDateString()})`;
+                const confidenceStyles = {
+                    [FORECAST_CONFIDENCE.HIGH]: 'bg-green-100 text-green-800',
+                    [FORECAST_CONFIDENCE.MEDIUM]: 'bg-blue-100 text-blue-800',
+                    [FORECAST_CONFIDENCE.LOW]: 'bg-gray-100 text-gray-600',
+                };
+                return (
+                    <>
+                        {display}
+                        {item.forecastSource === 'local' && <span className="ml-2 px-1.5 rounded text-xs bg-gray-200 text-gray-600">baseline</span>}
+                        {item.forecastConfidence && (
+                            <span className={`ml-2 px-1.5 rounded text-xs ${confidenceStyles[item.forecastConfidence] || ''}`} title={`Daily use learned from ${item.dailyUseSamples || 0} sample(s)`}>
+                                {FORECAST_CONFIDENCE_LABELS[item.forecastConfidence] || item.forecastConfidence}
+                            </span>
+                        )}
+                        {item.runOutEarliest && item.runOutLatest && item.runOutEarliest !== item.runOutLatest && (
+                            <p className="text-xs text-gray-400">Likely {new Date(item.runOutEarliest).toLocaleDateString()} to {new Date(item.runOutLatest).toLocaleDateString()}</p>
+                        )}
+                        {forecastMode === FORECAST_MODES.COMPARE && comparisonByName.get(item.name?.toLowerCase())?.disagrees && (
+                            <span className="ml-2 px-1.5 rounded text-xs bg-yellow-100 text-yellow-800">AI vs baseline differ</span>
+                        )}
+                    </>
+                );
             }
-            return 'Running AI forecast...';
+            return forecastMode === FORECAST_MODES.LOCAL ? 'Running local forecast...' : 'Running AI forecast...';
         };
 
         return (
@@ -855,22 +2578,40 @@ const App = () => {
                         <thead className="bg-gray-50">
                             <tr>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity (est.)</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">In Transit</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Restock Level</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run-Out Forecast (AI)</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run-Out Forecast</th>
                                 <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Edit</th>
+                                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Confirm Count</th>
                                 <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Delete</th>
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
-                            {inventory.map((item) => (
-                                <tr key={item.id} className={(item.quantity || 0) < (item.restockLevel || 0) ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                            {inventory.map((item) => {
+                                const stock = projectQuantity(item, now);
+                                const isLow = stock.estimated < (item.restockLevel || 0);
+                                const draft = countDrafts[item.id] ?? '';
+                                return (
+                                <tr key={item.id} className={isLow ? 'bg-red-50' : 'hover:bg-gray-50'}>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{item.name}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                        {(item.quantity || 0).toFixed(2)} {item.unit}
-                                        {(item.quantity || 0) < (item.restockLevel || 0) && <span className="ml-2 text-xs font-bold text-red-600">(LOW)</span>}
+                                        {formatQuantity(stock.estimated, item.unit)}
+                                        {isLow && <span className="ml-2 text-xs font-bold text-red-600">(LOW)</span>}
+                                        <p className="text-xs text-gray-400">
+                                            {stock.countedAt
+                                                ? `Last counted ${formatQuantity(stock.countedQuantity ?? stock.recorded, item.unit)} on ${new Date(stock.countedAt).toLocaleDateString()}`
+                                                : 'Never counted'}
+                                            {stock.recorded !== (stock.countedQuantity ?? stock.recorded) && `, ${formatQuantity(stock.recorded, item.unit)} with stock added since`}
+                                            {stock.used > 0 && `; ${formatQuantity(stock.used, item.unit)} recorded used since`}
+                                        </p>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {getInTransitQuantity(inTransit, item) > 0
+                                            ? <span className="text-blue-600 font-medium flex items-center"><Truck className="w-4 h-4 mr-1" />{formatQuantity(getInTransitQuantity(inTransit, item), item.unit)}</span>
+                                            : '-'}
                                     </td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{(item.restockLevel || 1).toFixed(2)} {item.unit}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatQuantity(item.restockLevel || 1, item.unit)}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getForecastDisplay(item)}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-center">
                                         <button
@@ -880,12 +2621,35 @@ const App = () => {
                                             +
                                         </button>
                                         <button
-                                            onClick={() => updateInventory({ ...item, quantity: Math.max(0, (item.quantity || 0) - 1), lastUsed: new Date().toISOString() })}
-                                            className="text-red-600 hover:text-red-900 text-lg font-bold"
+                                            onClick={() => updateInventory({ ...item, ...recordUseFields(item) })}
+                                            className="text-red-600 hover:text-red-900 text-lg font-bold disabled:opacity-30"
+                                            disabled={stock.estimated <= 0}
+                                            title="Record one used"
                                         >
                                             -
                                         </button>
                                     </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
+                                        <div className="flex items-center justify-center space-x-1">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="any"
+                                                value={draft}
+                                                placeholder={String(stock.estimated)}
+                                                onChange={(e) => setCountDrafts(prev => ({ ...prev, [item.id]: e.target.value }))}
+                                                className="w-20 p-1 border rounded-lg text-sm"
+                                                aria-label={`Counted quantity of ${item.name}`}
+                                            />
+                                            <button
+                                                onClick={() => confirmCount(item, draft === '' ? stock.estimated : draft)}
+                                                className="bg-green-100 text-green-800 hover:bg-green-200 p-1.5 rounded-lg text-xs font-semibold transition duration-150"
+                                                title={draft === '' ? 'Confirm the estimate is right' : 'Record this count'}
+                                            >
+                                                Confirm
+                                            </button>
+                                        </div>
+                                    </td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
                                         {pendingDeleteId === item.id ? (
                                             <div className="flex space-x-1 justify-center">
@@ -915,17 +2679,475 @@ const App = () => {
                                         )}
                                     </td>
                                 </tr>
-                            ))}
+                                );
+                            })}
                         </tbody>
                     </table>
                 </div>
-                <p className="mt-4 text-xs text-gray-500 italic">Note: Run-Out Forecast is now an **AI-driven behavioral prediction** based on your logged purchase history.</p>
+                <p className="mt-4 text-xs text-gray-500 italic">Quantities are estimates: the last count (plus stock added since) less each item's daily use since then, and at least what was recorded used with -. Enter what's on the shelf and confirm, or confirm an empty field to accept the estimate, to re-anchor it. Daily use is learned from purchase intervals, counts and recorded uses; confirming an empty item checks its forecast.</p>
+                {forecastAccuracy.checks > 0 && (
+                    <p className="mt-1 text-xs text-gray-600">
+                        Forecast accuracy: run-out dates were off by {forecastAccuracy.meanAbsErrorDays.toFixed(1)} days on average over {forecastAccuracy.checks} stock-out(s)
+                        {forecastAccuracy.meanErrorDays !== 0 && ` (items lasted ${Math.abs(forecastAccuracy.meanErrorDays).toFixed(1)} days ${forecastAccuracy.meanErrorDays > 0 ? 'longer' : 'less'} than forecast)`};
+                        {' '}{Math.round(forecastAccuracy.withinRange * 100)}% ran out within the forecast range.
+                        {forecastAccuracy.bySource.ai.checks > 0 && forecastAccuracy.bySource.local.checks > 0 && ` AI: ±${forecastAccuracy.bySource.ai.meanAbsErrorDays.toFixed(1)} days, baseline: ±${forecastAccuracy.bySource.local.meanAbsErrorDays.toFixed(1)} days.`}
+                    </p>
+                )}
+                <p className="mt-1 text-xs text-gray-500 italic">Note: Run-Out Forecast is an **AI-driven behavioral prediction** based on your logged purchase history. Items marked "baseline" use the local statistical forecast (purchase intervals and daily use) because the AI was unavailable or did not return a date.</p>
+            </div>
+        );
+    }, [inventory, inTransit, updateInventory, confirmCount, countDrafts, forecastAccuracy, pendingDeleteId, deleteInventoryItem, isProcessing, forecastMode, comparisonByName]);
+
+    const possibleDuplicates = useMemo(() => findPossibleDuplicates(inventory), [inventory]);
+
+    const ItemIdentityPanel = useMemo(() => {
+        const items = inventory.filter(item => item && item.name);
+        const source = items.find(item => item.id === mergeSelection.sourceId);
+        const target = items.find(item => item.id === mergeSelection.targetId);
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <h2 className="text-xl font-semibold text-gray-700">Item Names, Aliases & Units</h2>
+                <p className="text-xs text-gray-500">Receipts, manual entries and the agent refer to items by name. Aliases let other spellings ("MILK", "Whole Milk 1 gal") resolve to the same inventory item. Aliases are also learned when you confirm a receipt row mapping.</p>
+                <p className="text-xs text-gray-500">Each item is counted in one unit; stock, restock levels and forecasts use it. Purchases in packs, liters or pounds are converted on the way in. Set a pack size to convert "12-pack" purchases, and order by pack to have checkout round up to whole packs. The category groups the item's spending in Analytics.</p>
+
+                {possibleDuplicates.length > 0 && (
+                    <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-3">
+                        <p className="text-sm font-medium text-yellow-800 mb-2">Possible duplicates</p>
+                        {possibleDuplicates.slice(0, 5).map(({ a, b, score }) => (
+                            <div key={`${a.id}-${b.id}`} className="flex items-center justify-between text-sm py-1">
+                                <span>"{a.name}" and "{b.name}" <span className="text-xs text-gray-500">({Math.round(score * 100)}% similar)</span></span>
+                                <button onClick={() => setMergeSelection({ sourceId: b.id, targetId: a.id })} className="text-xs font-medium text-indigo-600 hover:text-indigo-800">Review merge</button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="text-gray-700">Merge</span>
+                    <select value={mergeSelection.sourceId} onChange={(e) => setMergeSelection({ ...mergeSelection, sourceId: e.target.value })} className="p-1.5 border rounded-md bg-white">
+                        <option value="">Select item...</option>
+                        {items.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                    </select>
+                    <span className="text-gray-700">into</span>
+                    <select value={mergeSelection.targetId} onChange={(e) => setMergeSelection({ ...mergeSelection, targetId: e.target.value })} className="p-1.5 border rounded-md bg-white">
+                        <option value="">Select item...</option>
+                        {items.filter(item => item.id !== mergeSelection.sourceId).map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                    </select>
+                    <button
+                        onClick={() => {
+                            mergeItems(mergeSelection.sourceId, mergeSelection.targetId);
+                            setMergeSelection({ sourceId: '', targetId: '' });
+                        }}
+                        disabled={!source || !target || isProcessing}
+                        className="px-3 py-1.5 rounded-md font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                    >
+                        Merge Items
+                    </button>
+                </div>
+                {source && target && (
+                    <p className="text-xs text-gray-500">
+                        "{source.name}" ({formatQuantity(source.quantity, source.unit)}) will be removed. Its quantity is added to "{target.name}"
+                        {convertToItemUnit(1, source.unit, target).quantity === null ? ` (but ${formatUnit(source.unit, 2)} cannot be converted to ${formatUnit(target.unit, 2)}; define a pack size or contents first)` : ` in ${formatUnit(target.unit, 2)}`},
+                        its name becomes an alias, and its purchase history is re-pointed.
+                    </p>
+                )}
+
+                <div className="divide-y">
+                    {items.map(item => (
+                        <div key={item.id} className="py-2 flex flex-wrap items-center gap-2 text-sm">
+                            <span className="font-medium text-gray-800 w-40">{item.name}</span>
+                            <select value={normalizeUnit(item.unit) || 'unit'} onChange={(e) => updateItemUnits(item, { unit: e.target.value })} className="p-1 border rounded-md bg-white text-xs" title="Unit this item is counted in">
+                                {!UNIT_OPTIONS.includes(normalizeUnit(item.unit) || 'unit') && <option value={normalizeUnit(item.unit)}>{normalizeUnit(item.unit)}</option>}
+                                {UNIT_OPTIONS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                            <select value={item.category || ''} onChange={(e) => updateItemCategory(item, e.target.value)} className="p-1 border rounded-md bg-white text-xs" title="Category for spending analytics">
+                                <option value="">{ITEM_CATEGORY_LABELS[getItemCategory({ name: item.name })]} (guessed)</option>
+                                {Object.values(ITEM_CATEGORIES).map(category => <option key={category} value={category}>{ITEM_CATEGORY_LABELS[category]}</option>)}
+                            </select>
+                            {!isMeasureUnit(item.unit) && (
+                                <>
+                                    <input
+                                        key={`${item.id}-pack-${getPackSize(item)}`}
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        placeholder="per pack"
+                                        defaultValue={getPackSize(item) || ''}
+                                        onBlur={(e) => {
+                                            const size = parseFloat(e.target.value) || 0;
+                                            if (size !== getPackSize(item)) {
+                                                const otherPacks = (item.packs || []).filter(p => normalizeUnit(p.unit) !== 'pack');
+                                                updateItemUnits(item, { packs: size > 0 ? [...otherPacks, { unit: 'pack', size }] : otherPacks });
+                                            }
+                                        }}
+                                        className="p-1 border rounded-md text-xs w-20"
+                                        title={`${formatUnit(item.unit, 2)} per pack`}
+                                    />
+                                    <label className="flex items-center text-xs text-gray-600">
+                                        <input
+                                            type="checkbox"
+                                            className="mr-1"
+                                            checked={normalizeUnit(item.purchaseUnit) === 'pack'}
+                                            disabled={!getPackSize(item)}
+                                            onChange={(e) => updateItemUnits(item, { purchaseUnit: e.target.checked ? 'pack' : null })}
+                                        />
+                                        order by pack
+                                    </label>
+                                    <input
+                                        key={`${item.id}-contents-${item.contents?.quantity}`}
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        placeholder="contents"
+                                        defaultValue={item.contents?.quantity || ''}
+                                        onBlur={(e) => {
+                                            const quantity = parseFloat(e.target.value) || 0;
+                                            if (quantity !== (item.contents?.quantity || 0)) {
+                                                updateItemUnits(item, { contents: quantity > 0 ? { quantity, unit: item.contents?.unit || 'oz' } : null });
+                                            }
+                                        }}
+                                        className="p-1 border rounded-md text-xs w-20"
+                                        title={`Amount in one ${formatUnit(item.unit, 1)}, for converting weights and volumes`}
+                                    />
+                                    <select
+                                        value={item.contents?.unit || 'oz'}
+                                        disabled={!item.contents}
+                                        onChange={(e) => updateItemUnits(item, { contents: { ...item.contents, unit: e.target.value } })}
+                                        className="p-1 border rounded-md bg-white text-xs"
+                                    >
+                                        {UNIT_OPTIONS.filter(isMeasureUnit).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                                    </select>
+                                    <span className="text-xs text-gray-400 mr-2">per {formatUnit(item.unit, 1)}</span>
+                                </>
+                            )}
+                            {(item.aliases || []).map(alias => (
+                                <span key={alias} className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs flex items-center">
+                                    {alias}
+                                    <button onClick={() => removeAlias(item, alias)} className="ml-1 text-gray-400 hover:text-red-600">×</button>
+                                </span>
+                            ))}
+                            <input
+                                type="text"
+                                placeholder="Add alias"
+                                value={aliasInput[item.id] || ''}
+                                onChange={(e) => setAliasInput({ ...aliasInput, [item.id]: e.target.value })}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') {
+                                        addAlias(item, aliasInput[item.id] || '');
+                                        setAliasInput({ ...aliasInput, [item.id]: '' });
+                                    }
+                                }}
+                                className="p-1 border rounded-md text-xs w-32"
+                            />
+                        </div>
+                    ))}
+                </div>
             </div>
         );
-    }, [inventory, updateInventory, pendingDeleteId, deleteInventoryItem, isProcessing]);
+    }, [inventory, possibleDuplicates, mergeSelection, aliasInput, mergeItems, addAlias, removeAlias, updateItemUnits, updateItemCategory, isProcessing]);
+
+    const OrdersPanel = useMemo(() => {
+        const statusStyles = {
+            [ORDER_STATUSES.PLACED]: 'bg-gray-100 text-gray-700',
+            [ORDER_STATUSES.CONFIRMED]: 'bg-indigo-100 text-indigo-800',
+            [ORDER_STATUSES.SHIPPED]: 'bg-blue-100 text-blue-800',
+            [ORDER_STATUSES.PARTIALLY_DELIVERED]: 'bg-yellow-100 text-yellow-800',
+            [ORDER_STATUSES.DELIVERED]: 'bg-green-100 text-green-800',
+            [ORDER_STATUSES.CANCELLED]: 'bg-red-100 text-red-800',
+        };
+        const closedOrders = orders.filter(order => !isOpenOrder(order)).slice(0, 5);
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-700 flex items-center justify-between">
+                    <span className="flex items-center"><Truck className="w-5 h-5 mr-2 text-blue-500" /> Orders</span>
+                    <button onClick={refreshOrderStatuses} className="text-sm font-medium text-indigo-600 hover:text-indigo-800 flex items-center">
+                        <RefreshCw className="w-4 h-4 mr-1" /> Refresh Status
+                    </button>
+                </h2>
+                {openOrders.length === 0 ? (
+                    <p className="text-gray-500 italic">No orders in transit.</p>
+                ) : (
+                    <div className="space-y-4">
+                        {openOrders.map(order => {
+                            const inputs = receivedInput[order.id] || {};
+                            return (
+                                <div key={order.id} className="border rounded-lg p-4">
+                                    <div className="flex justify-between items-start mb-2">
+                                        <div>
+                                            <p className="font-semibold text-gray-800">{order.vendor} <span className="font-mono text-xs text-gray-500">{order.orderId}</span></p>
+                                            <p className="text-xs text-gray-500">
+                                                Placed {new Date(order.placedAt).toLocaleString()}
+                                                {order.estimatedDelivery && ` · ETA ${new Date(order.estimatedDelivery).toLocaleString()}`}
+                                            </p>
+                                        </div>
+                                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[order.status] || ''}`}>{ORDER_STATUS_LABELS[order.status] || order.status}</span>
+                                    </div>
+                                    <table className="min-w-full text-sm">
+                                        <tbody>
+                                            {order.lines.map((line, index) => {
+                                                const outstanding = (line.quantity || 0) - (line.deliveredQuantity || 0);
+                                                return (
+                                                    <tr key={index}>
+                                                        <td className="py-1 text-gray-700">{line.name}</td>
+                                                        <td className="py-1 text-gray-500">
+                                                            {line.deliveredQuantity || 0} / {formatQuantity(line.quantity, line.unit)} received
+                                                            {line.orderUnit && line.orderUnit !== line.unit && <span className="block text-xs text-gray-400">ordered as {formatQuantity(line.orderQuantity, line.orderUnit)}</span>}
+                                                        </td>
+                                                        <td className="py-1 text-right">
+                                                            {outstanding > 0 && (
+                                                                <input
+                                                                    type="number"
+                                                                    min="0"
+                                                                    max={outstanding}
+                                                                    value={inputs[index] ?? outstanding}
+                                                                    onChange={(e) => setReceivedInput({ ...receivedInput, [order.id]: { ...inputs, [index]: e.target.value } })}
+                                                                    className="w-20 p-1 border rounded-md text-sm"
+                                                                />
+                                                            )}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                    <div className="flex space-x-2 mt-3">
+                                        <button
+                                            onClick={() => {
+                                                const received = { ...remainingQuantities(order), ...inputs };
+                                                confirmDelivery(order, received, 'User');
+                                                setReceivedInput({ ...receivedInput, [order.id]: {} });
+                                            }}
+                                            disabled={isProcessing}
+                                            className="flex-1 py-2 rounded-md font-medium bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300"
+                                        >
+                                            Confirm Received
+                                        </button>
+                                        {canApproveOrders && (order.status === ORDER_STATUSES.PLACED || order.status === ORDER_STATUSES.CONFIRMED) && (
+                                            <button
+                                                onClick={() => cancelOrder(order)}
+                                                disabled={isProcessing}
+                                                className="flex-1 py-2 rounded-md font-medium bg-gray-200 text-gray-700 hover:bg-red-100 hover:text-red-700"
+                                            >
+                                                Cancel Order
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+                {closedOrders.length > 0 && (
+                    <div className="mt-4 pt-3 border-t">
+                        <p className="text-xs font-medium text-gray-500 uppercase mb-2">Recently Closed</p>
+                        {closedOrders.map(order => (
+                            <div key={order.id} className="flex justify-between text-sm text-gray-600 py-1">
+                                <span className="truncate">{order.vendor} · {order.lines.map(line => line.name).join(', ')}</span>
+                                <span className={`ml-2 px-2 rounded-full text-xs font-medium ${statusStyles[order.status] || ''}`}>{ORDER_STATUS_LABELS[order.status] || order.status}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    }, [orders, openOrders, receivedInput, refreshOrderStatuses, confirmDelivery, cancelOrder, isProcessing]);
+
+    const ForecastComparison = useMemo(() => (
+        <div className="bg-white p-6 rounded-xl shadow-lg border-2 border-blue-100">
+            <h2 className="text-xl font-semibold mb-1 text-gray-700">AI vs Baseline Forecast</h2>
+            <p className="text-xs text-gray-500 mb-4">Items where the AI run-out date differs from the local statistical baseline by more than {DISAGREEMENT_THRESHOLD_DAYS} days.</p>
+            {forecastComparison.length === 0 ? (
+                <p className="text-gray-500 italic">No items have both an AI and a baseline forecast yet.</p>
+            ) : (
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">AI</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Baseline</th>
+                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {forecastComparison.map(row => (
+                            <tr key={row.name} className={row.disagrees ? 'bg-yellow-50' : ''}>
+                                <td className="px-4 py-2 font-medium text-gray-800">{row.name}</td>
+                                <td className="px-4 py-2 text-gray-600">{row.aiRunOutDate}</td>
+                                <td className="px-4 py-2 text-gray-600">{row.baselineRunOutDate}</td>
+                                <td className={`px-4 py-2 text-right ${row.disagrees ? 'text-yellow-800 font-bold' : 'text-gray-500'}`}>
+                                    {row.diffDays === null ? 'n/a' : `${row.diffDays > 0 ? '+' : ''}${row.diffDays} days`}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    ), [forecastComparison]);
+
+    const ocrAccuracy = useMemo(() => summarizeOcrAccuracy(ocrReviews), [ocrReviews]);
+
+    const ReceiptReviewPanel = receiptReview && (
+        <div className="bg-white p-6 rounded-xl shadow-lg border-2 border-indigo-300">
+            <h2 className="text-xl font-bold mb-1 text-gray-800">
+                Review Receipt: {receiptReview.fileName}
+                {receiptQueue.length > 1 && <span className="ml-2 text-sm font-normal text-gray-500">({receiptQueue.length - 1} more queued)</span>}
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">Check what the Vision API read before anything touches inventory. Fix names, quantities and costs, map each row to an inventory item, or ignore it.</p>
+            {receiptReview.files.length > 1 && (
+                <p className="text-xs text-indigo-600 mb-4">
+                    Stitched from {receiptReview.files.length} files into one transaction
+                    {receiptReview.droppedOverlap > 0 && `; ${receiptReview.droppedOverlap} line(s) repeated where the photos overlap were dropped`}.
+                </p>
+            )}
+            {receiptReview.duplicateOf && (
+                <div className="border border-red-200 bg-red-50 rounded-lg p-4 mb-4 text-sm">
+                    <p className="font-semibold text-red-800">
+                        This looks like receipt {receiptReview.duplicateOf.fileName || '(unnamed)'}
+                        {receiptReview.duplicateOf.pending ? ', which is also waiting for review' : receiptReview.duplicateOf.at ? ` from ${describeAge(receiptReview.duplicateOf.at)}` : ''}.
+                    </p>
+                    <p className="text-xs text-red-700 mb-2">{receiptReview.duplicateOf.reasons.join(' · ')}</p>
+                    <table className="text-xs mb-2">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="pr-4 text-left font-medium"></th>
+                                <th className="pr-4 text-left font-medium">This receipt</th>
+                                <th className="text-left font-medium">Earlier receipt</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {[
+                                ['Vendor', fp => fp?.vendor || '-'],
+                                ['Date', fp => fp?.date || '-'],
+                                ['Total', fp => (fp?.total ? `$${fp.total.toFixed(2)}` : '-')],
+                                ['Items', fp => (fp?.items || []).length],
+                            ].map(([label, value]) => (
+                                <tr key={label}>
+                                    <td className="pr-4 text-gray-500">{label}</td>
+                                    <td className="pr-4">{value(receiptReview.fingerprint)}</td>
+                                    <td>{value(receiptReview.duplicateOf.fingerprint)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <label className="flex items-center text-xs text-red-800">
+                        <input
+                            type="checkbox"
+                            className="mr-2"
+                            checked={!!receiptReview.duplicateConfirmed}
+                            onChange={(e) => setReceiptQueue(queue => queue.map((review, index) => (index === 0 ? { ...review, duplicateConfirmed: e.target.checked } : review)))}
+                        />
+                        This is a different purchase; commit it anyway
+                    </label>
+                </div>
+            )}
+            <div className="grid lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-1 space-y-2 max-h-[70vh] overflow-y-auto">
+                    {receiptReview.files.map(file => (file.type === 'application/pdf'
+                        ? <iframe key={file.url} src={file.url} title={`Receipt ${file.name}`} className="w-full h-[60vh] rounded-lg border bg-gray-50" />
+                        : <img key={file.url} src={file.url} alt={`Receipt ${file.name}`} className="w-full rounded-lg border object-contain bg-gray-50" />
+                    ))}
+                </div>
+                <div className="lg:col-span-2 overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Qty</th>
+                                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit</th>
+                                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vendor</th>
+                                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Inventory Item</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {receiptReview.rows.map(row => {
+                                const ignored = row.mapping === ROW_ACTIONS.IGNORE;
+                                const corrected = getCorrectedFields(row);
+                                const target = inventory.find(item => item.id === row.mapping);
+                                const conversion = target && !ignored
+                                    ? toItemQuantity({ quantity: row.quantity, unit: row.unit, name: row.name }, target)
+                                    : null;
+                                return (
+                                    <tr key={row.key} className={ignored ? 'bg-gray-100 text-gray-400' : corrected.length > 0 ? 'bg-yellow-50' : ''}>
+                                        <td className="px-2 py-2">
+                                            <input type="text" value={row.name} disabled={ignored} onChange={(e) => updateReviewRow(row.key, { name: e.target.value })} className="w-full p-1 border rounded-md" />
+                                            {corrected.includes('name') && <span className="block text-xs text-gray-400">OCR: {row.original.name}</span>}
+                                        </td>
+                                        <td className="px-2 py-2">
+                                            <input type="number" min="0" value={row.quantity} disabled={ignored} onChange={(e) => updateReviewRow(row.key, { quantity: e.target.value })} className="w-16 p-1 border rounded-md" />
+                                            {conversion?.note && <span className="block text-xs text-indigo-600">{conversion.note}</span>}
+                                            {conversion?.warning && <span className="block text-xs text-red-600">{conversion.warning}</span>}
+                                        </td>
+                                        <td className="px-2 py-2">
+                                            <select value={row.unit || ''} disabled={ignored} onChange={(e) => updateReviewRow(row.key, { unit: e.target.value })} className="p-1 border rounded-md bg-white">
+                                                <option value="">{target ? formatUnit(target.unit, 2) : 'count'}</option>
+                                                {row.unit && !UNIT_OPTIONS.includes(row.unit) && <option value={row.unit}>{row.unit}</option>}
+                                                {UNIT_OPTIONS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className="px-2 py-2">
+                                            <input type="number" min="0" step="0.01" value={row.cost} disabled={ignored} onChange={(e) => updateReviewRow(row.key, { cost: e.target.value })} className="w-20 p-1 border rounded-md" />
+                                        </td>
+                                        <td className="px-2 py-2">
+                                            <input type="text" value={row.vendor} disabled={ignored} onChange={(e) => updateReviewRow(row.key, { vendor: e.target.value })} className="w-24 p-1 border rounded-md" />
+                                        </td>
+                                        <td className="px-2 py-2">
+                                            <select value={row.mapping} onChange={(e) => updateReviewRow(row.key, { mapping: e.target.value, matchScore: null, matchType: null })} className="p-1 border rounded-md bg-white">
+                                                <option value={ROW_ACTIONS.NEW}>+ New item</option>
+                                                <option value={ROW_ACTIONS.IGNORE}>Ignore row</option>
+                                                {inventory.filter(item => item && item.name).map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                                            </select>
+                                            {row.matchType === 'fuzzy' && row.matchScore !== null && (
+                                                <span className={`block text-xs ${row.matchScore >= 0.85 ? 'text-green-600' : 'text-yellow-700'}`}>Suggested match ({Math.round(row.matchScore * 100)}% confident)</span>
+                                            )}
+                                            {row.matchType === 'alias' && <span className="block text-xs text-green-600">Known alias</span>}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <div className="flex space-x-2 mt-4">
+                        <button
+                            onClick={() => finishReceiptReview('committed')}
+                            disabled={isProcessing || (!!receiptReview.duplicateOf && !receiptReview.duplicateConfirmed)}
+                            className="flex-1 py-2 rounded-md font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                        >
+                            Commit {receiptReview.rows.filter(row => row.mapping !== ROW_ACTIONS.IGNORE).length} Row(s)
+                        </button>
+                        <button
+                            onClick={() => finishReceiptReview('discarded')}
+                            disabled={isProcessing}
+                            className="flex-1 py-2 rounded-md font-medium bg-gray-200 text-gray-700 hover:bg-red-100 hover:text-red-700"
+                        >
+                            Discard Receipt
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
 
     const InputSources = useMemo(() => {
         const vendorOptions = userConfig.vendorAllowlist || [];
+        const ingestionStatusStyles = {
+            [FILE_STATUSES.DONE]: 'text-green-700',
+            [FILE_STATUSES.PROCESSING]: 'text-indigo-600',
+            [FILE_STATUSES.EMPTY]: 'text-yellow-700',
+            [FILE_STATUSES.FAILED]: 'text-red-600',
+            [FILE_STATUSES.SKIPPED]: 'text-red-600',
+        };
+        // Preview how the entry will land in the item's canonical unit
+        const manualItem = manualInput.name.trim() ? findInventoryItem(manualInput.name, inventory) : undefined;
+        const manualItemUnitLabel = manualItem ? `${formatUnit(manualItem.unit, 2)} (item unit)` : 'Unit (auto)';
+        const manualPreview = manualItem && parseFloat(manualInput.quantity) > 0
+            ? toItemQuantity({ quantity: manualInput.quantity, unit: manualInput.unit, name: manualInput.name }, manualItem)
+            : null;
+        const manualConversion = manualPreview && (manualPreview.note || manualPreview.warning);
+        const manualDuplicates = findManualEntryDuplicates(manualInput, inventory, purchaseHistory);
         return (
             <div className="bg-white p-6 rounded-xl shadow-lg space-y-6">
                 <h2 className="text-xl font-semibold text-gray-700 border-b pb-3">Data Input Sources</h2>
@@ -938,22 +3160,47 @@ const App = () => {
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     {/* 1. Image Upload (Receipt OCR) */}
                     <div className="border border-indigo-200 p-4 rounded-lg bg-indigo-50 shadow-inner">
-                        <label htmlFor="receipt-upload" className="block text-sm font-bold text-indigo-700 mb-2 flex items-center"><Upload className="w-4 h-4 mr-2" /> 1. Upload Receipt</label>
-                        <p className="text-xs text-indigo-600 mb-3">Upload your receipt here.</p>
+                        <label htmlFor="receipt-upload" className="block text-sm font-bold text-indigo-700 mb-2 flex items-center"><Upload className="w-4 h-4 mr-2" /> 1. Upload Receipts</label>
+                        <p className="text-xs text-indigo-600 mb-3">Upload receipt photos or PDF e-receipts, several at a time. PDFs are read page by page.</p>
                         <input
                             type="file"
                             id="receipt-upload"
-                            accept="image/jpeg, image/png"
-                            onChange={handleImageUpload}
+                            accept={ACCEPTED_RECEIPT_TYPES.join(', ')}
+                            multiple
+                            onChange={handleReceiptUpload}
                             disabled={isProcessing}
                             className="hidden"
                         />
+                        <label className="flex items-center text-xs text-indigo-700 mb-2">
+                            <input type="checkbox" className="mr-2" checked={stitchUploads} onChange={(e) => setStitchUploads(e.target.checked)} />
+                            Selected files are parts of one long receipt (stitch in upload order)
+                        </label>
                         <label
                             htmlFor="receipt-upload"
                             className={`w-full py-2 flex items-center justify-center rounded-md font-medium transition duration-150 ${isProcessing ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 text-white hover:bg-indigo-700 cursor-pointer'}`}
                         >
-                            {isProcessing ? 'Waiting...' : 'Select Image'}
+                            {isProcessing ? 'Waiting...' : 'Select Files'}
                         </label>
+                        {ingestionReport.length > 0 && (
+                            <ul className="mt-3 space-y-1 text-xs">
+                                {ingestionReport.map((entry, index) => (
+                                    <li key={index} className="flex justify-between">
+                                        <span className="truncate mr-2">{entry.fileName}</span>
+                                        <span className={`whitespace-nowrap ${ingestionStatusStyles[entry.status] || 'text-gray-600'}`}>
+                                            {entry.status === FILE_STATUSES.PROCESSING && entry.pages > 1 ? `page ${Math.min(entry.pagesRead + 1, entry.pages)} of ${entry.pages}` : entry.status}
+                                            {(entry.status === FILE_STATUSES.DONE || entry.status === FILE_STATUSES.FAILED) && ` · ${entry.rows} row(s)${entry.pages > 1 ? ` from ${entry.pages} pages` : ''}`}
+                                            {entry.error && ` · ${entry.error}`}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {ocrAccuracy.rows > 0 && (
+                            <p className="text-xs text-indigo-600 mt-3">
+                                OCR accuracy: {Math.round(ocrAccuracy.accuracy * 100)}% of {ocrAccuracy.rows} rows from {ocrAccuracy.receipts} receipt(s) accepted unchanged
+                                ({ocrAccuracy.corrected} corrected, {ocrAccuracy.ignored} rejected).
+                            </p>
+                        )}
                     </div>
 
                     {/* 2. Manual Input */}
@@ -962,10 +3209,26 @@ const App = () => {
                         <p className="text-xs text-purple-600 mb-3">Quickly log one item purchase/restock without needing a receipt or image.</p>
 
                         <input type="text" placeholder="Item Name" value={manualInput.name} onChange={(e) => setManualInput({ ...manualInput, name: e.target.value })} className="w-full p-1.5 border rounded-md text-sm mb-1" />
+                        <div className="flex space-x-2 mb-1">
+                            <input type="number" placeholder="Qty" value={manualInput.quantity} onChange={(e) => setManualInput({ ...manualInput, quantity: e.target.value })} min="0" step="any" className="w-1/2 p-1.5 border rounded-md text-sm" />
+                            <select value={manualInput.unit} onChange={(e) => setManualInput({ ...manualInput, unit: e.target.value })} className="w-1/2 p-1.5 border rounded-md text-sm bg-white">
+                                <option value="">{manualItemUnitLabel}</option>
+                                {UNIT_OPTIONS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                        </div>
+                        {manualConversion && <p className="text-xs text-purple-700 mb-1">{manualConversion}</p>}
+                        {manualDuplicates.length > 0 && (
+                            <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-md p-2 mb-2">
+                                <p>Already logged: {describeDuplicates(manualDuplicates)}.</p>
+                                <label className="flex items-center mt-1">
+                                    <input type="checkbox" className="mr-1" checked={confirmManualDuplicate} onChange={(e) => setConfirmManualDuplicate(e.target.checked)} />
+                                    This is a separate purchase; log it again
+                                </label>
+                            </div>
+                        )}
                         <div className="flex space-x-2 mb-2">
-                            <input type="number" placeholder="Qty" value={manualInput.quantity} onChange={(e) => setManualInput({ ...manualInput, quantity: e.target.value })} min="1" className="w-1/3 p-1.5 border rounded-md text-sm" />
-                            <input type="number" placeholder="Cost" value={manualInput.cost} onChange={(e) => setManualInput({ ...manualInput, cost: e.target.value })} min="0" step="0.01" className="w-1/3 p-1.5 border rounded-md text-sm" />
-                            <select value={manualInput.vendor} onChange={(e) => setManualInput({ ...manualInput, vendor: e.target.value })} className="w-1/3 p-1.5 border rounded-md text-sm bg-white">
+                            <input type="number" placeholder="Total Cost" value={manualInput.cost} onChange={(e) => setManualInput({ ...manualInput, cost: e.target.value })} min="0" step="0.01" className="w-1/2 p-1.5 border rounded-md text-sm" />
+                            <select value={manualInput.vendor} onChange={(e) => setManualInput({ ...manualInput, vendor: e.target.value })} className="w-1/2 p-1.5 border rounded-md text-sm bg-white">
                                 {vendorOptions.map(v => <option key={v}>{v}</option>)}
                             </select>
                         </div>
@@ -980,7 +3243,7 @@ const App = () => {
                 </div>
 
                 <button
-                    onClick={runForecasting}
+                    onClick={() => runForecasting({ notify: true })}
                     disabled={isProcessing || inventory.length === 0} // Disable if processing or no inventory
                     className="w-full py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-150 font-medium mt-4"
                 >
@@ -991,7 +3254,7 @@ const App = () => {
                 {inventory.length === 0 && <p className="text-xs text-red-500 mt-2 text-center">Cannot run prediction: Inventory is empty. Add items first.</p>}
             </div>
         );
-    }, [isProcessing, manualInput, userConfig.vendorAllowlist, handleImageUpload, addItemManually, runForecasting, inventory.length]);
+    }, [isProcessing, manualInput, confirmManualDuplicate, userConfig.vendorAllowlist, handleReceiptUpload, stitchUploads, ingestionReport, addItemManually, runForecasting, inventory, purchaseHistory, ocrAccuracy]);
 
     const DashboardView = (
         <div className="space-y-8">
@@ -999,12 +3262,16 @@ const App = () => {
                 <div className="p-6 bg-white rounded-xl shadow-lg border-l-4 border-green-500">
                     <p className="text-sm font-medium text-gray-500">Monthly Spend Cap</p>
                     <p className="text-2xl font-bold text-gray-900">${userConfig.spendCapMonthly.toFixed(2)}</p>
+                    {currentPeriod.rolloverIn > 0 && (
+                        <p className="text-xs text-green-600 mt-1">+${currentPeriod.rolloverIn.toFixed(2)} rolled over (${currentPeriod.available.toFixed(2)} available)</p>
+                    )}
                 </div>
                 <div className="p-6 bg-white rounded-xl shadow-lg border-l-4 border-indigo-500">
                     <p className="text-sm font-medium text-gray-500">Current Spend</p>
-                    <p className={`text-2xl font-bold ${userConfig.currentMonthSpend > userConfig.spendCapMonthly * 0.8 ? 'text-red-600' : 'text-gray-900'}`}>
-                        ${userConfig.currentMonthSpend.toFixed(2)}
+                    <p className={`text-2xl font-bold ${currentPeriod.spend > currentPeriod.available * 0.8 ? 'text-red-600' : 'text-gray-900'}`}>
+                        ${currentPeriod.spend.toFixed(2)}
                     </p>
+                    <p className="text-xs text-gray-500 mt-1">Billing period {currentPeriod.start} to {currentPeriod.end}</p>
                 </div>
                 <div className="p-6 bg-white rounded-xl shadow-lg border-l-4 border-yellow-500">
                     <p className="text-sm font-medium text-gray-500">Cart Status</p>
@@ -1012,12 +3279,22 @@ const App = () => {
                 </div>
             </div>
 
+            {ReceiptReviewPanel}
+
             <div className="grid lg:grid-cols-2 gap-8">
                 {InputSources}
                 {CartReview}
             </div>
 
+            {pendingApprovals.length > 0 && ApprovalQueue}
+
+            {(orders.length > 0 || openOrders.length > 0) && OrdersPanel}
+
             {InventoryTable}
+
+            {forecastMode === FORECAST_MODES.COMPARE && ForecastComparison}
+
+            {ItemIdentityPanel}
         </div>
     );
 
@@ -1026,8 +3303,214 @@ const App = () => {
             <h2 className="text-2xl font-bold text-gray-800 border-b pb-3">Agent Configuration & Policy</h2>
             <p className="text-sm text-gray-500">Configure financial guardrails and vendor preferences for autonomous operation.</p>
 
+            {/* Account */}
+            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                <p className="font-semibold text-gray-800">Account</p>
+                {accountMerge ? (
+                    <div className="space-y-2">
+                        <p className="text-sm text-gray-700">This {SIGN_IN_METHOD_LABELS[accountMerge.method]} account already has its own data. Merge this device's inventory, history and prices into it, or switch to it and leave this device's data behind.</p>
+                        <div className="flex space-x-2">
+                            <button onClick={() => resolveAccountMerge(true)} disabled={isProcessing} className="flex-1 py-2 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">Merge and sign in</button>
+                            <button onClick={() => resolveAccountMerge(false)} disabled={isProcessing} className="flex-1 py-2 rounded-md text-sm font-medium bg-white border text-gray-700 hover:bg-gray-100">Sign in without merging</button>
+                            <button onClick={() => setAccountMerge(null)} disabled={isProcessing} className="px-3 py-2 rounded-md text-sm text-gray-600 hover:underline">Cancel</button>
+                        </div>
+                    </div>
+                ) : pendingEmailLink ? (
+                    <div className="space-y-2">
+                        <p className="text-sm text-gray-700">Finish signing in with the email address the link was sent to.</p>
+                        <div className="flex space-x-2">
+                            <input type="email" placeholder="you@example.com" value={accountEmail} onChange={(e) => setAccountEmail(e.target.value)} className="flex-1 rounded-md border-gray-300 p-2 border text-sm" />
+                            <button onClick={finishEmailLink} disabled={!accountEmail.trim()} className="px-4 py-2 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">Finish sign-in</button>
+                        </div>
+                    </div>
+                ) : account && !account.isAnonymous ? (
+                    <div className="space-y-2 text-sm">
+                        <p className="text-gray-700">Signed in as <span className="font-medium">{account.email || account.displayName || account.uid}</span>. Your data is kept with your account.</p>
+                        <p className="text-xs text-gray-500">To use another device, sign in there with the same account. If that device already has data, you can merge it in.</p>
+                        <button onClick={handleSignOut} className="text-sm text-red-600 hover:underline">Sign out</button>
+                    </div>
+                ) : (
+                    <div className="space-y-2">
+                        <p className="text-sm text-amber-700">You are using a guest session: clearing this browser's data loses your inventory and history. Sign in to keep it with an account.</p>
+                        <button onClick={handleGoogleSignIn} disabled={!account} className="w-full py-2 rounded-md text-sm font-medium bg-white border border-gray-300 text-gray-800 hover:bg-gray-100 disabled:text-gray-400">Continue with Google</button>
+                        <div className="flex space-x-2">
+                            <input type="email" placeholder="you@example.com" value={accountEmail} onChange={(e) => setAccountEmail(e.target.value)} className="flex-1 rounded-md border-gray-300 p-2 border text-sm" />
+                            <button onClick={handleSendEmailLink} disabled={!account || !accountEmail.trim()} className="px-4 py-2 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">Email me a link</button>
+                        </div>
+                        <p className="text-xs text-gray-500">Already signed in on another device? Sign in with the same account here and choose whether to merge this device's data.</p>
+                    </div>
+                )}
+            </div>
+
+            {/* Notifications */}
+            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                <div className="flex items-center justify-between">
+                    <p className="font-semibold text-gray-800">Notifications</p>
+                    <label className="flex items-center space-x-2 text-sm">
+                        <input type="checkbox" checked={notificationSettings.enabled} onChange={(e) => updateNotificationSettings({ enabled: e.target.checked })} />
+                        <span>On</span>
+                    </label>
+                </div>
+                <p className="text-xs text-gray-500">Alerts about low stock, run-outs and the spend cap are checked every 15 minutes, also while the app is closed. These settings are yours alone, even in a household.</p>
+                <fieldset disabled={!notificationSettings.enabled} className="space-y-3 disabled:opacity-50">
+                    <div className="flex items-center justify-between text-sm">
+                        <span className="text-gray-700">Push on this device: {pushEndpoint ? 'on' : 'off'} ({notificationSettings.pushSubscriptions.length} device(s) in total)</span>
+                        <button onClick={togglePushOnThisDevice} disabled={!isPushSupported()} className="text-sm text-indigo-600 hover:underline disabled:text-gray-400 disabled:no-underline">
+                            {!isPushSupported() ? 'Not available' : pushEndpoint ? 'Turn off' : 'Turn on'}
+                        </button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                        <p className="col-span-2 text-xs text-gray-500">
+                            {account?.email && account.emailVerified
+                                ? <>Digests go to {account.email}.</>
+                                : 'Digests are emailed to your account\'s verified address: sign in with Google or an email link to get them.'}
+                        </p>
+                        <select value={notificationSettings.digest.frequency} onChange={(e) => updateNotificationSettings({ digest: { ...notificationSettings.digest, frequency: e.target.value } })} className="p-2 border rounded-md bg-white">
+                            {Object.values(DIGEST_FREQUENCIES).map(frequency => <option key={frequency} value={frequency}>{DIGEST_FREQUENCY_LABELS[frequency]}</option>)}
+                        </select>
+                        <div className="flex space-x-2">
+                            {notificationSettings.digest.frequency === DIGEST_FREQUENCIES.WEEKLY && (
+                                <select value={notificationSettings.digest.weekday} onChange={(e) => updateNotificationSettings({ digest: { ...notificationSettings.digest, weekday: parseInt(e.target.value, 10) } })} className="flex-1 p-2 border rounded-md bg-white">
+                                    {WEEKDAY_LABELS.map((label, day) => <option key={day} value={day}>{label}</option>)}
+                                </select>
+                            )}
+                            <select value={notificationSettings.digest.hour} onChange={(e) => updateNotificationSettings({ digest: { ...notificationSettings.digest, hour: parseInt(e.target.value, 10) } })} disabled={notificationSettings.digest.frequency === DIGEST_FREQUENCIES.OFF} className="flex-1 p-2 border rounded-md bg-white">
+                                {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>at {String(hour).padStart(2, '0')}:00</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="flex items-center space-x-2 text-sm">
+                        <label className="flex items-center space-x-2">
+                            <input type="checkbox" checked={notificationSettings.quietHours.enabled} onChange={(e) => updateNotificationSettings({ quietHours: { ...notificationSettings.quietHours, enabled: e.target.checked } })} />
+                            <span>Quiet hours from</span>
+                        </label>
+                        <input type="time" value={notificationSettings.quietHours.start} onChange={(e) => updateNotificationSettings({ quietHours: { ...notificationSettings.quietHours, start: e.target.value } })} className="p-1 border rounded-md" />
+                        <span>to</span>
+                        <input type="time" value={notificationSettings.quietHours.end} onChange={(e) => updateNotificationSettings({ quietHours: { ...notificationSettings.quietHours, end: e.target.value } })} className="p-1 border rounded-md" />
+                    </div>
+                    <p className="text-xs text-gray-500">Pushes during quiet hours are held and arrive together when they end. Times are in {getLocalTimeZone()}.</p>
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-xs text-gray-500">
+                                <th className="font-medium py-1">Notify me when</th>
+                                <th className="font-medium py-1 text-center">Push</th>
+                                <th className="font-medium py-1 text-center">Digest</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.values(NOTIFICATION_RULES).map(rule => (
+                                <tr key={rule}>
+                                    <td className="py-1 text-gray-700">{NOTIFICATION_RULE_LABELS[rule]}</td>
+                                    <td className="py-1 text-center"><input type="checkbox" checked={notificationSettings.rules[rule].push} onChange={(e) => updateNotificationRule(rule, 'push', e.target.checked)} /></td>
+                                    <td className="py-1 text-center"><input type="checkbox" checked={notificationSettings.rules[rule].email} onChange={(e) => updateNotificationRule(rule, 'email', e.target.checked)} /></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                        <label className="flex items-center space-x-2">
+                            <span className="text-gray-700">Run-out warning (days)</span>
+                            <input type="number" min="0" value={notificationSettings.runOutDays} onChange={(e) => updateNotificationSettings({ runOutDays: e.target.value })} className="w-16 p-1 border rounded-md" />
+                        </label>
+                        <label className="flex items-center space-x-2">
+                            <span className="text-gray-700">Spend alert at (%)</span>
+                            <input type="number" min="10" max="100" step="5" value={Math.round(notificationSettings.spendCapThreshold * 100)} onChange={(e) => updateNotificationSettings({ spendCapThreshold: (parseFloat(e.target.value) || 0) / 100 })} className="w-16 p-1 border rounded-md" />
+                        </label>
+                    </div>
+                    <button onClick={sendTestNotification} className="text-sm text-indigo-600 hover:underline">Send a test notification</button>
+                </fieldset>
+            </div>
+
+            {/* Household */}
+            <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200 space-y-3">
+                <p className="font-semibold text-indigo-800">Household</p>
+                {householdId ? (
+                    <>
+                        <p className="text-sm text-gray-700">
+                            <span className="font-medium">{household?.name || 'Loading...'}</span>
+                            {householdRole && <> · You are {currentMember?.displayName} ({HOUSEHOLD_ROLE_LABELS[householdRole]})</>}
+                        </p>
+                        {canManageMembers && household && (
+                            <div className="flex items-center space-x-2 text-sm">
+                                <span className="text-gray-600">Invite code:</span>
+                                <span className="font-mono bg-white border rounded px-2 py-0.5 tracking-widest">{household.inviteCode}</span>
+                                <button onClick={handleRegenerateInviteCode} className="text-xs text-indigo-600 hover:underline">New code</button>
+                            </div>
+                        )}
+                        <ul className="divide-y border rounded-md bg-white text-sm">
+                            {householdMembers.map(member => (
+                                <li key={member.uid} className="flex items-center justify-between px-3 py-2">
+                                    <span>{member.displayName}{member.uid === userId && ' (you)'}</span>
+                                    {canManageMembers ? (
+                                        <span className="flex items-center space-x-2">
+                                            <select
+                                                value={member.role}
+                                                onChange={(e) => handleSetMemberRole(member, e.target.value)}
+                                                className="p-1 border rounded-md bg-white text-xs"
+                                            >
+                                                {Object.values(HOUSEHOLD_ROLES).map(role => <option key={role} value={role}>{HOUSEHOLD_ROLE_LABELS[role]}</option>)}
+                                            </select>
+                                            {member.uid !== userId && (
+                                                <button onClick={() => handleRemoveMember(member)} className="text-xs text-red-600 hover:underline">Remove</button>
+                                            )}
+                                        </span>
+                                    ) : (
+                                        <span className="text-xs text-gray-500">{HOUSEHOLD_ROLE_LABELS[member.role]}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                        <button onClick={handleLeaveHousehold} className="text-sm text-red-600 hover:underline">Leave household</button>
+                        {!canManageSpending && <p className="text-xs text-gray-500">Only owners can change the spend cap, vendor allowlist and approval policy, or approve orders.</p>}
+                    </>
+                ) : (
+                    <>
+                        <p className="text-xs text-gray-500">Share inventory, history and orders with others. Creating a household copies your current data into it; joining one shows its data instead of yours.</p>
+                        <input
+                            type="text"
+                            placeholder="Your name in the household"
+                            value={householdInput.displayName}
+                            onChange={(e) => setHouseholdInput({ ...householdInput, displayName: e.target.value })}
+                            className="block w-full rounded-md border-gray-300 p-2 border text-sm"
+                        />
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                placeholder="Household name"
+                                value={householdInput.name}
+                                onChange={(e) => setHouseholdInput({ ...householdInput, name: e.target.value })}
+                                className="flex-1 rounded-md border-gray-300 p-2 border text-sm"
+                            />
+                            <button
+                                onClick={handleCreateHousehold}
+                                disabled={isProcessing || !householdInput.name.trim() || !householdInput.displayName.trim()}
+                                className="px-4 py-2 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                            >
+                                Create
+                            </button>
+                        </div>
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                placeholder="Invite code"
+                                value={householdInput.inviteCode}
+                                onChange={(e) => setHouseholdInput({ ...householdInput, inviteCode: e.target.value })}
+                                className="flex-1 rounded-md border-gray-300 p-2 border text-sm font-mono uppercase"
+                            />
+                            <button
+                                onClick={handleJoinHousehold}
+                                disabled={isProcessing || !householdInput.inviteCode.trim() || !householdInput.displayName.trim()}
+                                className="px-4 py-2 rounded-md text-sm font-medium bg-white border border-indigo-600 text-indigo-700 hover:bg-indigo-50 disabled:text-gray-400 disabled:border-gray-300"
+                            >
+                                Join
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
             {/* Spend Cap */}
-            <div>
+            <fieldset disabled={!canManageSpending}>
                 <label htmlFor="spendCap" className="block text-sm font-medium text-gray-700">Monthly Spend Cap ($)</label>
                 <input
                     type="number"
@@ -1037,14 +3520,85 @@ const App = () => {
                     className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border"
                     min="0"
                 />
-                <p className="mt-1 text-xs text-gray-500">Current Spend: ${userConfig.currentMonthSpend.toFixed(2)}</p>
+                <p className="mt-1 text-xs text-gray-500">Current Spend: ${currentPeriod.spend.toFixed(2)} of ${currentPeriod.available.toFixed(2)} available this period</p>
+            </fieldset>
+
+            {/* Billing Period & Spend Ledger */}
+            <div>
+                <fieldset disabled={!canManageSpending}>
+                    <label className="block text-sm font-medium text-gray-700">Billing Period</label>
+                    <div className="mt-1 grid grid-cols-2 gap-3">
+                        <div>
+                            <label htmlFor="periodStartDay" className="block text-xs text-gray-500">Period starts on day</label>
+                            <input
+                                type="number"
+                                id="periodStartDay"
+                                value={billingPeriod.startDay}
+                                onChange={(e) => updateConfig({ ...userConfig, billingPeriod: { ...billingPeriod, startDay: parseInt(e.target.value, 10) || 1 } })}
+                                className="mt-1 block w-full rounded-md border-gray-300 p-2 border text-sm"
+                                min="1"
+                                max="31"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="periodTimeZone" className="block text-xs text-gray-500">Timezone</label>
+                            <input
+                                type="text"
+                                id="periodTimeZone"
+                                list="timezone-options"
+                                defaultValue={billingPeriod.timeZone}
+                                onBlur={(e) => updateConfig({ ...userConfig, billingPeriod: { ...billingPeriod, timeZone: e.target.value.trim() } })}
+                                className="mt-1 block w-full rounded-md border-gray-300 p-2 border text-sm"
+                            />
+                            <datalist id="timezone-options">
+                                {[getLocalTimeZone(), 'UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'Europe/London', 'Europe/Berlin', 'Asia/Tokyo', 'Australia/Sydney'].map(tz => <option key={tz} value={tz} />)}
+                            </datalist>
+                        </div>
+                    </div>
+                    <div className="flex items-center mt-2">
+                        <input
+                            id="rollover"
+                            type="checkbox"
+                            checked={billingPeriod.rollover}
+                            onChange={() => updateConfig({ ...userConfig, billingPeriod: { ...billingPeriod, rollover: !billingPeriod.rollover } })}
+                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                        />
+                        <label htmlFor="rollover" className="ml-3 text-sm text-gray-700">Roll unused budget over into the next period</label>
+                    </div>
+                </fieldset>
+
+                <div className="mt-3 border rounded-lg overflow-hidden">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Spend</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rollover</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Remaining</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {[...spendLedger].reverse().map(period => (
+                                <tr key={period.key} className={period.isCurrent ? 'bg-indigo-50' : ''}>
+                                    <td className="px-3 py-2 text-gray-700">
+                                        {period.label}
+                                        <span className="block text-xs text-gray-400">{period.start} to {period.end} · {period.purchases} purchase(s)</span>
+                                    </td>
+                                    <td className="px-3 py-2 text-right text-gray-700">${period.spend.toFixed(2)}</td>
+                                    <td className="px-3 py-2 text-right text-gray-500">${period.rolloverIn.toFixed(2)}</td>
+                                    <td className={`px-3 py-2 text-right font-medium ${period.remaining < 0 ? 'text-red-600' : 'text-green-700'}`}>${period.remaining.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
             </div>
 
             {/* Vendor Allowlist */}
-            <div>
+            <fieldset disabled={!canManageSpending}>
                 <label className="block text-sm font-medium text-gray-700">Vendor Allowlist</label>
                 <div className="mt-1 space-y-2">
-                    {['Amazon', 'Walmart', 'Local Grocer'].map(vendor => (
+                    {SUPPORTED_VENDORS.map(vendor => (
                         <div key={vendor} className="flex items-center">
                             <input
                                 id={`vendor-${vendor}`}
@@ -1061,47 +3615,777 @@ const App = () => {
                                 }}
                                 className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
                             />
-                            <label htmlFor={`vendor-${vendor}`} className="ml-3 text-sm text-gray-700">{vendor} (Simulated Sandbox)</label>
+                            <label htmlFor={`vendor-${vendor}`} className="ml-3 text-sm text-gray-700">{vendor} (Sandbox Vendor API)</label>
                         </div>
                     ))}
                 </div>
+            </fieldset>
+
+            {/* Forecast Engine */}
+            <div>
+                <label htmlFor="forecastMode" className="block text-sm font-medium text-gray-700">Forecast Engine</label>
+                <select
+                    id="forecastMode"
+                    value={forecastMode}
+                    onChange={(e) => updateConfig({ ...userConfig, forecastMode: e.target.value })}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 border bg-white text-sm"
+                >
+                    {Object.values(FORECAST_MODES).map(mode => <option key={mode} value={mode}>{FORECAST_MODE_LABELS[mode]}</option>)}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">The local baseline estimates consumption from purchase intervals and daily use. It fills in run-out dates whenever the AI is unavailable.</p>
             </div>
 
-            {/* Autonomous Mode Status */}
-            <div className="p-4 bg-green-50 rounded-lg border border-green-200 flex items-center space-x-3">
-                <Zap className="w-6 h-6 text-green-600" />
-                <div>
+            {/* Purchase Approval Policy */}
+            <fieldset disabled={!canManageSpending} className="p-4 bg-green-50 rounded-lg border border-green-200 space-y-3">
+                <div className="flex items-center space-x-3">
+                    {approvalPolicy.mode === APPROVAL_MODES.AUTONOMOUS ? <Zap className="w-6 h-6 text-green-600" /> : <ShieldCheck className="w-6 h-6 text-green-600" />}
                     <p className="font-semibold text-green-800">Purchase Approval Mode</p>
-                    <p className="text-sm text-green-700">Fully Autonomous: The agent executes purchases immediately after prediction, only constrained by the Monthly Spend Cap.</p>
+                </div>
+                <select
+                    value={approvalPolicy.mode}
+                    onChange={(e) => updateConfig({ ...userConfig, approvalPolicy: { ...approvalPolicy, mode: e.target.value } })}
+                    className="block w-full rounded-md border-gray-300 shadow-sm p-2 border bg-white text-sm"
+                >
+                    {Object.values(APPROVAL_MODES).map(mode => <option key={mode} value={mode}>{APPROVAL_MODE_LABELS[mode]}</option>)}
+                </select>
+
+                {approvalPolicy.mode === APPROVAL_MODES.AUTONOMOUS && (
+                    <p className="text-sm text-green-700">The agent executes purchases immediately after prediction, only constrained by the Monthly Spend Cap.</p>
+                )}
+                {approvalPolicy.mode === APPROVAL_MODES.ALWAYS && (
+                    <p className="text-sm text-green-700">Every cart the agent builds waits in the approval queue until it is approved or rejected.</p>
+                )}
+                {approvalPolicy.mode === APPROVAL_MODES.THRESHOLD && (
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label htmlFor="orderThreshold" className="block text-xs font-medium text-gray-700">Approve orders above ($)</label>
+                            <input
+                                type="number"
+                                id="orderThreshold"
+                                value={approvalPolicy.orderThreshold}
+                                onChange={(e) => updateConfig({ ...userConfig, approvalPolicy: { ...approvalPolicy, orderThreshold: parseFloat(e.target.value) || 0 } })}
+                                className="mt-1 block w-full rounded-md border-gray-300 p-2 border text-sm"
+                                min="0"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="itemThreshold" className="block text-xs font-medium text-gray-700">Approve any item above ($)</label>
+                            <input
+                                type="number"
+                                id="itemThreshold"
+                                value={approvalPolicy.itemThreshold}
+                                onChange={(e) => updateConfig({ ...userConfig, approvalPolicy: { ...approvalPolicy, itemThreshold: parseFloat(e.target.value) || 0 } })}
+                                className="mt-1 block w-full rounded-md border-gray-300 p-2 border text-sm"
+                                min="0"
+                            />
+                        </div>
+                    </div>
+                )}
+                {approvalPolicy.mode === APPROVAL_MODES.ITEMS && (
+                    <div>
+                        <p className="text-xs font-medium text-gray-700 mb-1">Orders containing these items need approval:</p>
+                        <div className="space-y-1">
+                            {inventory.filter(item => item && item.name).map(item => (
+                                <div key={item.id} className="flex items-center">
+                                    <input
+                                        id={`approval-${item.id}`}
+                                        type="checkbox"
+                                        checked={approvalPolicy.approvalItems.includes(item.name)}
+                                        onChange={() => {
+                                            let list = approvalPolicy.approvalItems;
+                                            if (list.includes(item.name)) {
+                                                list = list.filter(name => name !== item.name);
+                                            } else {
+                                                list = [...list, item.name];
+                                            }
+                                            updateConfig({ ...userConfig, approvalPolicy: { ...approvalPolicy, approvalItems: list } });
+                                        }}
+                                        className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                    />
+                                    <label htmlFor={`approval-${item.id}`} className="ml-3 text-sm text-gray-700">{item.name}</label>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {approvalPolicy.mode !== APPROVAL_MODES.AUTONOMOUS && (
+                    <div>
+                        <label htmlFor="expiryHours" className="block text-xs font-medium text-gray-700">Unapproved carts expire after (hours)</label>
+                        <input
+                            type="number"
+                            id="expiryHours"
+                            value={approvalPolicy.expiryHours}
+                            onChange={(e) => updateConfig({ ...userConfig, approvalPolicy: { ...approvalPolicy, expiryHours: parseFloat(e.target.value) || 0 } })}
+                            className="mt-1 block w-full rounded-md border-gray-300 p-2 border text-sm"
+                            min="1"
+                        />
+                    </div>
+                )}
+            </fieldset>
+
+            {/* Scheduled Runs */}
+            <fieldset disabled={!canManageSpending} className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-3">
+                <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                        <Clock className="w-6 h-6 text-blue-600" />
+                        <p className="font-semibold text-blue-800">Scheduled Runs</p>
+                    </div>
+                    <label className="flex items-center space-x-2 text-sm">
+                        <input type="checkbox" checked={agentSchedule.enabled} onChange={(e) => updateAgentSchedule({ enabled: e.target.checked })} />
+                        <span>On</span>
+                    </label>
+                </div>
+                <p className="text-xs text-gray-500">The agent runs on the server on this schedule, also while the app is closed: it forecasts, builds a cart within the spend cap and allowlist, and checks out as the approval policy allows. Times are in {getLocalTimeZone()}.</p>
+                <div className="flex space-x-2 text-sm">
+                    <select value={agentSchedule.frequency} onChange={(e) => updateAgentSchedule({ frequency: e.target.value })} className="flex-1 p-2 border rounded-md bg-white">
+                        {Object.values(SCHEDULE_FREQUENCIES).map(frequency => <option key={frequency} value={frequency}>{SCHEDULE_FREQUENCY_LABELS[frequency]}</option>)}
+                    </select>
+                    {agentSchedule.frequency === SCHEDULE_FREQUENCIES.WEEKLY && (
+                        <select value={agentSchedule.weekday} onChange={(e) => updateAgentSchedule({ weekday: parseInt(e.target.value, 10) })} className="flex-1 p-2 border rounded-md bg-white">
+                            {WEEKDAY_LABELS.map((label, day) => <option key={day} value={day}>{label}</option>)}
+                        </select>
+                    )}
+                    {agentSchedule.frequency !== SCHEDULE_FREQUENCIES.HOURLY && (
+                        <select value={agentSchedule.hour} onChange={(e) => updateAgentSchedule({ hour: parseInt(e.target.value, 10) })} className="flex-1 p-2 border rounded-md bg-white">
+                            {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>at {String(hour).padStart(2, '0')}:00</option>)}
+                        </select>
+                    )}
+                </div>
+                <label className="flex items-center space-x-2 text-sm">
+                    <input type="checkbox" checked={agentSchedule.placeOrders} onChange={(e) => updateAgentSchedule({ placeOrders: e.target.checked })} />
+                    <span>Place orders the approval policy allows (otherwise every cart waits for approval)</span>
+                </label>
+                <button onClick={runAgentNow} disabled={isProcessing || isOffline} className="w-full py-2 rounded-md text-sm font-medium bg-white border border-blue-600 text-blue-700 hover:bg-blue-100 disabled:text-gray-400 disabled:border-gray-300">
+                    Run on the server now
+                </button>
+                {agentRuns.length > 0 && (
+                    <ul className="divide-y border rounded-md bg-white text-xs">
+                        {agentRuns.map(run => (
+                            <li key={run.id} className="px-3 py-2 flex justify-between space-x-2">
+                                <span className="text-gray-500 whitespace-nowrap">{new Date(run.startedAt).toLocaleString()} · {run.trigger === RUN_TRIGGERS.MANUAL ? 'Manual' : 'Scheduled'}</span>
+                                <span className={run.status === RUN_STATUSES.FAILED ? 'text-red-600' : 'text-gray-700'} title={RUN_STATUS_LABELS[run.status]}>{describeRun(run)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </fieldset>
+        </div>
+    );
+
+    const PriceCatalogView = (
+        <div className="bg-white p-6 rounded-xl shadow-xl space-y-4">
+            <div className="flex items-center justify-between">
+                <h2 className="text-2xl font-bold text-gray-800">Price Catalog</h2>
+                <div className="flex items-center space-x-2 text-sm">
+                    <label htmlFor="priceStrategy" className="text-gray-600">Price carts using</label>
+                    <select
+                        id="priceStrategy"
+                        value={userConfig.priceStrategy || PRICE_STRATEGIES.LAST}
+                        onChange={(e) => updateConfig({ ...userConfig, priceStrategy: e.target.value })}
+                        className="p-1.5 border rounded-md bg-white"
+                    >
+                        {Object.values(PRICE_STRATEGIES).map(strategy => <option key={strategy} value={strategy}>{PRICE_STRATEGY_LABELS[strategy]}</option>)}
+                    </select>
+                </div>
+            </div>
+            <p className="text-sm text-gray-500">Unit prices per item and vendor, learned from purchase history and receipts. Items without a price here show as "Price unknown" in the cart.</p>
+
+            <div className="flex space-x-2">
+                <input type="text" placeholder="Item Name" value={catalogInput.name} onChange={(e) => setCatalogInput({ ...catalogInput, name: e.target.value })} className="flex-1 p-1.5 border rounded-md text-sm" />
+                <select value={catalogInput.vendor} onChange={(e) => setCatalogInput({ ...catalogInput, vendor: e.target.value })} className="p-1.5 border rounded-md text-sm bg-white">
+                    {SUPPORTED_VENDORS.map(v => <option key={v}>{v}</option>)}
+                </select>
+                <input type="number" placeholder="Unit Price" value={catalogInput.price} onChange={(e) => setCatalogInput({ ...catalogInput, price: e.target.value })} min="0" step="0.01" className="w-28 p-1.5 border rounded-md text-sm" />
+                <button
+                    onClick={() => {
+                        updateCatalogPrice(catalogInput.name, catalogInput.vendor, parseFloat(catalogInput.price));
+                        setCatalogInput({ ...catalogInput, name: '', price: '' });
+                    }}
+                    disabled={!catalogInput.name || !(parseFloat(catalogInput.price) > 0)}
+                    className="px-4 py-1.5 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                >
+                    Add Price
+                </button>
+            </div>
+
+            <div className="overflow-x-auto border rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Price</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Average</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+                            <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Delete</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {[...priceCatalog].sort((a, b) => (a.item || '').localeCompare(b.item || '')).map(entry => (
+                            <tr key={entry.id} className="hover:bg-gray-50">
+                                <td className="px-6 py-3 text-sm font-medium text-gray-900">{entry.item}</td>
+                                <td className="px-6 py-3 text-sm text-gray-500">{entry.vendor}</td>
+                                <td className="px-6 py-3 text-sm text-gray-500">
+                                    <input
+                                        key={`${entry.id}-${entry.lastPrice}`}
+                                        type="number"
+                                        defaultValue={entry.lastPrice}
+                                        onBlur={(e) => {
+                                            const price = parseFloat(e.target.value);
+                                            if (price > 0 && price !== entry.lastPrice) updateCatalogPrice(entry.item, entry.vendor, price);
+                                        }}
+                                        min="0"
+                                        step="0.01"
+                                        className="w-24 p-1 border rounded-md text-sm"
+                                    />
+                                </td>
+                                <td className="px-6 py-3 text-sm text-gray-500">${(entry.averagePrice || 0).toFixed(2)} <span className="text-xs text-gray-400">({entry.observations?.length || 0} obs.)</span></td>
+                                <td className="px-6 py-3 text-xs text-gray-500">{entry.lastSeen ? new Date(entry.lastSeen).toLocaleDateString() : '-'}</td>
+                                <td className="px-6 py-3 text-center">
+                                    <button onClick={() => deleteCatalogEntry(entry)} className="text-red-500 hover:text-red-700 p-2 rounded-full hover:bg-red-100">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+
+    const receiptStatusStyles = {
+        [RECEIPT_STATUSES.PENDING_REVIEW]: 'bg-yellow-100 text-yellow-800',
+        [RECEIPT_STATUSES.COMMITTED]: 'bg-green-100 text-green-800',
+        [RECEIPT_STATUSES.DISCARDED]: 'bg-gray-200 text-gray-700',
+    };
+    const selectedReceipt = openReceipt ? receipts.find(receipt => receipt.id === openReceipt.id) : null;
+    const selectedReceiptReviews = selectedReceipt ? ocrReviews.filter(review => review.receiptId === selectedReceipt.id) : [];
+
+    const ReceiptsView = (
+        <div className="bg-white p-6 rounded-xl shadow-xl space-y-4">
+            <h2 className="text-2xl font-bold text-gray-800">Receipts</h2>
+            <p className="text-sm text-gray-500">Every uploaded receipt is archived with its files. Open one to see what was extracted, the purchase history it created and the inventory changes it made, or re-run extraction on the stored files.</p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                <div className="border rounded-lg divide-y max-h-[70vh] overflow-y-auto">
+                    {receipts.length === 0 && <p className="p-4 text-sm text-gray-500 italic">No receipts archived yet. Upload one from the dashboard.</p>}
+                    {receipts.map(receipt => (
+                        <button
+                            key={receipt.id}
+                            onClick={() => openArchivedReceipt(receipt)}
+                            className={`w-full text-left p-3 hover:bg-indigo-50 ${openReceipt?.id === receipt.id ? 'bg-indigo-50' : ''}`}
+                        >
+                            <div className="flex items-center justify-between">
+                                <span className="text-sm font-medium text-gray-900 truncate">{receipt.fileName}</span>
+                                <span className={`ml-2 px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${receiptStatusStyles[receipt.status] || 'bg-gray-100 text-gray-700'}`}>{RECEIPT_STATUS_LABELS[receipt.status] || receipt.status}</span>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1">
+                                {receipt.fingerprint?.vendor || 'Unknown vendor'} · {receipt.fingerprint?.total ? `$${receipt.fingerprint.total.toFixed(2)}` : 'no total'} · uploaded {new Date(receipt.uploadedAt).toLocaleDateString()}
+                            </p>
+                        </button>
+                    ))}
+                </div>
+
+                <div className="lg:col-span-2 border rounded-lg p-4 space-y-4">
+                    {!selectedReceipt && <p className="text-sm text-gray-500 italic">Select a receipt to view it.</p>}
+                    {selectedReceipt && (
+                        <>
+                            <div className="flex items-start justify-between">
+                                <div>
+                                    <h3 className="text-lg font-semibold text-gray-800">{selectedReceipt.fileName}</h3>
+                                    <p className="text-xs text-gray-500">
+                                        {RECEIPT_STATUS_LABELS[selectedReceipt.status] || selectedReceipt.status}
+                                        {selectedReceipt.reviewedAt ? ` ${new Date(selectedReceipt.reviewedAt).toLocaleString()}` : ''}
+                                        {' · '}extracted {selectedReceipt.extractions || 1} time(s), last {new Date(selectedReceipt.lastExtractedAt || selectedReceipt.uploadedAt).toLocaleString()}
+                                    </p>
+                                    {selectedReceipt.fingerprint && (
+                                        <p className="text-xs text-gray-500">
+                                            Vendor: {selectedReceipt.fingerprint.vendor || '-'} · Date: {selectedReceipt.fingerprint.date || '-'} · Total: ${(selectedReceipt.fingerprint.total || 0).toFixed(2)}
+                                        </p>
+                                    )}
+                                </div>
+                                <button
+                                    onClick={() => rerunReceiptExtraction(selectedReceipt)}
+                                    disabled={isProcessing || !storage}
+                                    className="flex items-center px-3 py-1.5 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                                >
+                                    <RefreshCw className="w-4 h-4 mr-1" /> Re-run Extraction
+                                </button>
+                            </div>
+
+                            {openReceipt.isLoading && <p className="text-sm text-gray-500">Loading receipt...</p>}
+                            {openReceipt.error && <p className="text-sm text-red-600">Could not load receipt: {openReceipt.error}</p>}
+
+                            {openReceipt.fileUrls.length > 0 && (
+                                <div className="flex space-x-2 overflow-x-auto">
+                                    {openReceipt.fileUrls.map((url, index) => (
+                                        (selectedReceipt.files[index]?.type === 'application/pdf')
+                                            ? <iframe key={url} src={url} title={selectedReceipt.files[index].name} className="w-72 h-96 border rounded" />
+                                            : <a key={url} href={url} target="_blank" rel="noreferrer"><img src={url} alt={selectedReceipt.files[index]?.name} className="h-96 border rounded object-contain" /></a>
+                                    ))}
+                                </div>
+                            )}
+
+                            {selectedReceiptReviews.map(review => (
+                                <div key={review.id}>
+                                    <h4 className="text-sm font-semibold text-gray-700 mb-1">
+                                        Extracted rows ({review.outcome}, reviewed {new Date(review.reviewedAt).toLocaleString()})
+                                    </h4>
+                                    <table className="min-w-full text-xs border">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-2 py-1 text-left">Read</th>
+                                                <th className="px-2 py-1 text-left">Logged as</th>
+                                                <th className="px-2 py-1 text-left">Action</th>
+                                                <th className="px-2 py-1 text-left">Corrected</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {(review.rows || []).map((row, index) => (
+                                                <tr key={index} className="border-t">
+                                                    <td className="px-2 py-1">{row.original.name} × {row.original.quantity} @ ${(row.original.cost || 0).toFixed(2)}</td>
+                                                    <td className="px-2 py-1">{row.action === 'ignored' ? '-' : `${row.final.name} × ${row.final.quantity} @ $${(row.final.cost || 0).toFixed(2)}`}</td>
+                                                    <td className="px-2 py-1">{row.action}</td>
+                                                    <td className="px-2 py-1">{row.correctedFields?.join(', ') || '-'}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ))}
+
+                            <div>
+                                <h4 className="text-sm font-semibold text-gray-700 mb-1">Purchase History Entries</h4>
+                                {openReceipt.history.length === 0
+                                    ? <p className="text-xs text-gray-500 italic">{openReceipt.isLoading ? '...' : 'None. This receipt has not been committed.'}</p>
+                                    : (
+                                        <ul className="text-xs text-gray-600 space-y-1">
+                                            {openReceipt.history.map(entry => (
+                                                <li key={entry.id}>{entry.item}: {formatQuantity(entry.quantity, entry.unit)} from {entry.vendor}, ${(entry.cost || 0).toFixed(2)} ({new Date(entry.date).toLocaleString()})</li>
+                                            ))}
+                                        </ul>
+                                    )}
+                            </div>
+
+                            {(selectedReceipt.inventoryChanges || []).length > 0 && (
+                                <div>
+                                    <h4 className="text-sm font-semibold text-gray-700 mb-1">Inventory Changes</h4>
+                                    <ul className="text-xs text-gray-600 space-y-1">
+                                        {selectedReceipt.inventoryChanges.map((change, index) => (
+                                            <li key={index}>{change.created ? 'Added new item' : 'Restocked'} {change.name}: +{formatQuantity(change.quantity, change.unit)}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+
+    // One breakdown as rows with spend bars; clicking a row shows its history entries
+    const renderBreakdown = (dimension, title, limit = 8) => {
+        const rows = spendAnalytics.breakdowns[dimension].slice(0, limit);
+        const maxSpend = Math.max(...rows.map(row => row.spend), 0);
+        return (
+            <div className="p-4 border rounded-lg">
+                <p className="font-semibold text-gray-800 mb-2">{title}</p>
+                {rows.length === 0 ? <p className="text-sm text-gray-500 italic">No purchases in this range.</p> : (
+                    <div className="space-y-1">
+                        {rows.map(row => (
+                            <button
+                                key={row.key}
+                                onClick={() => setAnalyticsDrill({ dimension, key: row.key, label: `${title}: ${row.label}` })}
+                                className={`w-full text-left text-sm rounded px-1 hover:bg-indigo-50 ${analyticsDrill?.dimension === dimension && analyticsDrill.key === row.key ? 'bg-indigo-50' : ''}`}
+                            >
+                                <div className="flex justify-between">
+                                    <span className="text-gray-700 truncate mr-2">{row.label}</span>
+                                    <span className="text-gray-900 font-medium whitespace-nowrap">${row.spend.toFixed(2)} <span className="text-xs text-gray-500">({Math.round(row.share * 100)}%, {row.purchases})</span></span>
+                                </div>
+                                <div className="h-1.5 bg-gray-100 rounded">
+                                    <div className="h-1.5 bg-indigo-400 rounded" style={{ width: `${maxSpend > 0 ? (row.spend / maxSpend) * 100 : 0}%` }} />
+                                </div>
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const AnalyticsView = (
+        <div className="bg-white p-6 rounded-xl shadow-xl space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-gray-800">Spending Analytics</h2>
+                <p className="text-sm text-gray-500">Where the money goes, from purchase history. Dates are days in the billing period's timezone ({billingPeriod.timeZone}). Click any row to see the purchases behind it.</p>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-2 text-sm">
+                <label className="flex flex-col text-xs text-gray-600">
+                    From
+                    <input type="date" value={analyticsRange.from} onChange={(e) => setAnalyticsRange({ ...analyticsRange, from: e.target.value })} className="mt-1 p-1.5 border rounded-md text-sm" />
+                </label>
+                <label className="flex flex-col text-xs text-gray-600">
+                    To
+                    <input type="date" value={analyticsRange.to} onChange={(e) => setAnalyticsRange({ ...analyticsRange, to: e.target.value })} className="mt-1 p-1.5 border rounded-md text-sm" />
+                </label>
+                <button onClick={() => loadAnalytics()} disabled={isAnalyticsLoading} className="px-3 py-1.5 rounded-md font-medium bg-indigo-50 text-indigo-700 border border-indigo-200 hover:bg-indigo-100">Apply</button>
+                {Object.values(RANGE_PRESETS).map(preset => (
+                    <button key={preset} onClick={() => applyAnalyticsPreset(preset)} disabled={isAnalyticsLoading} className="px-3 py-1.5 rounded-md text-gray-600 hover:underline">
+                        {RANGE_PRESET_LABELS[preset]}
+                    </button>
+                ))}
+                {isAnalyticsLoading && <RefreshCw className="w-4 h-4 animate-spin text-indigo-600" />}
+            </div>
+            {analyticsHistory?.partial && (
+                <p className="text-xs text-yellow-700">Offline: only the latest {purchaseHistory.length} purchases are available, so older spending is missing.</p>
+            )}
+
+            <div className="grid md:grid-cols-3 gap-4">
+                <div className="p-4 rounded-lg border-l-4 border-indigo-500 bg-gray-50">
+                    <p className="text-sm font-medium text-gray-500">Spend in range</p>
+                    <p className="text-2xl font-bold text-gray-900">${spendAnalytics.total.toFixed(2)}</p>
+                    <p className="text-xs text-gray-500">{spendAnalytics.purchases} purchase(s)</p>
+                </div>
+                <div className={`p-4 rounded-lg border-l-4 bg-gray-50 ${periodProjection.overBy > 0 ? 'border-red-500' : 'border-green-500'}`}>
+                    <p className="text-sm font-medium text-gray-500">Projected spend this billing period</p>
+                    <p className={`text-2xl font-bold ${periodProjection.overBy > 0 ? 'text-red-600' : 'text-gray-900'}`}>${periodProjection.projected.toFixed(2)}</p>
+                    <p className="text-xs text-gray-500">
+                        ${currentPeriod.spend.toFixed(2)} spent in {periodProjection.daysElapsed} of {periodProjection.days} days; ${periodProjection.available.toFixed(2)} available
+                        {periodProjection.overBy > 0 && <span className="text-red-600 font-semibold"> (over by ${periodProjection.overBy.toFixed(2)})</span>}
+                    </p>
+                </div>
+                <div className="p-4 rounded-lg border-l-4 border-yellow-500 bg-gray-50">
+                    <p className="text-sm font-medium text-gray-500">Monthly cap</p>
+                    <p className="text-2xl font-bold text-gray-900">${userConfig.spendCapMonthly.toFixed(2)}</p>
+                    <p className="text-xs text-gray-500">Billing period {currentPeriod.start} to {currentPeriod.end}</p>
+                </div>
+            </div>
+
+            {renderBreakdown(BREAKDOWNS.MONTH, 'By month', 24)}
+
+            <div className="grid md:grid-cols-2 gap-4">
+                {renderBreakdown(BREAKDOWNS.VENDOR, 'By vendor')}
+                {renderBreakdown(BREAKDOWNS.CATEGORY, 'By category')}
+                {renderBreakdown(BREAKDOWNS.ITEM, 'Top items')}
+                {renderBreakdown(BREAKDOWNS.METHOD, 'By input method')}
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4">
+                <div className="p-4 border rounded-lg">
+                    <p className="font-semibold text-gray-800 mb-2">Recurring items</p>
+                    {spendAnalytics.recurring.length === 0 ? <p className="text-sm text-gray-500 italic">No item was bought more than once in this range.</p> : (
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-xs text-gray-500 uppercase">
+                                    <th className="text-left py-1">Item</th>
+                                    <th className="text-right py-1">Bought</th>
+                                    <th className="text-right py-1">Every</th>
+                                    <th className="text-right py-1">Spend</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y">
+                                {spendAnalytics.recurring.slice(0, 10).map(row => (
+                                    <tr key={row.key} onClick={() => setAnalyticsDrill({ dimension: BREAKDOWNS.ITEM, key: row.key, label: `Item: ${row.key}` })} className="cursor-pointer hover:bg-indigo-50">
+                                        <td className="py-1 text-gray-800">{row.key} <span className="text-xs text-gray-400">{row.vendors.join(', ')}</span></td>
+                                        <td className="py-1 text-right text-gray-600">{row.purchases}x</td>
+                                        <td className="py-1 text-right text-gray-600">~{row.averageDays} days</td>
+                                        <td className="py-1 text-right text-gray-900">${row.spend.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+                <div className="p-4 border rounded-lg">
+                    <p className="font-semibold text-gray-800 mb-2">Price per unit trends</p>
+                    {spendAnalytics.priceTrends.length === 0 ? <p className="text-sm text-gray-500 italic">No item has prices from more than one month in this range.</p> : (
+                        <div className="space-y-2 text-sm">
+                            {spendAnalytics.priceTrends.slice(0, 10).map(trend => (
+                                <button key={trend.key} onClick={() => setAnalyticsDrill({ dimension: BREAKDOWNS.ITEM, key: trend.key, label: `Item: ${trend.key}` })} className="w-full text-left hover:bg-indigo-50 rounded px-1">
+                                    <div className="flex justify-between">
+                                        <span className="text-gray-800">{trend.key}</span>
+                                        <span className={`font-semibold ${trend.change > 0 ? 'text-red-600' : 'text-green-600'}`}>{trend.change > 0 ? '+' : ''}{Math.round(trend.change * 100)}%</span>
+                                    </div>
+                                    <p className="text-xs text-gray-500">
+                                        {trend.series.map(point => `${point.label} $${point.price.toFixed(2)}`).join(' → ')} per {formatUnit(trend.unit, 1)}
+                                    </p>
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
             </div>
+
+            {analyticsDrill && (
+                <div className="p-4 border-2 border-indigo-200 rounded-lg">
+                    <div className="flex justify-between mb-2">
+                        <p className="font-semibold text-gray-800">{analyticsDrill.label} ({drillRows.length} purchase(s))</p>
+                        <button onClick={() => setAnalyticsDrill(null)} className="text-xs text-gray-600 hover:underline">Close</button>
+                    </div>
+                    <div className="overflow-y-auto max-h-[50vh]">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vendor</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {drillRows.map(({ entry, keys }) => (
+                                    <tr key={entry.id}>
+                                        <td className="px-3 py-1.5 text-gray-600">{keys.date}</td>
+                                        <td className="px-3 py-1.5 text-gray-800">{entry.item}</td>
+                                        <td className="px-3 py-1.5 text-gray-600">{formatQuantity(entry.quantity, entry.unit || keys.unit)}</td>
+                                        <td className="px-3 py-1.5 text-gray-600">{entry.vendor || 'Unknown'}</td>
+                                        <td className="px-3 py-1.5 text-gray-600">{entry.method}</td>
+                                        <td className="px-3 py-1.5 text-right text-gray-900">${(parseFloat(entry.cost) || 0).toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
         </div>
     );
 
     const AuditLogView = (
-        <div className="bg-white p-6 rounded-xl shadow-xl">
-            <h2 className="text-2xl font-bold mb-4 text-gray-800">Agent Audit Log</h2>
+        <div className="bg-white p-6 rounded-xl shadow-xl space-y-4">
+            <div className="flex items-center justify-between">
+                <h2 className="text-2xl font-bold text-gray-800">Agent Audit Log</h2>
+                <button onClick={verifyAuditLog} disabled={isAuditLoading} className="flex items-center px-4 py-2 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">
+                    <ShieldCheck className="w-4 h-4 mr-2" /> Verify Log
+                </button>
+            </div>
+
+            {auditVerification && (
+                <div className={`p-3 rounded-lg border text-sm ${auditVerification.valid ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'}`}>
+                    <div className="flex justify-between">
+                        <span className="font-semibold">
+                            {auditVerification.valid
+                                ? `All ${auditVerification.checked} chained entries verified.`
+                                : `${auditVerification.problems.length} problem(s) found in ${auditVerification.checked} chained entries.`}
+                        </span>
+                        <button onClick={() => setAuditVerification(null)} className="text-xs text-gray-600 hover:underline">Dismiss</button>
+                    </div>
+                    {auditVerification.unchained > 0 && <p className="text-xs mt-1">{auditVerification.unchained} older entries were recorded before the hash chain and can't be verified.</p>}
+                    {auditVerification.problems.length > 0 && (
+                        <ul className="mt-1 list-disc list-inside">
+                            {auditVerification.problems.map((p, index) => <li key={`${p.sequence}-${index}`}>#{p.sequence}: {p.problem}</li>)}
+                        </ul>
+                    )}
+                    <p className="text-xs mt-1 opacity-75">Checked {new Date(auditVerification.verifiedAt).toLocaleString()}</p>
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-end gap-2 text-sm">
+                <label className="flex flex-col text-xs text-gray-600">
+                    Action
+                    <input list="audit-actions" value={auditFilters.action} onChange={(e) => setAuditFilters({ ...auditFilters, action: e.target.value })} placeholder="Any" className="mt-1 p-1.5 border rounded-md text-sm" />
+                    <datalist id="audit-actions">
+                        {[...new Set(displayedAuditEntries.map(entry => entry.action))].sort().map(action => <option key={action} value={action} />)}
+                    </datalist>
+                </label>
+                <label className="flex flex-col text-xs text-gray-600">
+                    Item
+                    <select value={auditFilters.item} onChange={(e) => setAuditFilters({ ...auditFilters, item: e.target.value })} className="mt-1 p-1.5 border rounded-md text-sm bg-white">
+                        <option value="">Any</option>
+                        {[...inventory].sort((a, b) => a.name.localeCompare(b.name)).map(item => <option key={item.id} value={item.name}>{item.name}</option>)}
+                    </select>
+                </label>
+                <label className="flex flex-col text-xs text-gray-600">
+                    From
+                    <input type="date" value={auditFilters.from} onChange={(e) => setAuditFilters({ ...auditFilters, from: e.target.value })} className="mt-1 p-1.5 border rounded-md text-sm" />
+                </label>
+                <label className="flex flex-col text-xs text-gray-600">
+                    To
+                    <input type="date" value={auditFilters.to} onChange={(e) => setAuditFilters({ ...auditFilters, to: e.target.value })} className="mt-1 p-1.5 border rounded-md text-sm" />
+                </label>
+                <button onClick={() => loadAuditEntries()} disabled={isAuditLoading} className="px-3 py-1.5 rounded-md font-medium bg-indigo-50 text-indigo-700 border border-indigo-200 hover:bg-indigo-100">Apply</button>
+                <button onClick={clearAuditFilters} className="px-3 py-1.5 rounded-md text-gray-600 hover:underline">Clear</button>
+            </div>
+
             <div className="overflow-y-scroll max-h-[60vh] border rounded-lg">
                 <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50 sticky top-0">
                         <tr>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
                         </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
-                        {auditLog.map((log, index) => (
-                            <tr key={log.id || index} className="hover:bg-gray-50">
-                                <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">{new Date(log.timestamp).toLocaleTimeString()}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{log.action}</td>
-                                <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate">{log.details}</td>
+                        {displayedAuditEntries.map((log, index) => (
+                            <tr key={log.id || index} onClick={() => setSelectedAuditEntry(log)} className="hover:bg-gray-50 cursor-pointer">
+                                <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-400">{log.sequence ?? '-'}</td>
+                                <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-500">{new Date(log.timestamp).toLocaleString()}</td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{log.action}</td>
+                                <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-500">{log.actorName || (log.actorUid ? (log.actorUid === userId ? 'You' : `${log.actorUid.substring(0, 8)}...`) : '-')}</td>
+                                <td className="px-4 py-3 text-sm text-gray-500 max-w-xs truncate">{summarizeAuditDetails(log.details)}</td>
                             </tr>
                         ))}
+                        {displayedAuditEntries.length === 0 && (
+                            <tr><td colSpan="5" className="px-4 py-6 text-center text-sm text-gray-500">No entries match these filters.</td></tr>
+                        )}
                     </tbody>
                 </table>
             </div>
-            <p className="mt-4 text-xs text-gray-500 italic">This log tracks all system actions, including predictions, cart builds, approvals, and configuration changes.</p>
+            {(auditQuery ? auditQuery.hasMore : auditLog.length >= 50) && (
+                <button onClick={() => loadAuditEntries(true)} disabled={isAuditLoading} className="w-full py-2 rounded-md text-sm font-medium text-indigo-700 border border-indigo-200 hover:bg-indigo-50 disabled:text-gray-400">
+                    {isAuditLoading ? 'Loading...' : 'Load older entries'}
+                </button>
+            )}
+            <p className="text-xs text-gray-500 italic">This log tracks all system actions, including predictions, cart builds, approvals, and configuration changes. Each entry is linked to the one before it by a hash, so any change or deletion shows up when the log is verified.</p>
+
+            {selectedAuditEntry && (
+                <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={() => setSelectedAuditEntry(null)}>
+                    <div className="w-full max-w-md h-full bg-white shadow-2xl p-6 overflow-y-auto space-y-4" onClick={(e) => e.stopPropagation()}>
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <h3 className="text-xl font-bold text-gray-800">{selectedAuditEntry.action}</h3>
+                                <p className="text-sm text-gray-500">{new Date(selectedAuditEntry.timestamp).toLocaleString()}</p>
+                            </div>
+                            <button onClick={() => setSelectedAuditEntry(null)} className="text-sm text-gray-600 hover:underline">Close</button>
+                        </div>
+                        <dl className="text-sm space-y-1">
+                            <div className="flex justify-between"><dt className="text-gray-500">By</dt><dd>{selectedAuditEntry.actorName || selectedAuditEntry.actorUid || '-'}</dd></div>
+                            {selectedAuditEntry.items?.length > 0 && <div className="flex justify-between"><dt className="text-gray-500">Items</dt><dd className="text-right">{selectedAuditEntry.items.join(', ')}</dd></div>}
+                        </dl>
+                        <div>
+                            <h4 className="font-semibold text-gray-700 mb-1">Details</h4>
+                            <dl className="text-sm space-y-2">
+                                {Object.entries(selectedAuditEntry.details || {}).map(([key, value]) => (
+                                    <div key={key}>
+                                        <dt className="text-xs text-gray-500">{key}</dt>
+                                        <dd className="text-gray-800 break-words">
+                                            {value && typeof value === 'object'
+                                                ? <pre className="whitespace-pre-wrap text-xs bg-gray-50 p-2 rounded">{JSON.stringify(value, null, 2)}</pre>
+                                                : String(value)}
+                                        </dd>
+                                    </div>
+                                ))}
+                            </dl>
+                        </div>
+                        <div className="text-xs text-gray-500 space-y-1 border-t pt-3">
+                            {selectedAuditEntry.sequence ? (
+                                <>
+                                    <p>Entry #{selectedAuditEntry.sequence}</p>
+                                    <p className="break-all">Hash: <span className="font-mono">{selectedAuditEntry.hash}</span></p>
+                                    <p className="break-all">Previous: <span className="font-mono">{selectedAuditEntry.prevHash}</span></p>
+                                </>
+                            ) : (
+                                <p>Not part of the hash chain: recorded before it existed, or made offline and not synced yet.</p>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+
+    const DataTransferView = (
+        <div className="bg-white p-6 rounded-xl shadow-xl space-y-6">
+            <h2 className="text-2xl font-bold text-gray-800">Import & Export</h2>
+
+            <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-semibold text-gray-700">Export</h3>
+                    <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className="p-1.5 border rounded-md text-sm bg-white">
+                        {Object.values(FILE_FORMATS).map(format => <option key={format} value={format}>{format.toUpperCase()}</option>)}
+                    </select>
+                </div>
+                <p className="text-sm text-gray-500">Downloads everything in the dataset, including purchase history and audit entries older than the ones shown in the app. JSON exports can be imported again as backups.</p>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {Object.values(DATASETS).map(dataset => (
+                        <button key={dataset} onClick={() => handleExport(dataset)} className="py-2 rounded-md text-sm font-medium bg-indigo-50 text-indigo-700 border border-indigo-200 hover:bg-indigo-100">
+                            {DATASET_LABELS[dataset]}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="space-y-3 border-t pt-4">
+                <h3 className="text-lg font-semibold text-gray-700">Import</h3>
+                <p className="text-sm text-gray-500">Add or update inventory, or bring in past purchases, from a CSV (e.g. a spreadsheet) or a JSON export. Items are matched to your inventory by name; rows with errors are skipped.</p>
+                <div className="flex flex-wrap items-center gap-2">
+                    <select value={importDataset} onChange={(e) => changeImportDataset(e.target.value)} className="p-1.5 border rounded-md text-sm bg-white">
+                        {IMPORTABLE_DATASETS.map(dataset => <option key={dataset} value={dataset}>{DATASET_LABELS[dataset]}</option>)}
+                    </select>
+                    <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImportFileChange} className="text-sm" />
+                </div>
+
+                {importFile && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-700"><span className="font-medium">{importFile.name}</span>: {importFile.rows.length} row(s), columns {importFile.headers.join(', ') || 'none'}</p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {getImportFields(importDataset).map(field => (
+                                <label key={field.key} className="flex items-center justify-between text-sm bg-gray-50 rounded-md px-2 py-1">
+                                    <span className="text-gray-700">{field.label}{field.required && <span className="text-red-500"> *</span>}</span>
+                                    <select
+                                        value={importMapping[field.key] || ''}
+                                        onChange={(e) => {
+                                            setImportMapping({ ...importMapping, [field.key]: e.target.value });
+                                            setImportPlan(null);
+                                        }}
+                                        className="ml-2 p-1 border rounded-md text-sm bg-white max-w-[55%]"
+                                    >
+                                        <option value="">(not imported)</option>
+                                        {importFile.headers.map(header => <option key={header} value={header}>{header}</option>)}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+
+                        <div className="flex items-center space-x-4">
+                            <label className="flex items-center text-sm text-gray-700">
+                                <input type="checkbox" checked={isDryRun} onChange={(e) => setIsDryRun(e.target.checked)} className="mr-2" />
+                                Dry run (check the file without writing anything)
+                            </label>
+                            <button onClick={runImport} disabled={isProcessing} className="px-4 py-2 rounded-md text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">
+                                {isDryRun ? 'Check File' : `Import ${DATASET_LABELS[importDataset]}`}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {importPlan && (
+                    <div className="space-y-2">
+                        <p className="text-sm font-medium text-gray-800">
+                            {importPlan.dryRun ? 'Dry run' : 'Imported'}: {importPlan.summary.created} added, {importPlan.summary.updated} updated, {importPlan.summary.skipped} unchanged, {importPlan.summary.invalid} with errors
+                        </p>
+                        <div className="overflow-y-auto max-h-80 border rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {importPlan.rows.map(row => (
+                                        <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                                            <td className="px-4 py-2 text-gray-500">{row.rowNumber}</td>
+                                            <td className="px-4 py-2 font-medium">{row.errors.length > 0 ? <span className="text-red-600">Error</span> : IMPORT_ACTION_LABELS[row.action]}</td>
+                                            <td className="px-4 py-2 text-gray-600">{row.errors.length > 0 ? row.errors.join('; ') : row.description}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
         </div>
     );
 
@@ -1112,9 +4396,31 @@ const App = () => {
             <header className="mb-8">
                 <h1 className="text-3xl font-extrabold text-indigo-700">AKEDOshop MVP</h1>
                 <p className="text-sm text-gray-500 mt-1">
-                    User ID: <span className="font-mono bg-gray-200 px-1 rounded">{userId || 'Loading...'}</span> |
+                    {account && !account.isAnonymous
+                        ? <>Account: <span className="font-medium">{account.email || account.displayName}</span> |</>
+                        : <>User ID: <span className="font-mono bg-gray-200 px-1 rounded">{userId || 'Loading...'}</span> |</>}
                     Status: <span className="font-medium text-green-600">{logMessage || (isAuthReady ? 'Ready' : 'Authenticating...')}</span>
                 </p>
+                {(isOffline || pendingWriteCount > 0) && (
+                    <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded px-2 py-1 mt-2">
+                        {isOffline ? 'Offline/local mode' : 'Syncing'} — {pendingWriteCount} change{pendingWriteCount === 1 ? '' : 's'} waiting to sync
+                    </p>
+                )}
+                {syncConflicts.length > 0 && (
+                    <div className="text-sm bg-yellow-50 border border-yellow-300 rounded p-2 mt-2">
+                        <div className="flex justify-between items-center">
+                            <span className="font-semibold text-yellow-800">Offline changes merged with edits from another device</span>
+                            <button onClick={() => setSyncConflicts([])} className="text-xs text-gray-600 hover:underline">Dismiss</button>
+                        </div>
+                        <ul className="mt-1 list-disc list-inside text-yellow-900">
+                            {syncConflicts.map((c, index) => (
+                                <li key={`${c.collection}/${c.id}/${index}`}>
+                                    {c.name}: {c.resolution}{c.fields.length > 0 && ` (${c.fields.map(f => f.field).join(', ')})`}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
                 <div className="mt-4 flex space-x-2 border-b border-gray-300">
                     <button
                         className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'dashboard' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
@@ -1122,25 +4428,56 @@ const App = () => {
                     >
                         Dashboard & Input
                     </button>
+                    <button
+                        className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'analytics' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
+                        onClick={() => {
+                            setActiveTab('analytics');
+                            if (!analyticsHistory) loadAnalytics();
+                        }}
+                    >
+                        Analytics
+                    </button>
                     <button
                         className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'settings' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
                         onClick={() => setActiveTab('settings')}
                     >
                         Policies & Config
                     </button>
+                    <button
+                        className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'prices' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
+                        onClick={() => setActiveTab('prices')}
+                    >
+                        Price Catalog
+                    </button>
+                    <button
+                        className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'receipts' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
+                        onClick={() => setActiveTab('receipts')}
+                    >
+                        Receipts
+                    </button>
                     <button
                         className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'audit' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
                         onClick={() => setActiveTab('audit')}
                     >
                         Audit Log
                     </button>
+                    <button
+                        className={`py-2 px-4 rounded-t-lg font-semibold transition duration-150 ${activeTab === 'data' ? 'bg-white border-t border-x border-gray-300 text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
+                        onClick={() => setActiveTab('data')}
+                    >
+                        Import & Export
+                    </button>
                 </div>
             </header>
 
             <main className="pb-8">
                 {activeTab === 'dashboard' && DashboardView}
+                {activeTab === 'analytics' && AnalyticsView}
                 {activeTab === 'settings' && SettingsView}
+                {activeTab === 'prices' && PriceCatalogView}
+                {activeTab === 'receipts' && ReceiptsView}
                 {activeTab === 'audit' && AuditLogView}
+                {activeTab === 'data' && DataTransferView}
             </main>
         </div>
     );
@@ -0,0 +1,168 @@
+// --- Accounts ---
+// Every session starts anonymous, and anonymous data is lost with the browser's storage. Linking Google or an
+// email sign-in link to the anonymous user keeps its uid, so all data stays where it is. When the credential
+// already belongs to a permanent account (e.g. signing in on a second device), the user signs in to that account
+// instead and can merge this device's data into it: data is read before switching (the rules only let an account
+// read its own) and written to the permanent account afterwards.
+import {
+    GoogleAuthProvider, EmailAuthProvider, linkWithPopup, linkWithCredential, signInWithPopup, signInWithCredential,
+    sendSignInLinkToEmail, isSignInWithEmailLink,
+} from 'firebase/auth';
+import { COLLECTIONS } from './dataRepository.js';
+import { WRITE_TYPES } from './offlineStore.js';
+import { findInventoryItem } from './itemIdentity.js';
+import { addPriceObservation } from './priceCatalog.js';
+
+export const SIGN_IN_METHODS = {
+    GOOGLE: 'google',
+    EMAIL_LINK: 'emailLink',
+};
+
+export const SIGN_IN_METHOD_LABELS = {
+    [SIGN_IN_METHODS.GOOGLE]: 'Google',
+    [SIGN_IN_METHODS.EMAIL_LINK]: 'Email link',
+};
+
+// The address a sign-in link was sent to, so opening the link in the same browser needs no re-typing
+const EMAIL_FOR_SIGN_IN_KEY = 'akedoshop.emailForSignIn';
+
+// Errors meaning the credential belongs to another (permanent) account
+const CREDENTIAL_IN_USE = ['auth/credential-already-in-use', 'auth/email-already-in-use', 'auth/account-exists-with-different-credential'];
+
+/**
+ * What the UI shows about the signed-in user.
+ */
+export const describeUser = (user) => (user ? {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email || null,
+    emailVerified: !!user.emailVerified,
+    displayName: user.displayName || null,
+    providers: user.providerData.map(provider => provider.providerId),
+} : null);
+
+/**
+ * Links Google to the current anonymous user, or signs in with Google when there is no anonymous user to keep.
+ * Resolves to { user } on success, or { existingCredential } when the Google account already has its own data.
+ */
+export const signInWithGoogle = async (auth) => {
+    const provider = new GoogleAuthProvider();
+    const user = auth.currentUser;
+    if (!user || !user.isAnonymous) return { user: (await signInWithPopup(auth, provider)).user };
+    try {
+        return { user: (await linkWithPopup(user, provider)).user };
+    } catch (error) {
+        if (!CREDENTIAL_IN_USE.includes(error.code)) throw error;
+        return { existingCredential: GoogleAuthProvider.credentialFromError(error) };
+    }
+};
+
+/**
+ * Emails a sign-in link that returns to this page.
+ */
+export const sendEmailSignInLink = async (auth, email) => {
+    await sendSignInLinkToEmail(auth, email, { url: `${window.location.origin}${window.location.pathname}`, handleCodeInApp: true });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+/**
+ * Whether this page was opened from a sign-in link, and the email it was sent to if this browser requested it.
+ */
+export const getPendingEmailLink = (auth) => (isSignInWithEmailLink(auth, window.location.href)
+    ? { email: window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || '' }
+    : null);
+
+/**
+ * Completes an email link sign-in, linking it to the current anonymous user when there is one.
+ * Resolves like signInWithGoogle. The link's parameters are removed from the address bar either way.
+ */
+export const completeEmailLinkSignIn = async (auth, email) => {
+    const credential = EmailAuthProvider.credentialWithLink(email, window.location.href);
+    window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const user = auth.currentUser;
+    if (!user || !user.isAnonymous) return { user: (await signInWithCredential(auth, credential)).user };
+    try {
+        return { user: (await linkWithCredential(user, credential)).user };
+    } catch (error) {
+        if (!CREDENTIAL_IN_USE.includes(error.code)) throw error;
+        return { existingCredential: credential };
+    }
+};
+
+/**
+ * Signs in to the permanent account a credential belongs to (after { existingCredential }).
+ */
+export const signInToExistingAccount = async (auth, credential) => (await signInWithCredential(auth, credential)).user;
+
+/**
+ * Reads the data worth carrying over from an account (its own data, not a household's).
+ */
+export const captureAccountData = async (repository) => {
+    const [inventory, history, priceCatalog] = await Promise.all([
+        repository.find(COLLECTIONS.INVENTORY),
+        repository.find(COLLECTIONS.HISTORY),
+        repository.find(COLLECTIONS.PRICE_CATALOG),
+    ]);
+    return { inventory, history, priceCatalog };
+};
+
+const historyKey = (entry) => [entry.item, entry.quantity, entry.vendor, entry.cost, entry.date].join('|');
+
+/**
+ * Writes merging captured data (`source`) into an account's existing data (`target`, same shape).
+ * Items already in the target keep their stock and settings and learn the source's names as aliases; other items
+ * are added. History entries are added unless the target has the same entry, re-pointed to the target's items.
+ * Price observations are combined. Returns { writes, summary }.
+ */
+export const buildAccountMergeWrites = (source, target) => {
+    const writes = [];
+    const targetIds = new Set(target.inventory.map(item => item.id));
+    const itemMap = new Map(); // source item id -> target item
+    let itemsAdded = 0;
+
+    for (const { id, ...item } of source.inventory) {
+        const match = findInventoryItem(item.name, target.inventory);
+        if (match) {
+            itemMap.set(id, match);
+            const aliases = [...new Set([...(match.aliases || []), ...(item.aliases || []), ...(item.name !== match.name ? [item.name] : [])])];
+            if (aliases.length !== (match.aliases || []).length) {
+                writes.push({ collection: COLLECTIONS.INVENTORY, id: match.id, type: WRITE_TYPES.MERGE, data: { aliases } });
+            }
+        } else {
+            const newId = targetIds.has(id) ? crypto.randomUUID() : id;
+            targetIds.add(newId);
+            itemMap.set(id, { ...item, id: newId });
+            writes.push({ collection: COLLECTIONS.INVENTORY, id: newId, type: WRITE_TYPES.SET, data: item });
+            itemsAdded++;
+        }
+    }
+
+    const knownEntries = new Set(target.history.map(historyKey));
+    let historyAdded = 0;
+    for (const { id, ...entry } of source.history) {
+        const item = itemMap.get(entry.itemId) || findInventoryItem(entry.item, target.inventory);
+        const merged = item ? { ...entry, item: item.name, itemId: item.id } : entry;
+        if (knownEntries.has(historyKey(merged))) continue;
+        knownEntries.add(historyKey(merged));
+        writes.push({ collection: COLLECTIONS.HISTORY, id: crypto.randomUUID(), type: WRITE_TYPES.SET, data: merged });
+        historyAdded++;
+    }
+
+    const targetCatalog = new Map(target.priceCatalog.map(entry => [entry.id, entry]));
+    for (const { id, ...entry } of source.priceCatalog) {
+        const existing = targetCatalog.get(id);
+        if (!existing) {
+            writes.push({ collection: COLLECTIONS.PRICE_CATALOG, id, type: WRITE_TYPES.SET, data: entry });
+            continue;
+        }
+        const seen = new Set((existing.observations || []).map(o => `${o.date}|${o.price}`));
+        const combined = (entry.observations || [])
+            .filter(o => !seen.has(`${o.date}|${o.price}`))
+            .reduce((result, observation) => addPriceObservation(result, existing.item, existing.vendor, observation), existing);
+        if (combined !== existing) writes.push({ collection: COLLECTIONS.PRICE_CATALOG, id, type: WRITE_TYPES.SET, data: combined });
+    }
+
+    return { writes, summary: { itemsAdded, itemsMatched: source.inventory.length - itemsAdded, historyAdded } };
+};
@@ -0,0 +1,267 @@
+// --- Agent Planner ---
+// The decisions of one agent run, shared by the app (runForecasting, checkout) and scheduled server runs
+// (api/agent-runs.js) so both enforce the same rules: run-out dates for every item from the AI forecast or the local
+// baseline, a cart of the suggested items that fits the billing period's remaining budget and only uses allowlisted
+// vendors, and the records a placed purchase leaves behind. Callers fetch forecasts and quotes and commit the writes.
+import { COLLECTIONS } from './documentSchemas.js';
+import { WRITE_TYPES } from './offlineStore.js';
+import { findInventoryItem } from './itemIdentity.js';
+import { estimateConsumptionRate } from './localForecaster.js';
+import { getInTransitQuantity, createOrderRecord } from './orderLifecycle.js';
+import { PRICE_STRATEGIES, priceCartLine, catalogKey, getUnitPrice, addPriceObservation } from './priceCatalog.js';
+import { toOrderQuantity } from './units.js';
+import { getVendorAdapter, groupByVendor } from './vendorAdapters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().substring(0, 10);
+
+/**
+ * The inventory and history summaries the AI forecast task is given, with each item's learned consumption rate
+ * (localForecaster.js) as context.
+ */
+export const buildForecastInput = (inventory, purchaseHistory, now = new Date()) => ({
+    inventory: inventory
+        .filter(item => item && item.name)
+        .map(item => {
+            const learned = estimateConsumptionRate(item, purchaseHistory, now);
+            return {
+                name: item.name,
+                quantity: item.quantity,
+                unit: item.unit,
+                restockLevel: item.restockLevel,
+                inTransit: item.inTransit || 0,
+                lastUsed: item.lastUsed ? new Date(item.lastUsed).toISOString().substring(0, 10) : 'N/A',
+                dailyUse: parseFloat(learned.rate.toFixed(4)),
+                dailyUseSamples: learned.samples,
+                dailyUseConfidence: learned.confidence,
+            };
+        }),
+    history: purchaseHistory
+        .filter(entry => entry && entry.item)
+        .map(entry => ({
+            item: entry.item,
+            quantity: entry.quantity,
+            date: new Date(entry.date).toISOString().substring(0, 10),
+            vendor: entry.vendor,
+        })),
+});
+
+/**
+ * Inventory as forecasting sees it: named items only, with stock already on its way added to their quantity (and
+ * kept as `inTransit`), so the agent doesn't reorder what's in transit.
+ */
+export const withInTransitStock = (inventory, inTransit) => inventory
+    .filter(item => item && item.name)
+    .map(item => {
+        const onOrder = getInTransitQuantity(inTransit, item);
+        return onOrder > 0 ? { ...item, quantity: (item.quantity || 0) + onOrder, inTransit: onOrder } : item;
+    });
+
+/**
+ * Combines the local baseline with the AI forecast (`llmResult`, null or { failed } when unavailable).
+ * Returns { useAi, suggestions, skipped: [{ item, inTransit }], aiForecasts, aiCount, writes }: suggestions use the
+ * inventory's own names and leave out items open orders already cover; writes give every item a run-out date, the
+ * AI's where it gave one and the baseline's otherwise, with the baseline's range and confidence around it (moved
+ * along with an AI date), and store rates learned from enough samples as the item's dailyUse.
+ */
+export const planForecast = (inventory, baselineResult, llmResult) => {
+    const useAi = !!llmResult && !llmResult.failed;
+    const skipped = [];
+
+    // The AI may paraphrase item names
+    const suggestions = (useAi ? llmResult.suggestedCart : baselineResult.suggestedCart)
+        .filter(suggestion => suggestion && suggestion.name)
+        .map(suggestion => {
+            const item = findInventoryItem(suggestion.name, inventory);
+            return item ? { ...suggestion, name: item.name } : suggestion;
+        })
+        .filter(suggestion => {
+            const item = findInventoryItem(suggestion.name, inventory);
+            const covered = item && item.inTransit > 0 && item.quantity >= (item.restockLevel || 0);
+            if (covered) skipped.push({ item: suggestion.name, inTransit: item.inTransit });
+            return !covered;
+        });
+
+    // Malformed AI rows are skipped; the rest are keyed by the inventory item they resolve to
+    const aiForecasts = (useAi ? llmResult.inventoryForecasts : [])
+        .filter(f => f && f.name)
+        .map(f => {
+            const item = findInventoryItem(f.name, inventory);
+            return item ? { ...f, name: item.name, itemId: item.id } : f;
+        });
+    const aiMap = new Map(aiForecasts.filter(f => f.itemId).map(f => [f.itemId, f]));
+
+    const writes = [];
+    let aiCount = 0;
+    for (const baseline of baselineResult.inventoryForecasts) {
+        const existingItem = inventory.find(item => item.name === baseline.name);
+        if (!existingItem) continue;
+        const aiForecast = aiMap.get(existingItem.id);
+        if (aiForecast) aiCount++;
+        const aiShiftDays = aiForecast ? Math.round((new Date(aiForecast.predictedRunOutDate) - new Date(baseline.predictedRunOutDate)) / DAY_MS) : 0;
+        const shiftRange = (date) => (date && Number.isFinite(aiShiftDays) ? shiftDate(date, aiShiftDays) : null);
+
+        // Merge writes avoid 'No document to update' errors
+        writes.push({
+            collection: COLLECTIONS.INVENTORY,
+            id: existingItem.id,
+            type: WRITE_TYPES.MERGE,
+            data: {
+                predictedRunOutDate: aiForecast ? aiForecast.predictedRunOutDate : baseline.predictedRunOutDate,
+                forecastSource: aiForecast ? 'ai' : 'local',
+                aiRunOutDate: aiForecast ? aiForecast.predictedRunOutDate : null,
+                baselineRunOutDate: baseline.predictedRunOutDate,
+                runOutEarliest: shiftRange(baseline.runOutEarliest),
+                runOutLatest: shiftRange(baseline.runOutLatest),
+                forecastConfidence: baseline.confidence || null,
+                ...(baseline.rateSource === 'learned' ? { dailyUse: parseFloat(baseline.dailyRate.toFixed(4)), dailyUseSamples: baseline.rateSamples } : {}),
+            },
+        });
+    }
+
+    return { useAi, suggestions, skipped, aiForecasts, aiCount, writes };
+};
+
+/**
+ * Prices the suggestions into a cart. Lines go to the suggested vendor when it is allowlisted, otherwise to the first
+ * allowlisted vendor; quantities round up to whole packs. Lines that would take spend past the period's budget
+ * (`currentPeriod` from spendLedger.js) are left out. Known prices only count toward the total; unknown-price lines
+ * are flagged, never guessed. Returns { cart, total, blocked: [item names], unknownCount }.
+ */
+export const buildCart = (suggestions, inventory, { vendorAllowlist = [], priceCatalog = [], priceStrategy, currentPeriod }) => {
+    const cart = [];
+    const blocked = [];
+    let total = 0;
+
+    for (const item of suggestions) {
+        const vendor = item.vendor && vendorAllowlist.includes(item.vendor) ? item.vendor : vendorAllowlist[0] || 'Unknown';
+        // quantityToBuy is in the item's canonical unit
+        const inventoryItem = findInventoryItem(item.name, inventory);
+        const order = toOrderQuantity(parseFloat(item.quantityToBuy) || 1, inventoryItem);
+        const pricing = priceCartLine(priceCatalog, item.name, order.quantity, vendor, priceStrategy || PRICE_STRATEGIES.LAST);
+        const itemCost = pricing.cost || 0;
+        if (currentPeriod.spend + total + itemCost <= currentPeriod.available) {
+            cart.push({
+                name: item.name,
+                quantity: order.quantity,
+                unit: inventoryItem?.unit || null,
+                orderQuantity: order.orderQuantity,
+                orderUnit: order.orderUnit,
+                unitsPerOrderUnit: order.unitsPerOrderUnit,
+                vendor,
+                reason: item.reason,
+                ...pricing,
+            });
+            total += itemCost;
+        } else {
+            blocked.push(item.name);
+        }
+    }
+
+    return { cart, total, blocked, unknownCount: cart.filter(item => item.priceUnknown).length };
+};
+
+/**
+ * Refreshes a cart's prices with live vendor quotes, so the approval policy sees what will actually be charged.
+ * Lines of vendors that can't quote keep their catalog price.
+ */
+export const quoteCart = async (items, getAdapter = getVendorAdapter) => {
+    const quoted = [];
+    for (const [vendor, vendorItems] of groupByVendor(items)) {
+        try {
+            const quote = await getAdapter(vendor).quote(vendorItems);
+            vendorItems.forEach((item, index) => {
+                const line = quote.lines[index];
+                quoted.push(line
+                    // Vendors quote per order unit (e.g. per pack); the cart keeps unit prices per canonical unit
+                    ? { ...item, cost: line.lineTotal, unitPrice: item.quantity > 0 ? parseFloat((line.lineTotal / item.quantity).toFixed(4)) : line.unitPrice, priceUnknown: false, priceBasis: `${vendor} quote` }
+                    : item);
+            });
+        } catch (error) {
+            console.error("Vendor quote error:", error);
+            quoted.push(...vendorItems);
+        }
+    }
+    return quoted;
+};
+
+/**
+ * Places one order per vendor. Each vendor's order carries `${idempotencyKey}-${vendor}`, so retrying the same
+ * purchase can't order twice. Vendors that reject their part are reported, the rest still go through.
+ * Resolves to { placedOrders: [{ vendor, items, order }], failures: [{ vendor, items, error }] }.
+ */
+export const placeVendorOrders = async (items, idempotencyKey, getAdapter = getVendorAdapter) => {
+    const placedOrders = [];
+    const failures = [];
+    for (const [vendor, vendorItems] of groupByVendor(items)) {
+        try {
+            const order = await getAdapter(vendor).placeOrder(vendorItems, { idempotencyKey: `${idempotencyKey}-${vendor}` });
+            placedOrders.push({ vendor, items: vendorItems, order });
+        } catch (error) {
+            console.error("Vendor order error:", error);
+            failures.push({ vendor, items: vendorItems.map(i => i.name), error: error.message });
+        }
+    }
+    return { placedOrders, failures };
+};
+
+/**
+ * The records of placed orders: the order documents (tracked until delivery), one history entry per line, priced by
+ * what the vendor actually charged (which books the spend), and the price observations they add to the catalog.
+ * Orders in `recordedOrderIds` were already recorded (a vendor replaying an order for a retried idempotency key) and
+ * get no writes, so their deliveries, status and spend stay as they are; they still count in the result.
+ * Returns { writes, totalPurchased, orders: [{ vendor, orderId, total }] }.
+ */
+export const buildPurchaseWrites = (placedOrders, { inventory, priceCatalog, method, now = new Date(), recordedOrderIds = new Set() }) => {
+    const writes = [];
+    const catalog = new Map(priceCatalog.map(entry => [entry.id, entry]));
+    let totalPurchased = 0;
+
+    for (const { vendor, items, order } of placedOrders) {
+        const recorded = recordedOrderIds.has(order.orderId);
+        if (!recorded) {
+            writes.push({ collection: COLLECTIONS.ORDERS, id: order.orderId, type: WRITE_TYPES.SET, data: createOrderRecord(order, items, inventory, method) });
+        }
+
+        items.forEach((item, index) => {
+            const line = order.lines?.[index];
+            const cost = line ? line.lineTotal : (item.cost || 0);
+            totalPurchased += cost;
+            if (recorded) return;
+
+            const inventoryItem = findInventoryItem(item.name, inventory);
+            writes.push({
+                collection: COLLECTIONS.HISTORY,
+                id: crypto.randomUUID(),
+                type: WRITE_TYPES.SET,
+                data: {
+                    item: inventoryItem ? inventoryItem.name : item.name,
+                    quantity: item.quantity,
+                    unit: inventoryItem ? inventoryItem.unit : item.unit || null,
+                    ...(item.orderUnit && item.orderUnit !== item.unit ? { enteredQuantity: item.orderQuantity, enteredUnit: item.orderUnit } : {}),
+                    vendor,
+                    cost,
+                    date: now.toISOString(),
+                    method,
+                    vendorOrderId: order.orderId,
+                    ...(inventoryItem ? { itemId: inventoryItem.id } : {}),
+                },
+            });
+
+            const price = getUnitPrice({ cost, quantity: item.quantity });
+            if (price !== null) {
+                const key = catalogKey(item.name, vendor);
+                const updated = addPriceObservation(catalog.get(key), item.name, vendor || 'Unknown', { price, date: now.toISOString(), source: method });
+                catalog.set(key, updated);
+                writes.push({ collection: COLLECTIONS.PRICE_CATALOG, id: key, type: WRITE_TYPES.SET, data: updated });
+            }
+        });
+    }
+
+    return {
+        writes,
+        totalPurchased,
+        orders: placedOrders.map(({ vendor, order }) => ({ vendor, orderId: order.orderId, total: order.total })),
+    };
+};
@@ -0,0 +1,109 @@
+// --- Agent Schedule ---
+// When the agent runs on its own, on the server (api/agent-runs.js), whether or not anyone has the app open. The
+// schedule is part of the config (`agentSchedule`, owner-only like the spend cap), so each account or household has
+// one. Every run is recorded in the agentRuns collection under an id derived from its scheduled slot, which makes
+// runs idempotent: a slot that was already run (or is running) is not run again, however often the scheduler calls.
+import { getZonedTime, isValidTimeZone } from './spendLedger.js';
+
+export const SCHEDULE_FREQUENCIES = {
+    HOURLY: 'hourly',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+};
+
+export const SCHEDULE_FREQUENCY_LABELS = {
+    [SCHEDULE_FREQUENCIES.HOURLY]: 'Every hour',
+    [SCHEDULE_FREQUENCIES.DAILY]: 'Every day',
+    [SCHEDULE_FREQUENCIES.WEEKLY]: 'Every week',
+};
+
+export const RUN_TRIGGERS = {
+    SCHEDULE: 'schedule',
+    MANUAL: 'manual',
+};
+
+export const RUN_STATUSES = {
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+};
+
+export const RUN_STATUS_LABELS = {
+    [RUN_STATUSES.RUNNING]: 'Running',
+    [RUN_STATUSES.SUCCEEDED]: 'Succeeded',
+    [RUN_STATUSES.FAILED]: 'Failed',
+};
+
+export const RUN_OUTCOMES = {
+    NO_INVENTORY: 'noInventory',
+    NOTHING_TO_BUY: 'nothingToBuy',
+    AWAITING_APPROVAL: 'awaitingApproval',
+    ORDERED: 'ordered',
+};
+
+export const RUN_OUTCOME_LABELS = {
+    [RUN_OUTCOMES.NO_INVENTORY]: 'No inventory to forecast',
+    [RUN_OUTCOMES.NOTHING_TO_BUY]: 'Nothing to buy',
+    [RUN_OUTCOMES.AWAITING_APPROVAL]: 'Cart awaiting approval',
+    [RUN_OUTCOMES.ORDERED]: 'Ordered',
+};
+
+// A run still marked running after this long is assumed to have crashed and may be retried; vendor orders carry
+// the run's idempotency key, so a retry can't order twice
+export const RUN_LEASE_MINUTES = 10;
+
+export const defaultAgentSchedule = {
+    enabled: false,
+    frequency: SCHEDULE_FREQUENCIES.DAILY,
+    hour: 6,              // Local hour daily and weekly runs happen at (or soon after)
+    weekday: 1,           // Day of weekly runs (0 = Sunday)
+    timeZone: '',         // IANA timezone the hour is in (the browser's when saved)
+    placeOrders: true,    // Order within the approval policy; when off, every cart waits for approval
+};
+
+/**
+ * Merges a stored (possibly partial or missing) schedule with the defaults.
+ */
+export const normalizeAgentSchedule = (schedule) => {
+    const merged = { ...defaultAgentSchedule, ...(schedule || {}) };
+    return {
+        ...merged,
+        enabled: !!merged.enabled,
+        frequency: Object.values(SCHEDULE_FREQUENCIES).includes(merged.frequency) ? merged.frequency : defaultAgentSchedule.frequency,
+        hour: Math.min(23, Math.max(0, parseInt(merged.hour, 10) || 0)),
+        weekday: Math.min(6, Math.max(0, parseInt(merged.weekday, 10) || 0)),
+        timeZone: isValidTimeZone(merged.timeZone) ? merged.timeZone : 'UTC',
+        placeOrders: merged.placeOrders !== false,
+    };
+};
+
+/**
+ * The slot due now, or null: the local hour (YYYY-MM-DDTHH) for hourly runs, the local date for daily and weekly runs
+ * once their hour has come. A slot missed by the scheduler is still run later the same day.
+ */
+export const getDueRunSlot = (schedule, now = new Date()) => {
+    const s = normalizeAgentSchedule(schedule);
+    if (!s.enabled) return null;
+    const zoned = getZonedTime(now, s.timeZone);
+    if (s.frequency === SCHEDULE_FREQUENCIES.HOURLY) return `${zoned.dateKey}T${String(zoned.hour).padStart(2, '0')}`;
+    if (zoned.hour < s.hour) return null;
+    if (s.frequency === SCHEDULE_FREQUENCIES.WEEKLY && zoned.weekday !== s.weekday) return null;
+    return zoned.dateKey;
+};
+
+/**
+ * Document id (and idempotency key) of a run: one per scheduled slot, or per request for runs started by hand.
+ */
+export const getRunId = (trigger, key) => `${trigger}-${String(key).replace(/[^A-Za-z0-9_-]/g, '-')}`;
+
+/**
+ * One-line description of a run for the history list.
+ */
+export const describeRun = (run) => {
+    if (run.status === RUN_STATUSES.RUNNING) return 'Running...';
+    if (run.status === RUN_STATUSES.FAILED) return `Failed: ${run.error || 'unknown error'}`;
+    const outcome = RUN_OUTCOME_LABELS[run.outcome] || run.outcome || '';
+    if (run.outcome === RUN_OUTCOMES.ORDERED) return `${outcome} $${Number(run.total || 0).toFixed(2)} (${(run.orders || []).map(o => o.vendor).join(', ')})`;
+    if (run.outcome === RUN_OUTCOMES.AWAITING_APPROVAL) return `${outcome}: ${(run.reasons || [])[0] || ''}`;
+    return outcome;
+};
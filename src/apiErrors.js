@@ -0,0 +1,51 @@
+// --- API Errors ---
+// The serverless API answers failures with { error: { code, message } }. These helpers turn such a response
+// into an Error carrying the code, with a message the status line can show as is.
+
+export const API_ERROR_MESSAGES = {
+    unauthenticated: 'You are not signed in. Reload the page to sign in again.',
+    invalid_token: 'Your session has expired. Reload the page to sign in again.',
+    unknown_task: 'The requested AI task is not available.',
+    invalid_request: 'The AI request was malformed.',
+    payload_too_large: 'The upload is too large to send in one request.',
+    image_too_large: 'An image or PDF page is too large (max 3 MB).',
+    rate_limited: 'Too many AI requests. Wait a minute and try again.',
+    quota_exceeded: 'Daily AI limit reached. It resets at midnight UTC.',
+    upstream_busy: 'The AI service is busy. Try again shortly.',
+    upstream_error: 'The AI service could not process the request.',
+    invalid_model_output: 'The AI returned a response that could not be read.',
+    unsupported_attachment: 'The configured AI provider cannot read PDF receipts. Upload a photo instead.',
+    server_misconfigured: 'The AI service is not configured on the server.',
+    internal_error: 'The server hit an unexpected error.',
+};
+
+export class ApiError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Builds an ApiError from a failed fetch response, whether or not its body is a structured error.
+ */
+export const toApiError = async (response) => {
+    let body = null;
+    try {
+        body = await response.json();
+    } catch {
+        // Not JSON (e.g. a platform error page)
+    }
+    const code = body?.error?.code || (response.status === 401 ? 'unauthenticated' : response.status === 429 ? 'rate_limited' : 'internal_error');
+    return new ApiError(code, API_ERROR_MESSAGES[code] || body?.error?.message || `Request failed (HTTP ${response.status}).`, response.status);
+};
+
+/**
+ * Message to show for any error thrown while calling the API.
+ */
+export const describeApiError = (error) => {
+    if (error instanceof ApiError) return error.message;
+    return API_ERROR_MESSAGES[error?.code] || 'The AI service could not be reached.';
+};
@@ -0,0 +1,97 @@
+// --- Purchase Approval Policy ---
+// Decides whether a cart can be executed by the agent on its own or has to wait
+// in the pending-approval queue for a household member to approve it.
+
+export const APPROVAL_MODES = {
+    AUTONOMOUS: 'autonomous',
+    THRESHOLD: 'threshold',
+    ALWAYS: 'always',
+    ITEMS: 'items',
+};
+
+export const APPROVAL_MODE_LABELS = {
+    [APPROVAL_MODES.AUTONOMOUS]: 'Fully Autonomous',
+    [APPROVAL_MODES.THRESHOLD]: 'Approve orders above a threshold',
+    [APPROVAL_MODES.ALWAYS]: 'Approve every order',
+    [APPROVAL_MODES.ITEMS]: 'Approve specific items',
+};
+
+export const defaultApprovalPolicy = {
+    mode: APPROVAL_MODES.AUTONOMOUS,
+    orderThreshold: 50,  // Orders with a total above this need approval (threshold mode)
+    itemThreshold: 20,   // Any single line above this needs approval (threshold mode)
+    approvalItems: [],   // Item names that always need approval (items mode)
+    expiryHours: 24,     // Unapproved carts expire after this many hours
+};
+
+/**
+ * Merges a stored (possibly partial or missing) policy with the defaults.
+ */
+export const normalizeApprovalPolicy = (policy) => ({
+    ...defaultApprovalPolicy,
+    ...(policy || {}),
+    approvalItems: Array.isArray(policy?.approvalItems) ? policy.approvalItems : [],
+});
+
+/**
+ * Evaluates a cart against the approval policy.
+ * Returns whether a human has to approve the order and the reasons why.
+ */
+export const evaluateApprovalPolicy = (cart, policy) => {
+    const p = normalizeApprovalPolicy(policy);
+    const reasons = [];
+    const total = cart.reduce((sum, item) => sum + (item.cost || 0), 0);
+
+    switch (p.mode) {
+        case APPROVAL_MODES.ALWAYS:
+            reasons.push('Policy requires approval of every order');
+            break;
+
+        case APPROVAL_MODES.THRESHOLD:
+            if (total > p.orderThreshold) {
+                reasons.push(`Order total $${total.toFixed(2)} exceeds $${Number(p.orderThreshold).toFixed(2)}`);
+            }
+            for (const item of cart) {
+                if (item.cost !== null && item.cost !== undefined && item.cost > p.itemThreshold) {
+                    reasons.push(`${item.name} ($${item.cost.toFixed(2)}) exceeds per-item limit of $${Number(p.itemThreshold).toFixed(2)}`);
+                }
+            }
+            break;
+
+        case APPROVAL_MODES.ITEMS: {
+            const watched = new Set(p.approvalItems.map(name => name.toLowerCase()));
+            for (const item of cart) {
+                if (watched.has(item.name?.toLowerCase())) {
+                    reasons.push(`${item.name} is on the approval list`);
+                }
+            }
+            break;
+        }
+
+        default:
+            break;
+    }
+
+    // Whatever the mode, the agent never spends an amount it can't price
+    for (const item of cart) {
+        if (item.priceUnknown) {
+            reasons.push(`Price unknown for ${item.name}`);
+        }
+    }
+
+    return { requiresApproval: reasons.length > 0, reasons, total };
+};
+
+/**
+ * Computes the expiry timestamp (ISO string) for a new pending approval.
+ */
+export const getApprovalExpiry = (policy, from = new Date()) => {
+    const hours = parseFloat(normalizeApprovalPolicy(policy).expiryHours) || defaultApprovalPolicy.expiryHours;
+    return new Date(from.getTime() + hours * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * True if a pending approval has passed its expiry time.
+ */
+export const isApprovalExpired = (approval, now = new Date()) =>
+    approval.status === 'pending' && !!approval.expiresAt && new Date(approval.expiresAt).getTime() <= now.getTime();
@@ -0,0 +1,170 @@
+// --- Audit Log ---
+// The record of what the agent (and each person) did, including every purchase. Entries are hash-chained: each
+// carries a sequence number, the previous entry's hash and its own SHA-256 hash over its contents, and the chain's
+// head (config/auditChain) holds the latest sequence and hash. Editing, deleting or reordering entries, or cutting
+// off the end of the log, makes verifyAuditChain fail. Entries are appended one transaction at a time so concurrent
+// writers (devices, household members) can't fork the chain; entries made offline are chained when they sync.
+// Entries written before the chain existed have no sequence and are reported, not verified.
+import { runTransaction, where, orderBy, limit, startAfter } from 'firebase/firestore';
+import { COLLECTIONS } from './documentSchemas.js';
+import { WRITE_TYPES } from './offlineStore.js';
+
+export const AUDIT_CHAIN_DOC_ID = 'auditChain';
+
+// prevHash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+export const AUDIT_PAGE_SIZE = 50;
+
+// The fields an entry's hash covers (plus its id)
+const HASHED_FIELDS = ['sequence', 'prevHash', 'timestamp', 'action', 'details', 'items', 'actorUid', 'actorName'];
+
+// Same value however Firestore orders map keys
+const canonicalJson = (value) => JSON.stringify(value ?? null, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+
+const sha256 = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Hash of an entry's contents, chained to the previous entry through its prevHash.
+ */
+export const hashAuditEntry = (id, entry) => sha256(canonicalJson({
+    id,
+    ...Object.fromEntries(HASHED_FIELDS.map(field => [field, entry[field] ?? null])),
+}));
+
+// Details as Firestore stores them: plain JSON (no undefined, dates as strings), arrays never directly inside arrays
+const toStoredValue = (value, inArray = false) => {
+    if (Array.isArray(value)) return inArray ? JSON.stringify(value) : value.map(entry => toStoredValue(entry, true));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toStoredValue(v)]));
+    return value;
+};
+
+const toAuditDetails = (details) => {
+    if (typeof details === 'string') return { message: details };
+    const plain = JSON.parse(JSON.stringify(details ?? {}));
+    return toStoredValue(plain && typeof plain === 'object' && !Array.isArray(plain) ? plain : { value: plain });
+};
+
+/**
+ * Item names an entry is about, from its details' `item` and `items` (names or { name }), for filtering by item.
+ */
+export const extractAuditItems = (details) => {
+    const names = [details?.item, ...(Array.isArray(details?.items) ? details.items : [])]
+        .map(entry => (entry && typeof entry === 'object' ? entry.name : entry))
+        .filter(name => typeof name === 'string' && name.trim());
+    return [...new Set(names.map(name => name.trim()))];
+};
+
+/**
+ * A new (not yet chained) audit entry. `actor` is { actorUid, actorName }.
+ */
+export const createAuditEntry = (action, details, actor = {}, now = new Date()) => {
+    const structured = toAuditDetails(details);
+    return {
+        timestamp: now.toISOString(),
+        action,
+        details: structured,
+        items: extractAuditItems(structured),
+        actorUid: actor.actorUid || null,
+        actorName: actor.actorName || null,
+    };
+};
+
+/**
+ * Links an entry to the chain head (null before the first entry). Resolves to { entry, head }: the chained entry
+ * (with sequence, prevHash and hash) and the head pointing at it.
+ */
+export const chainAuditEntry = async (id, entry, head) => {
+    const { sequence: lastSequence, lastHash } = head || { sequence: 0, lastHash: GENESIS_HASH };
+    const { schemaVersion, sequence, prevHash, hash, ...contents } = entry;
+    const chained = { ...contents, sequence: lastSequence + 1, prevHash: lastHash };
+    chained.hash = await hashAuditEntry(id, chained);
+    return { entry: chained, head: { sequence: chained.sequence, lastHash: chained.hash, lastEntryId: id, updatedAt: chained.timestamp } };
+};
+
+/**
+ * Appends an entry to the chain in a transaction with the chain head. Appending the same id twice (a sync that was
+ * interrupted after writing) leaves the recorded entry as it is. Resolves to the chained entry.
+ */
+export const appendAuditEntry = (repository, { id = crypto.randomUUID(), ...entry }) => runTransaction(repository.db, async (transaction) => {
+    const headRef = repository.docRef(COLLECTIONS.CONFIG, AUDIT_CHAIN_DOC_ID);
+    const entryRef = repository.docRef(COLLECTIONS.AUDIT, id);
+    const [headSnap, existing] = [await transaction.get(headRef), await transaction.get(entryRef)];
+    if (existing.exists() && existing.data().hash) return { ...existing.data(), id };
+
+    const { entry: chained, head } = await chainAuditEntry(id, entry, headSnap.exists() ? headSnap.data() : null);
+
+    repository.stage(transaction, { collection: COLLECTIONS.AUDIT, id, type: WRITE_TYPES.SET, data: chained });
+    repository.stage(transaction, { collection: COLLECTIONS.CONFIG, id: AUDIT_CHAIN_DOC_ID, type: WRITE_TYPES.SET, data: head });
+    return { ...chained, id };
+});
+
+/**
+ * One page of the log, newest first, optionally filtered by action, item name and date range (ISO strings).
+ * `after` is the timestamp of the last entry already shown. Resolves to { entries, hasMore }.
+ * Filtered queries use the composite indexes in firestore.indexes.json.
+ */
+export const fetchAuditPage = async (repository, { action, item, from, to } = {}, { after, pageSize = AUDIT_PAGE_SIZE } = {}) => {
+    const constraints = [
+        ...(action ? [where('action', '==', action)] : []),
+        ...(item ? [where('items', 'array-contains', item)] : []),
+        ...(from ? [where('timestamp', '>=', from)] : []),
+        ...(to ? [where('timestamp', '<=', to)] : []),
+        orderBy('timestamp', 'desc'),
+        ...(after ? [startAfter(after)] : []),
+        limit(pageSize + 1),
+    ];
+    const entries = await repository.find(COLLECTIONS.AUDIT, ...constraints);
+    return { entries: entries.slice(0, pageSize), hasMore: entries.length > pageSize };
+};
+
+/**
+ * Checks the whole log against its hash chain. `entries` is every audit entry, `head` the chain head document
+ * (null before the first chained entry). Resolves to { valid, checked, unchained, problems: [{ sequence, id, problem }] }.
+ */
+export const verifyAuditChain = async (entries, head) => {
+    const chained = entries.filter(entry => Number.isInteger(entry.sequence)).sort((a, b) => a.sequence - b.sequence);
+    const problems = [];
+    let expectedSequence = 1;
+    let expectedPrevHash = GENESIS_HASH;
+
+    for (const entry of chained) {
+        if (entry.sequence < expectedSequence) {
+            problems.push({ sequence: entry.sequence, id: entry.id, problem: `Sequence number #${entry.sequence} is used more than once` });
+        } else if (entry.sequence > expectedSequence) {
+            const missing = expectedSequence === entry.sequence - 1 ? `Entry #${expectedSequence} is` : `Entries #${expectedSequence}-#${entry.sequence - 1} are`;
+            problems.push({ sequence: entry.sequence, id: entry.id, problem: `${missing} missing before this one` });
+        } else if (entry.prevHash !== expectedPrevHash) {
+            problems.push({ sequence: entry.sequence, id: entry.id, problem: 'Does not link to the entry before it' });
+        }
+        if (await hashAuditEntry(entry.id, entry) !== entry.hash) {
+            problems.push({ sequence: entry.sequence, id: entry.id, problem: 'Contents were changed after it was recorded' });
+        }
+        expectedSequence = entry.sequence + 1;
+        expectedPrevHash = entry.hash;
+    }
+
+    const last = chained[chained.length - 1];
+    if (head && head.sequence > (last?.sequence || 0)) {
+        problems.push({ sequence: head.sequence, id: head.lastEntryId, problem: `The log ends at #${last?.sequence || 0}, but #${head.sequence} was recorded` });
+    } else if (head && last && head.sequence === last.sequence && head.lastHash !== last.hash) {
+        problems.push({ sequence: last.sequence, id: last.id, problem: 'The latest entry is not the one that was recorded' });
+    }
+
+    return { valid: problems.length === 0, checked: chained.length, unchained: entries.length - chained.length, problems };
+};
+
+/**
+ * Short one-line summary of an entry's details for tables: "item: Milk, total: 12.50".
+ */
+export const summarizeAuditDetails = (details) => {
+    if (!details || typeof details !== 'object') return String(details ?? '');
+    return Object.entries(details)
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.map(v => (v && typeof v === 'object' ? v.name || JSON.stringify(v) : v)).join(', ') : (value && typeof value === 'object' ? JSON.stringify(value) : value)}`)
+        .join(' · ');
+};
@@ -0,0 +1,107 @@
+// --- Consumption Model ---
+// Stock between counts. An item's stored `quantity` is what it held when last counted (`countedAt`), plus whatever
+// was bought or delivered since; nobody records every use, so the quantity on hand now is estimated by taking
+// `dailyUse` per day off it since the count. Uses recorded with the "-" button (`usedSinceCount`) are a floor on
+// that: the estimate never assumes less was used than was recorded. Confirming a physical count re-anchors the
+// estimate: the counted quantity becomes the stored one and the clock restarts. Items never counted (no `countedAt`)
+// are taken as stored. Forecasting, low-stock alerts and the agent all work from the estimate.
+//
+// Counts also teach the forecaster (localForecaster.js): each count at least a day after the previous one adds a
+// usage sample (what was used per day in between), and a count or recorded use that empties an item checks the
+// run-out date that was forecast for it against the day it actually ran out.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SAMPLE_DAYS = 1;         // Shorter intervals between counts say too little about the rate
+const MAX_USAGE_SAMPLES = 12;
+const MAX_FORECAST_CHECKS = 10;
+
+const round = (value) => parseFloat(value.toFixed(4));
+
+/**
+ * The estimate for one item at `now`: { estimated, recorded, consumed, used, days, countedQuantity, countedAt }.
+ * `recorded` is the stored quantity, `used` what was recorded as used since the count, `consumed` what is assumed
+ * used over the `days` since the count (never less than `used`, never more than there was), and `countedQuantity`
+ * what the last physical count found.
+ */
+export const projectQuantity = (item, now = new Date()) => {
+    const recorded = Math.max(0, parseFloat(item?.quantity) || 0);
+    const rate = Math.max(0, parseFloat(item?.dailyUse) || 0);
+    const used = Math.max(0, parseFloat(item?.usedSinceCount) || 0);
+    const countedTime = item?.countedAt ? new Date(item.countedAt).getTime() : NaN;
+    const days = Number.isFinite(countedTime) ? Math.max(0, (now.getTime() - countedTime) / DAY_MS) : 0;
+    const consumed = Math.min(recorded, Math.max(rate * days, used));
+    return {
+        estimated: round(recorded - consumed),
+        recorded,
+        consumed: round(consumed),
+        used,
+        days,
+        countedQuantity: item?.countedQuantity ?? null,
+        countedAt: item?.countedAt || null,
+    };
+};
+
+/**
+ * Inventory with every item's `quantity` replaced by its estimate (the stored figure kept as `recordedQuantity`), as
+ * forecasting and alerts should see it.
+ */
+export const withProjectedQuantities = (inventory, now = new Date()) => inventory.map(item => {
+    if (!item) return item;
+    const { estimated, recorded } = projectQuantity(item, now);
+    return estimated === recorded ? item : { ...item, quantity: estimated, recordedQuantity: recorded };
+});
+
+// The forecast an item had when it ran out, against the day it did (positive errorDays: it lasted longer)
+const checkForecast = (item, now) => {
+    if (!item.predictedRunOutDate) return null;
+    const actual = now.toISOString().substring(0, 10);
+    return {
+        predicted: item.predictedRunOutDate,
+        earliest: item.runOutEarliest || null,
+        latest: item.runOutLatest || null,
+        source: item.forecastSource || null,
+        actual,
+        errorDays: Math.round((new Date(actual) - new Date(item.predictedRunOutDate)) / DAY_MS),
+    };
+};
+
+const withForecastCheck = (item, now) => {
+    const check = checkForecast(item, now);
+    return check ? { forecastChecks: [...(item.forecastChecks || []), check].slice(-MAX_FORECAST_CHECKS) } : {};
+};
+
+/**
+ * Fields that record a physical count of `quantity`, re-anchoring the estimate at `now`. Adds a usage sample when
+ * the previous count is old enough, and a forecast check when the item is found empty.
+ */
+export const confirmCountFields = (item, quantity, now = new Date()) => {
+    const counted = Math.max(0, parseFloat(quantity) || 0);
+    const { recorded, days } = projectQuantity(item, now);
+    const usageSamples = [...(item.usageSamples || [])];
+    if (item.countedAt && days >= MIN_SAMPLE_DAYS) {
+        usageSamples.push({ at: now.toISOString(), rate: round(Math.max(0, recorded - counted) / days), days: round(days) });
+    }
+    return {
+        quantity: counted,
+        countedQuantity: counted,
+        countedAt: now.toISOString(),
+        usedSinceCount: 0,
+        usageSamples: usageSamples.slice(-MAX_USAGE_SAMPLES),
+        ...(counted === 0 ? withForecastCheck(item, now) : {}),
+        // The stored forecast was based on the old figure
+        predictedRunOutDate: null,
+    };
+};
+
+/**
+ * Fields that record one unit used at `now`. Adds a forecast check when it was the last one.
+ */
+export const recordUseFields = (item, now = new Date()) => {
+    const usedSinceCount = (parseFloat(item.usedSinceCount) || 0) + 1;
+    const emptied = projectQuantity({ ...item, usedSinceCount }, now).estimated === 0;
+    return {
+        usedSinceCount,
+        lastUsed: now.toISOString(),
+        ...(emptied ? withForecastCheck(item, now) : {}),
+    };
+};
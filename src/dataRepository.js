@@ -0,0 +1,151 @@
+// --- Data Repository ---
+// The only place that knows where data lives in Firestore: artifacts/{appId}/users/{uid}/{collection}/{id} for an
+// account's own data, artifacts/{appId}/households/{householdId}/{collection}/{id} for a shared household's.
+// Components work with collection names (documentSchemas.js) and write descriptors ({ collection, id, type, data },
+// see offlineStore.js); documents read through the repository are upgraded to their current schema, and full
+// documents written through it are stamped with it.
+import { doc, collection, query, orderBy, limit, onSnapshot, getDoc, getDocs, writeBatch } from 'firebase/firestore';
+import { COLLECTIONS, CONFIG_DOC_ID, VERSIONED_COLLECTIONS, getSchemaVersion, isPersistedSchema, migrateDocument, withSchemaVersion } from './documentSchemas.js';
+import { WRITE_TYPES } from './offlineStore.js';
+
+export { COLLECTIONS, CONFIG_DOC_ID };
+
+// Namespaces all data, so several deployments (or a staging copy) can share one Firebase project
+export const APP_ID = process.env.REACT_APP_APP_ID || 'default-app-id';
+
+// Firestore batches are capped at 500 writes
+export const MAX_BATCH_WRITES = 450;
+
+/**
+ * Path of a user's data for an app. The document at this path is the user's profile (e.g. their householdId).
+ */
+export const userDataPath = (uid, appId = APP_ID) => `artifacts/${appId}/users/${uid}`;
+
+/**
+ * Path of a household's shared data. The document at this path describes the household, its `members`
+ * subcollection holds each member's role.
+ */
+export const householdDataPath = (householdId, appId = APP_ID) => `artifacts/${appId}/households/${householdId}`;
+
+/**
+ * Path of the document resolving an invite code to its household.
+ */
+export const householdInvitePath = (inviteCode, appId = APP_ID) => `artifacts/${appId}/householdInvites/${inviteCode}`;
+
+const toDocument = (collectionName, snapshot) => ({ ...migrateDocument(collectionName, snapshot.data()).data, id: snapshot.id });
+
+/**
+ * Adds a full-document schema version to SET writes; merges and deletes pass through.
+ */
+export const prepareWrite = (write) => (write.type === WRITE_TYPES.SET
+    ? { ...write, data: withSchemaVersion(write.collection, write.data) }
+    : write);
+
+/**
+ * Repository for the data a user works on in one app: their own, or their household's when `householdId` is set.
+ */
+export const createRepository = (db, uid, { appId = APP_ID, householdId = null } = {}) => {
+    const basePath = householdId ? householdDataPath(householdId, appId) : userDataPath(uid, appId);
+
+    const collectionRef = (collectionName) => collection(db, `${basePath}/${collectionName}`);
+
+    // Without an id, a reference with a new auto-generated id
+    const docRef = (collectionName, id) => (id ? doc(db, `${basePath}/${collectionName}/${id}`) : doc(collectionRef(collectionName)));
+
+    const stage = (batch, write) => {
+        const { collection: collectionName, id, type, data } = prepareWrite(write);
+        const ref = docRef(collectionName, id);
+        if (type === WRITE_TYPES.DELETE) batch.delete(ref);
+        else batch.set(ref, data, type === WRITE_TYPES.MERGE ? { merge: true } : {});
+    };
+
+    // Commits writes in as many batches as needed (not atomic beyond MAX_BATCH_WRITES)
+    const commit = async (writes) => {
+        for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+            const batch = writeBatch(db);
+            writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => stage(batch, write));
+            await batch.commit();
+        }
+    };
+
+    /**
+     * Listens to a collection, newest first by `orderByField` when given, filtered by query constraints (e.g.
+     * where(...)) when given. Calls onData with [{ ...data, id }].
+     */
+    const subscribe = (collectionName, { orderByField, max, filters = [] } = {}, onData, onError) => {
+        const constraints = [
+            ...filters,
+            ...(orderByField ? [orderBy(orderByField, 'desc')] : []),
+            ...(max ? [limit(max)] : []),
+        ];
+        return onSnapshot(
+            constraints.length > 0 ? query(collectionRef(collectionName), ...constraints) : collectionRef(collectionName),
+            (snapshot) => onData(snapshot.docs.map(d => toDocument(collectionName, d))),
+            onError
+        );
+    };
+
+    /**
+     * Listens to one document. Calls onData with { ...data, id }, or null while it doesn't exist.
+     */
+    const subscribeDocument = (collectionName, id, onData, onError) => onSnapshot(
+        docRef(collectionName, id),
+        (snapshot) => onData(snapshot.exists() ? toDocument(collectionName, snapshot) : null),
+        onError
+    );
+
+    const getDocument = async (collectionName, id) => {
+        const snapshot = await getDoc(docRef(collectionName, id));
+        return snapshot.exists() ? toDocument(collectionName, snapshot) : null;
+    };
+
+    /**
+     * Documents of a collection matching query constraints (e.g. where(...)).
+     */
+    const find = async (collectionName, ...constraints) => {
+        const snapshot = await getDocs(query(collectionRef(collectionName), ...constraints));
+        return snapshot.docs.map(d => toDocument(collectionName, d));
+    };
+
+    /**
+     * Writes upgraded documents back for collections edited in place, once per schema version: the config document
+     * records the version each collection was last migrated to. Resolves to the number of documents rewritten.
+     */
+    const migrateStoredDocuments = async () => {
+        const configSnap = await getDoc(docRef(COLLECTIONS.CONFIG, CONFIG_DOC_ID));
+        if (!configSnap.exists()) return 0;
+        const migratedVersions = configSnap.data().migratedSchemaVersions || {};
+        const pending = VERSIONED_COLLECTIONS.filter(name => isPersistedSchema(name) && (migratedVersions[name] || 0) < getSchemaVersion(name));
+        if (pending.length === 0) return 0;
+
+        const writes = [];
+        for (const collectionName of pending) {
+            const snapshot = await getDocs(collectionRef(collectionName));
+            snapshot.docs.forEach(d => {
+                const { data, migrated } = migrateDocument(collectionName, d.data());
+                if (migrated) writes.push({ collection: collectionName, id: d.id, type: WRITE_TYPES.SET, data });
+            });
+        }
+        const versions = Object.fromEntries(pending.map(name => [name, getSchemaVersion(name)]));
+        writes.push({ collection: COLLECTIONS.CONFIG, id: CONFIG_DOC_ID, type: WRITE_TYPES.MERGE, data: { migratedSchemaVersions: versions } });
+        await commit(writes);
+        return writes.length - 1;
+    };
+
+    return {
+        db,
+        uid,
+        appId,
+        householdId,
+        basePath,
+        collectionRef,
+        docRef,
+        stage,
+        commit,
+        subscribe,
+        subscribeDocument,
+        getDocument,
+        find,
+        migrateStoredDocuments,
+    };
+};
@@ -0,0 +1,437 @@
+// --- Data Import & Export ---
+// Exports inventory, purchase history, config and the audit log as CSV or JSON, and imports inventory and purchase
+// history from either (a spreadsheet, or a backup made by the export). Imports are planned before anything is
+// written: file columns are mapped to fields, every row is validated, and each valid row becomes a create, update
+// or skip, so a dry run shows exactly what an import would do. Config and the audit log are export-only; the audit
+// log is append-only.
+import { COLLECTIONS } from './documentSchemas.js';
+import { WRITE_TYPES } from './offlineStore.js';
+import { findInventoryItem } from './itemIdentity.js';
+import { DEFAULT_UNIT, normalizeUnit, convertToItemUnit } from './units.js';
+
+export const DATASETS = {
+    INVENTORY: 'inventory',
+    HISTORY: 'history',
+    CONFIG: 'config',
+    AUDIT: 'audit',
+};
+
+export const DATASET_LABELS = {
+    [DATASETS.INVENTORY]: 'Inventory',
+    [DATASETS.HISTORY]: 'Purchase history',
+    [DATASETS.CONFIG]: 'Settings',
+    [DATASETS.AUDIT]: 'Audit log',
+};
+
+export const IMPORTABLE_DATASETS = [DATASETS.INVENTORY, DATASETS.HISTORY];
+
+export const FILE_FORMATS = {
+    CSV: 'csv',
+    JSON: 'json',
+};
+
+export const IMPORT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    SKIP: 'skip',
+};
+
+export const IMPORT_ACTION_LABELS = {
+    [IMPORT_ACTIONS.CREATE]: 'Add',
+    [IMPORT_ACTIONS.UPDATE]: 'Update',
+    [IMPORT_ACTIONS.SKIP]: 'Skip',
+};
+
+// Marks JSON files made by the export, so they can be told apart from arbitrary JSON
+const EXPORT_FORMAT_ID = 'akedoshop-export';
+
+// Columns written to CSV, in order
+const EXPORT_COLUMNS = {
+    [DATASETS.INVENTORY]: ['id', 'name', 'quantity', 'unit', 'restockLevel', 'dailyUse', 'packs', 'purchaseUnit', 'category', 'aliases', 'lastUsed', 'countedQuantity', 'countedAt', 'predictedRunOutDate'],
+    [DATASETS.HISTORY]: ['date', 'item', 'quantity', 'unit', 'vendor', 'cost', 'method', 'itemId', 'receiptId'],
+    [DATASETS.AUDIT]: ['sequence', 'timestamp', 'action', 'actorName', 'actorUid', 'items', 'details', 'prevHash', 'hash'],
+};
+
+// Importable fields. `names` are other column headings the field is recognized by.
+const IMPORT_FIELDS = {
+    [DATASETS.INVENTORY]: [
+        { key: 'name', label: 'Name', type: 'text', required: true, names: ['item', 'item name', 'product', 'description'] },
+        { key: 'quantity', label: 'Quantity', type: 'number', min: 0, names: ['qty', 'on hand', 'stock', 'in stock', 'count'] },
+        { key: 'unit', label: 'Unit', type: 'unit', names: ['uom', 'unit of measure', 'units'] },
+        { key: 'restockLevel', label: 'Restock level', type: 'number', min: 0, names: ['restock', 'reorder level', 'reorder point', 'minimum', 'min', 'par'] },
+        { key: 'dailyUse', label: 'Daily use', type: 'number', min: 0, names: ['daily usage', 'use per day', 'usage per day'] },
+        { key: 'packs', label: 'Packs', type: 'packs', names: ['pack sizes'] },
+        { key: 'purchaseUnit', label: 'Purchase unit', type: 'unit', names: ['order unit', 'buy unit'] },
+        { key: 'aliases', label: 'Aliases', type: 'list', names: ['other names', 'also known as'] },
+    ],
+    [DATASETS.HISTORY]: [
+        { key: 'date', label: 'Date', type: 'date', required: true, names: ['purchase date', 'purchased', 'order date', 'timestamp'] },
+        { key: 'item', label: 'Item', type: 'text', required: true, names: ['name', 'item name', 'product', 'description'] },
+        { key: 'quantity', label: 'Quantity', type: 'number', required: true, min: 0, names: ['qty', 'count', 'amount'] },
+        { key: 'unit', label: 'Unit', type: 'unit', names: ['uom', 'unit of measure', 'units'] },
+        { key: 'cost', label: 'Cost', type: 'number', required: true, min: 0, names: ['price', 'total', 'line total', 'amount paid', 'spent'] },
+        { key: 'vendor', label: 'Vendor', type: 'text', names: ['store', 'shop', 'retailer', 'merchant'] },
+        { key: 'method', label: 'Method', type: 'text', names: ['source'] },
+    ],
+};
+
+/**
+ * Fields a dataset's import can map file columns to ([{ key, label, required }]).
+ */
+export const getImportFields = (dataset) => IMPORT_FIELDS[dataset] || [];
+
+const headingKey = (heading) => String(heading || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// --- CSV ---
+
+const toCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value) && value.every(entry => entry && typeof entry === 'object' && 'size' in entry)) {
+        return value.map(pack => `${pack.unit}:${pack.size}`).join('; '); // packs
+    }
+    if (Array.isArray(value)) return value.join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Spreadsheets run cells starting with these as formulas; text cells that do are exported with a leading ' (which
+// spreadsheets show as plain text), and the ' is dropped again on import
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeFormula = (value, cell) => (typeof value !== 'number' && FORMULA_START.test(cell) ? `'${cell}` : cell);
+
+const unescapeFormula = (cell) => (cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+const quoteCell = (cell) => (/[",\r\n]/.test(cell) || /^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+
+/**
+ * CSV text for records, one column per entry of `columns`. Text that a spreadsheet would run as a formula is escaped.
+ */
+export const toCsv = (records, columns) => [columns, ...records.map(record => columns.map(column => escapeFormula(record[column], toCell(record[column]))))]
+    .map(row => row.map(cell => quoteCell(String(cell))).join(','))
+    .join('\r\n');
+
+// Spreadsheets in some locales export with semicolons; the header line tells which delimiter the file uses
+const detectDelimiter = (text) => {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    return [',', ';', '\t']
+        .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+/**
+ * Parses CSV text (quoted cells, doubled quotes, line breaks inside quotes) into rows of cells.
+ */
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            rows.push([...row, cell]);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// --- Export ---
+
+/**
+ * File contents for exporting a dataset. `records` are documents as read through the repository
+ * (the config export takes the config document). Returns { content, mimeType, fileName }.
+ */
+export const buildExportFile = (dataset, records, format, now = new Date()) => {
+    const stamp = now.toISOString().slice(0, 10);
+    const fileName = `akedoshop-${dataset}-${stamp}.${format}`;
+    if (format === FILE_FORMATS.JSON) {
+        const content = JSON.stringify({ format: EXPORT_FORMAT_ID, dataset, exportedAt: now.toISOString(), records }, null, 2);
+        return { content, mimeType: 'application/json', fileName };
+    }
+    // Settings are one document: one row per setting, values as JSON
+    const content = dataset === DATASETS.CONFIG
+        ? toCsv(Object.entries(records).sort(([a], [b]) => a.localeCompare(b)).map(([setting, value]) => ({ setting, value: JSON.stringify(value) })), ['setting', 'value'])
+        : toCsv(records, EXPORT_COLUMNS[dataset]);
+    return { content, mimeType: 'text/csv', fileName };
+};
+
+/**
+ * Starts a browser download of a file built by buildExportFile.
+ */
+export const downloadFile = ({ content, mimeType, fileName }) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// --- Import ---
+
+/**
+ * Reads an import file's text into { format, headers, rows, firstRowNumber }, where rows are objects keyed by header
+ * and firstRowNumber is the line (CSV) or position (JSON) of the first row, for error messages.
+ * JSON may be an array of objects or a file from the export. Throws when the file can't be read.
+ */
+export const readImportFile = (text, fileName = '') => {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+
+    if (isJson) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+        const records = Array.isArray(parsed) ? parsed : parsed?.records;
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new Error('JSON imports need a list of objects (or a file made by the export).');
+        }
+        const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+        return { format: FILE_FORMATS.JSON, headers, rows: records, firstRowNumber: 1, dataset: parsed.format === EXPORT_FORMAT_ID ? parsed.dataset : null };
+    }
+
+    const [headerCells, ...dataRows] = parseCsv(trimmed);
+    if (!headerCells) throw new Error('The file is empty.');
+    const headers = headerCells.map(header => header.trim());
+    const rows = dataRows.map(cells => Object.fromEntries(headers.map((header, i) => [header, unescapeFormula(cells[i] ?? '')])));
+    return { format: FILE_FORMATS.CSV, headers, rows, firstRowNumber: 2, dataset: null };
+};
+
+/**
+ * Best guess of which file column holds each field: { fieldKey: header or '' }.
+ */
+export const guessColumnMapping = (dataset, headers) => {
+    const used = new Set();
+    return Object.fromEntries(getImportFields(dataset).map(field => {
+        const candidates = [field.key, field.label, ...field.names].map(headingKey);
+        const header = headers.find(h => !used.has(h) && candidates.includes(headingKey(h))) || '';
+        if (header) used.add(header);
+        return [field.key, header];
+    }));
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+
+// Parses one cell for a field. Returns { value } or { error }.
+const parseField = (field, raw) => {
+    switch (field.type) {
+        case 'number': {
+            const number = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/[$€£,\s]/g, ''));
+            if (!Number.isFinite(number)) return { error: `${field.label} "${raw}" is not a number` };
+            if (field.min !== undefined && number < field.min) return { error: `${field.label} can't be below ${field.min}` };
+            return { value: number };
+        }
+        case 'date': {
+            const time = Date.parse(raw);
+            if (Number.isNaN(time)) return { error: `${field.label} "${raw}" is not a date` };
+            return { value: new Date(time).toISOString() };
+        }
+        case 'unit':
+            return { value: normalizeUnit(String(raw)) };
+        case 'list':
+            return { value: (Array.isArray(raw) ? raw : String(raw).split(/[;|]/)).map(entry => String(entry).trim()).filter(Boolean) };
+        case 'packs': {
+            // [{ unit, size }] from JSON, or "pack:12; case:24" from CSV
+            const entries = Array.isArray(raw) ? raw : String(raw).split(/[;|]/).filter(entry => entry.trim()).map(entry => {
+                const [unit, size] = entry.split(':');
+                return { unit, size };
+            });
+            const packs = entries.map(pack => ({ unit: normalizeUnit(pack.unit), size: parseFloat(pack.size) }));
+            if (packs.some(pack => !pack.unit || !(pack.size > 0))) return { error: `${field.label} "${toCell(raw)}" should look like "pack:12; case:24"` };
+            return { value: packs };
+        }
+        default:
+            return { value: String(raw).trim() };
+    }
+};
+
+// Parses a row's mapped fields. Returns { values, errors }; unmapped or blank optional fields are left out.
+const parseRow = (dataset, row, mapping) => {
+    const values = {};
+    const errors = [];
+    for (const field of getImportFields(dataset)) {
+        const raw = mapping[field.key] ? row[mapping[field.key]] : undefined;
+        if (isBlank(raw)) {
+            if (field.required) errors.push(`Missing ${field.label.toLowerCase()}`);
+            continue;
+        }
+        const { value, error } = parseField(field, raw);
+        if (error) errors.push(error);
+        else values[field.key] = value;
+    }
+    return { values, errors };
+};
+
+const historyKey = (entry) => [
+    (entry.item || '').trim().toLowerCase(),
+    Number.isNaN(Date.parse(entry.date)) ? entry.date : new Date(entry.date).toISOString(),
+    parseFloat(entry.quantity) || 0,
+    (parseFloat(entry.cost) || 0).toFixed(2),
+    (entry.vendor || '').trim().toLowerCase(),
+].join('|');
+
+// Quantity fields of an existing item, converted from the row's unit into the item's
+const toItemUnits = (values, item) => {
+    const fields = {};
+    for (const key of ['quantity', 'restockLevel', 'dailyUse']) {
+        if (values[key] === undefined) continue;
+        if (!values.unit) {
+            fields[key] = values[key];
+            continue;
+        }
+        const conversion = convertToItemUnit(values[key], values.unit, item);
+        if (conversion.quantity === null) return { error: `Can't convert ${values.unit} to ${item.name}'s unit (${item.unit})` };
+        fields[key] = parseFloat(conversion.quantity.toFixed(4));
+    }
+    return { fields };
+};
+
+const planInventoryRow = (values, workingInventory) => {
+    const existing = findInventoryItem(values.name, workingInventory);
+    if (!existing) {
+        const item = {
+            name: values.name,
+            quantity: values.quantity ?? 0,
+            unit: values.unit || DEFAULT_UNIT,
+            packs: values.packs || [],
+            purchaseUnit: values.purchaseUnit || null,
+            contents: null,
+            restockLevel: values.restockLevel ?? 1,
+            dailyUse: values.dailyUse ?? 0.05,
+            aliases: values.aliases || [],
+            lastUsed: null,
+            // An imported quantity is taken as counted at import
+            countedQuantity: values.quantity ?? 0,
+            countedAt: new Date().toISOString(),
+            predictedRunOutDate: null,
+        };
+        const id = crypto.randomUUID();
+        workingInventory.push({ ...item, id });
+        return { action: IMPORT_ACTIONS.CREATE, description: `New item "${values.name}"`, write: { collection: COLLECTIONS.INVENTORY, id, type: WRITE_TYPES.SET, data: item } };
+    }
+
+    const { fields, error } = toItemUnits(values, existing);
+    if (error) return { error };
+    if (values.packs) fields.packs = values.packs;
+    if (values.purchaseUnit) fields.purchaseUnit = values.purchaseUnit;
+    if (values.aliases) {
+        const aliases = [...new Set([...(existing.aliases || []), ...values.aliases])];
+        if (aliases.length !== (existing.aliases || []).length) fields.aliases = aliases;
+    }
+    const changed = Object.keys(fields).filter(key => JSON.stringify(fields[key]) !== JSON.stringify(existing[key]));
+    if (changed.length === 0) return { action: IMPORT_ACTIONS.SKIP, description: `"${existing.name}" is already up to date` };
+
+    const data = Object.fromEntries(changed.map(key => [key, fields[key]]));
+    Object.assign(existing, data);
+    // A changed stock level makes the stored forecast stale
+    if ('quantity' in data || 'dailyUse' in data) data.predictedRunOutDate = null;
+    if ('quantity' in data) {
+        data.countedQuantity = data.quantity;
+        data.countedAt = new Date().toISOString();
+    }
+    return { action: IMPORT_ACTIONS.UPDATE, description: `Update "${existing.name}": ${changed.join(', ')}`, write: { collection: COLLECTIONS.INVENTORY, id: existing.id, type: WRITE_TYPES.MERGE, data } };
+};
+
+const planHistoryRow = (values, inventory, knownEntries) => {
+    const item = findInventoryItem(values.item, inventory);
+    const entry = {
+        item: item ? item.name : values.item,
+        quantity: values.quantity,
+        vendor: values.vendor || 'Unknown',
+        cost: values.cost,
+        date: values.date,
+        method: values.method || 'Import',
+        itemId: item ? item.id : null,
+        unit: values.unit || item?.unit || null,
+        ...(item && item.name !== values.item ? { rawName: values.item } : {}),
+    };
+    const key = historyKey(entry);
+    if (knownEntries.has(key)) return { action: IMPORT_ACTIONS.SKIP, description: 'Already in purchase history' };
+    knownEntries.add(key);
+    return {
+        action: IMPORT_ACTIONS.CREATE,
+        description: `${entry.item} x ${entry.quantity} from ${entry.vendor}${item ? '' : ' (not in inventory)'}`,
+        write: { collection: COLLECTIONS.HISTORY, id: crypto.randomUUID(), type: WRITE_TYPES.SET, data: entry },
+    };
+};
+
+/**
+ * Works out what importing a file would do. `file` comes from readImportFile, `mapping` from guessColumnMapping
+ * (possibly edited); `inventory` and `history` are the current data (all of it, for duplicate detection).
+ * Returns { rows: [{ rowNumber, action, description, errors }], writes, summary }. Rows with errors are left out of
+ * the writes; the rest can be committed as they are.
+ */
+export const planImport = (dataset, file, mapping, { inventory = [], history = [] } = {}) => {
+    const mappingErrors = getImportFields(dataset)
+        .filter(field => field.required && !mapping[field.key])
+        .map(field => `No column is mapped to ${field.label.toLowerCase()}`);
+
+    const workingInventory = inventory.map(item => ({ ...item }));
+    const knownEntries = new Set(history.map(historyKey));
+    const seenNames = new Map(); // normalized name -> row number, for repeated items in one file
+    const writes = [];
+
+    const rows = file.rows.map((row, index) => {
+        const rowNumber = file.firstRowNumber + index;
+        if (mappingErrors.length > 0) return { rowNumber, action: null, description: '', errors: mappingErrors };
+
+        const { values, errors } = parseRow(dataset, row, mapping);
+        if (errors.length > 0) return { rowNumber, action: null, description: '', errors };
+
+        if (dataset === DATASETS.INVENTORY) {
+            const nameKey = values.name.trim().toLowerCase();
+            if (seenNames.has(nameKey)) return { rowNumber, action: null, description: '', errors: [`Same item as row ${seenNames.get(nameKey)}`] };
+            seenNames.set(nameKey, rowNumber);
+        }
+
+        const plan = dataset === DATASETS.INVENTORY
+            ? planInventoryRow(values, workingInventory)
+            : planHistoryRow(values, workingInventory, knownEntries);
+        if (plan.error) return { rowNumber, action: null, description: '', errors: [plan.error] };
+        if (plan.write) writes.push(plan.write);
+        return { rowNumber, action: plan.action, description: plan.description, errors: [] };
+    });
+
+    const count = (action) => rows.filter(row => row.action === action).length;
+    return {
+        rows,
+        writes,
+        summary: {
+            total: rows.length,
+            created: count(IMPORT_ACTIONS.CREATE),
+            updated: count(IMPORT_ACTIONS.UPDATE),
+            skipped: count(IMPORT_ACTIONS.SKIP),
+            invalid: rows.filter(row => row.errors.length > 0).length,
+        },
+    };
+};
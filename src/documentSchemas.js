@@ -0,0 +1,156 @@
+// --- Document Schemas ---
+// The collections stored under each user and the version of each collection's document shape. Documents carry
+// `schemaVersion`; older documents (including those written before versioning, version 0) are upgraded on read by
+// running the collection's migrations in order, and dataRepository.js writes the upgrade back for collections
+// whose documents are edited in place.
+import { ORDER_STATUSES } from './orderLifecycle.js';
+import { normalizeItemUnits } from './units.js';
+
+export const COLLECTIONS = {
+    INVENTORY: 'inventory',
+    HISTORY: 'purchaseHistory',
+    CONFIG: 'config',
+    AUDIT: 'auditLog',
+    PRICE_CATALOG: 'priceCatalog',
+    APPROVALS: 'pendingApprovals',
+    ORDERS: 'orders',
+    OCR_REVIEWS: 'ocrReviews',
+    RECEIPTS: 'receipts',
+    AGENT_RUNS: 'agentRuns',
+};
+
+export const CONFIG_DOC_ID = 'userConfig';
+
+const toNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+// Audit details used to be stored as JSON strings
+const parseLegacyDetails = (details) => {
+    try {
+        const parsed = JSON.parse(details);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { value: parsed };
+    } catch (error) {
+        return { message: details };
+    }
+};
+
+// Hash-chained audit entries (auditLog.js) must stay exactly as written, or they would no longer match their hashes
+const unlessChained = (migrate) => (data) => (typeof data.hash === 'string' && Number.isInteger(data.sequence) ? data : migrate(data));
+
+// migrations[n] upgrades a document from version n to n + 1. `persist` marks collections whose stored documents are
+// rewritten once upgraded; history and audit entries are records of what happened and are only upgraded on read.
+const SCHEMAS = {
+    [COLLECTIONS.INVENTORY]: {
+        persist: true,
+        migrations: [
+            // 0 -> 1: numeric quantities, canonical units, and the fields forecasting and item matching expect
+            (data) => ({
+                ...data,
+                quantity: toNumber(data.quantity, 0),
+                restockLevel: toNumber(data.restockLevel, 1),
+                dailyUse: toNumber(data.dailyUse, 0.05),
+                ...normalizeItemUnits(data),
+                aliases: Array.isArray(data.aliases) ? data.aliases : [],
+                lastUsed: data.lastUsed || null,
+                predictedRunOutDate: data.predictedRunOutDate || null,
+            }),
+            // 1 -> 2: the stored quantity anchors the consumption estimate (consumptionModel.js); items last touched
+            // before counts were recorded are taken as counted then
+            (data) => ({
+                ...data,
+                countedQuantity: data.countedQuantity ?? data.quantity,
+                countedAt: data.countedAt || data.lastUsed || null,
+            }),
+        ],
+    },
+    [COLLECTIONS.HISTORY]: {
+        persist: false,
+        migrations: [
+            (data) => ({
+                ...data,
+                quantity: toNumber(data.quantity, 0),
+                cost: toNumber(data.cost, 0),
+                unit: data.unit || null,
+                method: data.method || 'Manual',
+            }),
+        ],
+    },
+    [COLLECTIONS.CONFIG]: {
+        persist: true,
+        migrations: [
+            // 0 -> 1: spend is derived from purchase history (spendLedger.js), so the stored running total goes
+            (data) => {
+                const { currentMonthSpend, ...rest } = data;
+                return {
+                    ...rest,
+                    spendCapMonthly: toNumber(data.spendCapMonthly, 500),
+                    vendorAllowlist: Array.isArray(data.vendorAllowlist) ? data.vendorAllowlist : [],
+                };
+            },
+        ],
+    },
+    [COLLECTIONS.AUDIT]: {
+        persist: false,
+        migrations: [
+            unlessChained((data) => ({
+                ...data,
+                action: data.action || 'Unknown',
+                details: typeof data.details === 'string' ? data.details : JSON.stringify(data.details ?? null),
+            })),
+            // 1 -> 2: structured details (auditLog.js). Chained entries are written at this version and skipped.
+            unlessChained((data) => ({
+                ...data,
+                details: parseLegacyDetails(data.details),
+            })),
+        ],
+    },
+    [COLLECTIONS.ORDERS]: {
+        persist: true,
+        migrations: [
+            (data) => ({
+                ...data,
+                status: data.status || ORDER_STATUSES.PLACED,
+                statusHistory: Array.isArray(data.statusHistory) ? data.statusHistory : [],
+                lines: (data.lines || []).map(line => ({ ...line, deliveredQuantity: toNumber(line.deliveredQuantity, 0) })),
+            }),
+        ],
+    },
+};
+
+/**
+ * Current schema version of a collection's documents (0 for collections without a schema).
+ */
+export const getSchemaVersion = (collectionName) => SCHEMAS[collectionName]?.migrations.length || 0;
+
+/**
+ * Whether upgraded documents of the collection are written back to Firestore.
+ */
+export const isPersistedSchema = (collectionName) => Boolean(SCHEMAS[collectionName]?.persist);
+
+/**
+ * Collections with a versioned schema.
+ */
+export const VERSIONED_COLLECTIONS = Object.keys(SCHEMAS);
+
+/**
+ * Upgrades a document to its collection's current schema. Returns { data, migrated }; `data` is the input itself
+ * when it is already current. Documents from a newer version of the app are left as they are.
+ */
+export const migrateDocument = (collectionName, data) => {
+    const schema = SCHEMAS[collectionName];
+    const version = data.schemaVersion || 0;
+    if (!schema || version >= schema.migrations.length) return { data, migrated: false };
+
+    const upgraded = schema.migrations.slice(version).reduce((doc, migrate) => migrate(doc), data);
+    return { data: { ...upgraded, schemaVersion: schema.migrations.length }, migrated: true };
+};
+
+/**
+ * Stamps a full document being written with its collection's current schema version.
+ */
+export const withSchemaVersion = (collectionName, data) => {
+    const version = getSchemaVersion(collectionName);
+    return version > 0 ? { ...data, schemaVersion: version } : data;
+};
@@ -0,0 +1,110 @@
+// --- Duplicate Detection ---
+// Catches the same purchase being logged twice: a receipt uploaded again (same file, or a new photo of a
+// receipt with the same vendor/date/total), and manual entries or agent checkouts repeated within a short window.
+import { normalizeItemName, isSameItem } from './itemIdentity.js';
+
+// Manual entries and checkouts that repeat a purchase within this many hours ask for confirmation
+export const DUPLICATE_PURCHASE_WINDOW_HOURS = 24;
+
+// Share of item names two receipts must have in common to count as the same receipt (with the same total)
+const ITEM_OVERLAP_THRESHOLD = 0.8;
+
+/**
+ * SHA-256 of a file's bytes as hex, the exact-duplicate fingerprint of an uploaded receipt.
+ */
+export const hashFile = async (file) => {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const normalizeVendor = (vendor) => {
+    const name = (vendor || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return name && name !== 'unknown' ? name : null;
+};
+
+const normalizeDate = (date) => (/^\d{4}-\d{2}-\d{2}/.test(date || '') ? date.substring(0, 10) : null);
+
+/**
+ * Fingerprint stored with each reviewed receipt: file hashes plus the vendor/date/total signature the
+ * Vision API read. When the receipt's printed total is missing, the sum of its line totals stands in.
+ */
+export const buildReceiptFingerprint = ({ fileHashes, summary, rows }) => {
+    const lineTotal = rows.reduce((sum, row) => sum + (parseFloat(row.cost) || 0) * (parseFloat(row.quantity) || 1), 0);
+    const total = parseFloat(summary?.total);
+    return {
+        fileHashes: fileHashes || [],
+        vendor: normalizeVendor(summary?.vendor || rows.find(row => normalizeVendor(row.vendor))?.vendor),
+        date: normalizeDate(summary?.date),
+        total: parseFloat((total > 0 ? total : lineTotal).toFixed(2)),
+        items: [...new Set(rows.map(row => normalizeItemName(row.name)).filter(Boolean))].sort(),
+    };
+};
+
+/**
+ * Compares two receipt fingerprints. Returns { duplicate, sameFile, reasons }.
+ * The same file is always a duplicate; otherwise the same total plus either the same vendor and date,
+ * or mostly the same items, marks a re-photographed receipt.
+ */
+export const compareReceiptFingerprints = (a, b) => {
+    const sameFile = a.fileHashes.some(hash => (b.fileHashes || []).includes(hash));
+    if (sameFile) return { duplicate: true, sameFile, reasons: ['Same file was uploaded before'] };
+
+    const reasons = [];
+    const sameVendor = !!a.vendor && a.vendor === b.vendor;
+    const sameDate = !!a.date && a.date === b.date;
+    const sameTotal = a.total > 0 && Math.abs(a.total - (b.total || 0)) < 0.01;
+    const shared = a.items.filter(item => (b.items || []).includes(item)).length;
+    const itemOverlap = shared / Math.max(1, new Set([...a.items, ...(b.items || [])]).size);
+
+    if (sameVendor) reasons.push('Same vendor');
+    if (sameDate) reasons.push('Same purchase date');
+    if (sameTotal) reasons.push(`Same total ($${a.total.toFixed(2)})`);
+    if (itemOverlap >= ITEM_OVERLAP_THRESHOLD) reasons.push(`${Math.round(itemOverlap * 100)}% of items in common`);
+
+    const duplicate = sameTotal && ((sameVendor && sameDate) || itemOverlap >= ITEM_OVERLAP_THRESHOLD);
+    return { duplicate, sameFile, reasons };
+};
+
+/**
+ * The earlier committed receipt a new fingerprint most likely duplicates, or null.
+ * `candidates` are stored review records (or staged receipts) carrying a `fingerprint`.
+ */
+export const findDuplicateReceipt = (fingerprint, candidates) => {
+    for (const candidate of candidates) {
+        if (!candidate.fingerprint) continue;
+        const comparison = compareReceiptFingerprints(fingerprint, candidate.fingerprint);
+        if (comparison.duplicate) return { receipt: candidate, ...comparison };
+    }
+    return null;
+};
+
+/**
+ * Human-readable age of a timestamp ("3 days ago", "5 hours ago", "just now").
+ */
+export const describeAge = (timestamp, now = new Date()) => {
+    const minutes = Math.max(0, (now.getTime() - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${Math.round(minutes)} minute(s) ago`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)} hour(s) ago`;
+    return `${Math.round(minutes / 60 / 24)} days ago`;
+};
+
+/**
+ * History entries that repeat one of `lines` ({ name, itemId?, quantity, vendor? }, quantities in the item's unit)
+ * within the window: same item, same quantity, same vendor. `filter` narrows which history entries count.
+ * Returns [{ line, entry, age }].
+ */
+export const findRecentDuplicatePurchases = (lines, history, { now = new Date(), windowHours = DUPLICATE_PURCHASE_WINDOW_HOURS, filter = () => true } = {}) => {
+    const since = now.getTime() - windowHours * 60 * 60 * 1000;
+    const recent = history.filter(entry => entry && entry.item && new Date(entry.date).getTime() >= since && filter(entry));
+
+    const matches = [];
+    for (const line of lines) {
+        const entry = recent.find(candidate =>
+            (line.itemId && candidate.itemId ? line.itemId === candidate.itemId : isSameItem(line.name, { name: candidate.item }))
+            && Math.abs((parseFloat(candidate.quantity) || 0) - (parseFloat(line.quantity) || 0)) < 0.001
+            && (!line.vendor || (candidate.vendor || '').toLowerCase() === line.vendor.toLowerCase()));
+        if (entry) matches.push({ line, entry, age: describeAge(entry.date, now) });
+    }
+    return matches;
+};
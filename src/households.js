@@ -0,0 +1,186 @@
+// --- Households ---
+// A household shares one set of data (inventory, history, config, orders, receipts...) between several accounts.
+// Accounts join with the household's invite code. Owners manage spending (spend cap, vendor allowlist, approval
+// policy), approve and cancel orders and manage members; members keep inventory up to date and upload receipts.
+// firestore.rules enforces the same split. The household's `ownerUid` (its creator, at first) is always an owner, so a
+// household is never left without one: that owner can't be demoted or removed until it is handed to another owner.
+import { doc, getDoc, setDoc, deleteDoc, collection, onSnapshot, writeBatch } from 'firebase/firestore';
+import { COLLECTIONS, CONFIG_DOC_ID, createRepository, userDataPath, householdDataPath, householdInvitePath } from './dataRepository.js';
+import { WRITE_TYPES } from './offlineStore.js';
+
+export const HOUSEHOLD_ROLES = {
+    OWNER: 'owner',
+    MEMBER: 'member',
+};
+
+export const HOUSEHOLD_ROLE_LABELS = {
+    [HOUSEHOLD_ROLES.OWNER]: 'Owner',
+    [HOUSEHOLD_ROLES.MEMBER]: 'Member',
+};
+
+export const HOUSEHOLD_PERMISSIONS = {
+    MANAGE_SPENDING: 'manageSpending',
+    APPROVE_ORDERS: 'approveOrders',
+    MANAGE_MEMBERS: 'manageMembers',
+    UPDATE_INVENTORY: 'updateInventory',
+    UPLOAD_RECEIPTS: 'uploadReceipts',
+};
+
+const OWNER_PERMISSIONS = [HOUSEHOLD_PERMISSIONS.MANAGE_SPENDING, HOUSEHOLD_PERMISSIONS.APPROVE_ORDERS, HOUSEHOLD_PERMISSIONS.MANAGE_MEMBERS];
+
+// Config fields members may change; everything else (spend cap, billing period, vendor allowlist, approval policy,
+// agent schedule, and any field added later) is the owners' (mirrored in firestore.rules)
+export const MEMBER_CONFIG_FIELDS = ['forecastMode', 'priceStrategy', 'priceCatalogSeeded', 'migratedSchemaVersions', 'schemaVersion'];
+
+// The data a new household starts from: a copy of its creator's own
+const SHARED_ON_CREATE = [COLLECTIONS.INVENTORY, COLLECTIONS.HISTORY, COLLECTIONS.CONFIG, COLLECTIONS.PRICE_CATALOG];
+
+// Unambiguous characters (no 0/O, 1/I/L)
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Whether a role may do something. Outside a household the account owns its data (role OWNER).
+ */
+export const can = (role, permission) => role === HOUSEHOLD_ROLES.OWNER || (role === HOUSEHOLD_ROLES.MEMBER && !OWNER_PERMISSIONS.includes(permission));
+
+/**
+ * Owner-only config fields a config update would change.
+ */
+export const getOwnerFieldChanges = (currentConfig, newConfig) => Object.keys(newConfig)
+    .filter(field => !MEMBER_CONFIG_FIELDS.includes(field) && JSON.stringify(newConfig[field]) !== JSON.stringify(currentConfig[field]));
+
+export const generateInviteCode = () => Array.from(crypto.getRandomValues(new Uint8Array(8)))
+    .map(byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length])
+    .join('');
+
+export const normalizeInviteCode = (code) => (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const memberRef = (db, householdId, uid) => doc(db, `${householdDataPath(householdId)}/members/${uid}`);
+const profileRef = (db, uid) => doc(db, userDataPath(uid));
+
+/**
+ * Listens to the household the user belongs to (their profile's householdId, null for none).
+ */
+export const subscribeHouseholdId = (db, uid, onChange, onError) => onSnapshot(
+    profileRef(db, uid),
+    (snapshot) => onChange(snapshot.exists() ? snapshot.data().householdId || null : null),
+    onError
+);
+
+/**
+ * Listens to a household's details and its members ([{ uid, role, displayName, joinedAt }]).
+ * Returns one unsubscribe function for both.
+ */
+export const subscribeHousehold = (db, householdId, onHousehold, onMembers, onError) => {
+    const unsubscribeHousehold = onSnapshot(
+        doc(db, householdDataPath(householdId)),
+        (snapshot) => onHousehold(snapshot.exists() ? { ...snapshot.data(), id: snapshot.id } : null),
+        onError
+    );
+    const unsubscribeMembers = onSnapshot(
+        collection(db, `${householdDataPath(householdId)}/members`),
+        (snapshot) => onMembers(snapshot.docs.map(d => ({ ...d.data(), uid: d.id }))),
+        onError
+    );
+    return () => {
+        unsubscribeHousehold();
+        unsubscribeMembers();
+    };
+};
+
+/**
+ * Creates a household owned by the user, starting from a copy of their own inventory, history, config and
+ * price catalog, and moves the user into it. Resolves to the new household's id.
+ */
+export const createHousehold = async (db, uid, { name, displayName }) => {
+    const householdId = crypto.randomUUID();
+    const inviteCode = generateInviteCode();
+    const now = new Date().toISOString();
+
+    // One write at a time: the security rules check each step against the one before it
+    await setDoc(doc(db, householdDataPath(householdId)), { name, ownerUid: uid, inviteCode, createdAt: now });
+    await setDoc(memberRef(db, householdId, uid), { role: HOUSEHOLD_ROLES.OWNER, displayName, joinedAt: now });
+    await setDoc(doc(db, householdInvitePath(inviteCode)), { householdId });
+
+    const personal = createRepository(db, uid);
+    const shared = createRepository(db, uid, { householdId });
+    const writes = [];
+    for (const collectionName of SHARED_ON_CREATE) {
+        const docs = await personal.find(collectionName);
+        docs
+            // Only the settings: the audit chain head belongs to the personal audit log, which stays behind
+            .filter(({ id }) => collectionName !== COLLECTIONS.CONFIG || id === CONFIG_DOC_ID)
+            .forEach(({ id, ...data }) => writes.push({ collection: collectionName, id, type: WRITE_TYPES.SET, data }));
+    }
+    await shared.commit(writes);
+
+    await setDoc(profileRef(db, uid), { householdId }, { merge: true });
+    return householdId;
+};
+
+/**
+ * Joins the household an invite code belongs to as a member. Resolves to its id; throws when the code is unknown.
+ */
+export const joinHousehold = async (db, uid, { inviteCode, displayName }) => {
+    const code = normalizeInviteCode(inviteCode);
+    const invite = code ? await getDoc(doc(db, householdInvitePath(code))) : null;
+    if (!invite || !invite.exists()) throw new Error('No household has that invite code.');
+    const { householdId } = invite.data();
+
+    const existing = await getDoc(memberRef(db, householdId, uid));
+    if (!existing.exists()) {
+        // The rules accept a member document only with the household's current invite code
+        await setDoc(memberRef(db, householdId, uid), { role: HOUSEHOLD_ROLES.MEMBER, displayName, joinedAt: new Date().toISOString(), inviteCode: code });
+    }
+    await setDoc(profileRef(db, uid), { householdId }, { merge: true });
+    return householdId;
+};
+
+/**
+ * Another owner who can take over as the household's `ownerUid` from a member, or null when there is none.
+ */
+export const findOwnerSuccessor = (members, memberUid) => members
+    .find(member => member.role === HOUSEHOLD_ROLES.OWNER && member.uid !== memberUid)?.uid || null;
+
+// Stages handing the household's ownerUid to `successorUid`, when given
+const stageOwnerHandover = (batch, db, householdId, successorUid) => {
+    if (successorUid) batch.set(doc(db, householdDataPath(householdId)), { ownerUid: successorUid }, { merge: true });
+};
+
+/**
+ * Leaves a household; the user is back on their own data. Passing `memberUid` (owners only) removes another member.
+ * Removing the household's ownerUid needs `successorUid`, another owner who takes over in the same write.
+ */
+export const leaveHousehold = async (db, uid, householdId, memberUid = uid, successorUid = null) => {
+    const batch = writeBatch(db);
+    stageOwnerHandover(batch, db, householdId, successorUid);
+    batch.delete(memberRef(db, householdId, memberUid));
+    await batch.commit();
+    if (memberUid === uid) await setDoc(profileRef(db, uid), { householdId: null }, { merge: true });
+};
+
+/**
+ * Points the user's profile back at their own data, e.g. after they were removed from a household.
+ */
+export const clearHousehold = async (db, uid) => setDoc(profileRef(db, uid), { householdId: null }, { merge: true });
+
+/**
+ * Changes a member's role. Making the household's ownerUid a member needs `successorUid`, as in leaveHousehold.
+ */
+export const setMemberRole = async (db, householdId, memberUid, role, successorUid = null) => {
+    const batch = writeBatch(db);
+    stageOwnerHandover(batch, db, householdId, successorUid);
+    batch.set(memberRef(db, householdId, memberUid), { role }, { merge: true });
+    await batch.commit();
+};
+
+/**
+ * Replaces a household's invite code; the old code stops working. Resolves to the new code.
+ */
+export const regenerateInviteCode = async (db, household) => {
+    const inviteCode = generateInviteCode();
+    await setDoc(doc(db, householdInvitePath(inviteCode)), { householdId: household.id });
+    await setDoc(doc(db, householdDataPath(household.id)), { inviteCode }, { merge: true });
+    if (household.inviteCode) await deleteDoc(doc(db, householdInvitePath(household.inviteCode)));
+    return inviteCode;
+};
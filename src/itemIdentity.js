@@ -0,0 +1,171 @@
+// --- Item Identity ---
+// Resolves free-text item names ("Whole Milk 1 gal", "MILK", "Mlik") to inventory items using
+// per-item aliases and normalized/fuzzy matching with a confidence score.
+
+// Matches at or above this score are applied automatically (processUpdates, checkout, forecasts)
+export const AUTO_MATCH_THRESHOLD = 0.85;
+// Matches at or above this score are offered as suggestions for a human to confirm (OCR review, merge tool)
+export const SUGGEST_MATCH_THRESHOLD = 0.6;
+
+// Pack sizes and measures that describe the package, not the item ("1 gal", "12-pack", "16.9 fl oz", "x 12")
+const SIZE_PATTERN = /\b(x\s*)?\d+(\.\d+)?\s*-?\s*(fl\.?\s*oz|oz|lbs?|kg|g|ml|l|ltr|gal(lon)?s?|pk|pack|packs|ct|count|rolls?|bags?|bottles?|cans?)?\b(\s*x)?/g;
+
+// Pack words left once the sizes are gone ("Eggs Dozen", "Paper Towels Value Pack"), as normalized
+const PACK_WORDS = new Set(['pk', 'pack', 'multipack', 'ct', 'count', 'dozen', 'dz', 'ea', 'each', 'bulk']);
+
+// Store brands receipts put in front of the item ("GV Whole Milk", "KS Paper Towels"), as normalized and longest
+// first, so "great value" is stripped whole rather than just "great"
+const BRAND_PREFIXES = [
+    'great value', 'gv', 'kirkland signature', 'kirkland', 'ks', 'member s mark', 'market pantry', 'good and gather',
+    'up and up', 'simple truth organic', 'simple truth', 'private selection', 'kroger', 'signature select',
+    'trader joe s', 'amazon basic', 'happy belly', 'equate',
+].map(prefix => prefix.split(' '));
+
+// Words that add detail without changing what the item is ("Whole Milk", "Organic Bananas", "Large Eggs")
+const DESCRIPTOR_WORDS = new Set([
+    'whole', 'organic', 'fresh', 'natural', 'original', 'classic', 'regular', 'plain', 'premium', 'pure',
+    'large', 'extra', 'jumbo', 'medium', 'small', 'family', 'size', 'value', 'grade',
+]);
+
+// Scores for names where one's words all appear in the other's: only descriptors added, or modifiers that keep the
+// kind of item (its last word: "Oat Milk" is still milk) or make it another ("Milk Chocolate"). Each further modifier
+// costs MODIFIER_PENALTY.
+const CONTAINED_SCORES = {
+    DESCRIBED: 0.95,
+    SAME_KIND: 0.7,
+    OTHER_KIND: 0.45,
+};
+const MODIFIER_PENALTY = 0.1;
+
+const singular = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+// A name that is only a brand keeps it
+const stripBrandPrefix = (words) => {
+    const brand = BRAND_PREFIXES.find(prefix => prefix.length < words.length && prefix.every((word, i) => words[i] === word));
+    return brand ? words.slice(brand.length) : words;
+};
+
+/**
+ * Normalizes an item name for comparison: lowercase, no punctuation, no pack sizes or pack words, no store-brand
+ * prefix, singular words.
+ */
+export const normalizeItemName = (name) => stripBrandPrefix((name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(SIZE_PATTERN, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singular)
+    .filter(word => !PACK_WORDS.has(word)))
+    .join(' ');
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions, so "mlik" is one edit from "milk")
+const editDistance = (a, b) => {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+};
+
+// Word-level similarity of two normalized names
+const wordScore = (na, nb) => {
+    const [shorter, longer] = [[...new Set(na.split(' '))], [...new Set(nb.split(' '))]].sort((x, y) => x.length - y.length);
+    const shared = shorter.filter(word => longer.includes(word));
+    if (shared.length === 0) return 0;
+
+    if (shared.length === shorter.length) {
+        const modifiers = longer.filter(word => !shorter.includes(word) && !DESCRIPTOR_WORDS.has(word));
+        if (modifiers.length === 0) return CONTAINED_SCORES.DESCRIBED;
+        const kind = longer.filter(word => !DESCRIPTOR_WORDS.has(word)).pop();
+        const score = shorter.includes(kind) ? CONTAINED_SCORES.SAME_KIND : CONTAINED_SCORES.OTHER_KIND;
+        return Math.max(0, score - MODIFIER_PENALTY * (modifiers.length - 1));
+    }
+
+    // The same item described differently ("Large Eggs", "Organic Eggs"), or names sharing only some words
+    const core = (words) => words.filter(word => !DESCRIPTOR_WORDS.has(word)).join(' ');
+    if (core(shorter) && core(shorter) === core(longer)) return CONTAINED_SCORES.SAME_KIND;
+    return 0.5 * shared.length / new Set([...shorter, ...longer]).size;
+};
+
+/**
+ * Similarity of two item names between 0 and 1.
+ * Takes the better of character-level edit similarity (typos) and word containment: names that only add
+ * descriptors ("Whole Milk 1 gal" for "Milk") match, while modifiers ("Oat Milk", "Milk Chocolate") keep the score
+ * below the auto-match threshold, lower still when they change what kind of item it is.
+ */
+export const nameSimilarity = (a, b) => {
+    const na = normalizeItemName(a);
+    const nb = normalizeItemName(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+
+    const editScore = 1 - editDistance(na, nb) / Math.max(na.length, nb.length);
+    return parseFloat(Math.max(editScore, wordScore(na, nb)).toFixed(3));
+};
+
+/**
+ * True if a name is the item's name or one of its aliases (after normalization).
+ */
+export const isSameItem = (name, item) => {
+    const normalized = normalizeItemName(name);
+    if (!normalized || !item) return false;
+    return normalizeItemName(item.name) === normalized
+        || (item.aliases || []).some(alias => normalizeItemName(alias) === normalized);
+};
+
+/**
+ * Finds the inventory item a name refers to.
+ * Returns { item, score, matchType } where matchType is 'exact', 'alias', 'fuzzy', or null when nothing scores
+ * at least `minScore`. Exact and alias matches score 1.
+ */
+export const resolveItem = (name, inventory, minScore = AUTO_MATCH_THRESHOLD) => {
+    const items = inventory.filter(item => item && item.name);
+    const normalized = normalizeItemName(name);
+
+    const exact = items.find(item => normalizeItemName(item.name) === normalized);
+    if (exact) return { item: exact, score: 1, matchType: 'exact' };
+
+    const alias = items.find(item => (item.aliases || []).some(a => normalizeItemName(a) === normalized));
+    if (alias) return { item: alias, score: 1, matchType: 'alias' };
+
+    let best = { item: null, score: 0, matchType: null };
+    for (const item of items) {
+        const score = Math.max(nameSimilarity(name, item.name), ...(item.aliases || []).map(a => nameSimilarity(name, a)));
+        if (score > best.score) best = { item, score, matchType: 'fuzzy' };
+    }
+    return best.score >= minScore ? best : { item: null, score: best.score, matchType: null };
+};
+
+/**
+ * Shorthand for the confidently matched inventory item (or undefined).
+ */
+export const findInventoryItem = (name, inventory) => resolveItem(name, inventory).item || undefined;
+
+/**
+ * Pairs of inventory items that look like the same thing, most similar first, for the merge tool.
+ */
+export const findPossibleDuplicates = (inventory) => {
+    const items = inventory.filter(item => item && item.name);
+    const pairs = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const score = nameSimilarity(items[i].name, items[j].name);
+            if (score >= SUGGEST_MATCH_THRESHOLD) pairs.push({ a: items[i], b: items[j], score });
+        }
+    }
+    return pairs.sort((x, y) => y.score - x.score);
+};
+
+/**
+ * Whether a confirmed name should be learned as a new alias for an item (not already covered by name or aliases).
+ */
+export const shouldLearnAlias = (name, item) => !!normalizeItemName(name) && !isSameItem(name, item);
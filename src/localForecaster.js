@@ -0,0 +1,215 @@
+// --- Local Forecasting Engine ---
+// Deterministic statistical baseline for callPredictiveEngine: consumption rates are learned from usage samples
+// (purchase intervals in purchaseHistory, physical counts and recorded uses, see consumptionModel.js), weighted
+// towards the most recent, with the item's dailyUse as the prior until there are enough. Run-out dates come from the
+// current quantity, with a range from how much the samples vary. Used as the fallback when the LLM is unavailable,
+// as the baseline the AI forecast is compared against, and as the learned rates the AI is given.
+import { isSameItem } from './itemIdentity.js';
+
+export const FORECAST_MODES = {
+    AI: 'ai',            // AI forecast, local baseline only when the AI call fails
+    LOCAL: 'local',      // Local baseline only, no network calls
+    COMPARE: 'compare',  // Run both and surface where they disagree
+};
+
+export const FORECAST_MODE_LABELS = {
+    [FORECAST_MODES.AI]: 'AI (local fallback)',
+    [FORECAST_MODES.LOCAL]: 'Local baseline only',
+    [FORECAST_MODES.COMPARE]: 'AI + baseline comparison',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HORIZON_DAYS = 365;       // Items with no measurable consumption are forecast this far out
+const REORDER_WINDOW_DAYS = 7;      // Suggest items predicted to run out within this window
+const TARGET_COVER_DAYS = 30;       // Suggested quantities aim to cover this many days of use
+export const DISAGREEMENT_THRESHOLD_DAYS = 3;
+
+export const FORECAST_CONFIDENCE = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low',
+};
+
+export const FORECAST_CONFIDENCE_LABELS = {
+    [FORECAST_CONFIDENCE.HIGH]: 'High confidence',
+    [FORECAST_CONFIDENCE.MEDIUM]: 'Medium confidence',
+    [FORECAST_CONFIDENCE.LOW]: 'Low confidence',
+};
+
+const SMOOTHING = 0.3;              // Weight of each new sample in the learned rate (exponential smoothing)
+export const MIN_LEARNED_SAMPLES = 2;  // Below this, samples are blended with dailyUse instead of replacing it
+const DEFAULT_SPREAD = 0.5;         // Relative rate uncertainty assumed without enough samples to measure it
+const MIN_SPREAD = 0.1;             // Even steady samples don't make a rate exact
+
+const toDateString = (date) => new Date(date).toISOString().substring(0, 10);
+
+// History rows belong to an item by ID, or by its name/aliases for rows written before item IDs existed
+const belongsTo = (entry, item) => (entry.itemId ? entry.itemId === item.id : isSameItem(entry.item, item));
+
+/**
+ * An item's usage samples, oldest first, as [{ at, rate, source }]: each purchase lasting until the next one
+ * ('purchases'), the intervals between physical counts ('counts'), and the uses recorded since the last count
+ * ('uses', a floor on the rate since not every use is recorded). Intervals under a day are left out.
+ */
+export const getUsageSamples = (item, purchaseHistory, now = new Date()) => {
+    const samples = [];
+    const purchases = purchaseHistory
+        .filter(entry => entry && entry.date && belongsTo(entry, item))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    for (let i = 0; i < purchases.length - 1; i++) {
+        const days = (new Date(purchases[i + 1].date) - new Date(purchases[i].date)) / DAY_MS;
+        const quantity = parseFloat(purchases[i].quantity) || 0;
+        if (days >= 1 && quantity > 0) samples.push({ at: purchases[i + 1].date, rate: quantity / days, source: 'purchases' });
+    }
+
+    (item.usageSamples || [])
+        .filter(sample => sample && sample.at && Number.isFinite(sample.rate))
+        .forEach(sample => samples.push({ at: sample.at, rate: sample.rate, source: 'counts' }));
+
+    const used = parseFloat(item.usedSinceCount) || 0;
+    const days = item.countedAt ? (now.getTime() - new Date(item.countedAt).getTime()) / DAY_MS : 0;
+    if (used > 0 && days >= 1) samples.push({ at: now.toISOString(), rate: used / days, source: 'uses' });
+
+    return samples.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+const getConfidence = (samples, rate, spread) => {
+    const variation = rate > 0 ? spread / rate : Infinity;
+    if (samples >= 4 && variation <= 0.25) return FORECAST_CONFIDENCE.HIGH;
+    if (samples >= MIN_LEARNED_SAMPLES && variation <= 0.5) return FORECAST_CONFIDENCE.MEDIUM;
+    return FORECAST_CONFIDENCE.LOW;
+};
+
+/**
+ * Estimates an item's daily consumption rate as { rate, spread, source, samples, confidence }.
+ * With enough usage samples the rate is learned from them alone, each new sample moving it by SMOOTHING, and
+ * `spread` is their exponentially weighted standard deviation. A single sample is blended evenly with dailyUse;
+ * without samples dailyUse is used as it is.
+ */
+export const estimateConsumptionRate = (item, purchaseHistory, now = new Date()) => {
+    const samples = getUsageSamples(item, purchaseHistory, now);
+    const dailyUse = parseFloat(item.dailyUse) || 0;
+
+    if (samples.length >= MIN_LEARNED_SAMPLES) {
+        let rate = samples[0].rate;
+        let variance = 0;
+        for (const sample of samples.slice(1)) {
+            const diff = sample.rate - rate;
+            rate += SMOOTHING * diff;
+            variance = (1 - SMOOTHING) * (variance + SMOOTHING * diff * diff);
+        }
+        const spread = Math.max(Math.sqrt(variance), rate * MIN_SPREAD);
+        return { rate, spread, source: 'learned', samples: samples.length, confidence: getConfidence(samples.length, rate, spread) };
+    }
+
+    const unlearned = (rate, source) => ({ rate, spread: rate * DEFAULT_SPREAD, source, samples: samples.length, confidence: FORECAST_CONFIDENCE.LOW });
+    if (samples.length === 1 && dailyUse > 0) return unlearned((samples[0].rate + dailyUse) / 2, 'samples+dailyUse');
+    if (samples.length === 1) return unlearned(samples[0].rate, 'samples');
+    return unlearned(dailyUse, dailyUse > 0 ? 'dailyUse' : 'none');
+};
+
+/**
+ * Predicts the run-out date (YYYY-MM-DD) for a quantity consumed at a daily rate.
+ */
+export const forecastRunOutDate = (quantity, rate, now = new Date()) => {
+    const qty = Math.max(0, parseFloat(quantity) || 0);
+    const days = rate > 0 ? Math.min(qty / rate, MAX_HORIZON_DAYS) : MAX_HORIZON_DAYS;
+    return toDateString(now.getTime() + Math.floor(days) * DAY_MS);
+};
+
+/**
+ * Runs the local forecaster over the whole inventory.
+ * Returns the same shape as callPredictiveEngine ({ suggestedCart, inventoryForecasts }) so the two are interchangeable.
+ */
+export const runLocalForecast = (inventory, purchaseHistory, now = new Date()) => {
+    const inventoryForecasts = [];
+    const suggestedCart = [];
+
+    for (const item of inventory) {
+        if (!item || !item.name) continue;
+
+        const { rate, spread, source, samples, confidence } = estimateConsumptionRate(item, purchaseHistory, now);
+        const predictedRunOutDate = forecastRunOutDate(item.quantity, rate, now);
+        inventoryForecasts.push({
+            name: item.name,
+            predictedRunOutDate,
+            // Faster use empties the item sooner
+            runOutEarliest: forecastRunOutDate(item.quantity, rate + spread, now),
+            runOutLatest: forecastRunOutDate(item.quantity, rate - spread, now),
+            confidence,
+            dailyRate: rate,
+            rateSource: source,
+            rateSamples: samples,
+        });
+
+        const quantity = parseFloat(item.quantity) || 0;
+        const daysLeft = (new Date(predictedRunOutDate) - new Date(toDateString(now))) / DAY_MS;
+        const belowRestock = quantity < (parseFloat(item.restockLevel) || 0);
+
+        if (belowRestock || daysLeft <= REORDER_WINDOW_DAYS) {
+            const target = Math.max(parseFloat(item.restockLevel) || 1, rate * TARGET_COVER_DAYS);
+            const lastVendor = purchaseHistory
+                .filter(entry => entry && entry.date && belongsTo(entry, item))
+                .sort((a, b) => new Date(b.date) - new Date(a.date))[0]?.vendor;
+            suggestedCart.push({
+                name: item.name,
+                quantityToBuy: Math.max(1, Math.ceil(target - quantity)),
+                reason: belowRestock ? 'Below restock level' : `Runs out in ${Math.max(0, daysLeft)} days`,
+                vendor: lastVendor || 'Unknown',
+            });
+        }
+    }
+
+    return {
+        suggestedCart: suggestedCart.slice(0, 5),
+        inventoryForecasts,
+    };
+};
+
+/**
+ * Compares AI forecasts against the local baseline.
+ * Returns one row per item the AI forecast, with the difference in days (AI minus baseline).
+ */
+export const compareForecasts = (aiForecasts, baselineForecasts) => {
+    const baseline = new Map(baselineForecasts.map(f => [f.name.toLowerCase(), f]));
+    return aiForecasts
+        .filter(f => f && f.name && baseline.has(f.name.toLowerCase()))
+        .map(f => {
+            const base = baseline.get(f.name.toLowerCase());
+            const diffDays = Math.round((new Date(f.predictedRunOutDate) - new Date(base.predictedRunOutDate)) / DAY_MS);
+            return {
+                name: base.name,
+                aiRunOutDate: f.predictedRunOutDate,
+                baselineRunOutDate: base.predictedRunOutDate,
+                diffDays: isNaN(diffDays) ? null : diffDays,
+                disagrees: isNaN(diffDays) || Math.abs(diffDays) > DISAGREEMENT_THRESHOLD_DAYS,
+            };
+        });
+};
+
+/**
+ * How past run-out forecasts compared with when items actually ran out (the forecast checks consumptionModel.js
+ * records). Returns { checks, meanAbsErrorDays, meanErrorDays, withinRange, bySource: { ai, local } } where
+ * meanErrorDays > 0 means items lasted longer than forecast and withinRange is the share that ran out inside the
+ * forecast's range; the means are null without checks.
+ */
+export const summarizeForecastAccuracy = (inventory) => {
+    const summarize = (checks) => ({
+        checks: checks.length,
+        meanAbsErrorDays: checks.length > 0 ? checks.reduce((sum, c) => sum + Math.abs(c.errorDays), 0) / checks.length : null,
+        meanErrorDays: checks.length > 0 ? checks.reduce((sum, c) => sum + c.errorDays, 0) / checks.length : null,
+        withinRange: checks.length > 0
+            ? checks.filter(c => c.earliest && c.latest && c.actual >= c.earliest && c.actual <= c.latest).length / checks.length
+            : null,
+    });
+    const checks = inventory
+        .flatMap(item => item?.forecastChecks || [])
+        .filter(check => check && Number.isFinite(check.errorDays));
+    return {
+        ...summarize(checks),
+        bySource: {
+            ai: summarize(checks.filter(c => c.source === 'ai')),
+            local: summarize(checks.filter(c => c.source === 'local')),
+        },
+    };
+};
@@ -0,0 +1,218 @@
+// --- Notification Rules ---
+// What the agent tells people about, and when. Stock and spend rules are checked by the server against the data
+// (api/notifications.js, on a schedule), so alerts arrive with the app closed; the app reports events (cart built,
+// purchase executed) as they happen. Each person has their own settings: which rules reach them by web push and which
+// go into their email digest, quiet hours during which pushes are held, and when the digest is sent.
+// Shared by the app and the API, so it only uses pure modules.
+import { buildSpendLedger, getCurrentPeriod, getZonedTime, isValidTimeZone } from './spendLedger.js';
+import { computeInTransit, getInTransitQuantity } from './orderLifecycle.js';
+import { formatQuantity } from './units.js';
+import { projectQuantity } from './consumptionModel.js';
+
+export const NOTIFICATION_RULES = {
+    LOW_STOCK: 'lowStock',
+    RUN_OUT_SOON: 'runOutSoon',
+    CART_BUILT: 'cartBuilt',
+    PURCHASE_EXECUTED: 'purchaseExecuted',
+    SPEND_CAP: 'spendCap',
+};
+
+export const NOTIFICATION_RULE_LABELS = {
+    [NOTIFICATION_RULES.LOW_STOCK]: 'Item below its restock level',
+    [NOTIFICATION_RULES.RUN_OUT_SOON]: 'Item predicted to run out soon',
+    [NOTIFICATION_RULES.CART_BUILT]: 'Cart built',
+    [NOTIFICATION_RULES.PURCHASE_EXECUTED]: 'Purchase executed',
+    [NOTIFICATION_RULES.SPEND_CAP]: 'Spend cap almost reached',
+};
+
+// Rules the app raises as things happen; the others are conditions checked against the data
+export const EVENT_RULES = [NOTIFICATION_RULES.CART_BUILT, NOTIFICATION_RULES.PURCHASE_EXECUTED];
+
+export const DIGEST_FREQUENCIES = {
+    OFF: 'off',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+};
+
+export const DIGEST_FREQUENCY_LABELS = {
+    [DIGEST_FREQUENCIES.OFF]: 'No digest',
+    [DIGEST_FREQUENCIES.DAILY]: 'Daily',
+    [DIGEST_FREQUENCIES.WEEKLY]: 'Weekly',
+};
+
+export const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const defaultNotificationSettings = {
+    enabled: false,           // Master switch; the server skips people who haven't turned notifications on
+    timeZone: '',             // IANA timezone for quiet hours and the digest time (the browser's when saved)
+    rules: Object.fromEntries(Object.values(NOTIFICATION_RULES).map(rule => [rule, { push: true, email: true }])),
+    runOutDays: 3,            // Run-out alerts for items predicted to run out within this many days
+    spendCapThreshold: 0.8,   // Share of the period's budget that triggers the spend cap alert
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    digest: { frequency: DIGEST_FREQUENCIES.DAILY, hour: 8, weekday: 1 },
+    pushSubscriptions: [],    // This person's devices ({ endpoint, keys, createdAt })
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Merges stored (possibly partial or missing) settings with the defaults.
+ */
+export const normalizeNotificationSettings = (settings) => {
+    const merged = { ...defaultNotificationSettings, ...(settings || {}) };
+    const quietHours = { ...defaultNotificationSettings.quietHours, ...(merged.quietHours || {}) };
+    const digest = { ...defaultNotificationSettings.digest, ...(merged.digest || {}) };
+    return {
+        ...merged,
+        timeZone: isValidTimeZone(merged.timeZone) ? merged.timeZone : 'UTC',
+        rules: Object.fromEntries(Object.values(NOTIFICATION_RULES).map(rule => [rule, {
+            push: merged.rules?.[rule]?.push !== false,
+            email: merged.rules?.[rule]?.email !== false,
+        }])),
+        runOutDays: Math.max(0, parseInt(merged.runOutDays, 10) || 0),
+        spendCapThreshold: Math.min(1, Math.max(0.1, parseFloat(merged.spendCapThreshold) || defaultNotificationSettings.spendCapThreshold)),
+        quietHours: {
+            enabled: !!quietHours.enabled,
+            start: TIME_PATTERN.test(quietHours.start) ? quietHours.start : defaultNotificationSettings.quietHours.start,
+            end: TIME_PATTERN.test(quietHours.end) ? quietHours.end : defaultNotificationSettings.quietHours.end,
+        },
+        digest: {
+            frequency: Object.values(DIGEST_FREQUENCIES).includes(digest.frequency) ? digest.frequency : DIGEST_FREQUENCIES.DAILY,
+            hour: Math.min(23, Math.max(0, parseInt(digest.hour, 10) || 0)),
+            weekday: Math.min(6, Math.max(0, parseInt(digest.weekday, 10) || 0)),
+        },
+        pushSubscriptions: Array.isArray(merged.pushSubscriptions) ? merged.pushSubscriptions.filter(s => s && s.endpoint) : [],
+    };
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Whether pushes are held right now. Quiet hours may span midnight (22:00-07:00).
+ */
+export const isQuietTime = (settings, now = new Date()) => {
+    const { quietHours, timeZone } = settings;
+    if (!quietHours.enabled) return false;
+    const { hour, minute } = getZonedTime(now, timeZone);
+    const time = hour * 60 + minute;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start <= end ? time >= start && time < end : time >= start || time < end;
+};
+
+/**
+ * Key of the digest due now (the local date it's sent on), or null when none is due. A digest is sent once per
+ * key: compare with the key of the last one sent.
+ */
+export const getDueDigestKey = (settings, now = new Date()) => {
+    const { frequency, hour, weekday } = settings.digest;
+    if (frequency === DIGEST_FREQUENCIES.OFF) return null;
+    const zoned = getZonedTime(now, settings.timeZone);
+    if (zoned.hour < hour) return null;
+    if (frequency === DIGEST_FREQUENCIES.WEEKLY && zoned.weekday !== weekday) return null;
+    return zoned.dateKey;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Alerts the data currently calls for: [{ key, rule, title, body }]. `key` identifies the condition, so a person
+ * is told once when it starts and again only after it has cleared. `data` is { inventory, orders, purchaseHistory,
+ * config }; purchase history is only needed for the spend cap rule.
+ */
+export const evaluateAlerts = ({ inventory = [], orders = [], purchaseHistory = [], config = {} }, settings, now = new Date()) => {
+    const alerts = [];
+    const inTransit = computeInTransit(orders);
+
+    for (const item of inventory) {
+        const onHand = projectQuantity(item, now).estimated;
+        const incoming = getInTransitQuantity(inTransit, item);
+        const restockLevel = parseFloat(item.restockLevel) || 0;
+
+        if (onHand + incoming <= restockLevel) {
+            alerts.push({
+                key: `${NOTIFICATION_RULES.LOW_STOCK}:${item.id}`,
+                rule: NOTIFICATION_RULES.LOW_STOCK,
+                title: `${item.name} is running low`,
+                body: `${formatQuantity(onHand, item.unit)} left, restock level ${formatQuantity(restockLevel, item.unit)}`
+                    + (incoming > 0 ? ` (${formatQuantity(incoming, item.unit)} on order).` : '.'),
+            });
+        }
+
+        // Items already on order are being taken care of
+        if (item.predictedRunOutDate && incoming === 0) {
+            const days = Math.ceil((new Date(item.predictedRunOutDate).getTime() - now.getTime()) / DAY_MS);
+            if (days <= settings.runOutDays) {
+                alerts.push({
+                    key: `${NOTIFICATION_RULES.RUN_OUT_SOON}:${item.id}`,
+                    rule: NOTIFICATION_RULES.RUN_OUT_SOON,
+                    title: days <= 0 ? `${item.name} has run out` : `${item.name} runs out in ${days} day(s)`,
+                    body: `Predicted to run out on ${new Date(item.predictedRunOutDate).toLocaleDateString('en-US', { timeZone: settings.timeZone })}.`,
+                });
+            }
+        }
+    }
+
+    const cap = parseFloat(config.spendCapMonthly) || 0;
+    if (cap > 0) {
+        // A billing period without its own timezone follows the browser, which on the server is this person's
+        const billingPeriod = { ...(config.billingPeriod || {}), timeZone: config.billingPeriod?.timeZone || settings.timeZone };
+        const period = getCurrentPeriod(buildSpendLedger(purchaseHistory, { spendCap: cap, billingPeriod, now }));
+        if (period.available > 0 && period.spend >= period.available * settings.spendCapThreshold) {
+            alerts.push({
+                key: `${NOTIFICATION_RULES.SPEND_CAP}:${period.key}`,
+                rule: NOTIFICATION_RULES.SPEND_CAP,
+                title: `${Math.round((period.spend / period.available) * 100)}% of this period's budget spent`,
+                body: `$${period.spend.toFixed(2)} of $${period.available.toFixed(2)} spent (${period.start} to ${period.end}).`,
+            });
+        }
+    }
+    return alerts;
+};
+
+/**
+ * Notification for an event the app reports ({ rule, title, body }). Throws for rules that aren't events.
+ */
+export const describeEvent = (rule, details = {}) => {
+    const total = Number.isFinite(parseFloat(details.total)) ? `$${parseFloat(details.total).toFixed(2)}` : 'an unknown total';
+    if (rule === NOTIFICATION_RULES.CART_BUILT) {
+        return { rule, title: 'Shopping cart ready', body: `The agent built a cart of ${parseInt(details.count, 10) || 0} item(s) for ${total}.` };
+    }
+    if (rule === NOTIFICATION_RULES.PURCHASE_EXECUTED) {
+        const vendors = Array.isArray(details.vendors) && details.vendors.length > 0 ? ` from ${details.vendors.join(', ')}` : '';
+        return { rule, title: 'Purchase placed', body: `Ordered ${total}${vendors}.` };
+    }
+    throw new Error(`Unknown notification event: ${rule}`);
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+/**
+ * The digest email for notifications collected since the last one ([{ rule, title, body, at }]), plus the alerts
+ * still open now. Returns { subject, text, html }.
+ */
+export const buildDigest = (entries, openAlerts, settings) => {
+    const period = settings.digest.frequency === DIGEST_FREQUENCIES.WEEKLY ? 'weekly' : 'daily';
+    const sections = [
+        { heading: 'Needs attention now', lines: openAlerts.map(alert => `${alert.title}: ${alert.body}`) },
+        ...Object.values(NOTIFICATION_RULES).map(rule => ({
+            heading: NOTIFICATION_RULE_LABELS[rule],
+            lines: entries.filter(entry => entry.rule === rule)
+                .map(entry => `${new Date(entry.at).toLocaleString('en-US', { timeZone: settings.timeZone })}: ${entry.title}. ${entry.body}`),
+        })),
+    ].filter(section => section.lines.length > 0);
+
+    const subject = `AKEDOshop ${period} digest: ${openAlerts.length} open alert(s), ${entries.length} notification(s)`;
+    if (sections.length === 0) {
+        const quiet = 'Nothing to report: no alerts and no purchases since the last digest.';
+        return { subject, text: quiet, html: `<p>${quiet}</p>` };
+    }
+    const text = sections.map(section => `${section.heading}\n${section.lines.map(line => `- ${line}`).join('\n')}`).join('\n\n');
+    const html = sections
+        .map(section => `<h3>${escapeHtml(section.heading)}</h3><ul>${section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`)
+        .join('');
+    return { subject, text, html };
+};
@@ -0,0 +1,91 @@
+// --- Notification Settings ---
+// Each person's notification settings (src/notificationRules.js) are their own, even in a household: they live at
+// users/{uid}/notifications/settings, where api/notifications.js reads them. Web push needs this browser's
+// subscription, made through public/notification-sw.js with the server's VAPID public key
+// (REACT_APP_VAPID_PUBLIC_KEY, the same key as the API's VAPID_PUBLIC_KEY).
+import { doc, setDoc, onSnapshot, runTransaction } from 'firebase/firestore';
+import { userDataPath } from './dataRepository.js';
+import { normalizeNotificationSettings } from './notificationRules.js';
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY || '';
+const SERVICE_WORKER_URL = '/notification-sw.js';
+
+const settingsRef = (db, uid) => doc(db, `${userDataPath(uid)}/notifications/settings`);
+
+/**
+ * Listens to a person's notification settings (always complete, defaults filled in).
+ * Returns the unsubscribe function.
+ */
+export const subscribeNotificationSettings = (db, uid, onChange, onError) => onSnapshot(
+    settingsRef(db, uid),
+    snapshot => onChange(normalizeNotificationSettings(snapshot.data())),
+    onError
+);
+
+/**
+ * Saves settings. Push subscriptions are managed separately (addPushSubscription / removePushSubscription),
+ * since the server also removes expired ones.
+ */
+export const saveNotificationSettings = (db, uid, settings) => {
+    const { pushSubscriptions, ...rest } = normalizeNotificationSettings(settings);
+    return setDoc(settingsRef(db, uid), rest, { merge: true });
+};
+
+const updatePushSubscriptions = (db, uid, update) => runTransaction(db, async (transaction) => {
+    const ref = settingsRef(db, uid);
+    const current = (await transaction.get(ref)).data()?.pushSubscriptions || [];
+    transaction.set(ref, { pushSubscriptions: update(current) }, { merge: true });
+});
+
+/**
+ * Whether this browser can receive web push from this deployment.
+ */
+export const isPushSupported = () => !!VAPID_PUBLIC_KEY
+    && typeof window !== 'undefined'
+    && 'serviceWorker' in navigator
+    && 'PushManager' in window
+    && 'Notification' in window;
+
+const toUint8Array = (base64Url) => {
+    const base64 = (base64Url + '='.repeat((4 - (base64Url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(window.atob(base64), ch => ch.charCodeAt(0));
+};
+
+/**
+ * This browser's current push subscription, or null.
+ */
+export const getPushSubscription = async () => {
+    if (!isPushSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Asks for permission, subscribes this browser to push and adds it to the person's devices.
+ * Throws when push isn't available or permission is refused.
+ */
+export const enablePushOnThisDevice = async (db, uid) => {
+    if (!isPushSupported()) throw new Error('Push notifications are not available in this browser.');
+    if (await Notification.requestPermission() !== 'granted') throw new Error('Notification permission was not granted.');
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    await navigator.serviceWorker.ready;
+    const subscription = (await registration.pushManager.getSubscription())
+        || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: toUint8Array(VAPID_PUBLIC_KEY) });
+    const { endpoint, keys } = subscription.toJSON();
+    await updatePushSubscriptions(db, uid, current => [
+        ...current.filter(s => s.endpoint !== endpoint),
+        { endpoint, keys, createdAt: new Date().toISOString() },
+    ]);
+    return endpoint;
+};
+
+/**
+ * Unsubscribes this browser and removes it from the person's devices.
+ */
+export const disablePushOnThisDevice = async (db, uid) => {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+    const { endpoint } = subscription;
+    await subscription.unsubscribe();
+    await updatePushSubscriptions(db, uid, current => current.filter(s => s.endpoint !== endpoint));
+};
@@ -0,0 +1,152 @@
+// --- Offline Store ---
+// Local-first copy of the user's core collections in IndexedDB. Firestore snapshots are cached here so the app
+// starts with the last known data, and while Firestore is unreachable (no network, or sign-in failed) writes are
+// applied here and queued as pending writes, to be replayed to Firestore by offlineSync.js once it is back.
+import { COLLECTIONS } from './documentSchemas.js';
+
+// The collections kept offline (orders, reviews and receipts need the server and stay online-only)
+export const OFFLINE_COLLECTIONS = {
+    INVENTORY: COLLECTIONS.INVENTORY,
+    HISTORY: COLLECTIONS.HISTORY,
+    CONFIG: COLLECTIONS.CONFIG,
+    AUDIT: COLLECTIONS.AUDIT,
+    PRICE_CATALOG: COLLECTIONS.PRICE_CATALOG,
+    APPROVALS: COLLECTIONS.APPROVALS,
+};
+
+export const WRITE_TYPES = {
+    SET: 'set',
+    MERGE: 'merge',
+    DELETE: 'delete',
+};
+
+const DB_NAME = 'akedoshop-offline';
+const DB_VERSION = 1;
+const DOCS = 'docs';
+const PENDING = 'pendingWrites';
+const META = 'meta';
+
+const docKey = (collectionName, id) => `${collectionName}/${id}`;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+/**
+ * Opens (creating on first use) the offline database. Resolves to null where IndexedDB is unavailable.
+ */
+export const openOfflineStore = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        const docs = database.createObjectStore(DOCS, { keyPath: 'key' });
+        docs.createIndex('collection', 'collection');
+        database.createObjectStore(PENDING, { keyPath: 'seq', autoIncrement: true });
+        database.createObjectStore(META);
+    };
+    return requestToPromise(request).catch(error => {
+        console.error("Offline store unavailable:", error);
+        return null;
+    });
+};
+
+/**
+ * Documents of a collection as [{ ...data, id }].
+ */
+export const readCollection = async (store, collectionName) => {
+    const entries = await requestToPromise(store.transaction(DOCS).objectStore(DOCS).index('collection').getAll(collectionName));
+    return entries.map(entry => ({ ...entry.data, id: entry.id }));
+};
+
+/**
+ * Caches documents read from Firestore. `replace` drops cached documents missing from `docs` (use it only for
+ * listeners that see the whole collection). Documents with pending local writes keep their local version.
+ */
+export const cacheDocuments = async (store, collectionName, docs, { replace = false } = {}) => {
+    const transaction = store.transaction([DOCS, PENDING], 'readwrite');
+    const docStore = transaction.objectStore(DOCS);
+    const pending = await requestToPromise(transaction.objectStore(PENDING).getAll());
+    const pendingKeys = new Set(pending.map(write => docKey(write.collection, write.id)));
+
+    if (replace) {
+        const cachedKeys = await requestToPromise(docStore.index('collection').getAllKeys(collectionName));
+        const incoming = new Set(docs.map(d => docKey(collectionName, d.id)));
+        cachedKeys.filter(key => !incoming.has(key) && !pendingKeys.has(key)).forEach(key => docStore.delete(key));
+    }
+    for (const { id, ...data } of docs) {
+        const key = docKey(collectionName, id);
+        if (!pendingKeys.has(key)) docStore.put({ key, collection: collectionName, id, data });
+    }
+    return transactionDone(transaction);
+};
+
+/**
+ * Applies writes locally and queues them for sync, in one IndexedDB transaction.
+ * `writes` are [{ collection, id, type, data }] with plain data (no Firestore sentinels). Each queued write keeps
+ * the document as it was before (`base`), which sync uses to tell local edits from edits made on other devices.
+ * Writes that would not change anything are skipped. Resolves to the number of writes queued.
+ */
+export const queueWrites = async (store, writes) => {
+    const transaction = store.transaction([DOCS, PENDING], 'readwrite');
+    const docStore = transaction.objectStore(DOCS);
+    const pendingStore = transaction.objectStore(PENDING);
+    let queued = 0;
+
+    for (const write of writes) {
+        const key = docKey(write.collection, write.id);
+        const existing = await requestToPromise(docStore.get(key));
+        const base = existing ? existing.data : null;
+
+        if (write.type === WRITE_TYPES.DELETE) {
+            if (!existing) continue;
+            docStore.delete(key);
+        } else {
+            const data = write.type === WRITE_TYPES.MERGE ? { ...(base || {}), ...write.data } : write.data;
+            if (existing && JSON.stringify(data) === JSON.stringify(base)) continue;
+            docStore.put({ key, collection: write.collection, id: write.id, data });
+        }
+        pendingStore.add({ collection: write.collection, id: write.id, type: write.type, data: write.data || null, base, queuedAt: new Date().toISOString() });
+        queued++;
+    }
+    await transactionDone(transaction);
+    return queued;
+};
+
+/**
+ * Pending writes in the order they were made.
+ */
+export const getPendingWrites = async (store) => requestToPromise(store.transaction(PENDING).objectStore(PENDING).getAll());
+
+/**
+ * Removes a synced write from the queue.
+ */
+export const removePendingWrite = async (store, seq) => {
+    const transaction = store.transaction(PENDING, 'readwrite');
+    transaction.objectStore(PENDING).delete(seq);
+    return transactionDone(transaction);
+};
+
+/**
+ * Drops all cached documents and pending writes (e.g. when another account signs in on this device).
+ */
+export const clearOfflineStore = async (store) => {
+    const transaction = store.transaction([DOCS, PENDING, META], 'readwrite');
+    [DOCS, PENDING, META].forEach(name => transaction.objectStore(name).clear());
+    return transactionDone(transaction);
+};
+
+export const getMeta = async (store, key) => requestToPromise(store.transaction(META).objectStore(META).get(key));
+
+export const setMeta = async (store, key, value) => {
+    const transaction = store.transaction(META, 'readwrite');
+    transaction.objectStore(META).put(value, key);
+    return transactionDone(transaction);
+};
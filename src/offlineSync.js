@@ -0,0 +1,119 @@
+// --- Offline Sync ---
+// Replays writes queued in the offline store to Firestore, oldest first. Append-only collections (history, audit)
+// are copied as they are, audit entries by appending them to the audit log's hash chain (auditLog.js). Inventory items and other documents edited both here and on another device are merged
+// three ways against the version this device last saw: fields only one side changed keep that side's value,
+// quantities and recorded uses combine both sides' changes, aliases are unioned, and fields both sides changed take the local value
+// (reported as a conflict).
+import { runTransaction } from 'firebase/firestore';
+import { OFFLINE_COLLECTIONS, WRITE_TYPES, getPendingWrites, removePendingWrite } from './offlineStore.js';
+import { prepareWrite } from './dataRepository.js';
+import { migrateDocument } from './documentSchemas.js';
+import { appendAuditEntry } from './auditLog.js';
+
+const APPEND_ONLY = [OFFLINE_COLLECTIONS.HISTORY, OFFLINE_COLLECTIONS.AUDIT];
+
+// Fields that change as a side effect (forecasts); differences there are not worth reporting
+const DERIVED_FIELDS = ['predictedRunOutDate', 'forecastSource', 'aiRunOutDate', 'baselineRunOutDate', 'lastUsed'];
+
+// Key order is not preserved between Firestore and the offline store, so objects compare with sorted keys
+const stableJson = (value) => JSON.stringify(value ?? null, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+
+const sameValue = (a, b) => stableJson(a) === stableJson(b);
+
+/**
+ * Three-way merge of a document: `base` is what this device saw before editing offline, `local` its edited
+ * version, `remote` the current Firestore version. Returns { data, conflicts } where conflicts lists the
+ * fields both sides changed to different values.
+ */
+export const mergeDocument = (base, local, remote) => {
+    const merged = { ...remote };
+    const conflicts = [];
+    const fields = new Set([...Object.keys(base || {}), ...Object.keys(local || {})]);
+
+    for (const field of fields) {
+        const localChanged = !sameValue(local[field], base?.[field]);
+        if (!localChanged) continue;
+        const remoteChanged = !sameValue(remote[field], base?.[field]);
+
+        if ((field === 'quantity' || field === 'usedSinceCount') && remoteChanged) {
+            // Both devices used or restocked the item: apply both changes
+            merged[field] = (parseFloat(remote[field]) || 0) + (parseFloat(local[field]) || 0) - (parseFloat(base?.[field]) || 0);
+        } else if (field === 'aliases' && remoteChanged) {
+            merged.aliases = [...new Set([...(remote.aliases || []), ...(local.aliases || [])])];
+        } else {
+            if (remoteChanged && !sameValue(remote[field], local[field]) && !DERIVED_FIELDS.includes(field)) {
+                conflicts.push({ field, local: local[field] ?? null, remote: remote[field] ?? null });
+            }
+            // A field removed locally is left out (Firestore rejects undefined values)
+            if (local[field] === undefined) delete merged[field];
+            else merged[field] = local[field];
+        }
+    }
+    return { data: merged, conflicts };
+};
+
+/**
+ * Replays pending writes to Firestore through a repository (dataRepository.js). Each write is removed from the queue once applied,
+ * so an interrupted sync resumes where it stopped. Returns { synced, conflicts } where each conflict is
+ * { collection, id, name, fields, resolution }.
+ */
+export const syncPendingWrites = async (repository, store) => {
+    const conflicts = [];
+    let synced = 0;
+
+    for (const queued of await getPendingWrites(store)) {
+        const write = prepareWrite(queued);
+        const ref = repository.docRef(write.collection, write.id);
+
+        if (write.collection === OFFLINE_COLLECTIONS.AUDIT && write.type === WRITE_TYPES.SET) {
+            await appendAuditEntry(repository, { ...write.data, id: write.id });
+            await removePendingWrite(store, queued.seq);
+            synced++;
+            continue;
+        }
+
+        await runTransaction(repository.db, async (transaction) => {
+            if (APPEND_ONLY.includes(write.collection)) {
+                if (write.type === WRITE_TYPES.DELETE) transaction.delete(ref);
+                else transaction.set(ref, write.data, { merge: write.type === WRITE_TYPES.MERGE });
+                return;
+            }
+
+            const snapshot = await transaction.get(ref);
+            const remote = snapshot.exists() ? migrateDocument(write.collection, snapshot.data()).data : null;
+            const base = write.base && migrateDocument(write.collection, write.base).data;
+            const remoteChanged = !sameValue(remote, base);
+
+            if (write.type === WRITE_TYPES.DELETE) {
+                if (remote && remoteChanged) {
+                    // Edited on another device after this one deleted it: keep the edited document
+                    conflicts.push({ collection: write.collection, id: write.id, name: remote.name || write.id, fields: [], resolution: 'Kept: edited on another device' });
+                } else if (remote) {
+                    transaction.delete(ref);
+                }
+                return;
+            }
+
+            const local = write.type === WRITE_TYPES.MERGE ? { ...(base || {}), ...write.data } : write.data;
+            if (!remote || !remoteChanged) {
+                transaction.set(ref, local);
+                if (!remote && base) {
+                    conflicts.push({ collection: write.collection, id: write.id, name: local.name || write.id, fields: [], resolution: 'Restored: deleted on another device' });
+                }
+                return;
+            }
+
+            const { data, conflicts: fields } = mergeDocument(base, local, remote);
+            transaction.set(ref, data);
+            if (fields.length > 0) {
+                conflicts.push({ collection: write.collection, id: write.id, name: data.name || write.id, fields, resolution: 'Merged: this device\'s values kept' });
+            }
+        });
+
+        await removePendingWrite(store, queued.seq);
+        synced++;
+    }
+    return { synced, conflicts };
+};
@@ -0,0 +1,145 @@
+// --- Order Lifecycle ---
+// Orders placed through vendor adapters are tracked until delivery. Inventory only grows when an order
+// (or part of it) is delivered; until then its quantity counts as "in transit".
+import { findInventoryItem } from './itemIdentity.js';
+import { normalizeItemUnits } from './units.js';
+
+export const ORDER_STATUSES = {
+    PLACED: 'placed',
+    CONFIRMED: 'confirmed',
+    SHIPPED: 'shipped',
+    PARTIALLY_DELIVERED: 'partially_delivered',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+};
+
+export const ORDER_STATUS_LABELS = {
+    [ORDER_STATUSES.PLACED]: 'Placed',
+    [ORDER_STATUSES.CONFIRMED]: 'Confirmed',
+    [ORDER_STATUSES.SHIPPED]: 'Shipped',
+    [ORDER_STATUSES.PARTIALLY_DELIVERED]: 'Partially Delivered',
+    [ORDER_STATUSES.DELIVERED]: 'Delivered',
+    [ORDER_STATUSES.CANCELLED]: 'Cancelled',
+};
+
+// Statuses of orders that can still deliver goods, for querying them
+export const OPEN_ORDER_STATUSES = [
+    ORDER_STATUSES.PLACED,
+    ORDER_STATUSES.CONFIRMED,
+    ORDER_STATUSES.SHIPPED,
+    ORDER_STATUSES.PARTIALLY_DELIVERED,
+];
+
+/**
+ * True while an order can still change (and may still deliver goods).
+ */
+export const isOpenOrder = (order) =>
+    order.status !== ORDER_STATUSES.DELIVERED && order.status !== ORDER_STATUSES.CANCELLED;
+
+/**
+ * Builds the order document stored in Firestore from a vendor's placeOrder response.
+ * `items` are the cart lines sent to the vendor, in the same order as the vendor's `lines`.
+ * The vendor's unit price is per order unit (e.g. per pack); quantities are tracked in the item's unit.
+ */
+export const createOrderRecord = (vendorOrder, items, inventory, method) => ({
+    orderId: vendorOrder.orderId,
+    vendor: vendorOrder.vendor,
+    status: vendorOrder.status || ORDER_STATUSES.PLACED,
+    method,
+    total: vendorOrder.total,
+    placedAt: vendorOrder.placedAt || new Date().toISOString(),
+    estimatedDelivery: vendorOrder.estimatedDelivery || null,
+    statusHistory: [{ status: vendorOrder.status || ORDER_STATUSES.PLACED, at: new Date().toISOString() }],
+    lines: items.map((item, index) => {
+        const line = vendorOrder.lines?.[index];
+        const inventoryItem = findInventoryItem(item.name, inventory);
+        return {
+            name: item.name,
+            quantity: item.quantity, // In the item's canonical unit, like deliveredQuantity
+            unit: inventoryItem?.unit || item.unit || null,
+            orderQuantity: item.orderQuantity ?? item.quantity,
+            orderUnit: item.orderUnit || item.unit || null,
+            unitPrice: line ? line.unitPrice : item.unitPrice ?? null,
+            lineTotal: line ? line.lineTotal : item.cost || 0,
+            inventoryItemId: inventoryItem?.id || null,
+            deliveredQuantity: 0,
+        };
+    }),
+});
+
+/**
+ * Sums the undelivered quantity of every open order per inventory item id
+ * (or per lowercased name for lines that were not matched to an inventory item).
+ */
+export const computeInTransit = (orders) => {
+    const inTransit = new Map();
+    for (const order of orders) {
+        if (!isOpenOrder(order)) continue;
+        for (const line of order.lines || []) {
+            const remaining = (parseFloat(line.quantity) || 0) - (parseFloat(line.deliveredQuantity) || 0);
+            if (remaining <= 0) continue;
+            const key = line.inventoryItemId || line.name?.toLowerCase() || '';
+            inTransit.set(key, (inTransit.get(key) || 0) + remaining);
+        }
+    }
+    return inTransit;
+};
+
+/**
+ * Quantity of an inventory item on open orders, from a computeInTransit map.
+ */
+export const getInTransitQuantity = (inTransit, item) =>
+    (inTransit.get(item.id) || 0) + (inTransit.get(item.name?.toLowerCase()) || 0);
+
+/**
+ * Applies received quantities to an order.
+ * `received` maps line index to the quantity received now (omitted lines receive nothing).
+ * Returns the updated lines, the resulting status, and per-line inventory increments.
+ */
+export const applyDelivery = (order, received) => {
+    const deltas = [];
+    const lines = order.lines.map((line, index) => {
+        const outstanding = (parseFloat(line.quantity) || 0) - (parseFloat(line.deliveredQuantity) || 0);
+        const quantity = Math.min(Math.max(0, parseFloat(received[index]) || 0), outstanding);
+        if (quantity > 0) {
+            deltas.push({ index, name: line.name, inventoryItemId: line.inventoryItemId, quantity });
+        }
+        return { ...line, deliveredQuantity: (parseFloat(line.deliveredQuantity) || 0) + quantity };
+    });
+
+    const fullyDelivered = lines.every(line => line.deliveredQuantity >= (parseFloat(line.quantity) || 0));
+    const anyDelivered = lines.some(line => line.deliveredQuantity > 0);
+    const status = fullyDelivered
+        ? ORDER_STATUSES.DELIVERED
+        : anyDelivered ? ORDER_STATUSES.PARTIALLY_DELIVERED : order.status;
+
+    return { lines, status, deltas };
+};
+
+/**
+ * A new inventory item for goods delivered on an order line no item takes (it never matched one, or the item was
+ * deleted since the order), so the delivery isn't lost. Defaults as for new items on a receipt.
+ */
+export const createItemFromDelivery = (line, quantity, now = new Date()) => {
+    const { unit, packs } = normalizeItemUnits({ unit: line.unit });
+    return {
+        name: line.name,
+        quantity,
+        unit,
+        packs,
+        restockLevel: quantity * 2,
+        dailyUse: quantity / 30,
+        lastUsed: now.toISOString(),
+        countedQuantity: quantity,
+        countedAt: now.toISOString(),
+        predictedRunOutDate: null,
+        aliases: [],
+    };
+};
+
+/**
+ * Received quantities that complete every line of an order.
+ */
+export const remainingQuantities = (order) => Object.fromEntries(
+    order.lines.map((line, index) => [index, (parseFloat(line.quantity) || 0) - (parseFloat(line.deliveredQuantity) || 0)])
+);
@@ -0,0 +1,110 @@
+// --- Price Catalog ---
+// Known unit prices per item and vendor, learned from purchaseHistory / OCR receipts and editable by hand.
+// Purchase history `cost` is the line total, so a unit price is always cost / quantity.
+
+export const PRICE_STRATEGIES = {
+    LAST: 'last',
+    AVERAGE: 'average',
+};
+
+export const PRICE_STRATEGY_LABELS = {
+    [PRICE_STRATEGIES.LAST]: 'Last known price',
+    [PRICE_STRATEGIES.AVERAGE]: 'Average price',
+};
+
+const MAX_OBSERVATIONS = 20; // Older observations drop off so averages track recent prices
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Firestore document ID for an item/vendor pair (stable across casing and whitespace).
+ */
+export const catalogKey = (item, vendor) =>
+    `${normalize(item)}__${normalize(vendor) || 'unknown'}`.replace(/[/\s]+/g, '-');
+
+/**
+ * Unit price of a purchase history entry, or null if it can't be derived.
+ */
+export const getUnitPrice = (entry) => {
+    const cost = parseFloat(entry?.cost);
+    const quantity = parseFloat(entry?.quantity);
+    if (isNaN(cost) || cost <= 0 || isNaN(quantity) || quantity <= 0) return null;
+    return parseFloat((cost / quantity).toFixed(4));
+};
+
+/**
+ * Returns a catalog entry with a new price observation added and the derived fields recomputed.
+ */
+export const addPriceObservation = (entry, item, vendor, observation) => {
+    const observations = [...(entry?.observations || []), observation]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .slice(-MAX_OBSERVATIONS);
+    const latest = observations[observations.length - 1];
+    const averagePrice = observations.reduce((sum, o) => sum + o.price, 0) / observations.length;
+
+    return {
+        item: entry?.item || item,
+        vendor: entry?.vendor || vendor,
+        observations,
+        lastPrice: latest.price,
+        lastSeen: latest.date,
+        averagePrice: parseFloat(averagePrice.toFixed(4)),
+        updatedAt: new Date().toISOString(),
+    };
+};
+
+/**
+ * Builds catalog entries (keyed by catalogKey) from purchase history rows.
+ */
+export const buildCatalogFromHistory = (purchaseHistory) => {
+    const catalog = new Map();
+    for (const entry of purchaseHistory) {
+        const price = getUnitPrice(entry);
+        if (!entry || !entry.item || price === null) continue;
+        const key = catalogKey(entry.item, entry.vendor);
+        catalog.set(key, addPriceObservation(catalog.get(key), entry.item, entry.vendor || 'Unknown', {
+            price,
+            date: entry.date || new Date().toISOString(),
+            source: entry.method || 'History',
+        }));
+    }
+    return catalog;
+};
+
+/**
+ * Looks up the unit price for an item at a vendor.
+ * Falls back to the item's price at any other vendor (most recently seen) before giving up.
+ * Returns { known: false } rather than inventing a price.
+ */
+export const lookupPrice = (catalogEntries, itemName, vendor, strategy = PRICE_STRATEGIES.LAST) => {
+    const pick = (entry) => (strategy === PRICE_STRATEGIES.AVERAGE ? entry.averagePrice : entry.lastPrice);
+    const forItem = catalogEntries.filter(entry => normalize(entry.item) === normalize(itemName) && entry.observations?.length);
+
+    const exact = forItem.find(entry => normalize(entry.vendor) === normalize(vendor));
+    if (exact) {
+        return { known: true, unitPrice: pick(exact), vendor: exact.vendor, basis: strategy, sameVendor: true };
+    }
+
+    const other = [...forItem].sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))[0];
+    if (other) {
+        return { known: true, unitPrice: pick(other), vendor: other.vendor, basis: strategy, sameVendor: false };
+    }
+
+    return { known: false, unitPrice: null };
+};
+
+/**
+ * Prices a cart line: cost is the line total, or null with priceUnknown set when there is no catalog price.
+ */
+export const priceCartLine = (catalogEntries, name, quantity, vendor, strategy) => {
+    const price = lookupPrice(catalogEntries, name, vendor, strategy);
+    if (!price.known) {
+        return { cost: null, unitPrice: null, priceUnknown: true, priceBasis: 'unknown' };
+    }
+    return {
+        cost: parseFloat((price.unitPrice * quantity).toFixed(2)),
+        unitPrice: price.unitPrice,
+        priceUnknown: false,
+        priceBasis: price.sameVendor ? price.basis : `${price.basis} (${price.vendor})`,
+    };
+};
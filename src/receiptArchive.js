@@ -0,0 +1,51 @@
+// --- Receipt Archive ---
+// Uploaded receipt files are kept in Firebase Storage under the user's path, with a `receipts/{id}` document
+// in Firestore describing them. Purchase history entries created from a receipt carry its `receiptId` and the
+// line they came from (`receiptLine`), so a receipt can be reopened, traced to its inventory changes,
+// and re-extracted later.
+import { ref, uploadBytes, getDownloadURL, getBlob } from 'firebase/storage';
+
+export const RECEIPT_STATUSES = {
+    PENDING_REVIEW: 'pending_review',
+    COMMITTED: 'committed',
+    DISCARDED: 'discarded',
+};
+
+export const RECEIPT_STATUS_LABELS = {
+    [RECEIPT_STATUSES.PENDING_REVIEW]: 'Awaiting Review',
+    [RECEIPT_STATUSES.COMMITTED]: 'Committed',
+    [RECEIPT_STATUSES.DISCARDED]: 'Discarded',
+};
+
+const safeFileName = (name) => (name || 'receipt').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(-100);
+
+/**
+ * Storage path of one file of an archived receipt.
+ */
+export const receiptFilePath = (baseUserPath, receiptId, index, fileName) =>
+    `${baseUserPath}/receipts/${receiptId}/${index}-${safeFileName(fileName)}`;
+
+/**
+ * Uploads a receipt's files to Storage. Returns the file entries stored on the receipt document:
+ * [{ name, type, size, storagePath, hash }].
+ */
+export const uploadReceiptFiles = async (storage, baseUserPath, receiptId, files, fileHashes = []) => Promise.all(
+    files.map(async (file, index) => {
+        const storagePath = receiptFilePath(baseUserPath, receiptId, index, file.name);
+        await uploadBytes(ref(storage, storagePath), file, { contentType: file.type, customMetadata: { receiptId } });
+        return { name: file.name, type: file.type, size: file.size, storagePath, hash: fileHashes[index] || null };
+    })
+);
+
+/**
+ * Download URL for an archived receipt file (for viewing).
+ */
+export const getReceiptFileUrl = (storage, storagePath) => getDownloadURL(ref(storage, storagePath));
+
+/**
+ * Fetches an archived receipt file back as a File, e.g. to re-run extraction on it.
+ */
+export const downloadReceiptFile = async (storage, fileEntry) => {
+    const blob = await getBlob(ref(storage, fileEntry.storagePath));
+    return new File([blob], fileEntry.name, { type: fileEntry.type || blob.type });
+};
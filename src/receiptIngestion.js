@@ -0,0 +1,121 @@
+// --- Receipt Ingestion ---
+// Turns uploaded receipt files into parts the Vision API can read, and stitches the rows read from
+// several parts (photos of one long receipt, pages of a PDF e-receipt) back into one transaction.
+import { PDFDocument } from 'pdf-lib';
+import { normalizeItemName } from './itemIdentity.js';
+
+export const ACCEPTED_RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+// Each part travels base64-encoded in one request through /api/llm (serverless bodies max out around
+// 4.5 MB), so images are capped at 3 MB; PDFs are split into single pages and may be larger overall
+export const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+export const MAX_PDF_BYTES = 15 * 1024 * 1024;
+
+export const FILE_STATUSES = {
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    EMPTY: 'empty',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+};
+
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Why a file can't be ingested, or null if it can.
+ */
+export const validateReceiptFile = (file) => {
+    if (!ACCEPTED_RECEIPT_TYPES.includes(file.type)) {
+        return `Unsupported file type ${file.type || 'unknown'} (use JPEG, PNG, WebP or PDF).`;
+    }
+    const maxBytes = file.type === 'application/pdf' ? MAX_PDF_BYTES : MAX_IMAGE_BYTES;
+    if (file.size > maxBytes) {
+        return `File is larger than ${maxBytes / 1024 / 1024} MB.`;
+    }
+    return null;
+};
+
+/**
+ * Splits a file into Vision API parts: one part for an image, one single-page PDF per page for a PDF.
+ * Returns [{ fileName, page, pageCount, mimeType, data (base64) }].
+ */
+export const fileToParts = async (file) => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (file.type !== 'application/pdf') {
+        return [{ fileName: file.name, page: 1, pageCount: 1, mimeType: file.type, data: bytesToBase64(bytes) }];
+    }
+
+    const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true });
+    const pageCount = pdf.getPageCount();
+    const parts = [];
+    for (let index = 0; index < pageCount; index++) {
+        const single = await PDFDocument.create();
+        const [page] = await single.copyPages(pdf, [index]);
+        single.addPage(page);
+        parts.push({ fileName: file.name, page: index + 1, pageCount, mimeType: 'application/pdf', data: bytesToBase64(await single.save()) });
+    }
+    return parts;
+};
+
+const rowSignature = (row) => [
+    normalizeItemName(row.name),
+    parseFloat(row.quantity) || 1,
+    (parseFloat(row.cost) || 0).toFixed(2),
+].join('|');
+
+/**
+ * Number of rows at the end of `previous` repeated at the start of `next`. Overlapping photos of one
+ * receipt usually capture the same few lines twice.
+ */
+const overlapLength = (previous, next) => {
+    const max = Math.min(previous.length, next.length);
+    for (let length = max; length > 0; length--) {
+        const tail = previous.slice(previous.length - length).map(rowSignature);
+        const head = next.slice(0, length).map(rowSignature);
+        if (tail.every((signature, index) => signature === head[index])) return length;
+    }
+    return 0;
+};
+
+/**
+ * Stitches the rows extracted from the parts of one receipt, in order, into a single transaction.
+ * `parts` are [{ mimeType, rows }]. Lines repeated where two consecutive photos overlap are dropped
+ * (PDF pages don't overlap, so repeated lines there are real purchases), and every row gets the
+ * receipt's vendor, which is usually only printed on the first part.
+ * Returns { rows, vendor, droppedOverlap }.
+ */
+export const stitchReceiptParts = (parts) => {
+    const rows = [];
+    let droppedOverlap = 0;
+    let previous = null;
+    for (const part of parts) {
+        const isPhoto = part.mimeType !== 'application/pdf';
+        const overlap = previous && isPhoto && previous.mimeType !== 'application/pdf' ? overlapLength(previous.rows, part.rows) : 0;
+        droppedOverlap += overlap;
+        rows.push(...part.rows.slice(overlap));
+        previous = part;
+    }
+
+    const vendorCounts = new Map();
+    for (const row of rows) {
+        const vendor = (row.vendor || '').trim();
+        if (vendor && vendor.toLowerCase() !== 'unknown') vendorCounts.set(vendor, (vendorCounts.get(vendor) || 0) + 1);
+    }
+    const vendor = [...vendorCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 'Unknown';
+
+    return { rows: rows.map(row => ({ ...row, vendor })), vendor, droppedOverlap };
+};
+
+/**
+ * Groups uploaded files into receipts: every file is its own receipt, unless `stitch` is set,
+ * in which case all files (in upload order) are parts of one receipt.
+ */
+export const groupFilesIntoReceipts = (files, stitch) => (stitch && files.length > 1 ? [files] : files.map(file => [file]));
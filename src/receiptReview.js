@@ -0,0 +1,129 @@
+// --- Receipt Review ---
+// OCR results are staged for review before they touch inventory. Each row can be edited, mapped to an
+// existing inventory item, added as a new item, or ignored. The outcome of every review is kept so
+// OCR accuracy can be measured over time.
+import { SUGGEST_MATCH_THRESHOLD, resolveItem } from './itemIdentity.js';
+import { normalizeUnit } from './units.js';
+
+export const ROW_ACTIONS = {
+    NEW: 'new',
+    IGNORE: 'ignore',
+};
+
+const REVIEWED_FIELDS = ['name', 'quantity', 'unit', 'cost', 'vendor'];
+
+/**
+ * Turns raw Vision API rows into editable review rows.
+ * Rows that resolve to an inventory item (name, alias or a fuzzy match worth suggesting) start mapped to it,
+ * with the match confidence; the rest start as new items.
+ */
+export const createReviewRows = (extractedItems, inventory) => extractedItems.map((item, index) => {
+    const original = {
+        name: item.name || '',
+        quantity: parseFloat(item.quantity) || 1,
+        unit: normalizeUnit(item.unit), // Empty for plain counts; converted to the item's unit on commit
+        cost: parseFloat(item.cost) || 0, // Unit cost, as the Vision schema returns it
+        vendor: item.vendor || 'Unknown',
+    };
+    const match = resolveItem(original.name, inventory, SUGGEST_MATCH_THRESHOLD);
+    return {
+        key: index,
+        original,
+        ...original,
+        mapping: match.item ? match.item.id : ROW_ACTIONS.NEW,
+        matchScore: match.item ? match.score : null,
+        matchType: match.matchType,
+    };
+});
+
+/**
+ * Fields the reviewer changed on a row, compared with what OCR extracted.
+ */
+export const getCorrectedFields = (row) => REVIEWED_FIELDS.filter(field => {
+    if (field === 'quantity' || field === 'cost') {
+        return Math.abs((parseFloat(row[field]) || 0) - row.original[field]) > 0.001;
+    }
+    return String(row[field] || '').trim() !== String(row.original[field] || '').trim();
+});
+
+/**
+ * Converts reviewed rows into processUpdates inputs. Mapped rows take the inventory item's name
+ * (the receipt wording is kept as `sourceName` so pack sizes in it still convert),
+ * and the unit cost becomes the line total that purchase history stores.
+ */
+export const reviewRowsToUpdates = (rows, inventory) => rows
+    .filter(row => row.mapping !== ROW_ACTIONS.IGNORE)
+    .map(row => {
+        const target = row.mapping === ROW_ACTIONS.NEW ? null : inventory.find(i => i.id === row.mapping);
+        const quantity = parseFloat(row.quantity) || 1;
+        return {
+            name: target ? target.name : row.name.trim(),
+            sourceName: row.name.trim(),
+            quantity,
+            unit: normalizeUnit(row.unit),
+            cost: (parseFloat(row.cost) || 0) * quantity,
+            vendor: row.vendor.trim() || 'Unknown',
+            method: 'Vision OCR',
+            receiptLine: row.key,
+        };
+    });
+
+/**
+ * Builds the stored record of a finished review (committed or discarded).
+ * A receipt stitched from several files lists all of them in `sourceFiles`. The fingerprint (file hashes and
+ * vendor/date/total signature) lets later uploads of the same receipt be recognized; `receiptId` links the
+ * review to the archived receipt it was read from.
+ */
+export const buildReviewRecord = (rows, inventory, { fileName, sourceFiles, outcome, fingerprint, duplicateOf, receiptId }) => {
+    const reviewedRows = rows.map(row => {
+        const target = row.mapping === ROW_ACTIONS.NEW || row.mapping === ROW_ACTIONS.IGNORE ? null : inventory.find(i => i.id === row.mapping);
+        const action = outcome === 'discarded' || row.mapping === ROW_ACTIONS.IGNORE
+            ? 'ignored'
+            : target ? 'mapped' : 'new';
+        return {
+            original: row.original,
+            final: { name: target ? target.name : row.name.trim(), quantity: parseFloat(row.quantity) || 0, unit: normalizeUnit(row.unit), cost: parseFloat(row.cost) || 0, vendor: row.vendor.trim() },
+            action,
+            mappedItemId: target ? target.id : null,
+            correctedFields: action === 'ignored' ? [] : getCorrectedFields(row),
+        };
+    });
+
+    return {
+        fileName: fileName || null,
+        sourceFiles: sourceFiles || (fileName ? [fileName] : []),
+        outcome,
+        fingerprint: fingerprint || null,
+        receiptId: receiptId || null,
+        suspectedDuplicateOf: duplicateOf ? { fileName: duplicateOf.fileName, at: duplicateOf.at, reasons: duplicateOf.reasons } : null,
+        reviewedAt: new Date().toISOString(),
+        rows: reviewedRows,
+        stats: {
+            total: reviewedRows.length,
+            accepted: reviewedRows.filter(r => r.action !== 'ignored' && r.correctedFields.length === 0).length,
+            corrected: reviewedRows.filter(r => r.action !== 'ignored' && r.correctedFields.length > 0).length,
+            ignored: reviewedRows.filter(r => r.action === 'ignored').length,
+        },
+    };
+};
+
+/**
+ * Aggregates stored reviews into OCR accuracy figures, overall and per field.
+ */
+export const summarizeOcrAccuracy = (reviews) => {
+    const totals = { receipts: reviews.length, rows: 0, accepted: 0, corrected: 0, ignored: 0, fieldCorrections: {} };
+    REVIEWED_FIELDS.forEach(field => { totals.fieldCorrections[field] = 0; });
+
+    for (const review of reviews) {
+        for (const row of review.rows || []) {
+            totals.rows++;
+            if (row.action === 'ignored') totals.ignored++;
+            else if (row.correctedFields?.length) totals.corrected++;
+            else totals.accepted++;
+            (row.correctedFields || []).forEach(field => { totals.fieldCorrections[field] = (totals.fieldCorrections[field] || 0) + 1; });
+        }
+    }
+
+    totals.accuracy = totals.rows > 0 ? totals.accepted / totals.rows : null;
+    return totals;
+};
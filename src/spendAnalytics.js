@@ -0,0 +1,240 @@
+// --- Spend Analytics ---
+// Breakdowns of purchase history for the Analytics tab: spend by month, vendor, item, category and input method,
+// the items bought again and again, how their unit prices moved, and where the billing period is heading against
+// the cap. Dates are calendar days in the billing period's timezone. Every breakdown row has a key the history rows
+// it was built from can be found by again (getEntryKeys), which is how the tab drills into them.
+import { getZonedTime } from './spendLedger.js';
+import { findInventoryItem } from './itemIdentity.js';
+import { getUnitPrice } from './priceCatalog.js';
+
+export const ITEM_CATEGORIES = {
+    GROCERIES: 'groceries',
+    HOUSEHOLD: 'household',
+    PERSONAL_CARE: 'personalCare',
+    BABY: 'baby',
+    PET: 'pet',
+    OTHER: 'other',
+};
+
+export const ITEM_CATEGORY_LABELS = {
+    [ITEM_CATEGORIES.GROCERIES]: 'Groceries',
+    [ITEM_CATEGORIES.HOUSEHOLD]: 'Household',
+    [ITEM_CATEGORIES.PERSONAL_CARE]: 'Personal care',
+    [ITEM_CATEGORIES.BABY]: 'Baby',
+    [ITEM_CATEGORIES.PET]: 'Pet',
+    [ITEM_CATEGORIES.OTHER]: 'Other',
+};
+
+// Items without a category set are placed by the first category with a word in their name
+const CATEGORY_KEYWORDS = [
+    [ITEM_CATEGORIES.BABY, ['diaper', 'wipes', 'formula', 'baby']],
+    [ITEM_CATEGORIES.PET, ['dog', 'cat', 'pet', 'litter', 'kibble']],
+    [ITEM_CATEGORIES.PERSONAL_CARE, ['shampoo', 'conditioner', 'toothpaste', 'toothbrush', 'deodorant', 'razor', 'lotion', 'body wash', 'floss']],
+    [ITEM_CATEGORIES.HOUSEHOLD, ['toilet paper', 'paper towel', 'tissue', 'soap', 'detergent', 'bleach', 'cleaner', 'trash bag', 'sponge', 'foil', 'battery', 'batteries', 'light bulb']],
+    [ITEM_CATEGORIES.GROCERIES, ['milk', 'coffee', 'tea', 'bread', 'egg', 'butter', 'cheese', 'yogurt', 'fruit', 'apple', 'banana', 'rice', 'pasta', 'cereal', 'juice', 'water', 'meat', 'chicken', 'beef', 'fish', 'vegetable', 'flour', 'sugar', 'oil', 'snack']],
+];
+
+export const INPUT_METHODS = {
+    MANUAL: 'manual',
+    OCR: 'ocr',
+    AGENT: 'agent',
+    IMPORT: 'import',
+    OTHER: 'other',
+};
+
+export const INPUT_METHOD_LABELS = {
+    [INPUT_METHODS.MANUAL]: 'Manual Input',
+    [INPUT_METHODS.OCR]: 'Vision OCR',
+    [INPUT_METHODS.AGENT]: 'Agent Auto',
+    [INPUT_METHODS.IMPORT]: 'Import',
+    [INPUT_METHODS.OTHER]: 'Other',
+};
+
+// History `method` values as the app, the scheduled agent and imports write them
+const METHOD_GROUPS = {
+    'Manual Input': INPUT_METHODS.MANUAL,
+    'Manual': INPUT_METHODS.MANUAL,
+    'Vision OCR': INPUT_METHODS.OCR,
+    'Agent Auto': INPUT_METHODS.AGENT,
+    'Agent Approved': INPUT_METHODS.AGENT,
+    'Agent Scheduled': INPUT_METHODS.AGENT,
+    'Auto': INPUT_METHODS.AGENT,
+    'Import': INPUT_METHODS.IMPORT,
+};
+
+export const BREAKDOWNS = {
+    MONTH: 'month',
+    VENDOR: 'vendor',
+    ITEM: 'item',
+    CATEGORY: 'category',
+    METHOD: 'method',
+};
+
+const MIN_RECURRING_PURCHASES = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * An item's category: the one set on it, or one guessed from its name.
+ */
+export const getItemCategory = (item) => {
+    if (item?.category && ITEM_CATEGORY_LABELS[item.category]) return item.category;
+    const name = String(item?.name || '').toLowerCase();
+    const match = CATEGORY_KEYWORDS.find(([, words]) => words.some(word => name.includes(word)));
+    return match ? match[0] : ITEM_CATEGORIES.OTHER;
+};
+
+/**
+ * The input method group of a history entry's `method`.
+ */
+export const getMethodGroup = (method) => METHOD_GROUPS[method] || INPUT_METHODS.OTHER;
+
+/**
+ * The keys a history entry is counted under in each breakdown, plus its local date (YYYY-MM-DD).
+ */
+export const getEntryKeys = (entry, inventory, timeZone = 'UTC') => {
+    const item = (entry.itemId && inventory.find(i => i.id === entry.itemId)) || findInventoryItem(entry.item, inventory);
+    const date = getZonedTime(entry.date, timeZone).dateKey;
+    return {
+        date,
+        [BREAKDOWNS.MONTH]: date.substring(0, 7),
+        [BREAKDOWNS.VENDOR]: entry.vendor || 'Unknown',
+        [BREAKDOWNS.ITEM]: item ? item.name : entry.item,
+        [BREAKDOWNS.CATEGORY]: getItemCategory(item || { name: entry.item }),
+        [BREAKDOWNS.METHOD]: getMethodGroup(entry.method),
+        unit: item ? item.unit : entry.unit || null,
+    };
+};
+
+const monthLabel = (key) => new Date(`${key}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const breakdownLabel = (dimension, key) => {
+    if (dimension === BREAKDOWNS.MONTH) return monthLabel(key);
+    if (dimension === BREAKDOWNS.CATEGORY) return ITEM_CATEGORY_LABELS[key] || key;
+    if (dimension === BREAKDOWNS.METHOD) return INPUT_METHOD_LABELS[key] || key;
+    return key;
+};
+
+/**
+ * History entries with their keys (see getEntryKeys) whose local date falls within `from`..`to` (inclusive
+ * YYYY-MM-DD; either may be empty for no bound), oldest first.
+ */
+export const selectHistory = (purchaseHistory, inventory, { from = '', to = '', timeZone = 'UTC' } = {}) => purchaseHistory
+    .filter(entry => entry && entry.date && entry.item)
+    .map(entry => ({ entry, keys: getEntryKeys(entry, inventory, timeZone) }))
+    .filter(({ keys }) => (!from || keys.date >= from) && (!to || keys.date <= to))
+    .sort((a, b) => new Date(a.entry.date) - new Date(b.entry.date));
+
+/**
+ * Analytics over rows from selectHistory. Returns { total, purchases, breakdowns, recurring, priceTrends }:
+ * breakdowns[dimension] is [{ key, label, spend, purchases, share }] (months in order, the rest by spend), recurring
+ * the items bought at least twice with their average days between purchases, priceTrends the items with unit prices
+ * in more than one month, with the monthly average price and the change from the first month to the last.
+ */
+export const buildSpendAnalytics = (rows) => {
+    const total = rows.reduce((sum, { entry }) => sum + (parseFloat(entry.cost) || 0), 0);
+
+    const breakdowns = {};
+    for (const dimension of Object.values(BREAKDOWNS)) {
+        const buckets = new Map();
+        for (const { entry, keys } of rows) {
+            const bucket = buckets.get(keys[dimension]) || { key: keys[dimension], label: breakdownLabel(dimension, keys[dimension]), spend: 0, purchases: 0 };
+            bucket.spend += parseFloat(entry.cost) || 0;
+            bucket.purchases++;
+            buckets.set(keys[dimension], bucket);
+        }
+        breakdowns[dimension] = [...buckets.values()]
+            .map(bucket => ({ ...bucket, spend: parseFloat(bucket.spend.toFixed(2)), share: total > 0 ? bucket.spend / total : 0 }))
+            .sort(dimension === BREAKDOWNS.MONTH ? (a, b) => a.key.localeCompare(b.key) : (a, b) => b.spend - a.spend);
+    }
+
+    const byItem = new Map();
+    for (const row of rows) {
+        const name = row.keys[BREAKDOWNS.ITEM];
+        byItem.set(name, [...(byItem.get(name) || []), row]);
+    }
+
+    const recurring = [...byItem.entries()]
+        .filter(([, itemRows]) => itemRows.length >= MIN_RECURRING_PURCHASES)
+        .map(([name, itemRows]) => {
+            const first = new Date(itemRows[0].entry.date);
+            const last = new Date(itemRows[itemRows.length - 1].entry.date);
+            return {
+                key: name,
+                purchases: itemRows.length,
+                spend: parseFloat(itemRows.reduce((sum, { entry }) => sum + (parseFloat(entry.cost) || 0), 0).toFixed(2)),
+                averageDays: Math.round((last - first) / DAY_MS / (itemRows.length - 1)),
+                vendors: [...new Set(itemRows.map(({ keys }) => keys[BREAKDOWNS.VENDOR]))],
+            };
+        })
+        .sort((a, b) => b.purchases - a.purchases || b.spend - a.spend);
+
+    const priceTrends = [...byItem.entries()]
+        .map(([name, itemRows]) => {
+            const months = new Map();
+            for (const { entry, keys } of itemRows) {
+                const price = getUnitPrice(entry);
+                if (price === null) continue;
+                const month = months.get(keys[BREAKDOWNS.MONTH]) || { key: keys[BREAKDOWNS.MONTH], total: 0, count: 0 };
+                month.total += price;
+                month.count++;
+                months.set(month.key, month);
+            }
+            const series = [...months.values()]
+                .sort((a, b) => a.key.localeCompare(b.key))
+                .map(m => ({ key: m.key, label: monthLabel(m.key), price: parseFloat((m.total / m.count).toFixed(4)) }));
+            const first = series[0]?.price;
+            const last = series[series.length - 1]?.price;
+            return { key: name, unit: itemRows[itemRows.length - 1].keys.unit, series, change: series.length > 1 && first > 0 ? (last - first) / first : null };
+        })
+        .filter(trend => trend.change !== null)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return { total: parseFloat(total.toFixed(2)), purchases: rows.length, breakdowns, recurring, priceTrends };
+};
+
+/**
+ * Where the billing period's spend is heading if it continues at the pace so far: `period` is a spend ledger row
+ * (spendLedger.js) and `today` the local date. Returns { projected, available, daysElapsed, days, overBy }.
+ */
+export const projectPeriodSpend = (period, today) => {
+    const dayNumber = (key) => Date.UTC(+key.substring(0, 4), +key.substring(5, 7) - 1, +key.substring(8, 10)) / DAY_MS;
+    const days = dayNumber(period.end) - dayNumber(period.start) + 1;
+    const daysElapsed = Math.min(days, Math.max(1, dayNumber(today) - dayNumber(period.start) + 1));
+    const projected = parseFloat((period.spend / daysElapsed * days).toFixed(2));
+    return { projected, available: period.available, daysElapsed, days, overBy: parseFloat(Math.max(0, projected - period.available).toFixed(2)) };
+};
+
+export const RANGE_PRESETS = {
+    THIS_MONTH: 'thisMonth',
+    LAST_3_MONTHS: 'last3Months',
+    LAST_12_MONTHS: 'last12Months',
+    ALL: 'all',
+};
+
+export const RANGE_PRESET_LABELS = {
+    [RANGE_PRESETS.THIS_MONTH]: 'This month',
+    [RANGE_PRESETS.LAST_3_MONTHS]: 'Last 3 months',
+    [RANGE_PRESETS.LAST_12_MONTHS]: 'Last 12 months',
+    [RANGE_PRESETS.ALL]: 'All time',
+};
+
+const shiftDateKey = (key, days) => new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+
+/**
+ * The { from, to } date range of a preset ending `today` (YYYY-MM-DD); whole calendar months.
+ */
+export const getPresetRange = (preset, today) => {
+    const months = { [RANGE_PRESETS.THIS_MONTH]: 1, [RANGE_PRESETS.LAST_3_MONTHS]: 3, [RANGE_PRESETS.LAST_12_MONTHS]: 12 }[preset];
+    if (!months) return { from: '', to: '' };
+    const start = new Date(Date.UTC(+today.substring(0, 4), +today.substring(5, 7) - months, 1));
+    return { from: start.toISOString().substring(0, 10), to: today };
+};
+
+/**
+ * Bounds for querying stored history (UTC timestamps) for a range of local days: a day wider on each side, so
+ * every timezone is covered; selectHistory trims the rows to the range. Either bound is '' when the range is open.
+ */
+export const getHistoryQueryBounds = ({ from = '', to = '' }) => ({
+    start: from ? shiftDateKey(from, -1) : '',
+    end: to ? shiftDateKey(to, 2) : '',
+});
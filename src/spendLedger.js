@@ -0,0 +1,189 @@
+// --- Spend Ledger ---
+// Derives spend per billing period from purchaseHistory instead of keeping a running counter.
+// Periods are calendar-aware: they start on a configurable day of the month, in a configurable timezone.
+
+// Billing periods the app's ledger shows without rollover (see getLedgerRange)
+export const LEDGER_PERIODS = 12;
+
+export const defaultBillingPeriod = {
+    startDay: 1,        // Day of the month a billing period starts on (clamped to the month's length)
+    timeZone: '',       // IANA timezone (e.g. 'America/New_York'); empty means the browser's timezone
+    rollover: false,    // Carry unused budget from one period into the next
+};
+
+/**
+ * Merges a stored (possibly partial or missing) billing period config with the defaults.
+ */
+export const normalizeBillingPeriod = (billingPeriod) => {
+    const merged = { ...defaultBillingPeriod, ...(billingPeriod || {}) };
+    const startDay = Math.min(31, Math.max(1, parseInt(merged.startDay, 10) || 1));
+    return { ...merged, startDay, timeZone: isValidTimeZone(merged.timeZone) ? merged.timeZone : getLocalTimeZone() };
+};
+
+/**
+ * True if the runtime recognizes the given IANA timezone name.
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * The browser's own IANA timezone, used when none is configured.
+ */
+export const getLocalTimeZone = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (e) {
+        return 'UTC';
+    }
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDateKey = ({ year, month, day }) => `${year}-${pad(month + 1)}-${pad(day)}`;
+
+/**
+ * Returns the wall-clock calendar date ({ year, month (0-based), day }) of an instant in a timezone.
+ */
+export const getZonedDate = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: 'numeric', day: 'numeric',
+    }).formatToParts(new Date(date));
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: get('year'), month: get('month') - 1, day: get('day') };
+};
+
+/**
+ * Returns the wall-clock time of an instant in a timezone: { hour, minute, weekday (0 = Sunday), dateKey (YYYY-MM-DD) }.
+ */
+export const getZonedTime = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', weekday: 'short', hourCycle: 'h23' }).formatToParts(new Date(date));
+    const get = (type) => parts.find(p => p.type === type).value;
+    return {
+        hour: parseInt(get('hour'), 10),
+        minute: parseInt(get('minute'), 10),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+        dateKey: toDateKey(getZonedDate(date, timeZone)),
+    };
+};
+
+// The day a period starts on in a given month; a start day of 31 becomes the 30th/28th in short months.
+const periodStartIn = (year, month, startDay) => ({ year, month, day: Math.min(startDay, daysInMonth(year, month)) });
+
+const shiftMonth = ({ year, month }, delta) => {
+    const total = year * 12 + month + delta;
+    return { year: Math.floor(total / 12), month: ((total % 12) + 12) % 12 };
+};
+
+/**
+ * Returns the billing period containing the given instant.
+ * `key` identifies the period (the YYYY-MM of the month it starts in); `start`/`end` are inclusive YYYY-MM-DD dates.
+ */
+export const getBillingPeriod = (date, billingPeriod) => {
+    const { startDay, timeZone } = normalizeBillingPeriod(billingPeriod);
+    const local = getZonedDate(date, timeZone);
+
+    let startMonth = { year: local.year, month: local.month };
+    if (local.day < periodStartIn(local.year, local.month, startDay).day) {
+        startMonth = shiftMonth(startMonth, -1);
+    }
+    return describePeriod(startMonth, startDay);
+};
+
+const describePeriod = (startMonth, startDay) => {
+    const start = periodStartIn(startMonth.year, startMonth.month, startDay);
+    const next = shiftMonth(startMonth, 1);
+    const nextStart = periodStartIn(next.year, next.month, startDay);
+    const endDate = new Date(Date.UTC(nextStart.year, nextStart.month, nextStart.day - 1));
+    const end = { year: endDate.getUTCFullYear(), month: endDate.getUTCMonth(), day: endDate.getUTCDate() };
+
+    return {
+        key: `${startMonth.year}-${pad(startMonth.month + 1)}`,
+        start: toDateKey(start),
+        end: toDateKey(end),
+        label: new Date(Date.UTC(startMonth.year, startMonth.month, 1)).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+        startMonth,
+    };
+};
+
+/**
+ * Builds the month-by-month spend ledger from purchase history, oldest period first.
+ * Every period between the first purchase and `now` is present, including ones without spend,
+ * so rollover carries correctly across quiet months. Periods starting before `from` (YYYY-MM-DD) are left out.
+ */
+export const buildSpendLedger = (purchaseHistory, { spendCap, billingPeriod, now = new Date(), from = '' }) => {
+    const config = normalizeBillingPeriod(billingPeriod);
+    const cap = parseFloat(spendCap) || 0;
+    const current = getBillingPeriod(now, config);
+
+    const totals = new Map();
+    let earliest = current.startMonth;
+    for (const entry of purchaseHistory) {
+        if (!entry || !entry.date) continue;
+        const period = getBillingPeriod(entry.date, config);
+        const bucket = totals.get(period.key) || { spend: 0, count: 0 };
+        bucket.spend += parseFloat(entry.cost) || 0;
+        bucket.count += 1;
+        totals.set(period.key, bucket);
+        if (period.startMonth.year * 12 + period.startMonth.month < earliest.year * 12 + earliest.month) {
+            earliest = period.startMonth;
+        }
+    }
+
+    const ledger = [];
+    let carry = 0;
+    for (let m = earliest; m.year * 12 + m.month <= current.startMonth.year * 12 + current.startMonth.month; m = shiftMonth(m, 1)) {
+        const period = describePeriod(m, config.startDay);
+        const { spend, count } = totals.get(period.key) || { spend: 0, count: 0 };
+        const rolloverIn = config.rollover ? carry : 0;
+        const available = cap + rolloverIn;
+        const remaining = available - spend;
+
+        ledger.push({
+            key: period.key,
+            label: period.label,
+            start: period.start,
+            end: period.end,
+            spend: parseFloat(spend.toFixed(2)),
+            purchases: count,
+            cap,
+            rolloverIn: parseFloat(rolloverIn.toFixed(2)),
+            available: parseFloat(available.toFixed(2)),
+            remaining: parseFloat(remaining.toFixed(2)),
+            isCurrent: period.key === current.key,
+        });
+        carry = Math.max(0, remaining);
+    }
+
+    return from ? ledger.filter(period => period.start >= from) : ledger;
+};
+
+/**
+ * The purchases the app's ledger needs, so history can be queried by date instead of loaded whole: { from, queryFrom },
+ * where `from` is the start of the oldest period shown (LEDGER_PERIODS back from `now`) and `queryFrom` a day earlier
+ * (stored dates are UTC, so every timezone is covered). Null with rollover, which carries every earlier period's
+ * leftover into the current one.
+ */
+export const getLedgerRange = (billingPeriod, now = new Date()) => {
+    const config = normalizeBillingPeriod(billingPeriod);
+    if (config.rollover) return null;
+    const first = shiftMonth(getBillingPeriod(now, config).startMonth, 1 - LEDGER_PERIODS);
+    const oldest = periodStartIn(first.year, first.month, config.startDay);
+    return {
+        from: toDateKey(oldest),
+        queryFrom: new Date(Date.UTC(oldest.year, oldest.month, oldest.day - 1)).toISOString().substring(0, 10),
+    };
+};
+
+/**
+ * Convenience accessor for the ledger row of the current billing period.
+ */
+export const getCurrentPeriod = (ledger) => ledger.find(period => period.isCurrent) || ledger[ledger.length - 1];
@@ -0,0 +1,257 @@
+// --- Units of Measure ---
+// Every inventory item has one canonical `unit`; quantity, restockLevel, dailyUse, in-transit stock and
+// forecasts are all expressed in it. Quantities arriving in other units (a receipt's "2 x 12-pack",
+// a manual entry in liters, a vendor that sells packs) are converted at input time.
+//
+// Item fields used here:
+//   unit          canonical unit ('roll', 'gallon', 'bag', 'unit', ...)
+//   packs         [{ unit: 'pack', size: 12 }]: one pack holds `size` canonical units
+//   contents      { quantity: 12, unit: 'oz' } (optional): how much one canonical unit holds, so
+//                 weights/volumes can be converted into count units like 'bag'
+//   purchaseUnit  pack unit vendors sell the item in (optional); checkout rounds up to whole packs
+
+export const DEFAULT_UNIT = 'unit';
+
+// Measures convert among themselves: factor to the base unit of their dimension (ml, g)
+const MEASURES = {
+    ml: { dimension: 'volume', factor: 1 },
+    l: { dimension: 'volume', factor: 1000 },
+    'fl oz': { dimension: 'volume', factor: 29.5735 },
+    cup: { dimension: 'volume', factor: 236.588 },
+    pint: { dimension: 'volume', factor: 473.176 },
+    quart: { dimension: 'volume', factor: 946.353 },
+    gallon: { dimension: 'volume', factor: 3785.41 },
+    g: { dimension: 'weight', factor: 1 },
+    kg: { dimension: 'weight', factor: 1000 },
+    oz: { dimension: 'weight', factor: 28.3495 },
+    lb: { dimension: 'weight', factor: 453.592 },
+};
+
+// Count units only convert through an item's pack definitions ('dozen' is always 12 units)
+const COUNT_UNITS = ['unit', 'roll', 'bag', 'bottle', 'can', 'box', 'jar', 'carton', 'pack', 'case', 'dozen'];
+
+const UNIT_SYNONYMS = {
+    units: 'unit', each: 'unit', ea: 'unit', item: 'unit', items: 'unit', pc: 'unit', pcs: 'unit', piece: 'unit', pieces: 'unit', ct: 'unit', count: 'unit',
+    rolls: 'roll', bags: 'bag', bottles: 'bottle', btl: 'bottle', cans: 'can', boxes: 'box', bx: 'box', jars: 'jar', cartons: 'carton',
+    packs: 'pack', pk: 'pack', pkg: 'pack', package: 'pack', packages: 'pack', cases: 'case', dz: 'dozen', doz: 'dozen',
+    milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+    liter: 'l', liters: 'l', litre: 'l', litres: 'l', ltr: 'l',
+    floz: 'fl oz', 'fl. oz': 'fl oz', 'fl oz.': 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+    cups: 'cup', pints: 'pint', pt: 'pint', quarts: 'quart', qt: 'quart', gal: 'gallon', gals: 'gallon', gallons: 'gallon',
+    gram: 'g', grams: 'g', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+    ounce: 'oz', ounces: 'oz', lbs: 'lb', pound: 'lb', pounds: 'lb',
+};
+
+export const UNIT_OPTIONS = [...COUNT_UNITS.filter(unit => unit !== 'dozen'), ...Object.keys(MEASURES)];
+
+/**
+ * Canonical spelling of a unit ('Gallons' -> 'gallon', 'lbs' -> 'lb'), or '' for an empty unit.
+ * Unknown units are kept (lowercased) so custom count units like 'pod' still work.
+ */
+export const normalizeUnit = (unit) => {
+    const key = (unit || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!key) return '';
+    return UNIT_SYNONYMS[key] || key;
+};
+
+export const isMeasureUnit = (unit) => !!MEASURES[normalizeUnit(unit)];
+
+/**
+ * Display label for a quantity in a unit: count units are pluralized, measures are not.
+ */
+export const formatUnit = (unit, quantity) => {
+    const normalized = normalizeUnit(unit) || DEFAULT_UNIT;
+    if (MEASURES[normalized] || Math.abs((parseFloat(quantity) || 0) - 1) < 1e-9) return normalized;
+    if (normalized === 'box') return 'boxes';
+    return `${normalized}s`;
+};
+
+export const formatQuantity = (quantity, unit) => {
+    const value = parseFloat(quantity) || 0;
+    return `${Number.isInteger(value) ? value : value.toFixed(2)} ${formatUnit(unit, value)}`;
+};
+
+/**
+ * Converts a quantity into an item's canonical unit.
+ * Returns { quantity, converted } or { quantity: null, error } when the units are not related for this item.
+ */
+export const convertToItemUnit = (quantity, fromUnit, item) => {
+    const value = parseFloat(quantity) || 0;
+    const from = normalizeUnit(fromUnit);
+    const to = normalizeUnit(item?.unit) || DEFAULT_UNIT;
+    if (!from || from === to) return { quantity: value, converted: false };
+
+    // Pack defined on the item (12 rolls per pack)
+    const pack = (item?.packs || []).find(p => normalizeUnit(p.unit) === from && parseFloat(p.size) > 0);
+    if (pack) return { quantity: value * parseFloat(pack.size), converted: true };
+
+    if (from === 'dozen' && to === DEFAULT_UNIT) return { quantity: value * 12, converted: true };
+
+    // Measure to measure of the same dimension (3.785 l per gallon)
+    const fromMeasure = MEASURES[from];
+    const toMeasure = MEASURES[to];
+    if (fromMeasure && toMeasure && fromMeasure.dimension === toMeasure.dimension) {
+        return { quantity: value * fromMeasure.factor / toMeasure.factor, converted: true };
+    }
+
+    // Measure into a count unit through what one canonical unit contains (12 oz per bag)
+    const contents = item?.contents;
+    const contentsMeasure = contents && MEASURES[normalizeUnit(contents.unit)];
+    if (fromMeasure && contentsMeasure && fromMeasure.dimension === contentsMeasure.dimension && parseFloat(contents.quantity) > 0) {
+        return { quantity: value * fromMeasure.factor / (contentsMeasure.factor * parseFloat(contents.quantity)), converted: true };
+    }
+
+    return { quantity: null, error: `Cannot convert ${from} to ${to} for ${item?.name || 'this item'}.` };
+};
+
+// "12-pack", "12 pk", "pack of 12", "12 ct", "6 rolls", "1 gal", "16.9 fl oz" inside an item name
+const PACK_OF_PATTERN = /\b(?:pack|case|box)\s+of\s+(\d+(?:\.\d+)?)\b/i;
+const SIZE_IN_NAME_PATTERN = /\b(\d+(?:\.\d+)?)\s*-?\s*(fl\.?\s*oz|[a-z]+)\b/gi;
+
+/**
+ * Pack size described in a product name, e.g. "Toilet Paper 12-pack" -> { size: 12, unit: null },
+ * "Mega Rolls 6 rolls" -> { size: 6, unit: 'roll' }, "Whole Milk 1 gal" -> { size: 1, unit: 'gallon' }.
+ * `unit: null` means the size counts the item's own unit. Returns null when the name has no size.
+ */
+export const parsePackSize = (name) => {
+    const text = name || '';
+    const packOf = text.match(PACK_OF_PATTERN);
+    if (packOf) return { size: parseFloat(packOf[1]), unit: null };
+
+    for (const match of text.matchAll(SIZE_IN_NAME_PATTERN)) {
+        const size = parseFloat(match[1]);
+        const unit = normalizeUnit(match[2].replace(/\./g, '').replace(/\s+/g, ' '));
+        if (!(size > 0)) continue;
+        // "12-pack" / "12 ct" count the item's own unit; "2 x 12-pack" is handled by the row's quantity
+        if (unit === 'pack' || unit === 'case' || unit === DEFAULT_UNIT) return { size, unit: null };
+        if (MEASURES[unit] || COUNT_UNITS.includes(unit)) return { size, unit };
+    }
+    return null;
+};
+
+/**
+ * Converts an incoming purchase row into the item's canonical unit.
+ * `unit` is the unit the row was entered/read in (optional); without one, a pack size in the raw name
+ * ("2 x Toilet Paper 12-pack") multiplies the quantity. Rows that cannot be converted keep their quantity
+ * and report why, so nothing is silently dropped.
+ * Returns { quantity, note, warning }.
+ */
+export const toItemQuantity = ({ quantity, unit, name }, item) => {
+    const value = parseFloat(quantity) || 0;
+    const explicit = normalizeUnit(unit);
+    const itemUnit = normalizeUnit(item?.unit) || DEFAULT_UNIT;
+
+    if (explicit && explicit !== itemUnit) {
+        const result = convertToItemUnit(value, explicit, item);
+        if (result.quantity !== null) {
+            return { quantity: result.quantity, note: `${formatQuantity(value, explicit)} = ${formatQuantity(result.quantity, itemUnit)}` };
+        }
+        return { quantity: value, warning: result.error };
+    }
+    if (explicit) return { quantity: value };
+
+    const pack = parsePackSize(name);
+    if (pack) {
+        const perPack = pack.unit ? convertToItemUnit(pack.size, pack.unit, item).quantity : pack.size;
+        if (perPack !== null && perPack > 0 && Math.abs(perPack - 1) > 1e-9) {
+            return { quantity: value * perPack, note: `${value} x ${pack.size}${pack.unit ? ` ${pack.unit}` : '-pack'} = ${formatQuantity(value * perPack, itemUnit)}` };
+        }
+    }
+    return { quantity: value };
+};
+
+/**
+ * Canonical unit and pack definitions for an item created from an incoming row.
+ * "Toilet Paper 12-pack" x 2 becomes 24 units with a 12-unit pack; "Milk 1 gal" x 2 becomes 2 gallons.
+ * Returns { unit, quantity, packs }.
+ */
+export const unitForNewItem = ({ quantity, unit, name }) => {
+    const value = parseFloat(quantity) || 0;
+    const explicit = normalizeUnit(unit);
+    if (explicit) return { unit: explicit, quantity: value, packs: [] };
+
+    const pack = parsePackSize(name);
+    if (pack && !pack.unit) {
+        return { unit: DEFAULT_UNIT, quantity: value * pack.size, packs: [{ unit: 'pack', size: pack.size }] };
+    }
+    if (pack && MEASURES[pack.unit]) {
+        return { unit: pack.unit, quantity: value * pack.size, packs: [] };
+    }
+    if (pack) {
+        return { unit: pack.unit, quantity: value * pack.size, packs: [{ unit: 'pack', size: pack.size }] };
+    }
+    return { unit: DEFAULT_UNIT, quantity: value, packs: [] };
+};
+
+/**
+ * Canonical units in one of the item's packs ('pack' by default), or 0 when the item has no such pack.
+ */
+export const getPackSize = (item, packUnit = 'pack') =>
+    parseFloat((item?.packs || []).find(p => normalizeUnit(p.unit) === normalizeUnit(packUnit))?.size) || 0;
+
+/**
+ * Quantity to order for a cart line in the item's purchase unit, rounded up to whole packs.
+ * Returns { quantity (canonical, after rounding), orderQuantity, orderUnit, unitsPerOrderUnit }.
+ */
+export const toOrderQuantity = (quantity, item) => {
+    const value = Math.max(0, parseFloat(quantity) || 0);
+    const unit = normalizeUnit(item?.unit) || DEFAULT_UNIT;
+    const purchaseUnit = normalizeUnit(item?.purchaseUnit);
+    const pack = purchaseUnit && (item?.packs || []).find(p => normalizeUnit(p.unit) === purchaseUnit && parseFloat(p.size) > 0);
+    if (!pack) {
+        return { quantity: value, orderQuantity: value, orderUnit: unit, unitsPerOrderUnit: 1 };
+    }
+    const size = parseFloat(pack.size);
+    const orderQuantity = Math.max(1, Math.ceil(value / size - 1e-9));
+    return { quantity: orderQuantity * size, orderQuantity, orderUnit: purchaseUnit, unitsPerOrderUnit: size };
+};
+
+/**
+ * Cleans up an item's unit fields before saving: canonical unit names, valid packs only.
+ */
+export const normalizeItemUnits = (item) => {
+    const packs = (item.packs || [])
+        .map(p => ({ unit: normalizeUnit(p.unit), size: parseFloat(p.size) }))
+        .filter(p => p.unit && p.size > 0);
+    const purchaseUnit = normalizeUnit(item.purchaseUnit);
+    const contents = item.contents && parseFloat(item.contents.quantity) > 0 && isMeasureUnit(item.contents.unit)
+        ? { quantity: parseFloat(item.contents.quantity), unit: normalizeUnit(item.contents.unit) }
+        : null;
+    return {
+        unit: normalizeUnit(item.unit) || DEFAULT_UNIT,
+        packs,
+        contents,
+        purchaseUnit: packs.some(p => p.unit === purchaseUnit) ? purchaseUnit : null,
+    };
+};
+
+/**
+ * Switches an item to a new canonical unit. Quantities, restock level and daily use are converted when the
+ * units are related (gallon -> l, or into a pack the item defines); otherwise only the label changes.
+ * Returns the updated fields and whether a conversion happened.
+ */
+export const changeItemUnit = (item, newUnit) => {
+    const unit = normalizeUnit(newUnit) || DEFAULT_UNIT;
+    const oldUnit = normalizeUnit(item.unit) || DEFAULT_UNIT;
+    if (unit === oldUnit) return { fields: { unit }, converted: false };
+
+    // Switching to one of the item's own packs (rolls -> packs of 12): the old unit becomes a fraction of a pack
+    const ownPack = (item.packs || []).find(p => normalizeUnit(p.unit) === unit && parseFloat(p.size) > 0);
+    // Otherwise, how many new units one old unit is: convert 1 old unit as if it were arriving in the new item
+    const factor = ownPack ? 1 / parseFloat(ownPack.size) : convertToItemUnit(1, oldUnit, { ...item, unit }).quantity;
+    if (!(factor > 0)) return { fields: { unit }, converted: false };
+
+    const scale = (value) => parseFloat(((parseFloat(value) || 0) * factor).toFixed(4));
+    return {
+        fields: {
+            unit,
+            quantity: scale(item.quantity),
+            restockLevel: scale(item.restockLevel),
+            dailyUse: scale(item.dailyUse),
+            // Pack sizes were counted in the old unit
+            packs: (item.packs || []).filter(p => p !== ownPack).map(p => ({ ...p, size: scale(p.size) })),
+            purchaseUnit: ownPack && normalizeUnit(item.purchaseUnit) === unit ? null : item.purchaseUnit || null,
+        },
+        converted: true,
+    };
+};
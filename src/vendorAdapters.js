@@ -0,0 +1,94 @@
+// --- Vendor Adapters ---
+// Every vendor the agent can buy from implements the same contract:
+//   quote(items)                         -> { vendor, lines: [{ name, quantity, unitPrice, lineTotal }], total }
+//   placeOrder(items, { idempotencyKey }) -> { orderId, vendor, lines, total, status, placedAt, estimatedDelivery }
+//   getOrderStatus(orderId)              -> the order with its current status
+//   cancelOrder(orderId)                 -> the order with status 'cancelled'
+// Items are { name, quantity, unit }, in the unit the vendor sells (a cart line's orderQuantity/orderUnit
+// when the item is bought in packs). Failures throw a VendorError carrying the vendor's error code.
+
+// Sandbox vendor endpoint; point REACT_APP_VENDOR_API_URL at the standalone mock server if not using Vercel (the
+// Vercel route needs MOCK_VENDOR_ENABLED=true, see api/mock-vendor.js).
+const VENDOR_API_URL = process.env.REACT_APP_VENDOR_API_URL || '/api/mock-vendor';
+
+export class VendorError extends Error {
+    constructor(vendor, code, message) {
+        super(`${vendor}: ${message}`);
+        this.name = 'VendorError';
+        this.vendor = vendor;
+        this.code = code;
+    }
+}
+
+/**
+ * Builds an adapter for a vendor served by the sandbox vendor API.
+ */
+export const createSandboxVendorAdapter = (vendorName, endpoint = VENDOR_API_URL) => {
+    const call = async (action, body) => {
+        let response;
+        try {
+            response = await fetch(`${endpoint}?vendor=${encodeURIComponent(vendorName)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, ...body }),
+            });
+        } catch (error) {
+            throw new VendorError(vendorName, 'network_error', error.message);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new VendorError(vendorName, data?.error?.code || `http_${response.status}`, data?.error?.message || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    };
+
+    const toOrderItems = (items) => items.map(item => ({
+        name: item.name,
+        quantity: item.orderQuantity ?? item.quantity,
+        unit: item.orderUnit || item.unit || null,
+    }));
+
+    return {
+        name: vendorName,
+        quote: (items) => call('quote', { items: toOrderItems(items) }),
+        placeOrder: (items, { idempotencyKey } = {}) => call('placeOrder', { items: toOrderItems(items), idempotencyKey }),
+        getOrderStatus: (orderId) => call('getOrderStatus', { orderId }),
+        cancelOrder: (orderId) => call('cancelOrder', { orderId }),
+    };
+};
+
+export const SUPPORTED_VENDORS = ['Amazon', 'Walmart', 'Local Grocer'];
+
+/**
+ * Builds a lookup (vendorName -> adapter) for the supported vendors at an endpoint. The server uses its own, since
+ * the app's relative endpoint means nothing there.
+ */
+export const createVendorLookup = (endpoint = VENDOR_API_URL) => {
+    const adapters = new Map(SUPPORTED_VENDORS.map(name => [name, createSandboxVendorAdapter(name, endpoint)]));
+    return (vendorName) => {
+        const adapter = adapters.get(vendorName);
+        if (!adapter) {
+            throw new VendorError(vendorName || 'Unknown', 'unsupported_vendor', 'No ordering integration for this vendor.');
+        }
+        return adapter;
+    };
+};
+
+/**
+ * Returns the adapter for a vendor, or throws if the agent has no way to order from it.
+ */
+export const getVendorAdapter = createVendorLookup();
+
+/**
+ * Groups cart lines by vendor so each vendor gets a single order.
+ */
+export const groupByVendor = (items) => {
+    const groups = new Map();
+    for (const item of items) {
+        const vendor = item.vendor || 'Unknown';
+        if (!groups.has(vendor)) groups.set(vendor, []);
+        groups.get(vendor).push(item);
+    }
+    return groups;
+};
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPurchaseWrites } from '../src/agentPlanner.js';
+import { COLLECTIONS } from '../src/documentSchemas.js';
+
+const placedOrders = [
+    { vendor: 'Amazon', items: [{ name: 'Milk', quantity: 2, unit: 'gal' }], order: { orderId: 'AMZ-1', vendor: 'Amazon', total: 7.78, lines: [{ unitPrice: 3.89, lineTotal: 7.78 }] } },
+    { vendor: 'Walmart', items: [{ name: 'Bread', quantity: 1 }], order: { orderId: 'WMT-1', vendor: 'Walmart', total: 2.5, lines: [{ unitPrice: 2.5, lineTotal: 2.5 }] } },
+];
+const inventory = [{ id: 'milk', name: 'Milk', unit: 'gal' }];
+
+describe('buildPurchaseWrites', () => {
+    it('records each order, its history and its prices', () => {
+        const { writes, totalPurchased, orders } = buildPurchaseWrites(placedOrders, { inventory, priceCatalog: [], method: 'Agent' });
+        assert.equal(writes.filter(write => write.collection === COLLECTIONS.ORDERS).length, 2);
+        assert.equal(writes.filter(write => write.collection === COLLECTIONS.HISTORY).length, 2);
+        assert.equal(writes.find(write => write.collection === COLLECTIONS.HISTORY).data.itemId, 'milk');
+        assert.equal(totalPurchased.toFixed(2), '10.28');
+        assert.deepEqual(orders.map(order => order.orderId), ['AMZ-1', 'WMT-1']);
+    });
+
+    it('leaves orders a replay returned alone', () => {
+        const { writes, totalPurchased, orders } = buildPurchaseWrites(placedOrders, {
+            inventory, priceCatalog: [], method: 'Agent', recordedOrderIds: new Set(['AMZ-1']),
+        });
+        assert.ok(!writes.some(write => write.id === 'AMZ-1'));
+        assert.ok(!writes.some(write => write.data?.vendorOrderId === 'AMZ-1'));
+        assert.equal(writes.filter(write => write.collection === COLLECTIONS.ORDERS).length, 1);
+        assert.equal(totalPurchased.toFixed(2), '10.28');
+        assert.equal(orders.length, 2);
+    });
+});
@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, readImportFile } from '../src/dataTransfer.js';
+
+describe('toCsv', () => {
+    const records = [{ name: '=HYPERLINK("http://example.com")', notes: '@SUM(A1)', vendor: '+Walmart', cost: -3, item: 'Milk' }];
+    const columns = ['name', 'notes', 'vendor', 'cost', 'item'];
+
+    it('escapes text a spreadsheet would run as a formula', () => {
+        assert.equal(toCsv(records, columns).split('\r\n')[1], `"'=HYPERLINK(""http://example.com"")",'@SUM(A1),'+Walmart,-3,Milk`);
+    });
+
+    it('reads escaped cells back as they were', () => {
+        const { rows } = readImportFile(toCsv(records, columns), 'inventory.csv');
+        assert.deepEqual(rows, [{ name: '=HYPERLINK("http://example.com")', notes: '@SUM(A1)', vendor: '+Walmart', cost: '-3', item: 'Milk' }]);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { COLLECTIONS, getSchemaVersion, isPersistedSchema, migrateDocument, withSchemaVersion } from '../src/documentSchemas.js';
+import { ORDER_STATUSES } from '../src/orderLifecycle.js';
+
+describe('migrateDocument', () => {
+    it('upgrades a legacy inventory item to the current version', () => {
+        const { data, migrated } = migrateDocument(COLLECTIONS.INVENTORY, { name: 'Milk', quantity: '2', lastUsed: '2024-05-01T00:00:00.000Z' });
+        assert.equal(migrated, true);
+        assert.equal(data.schemaVersion, getSchemaVersion(COLLECTIONS.INVENTORY));
+        assert.equal(data.quantity, 2);
+        assert.equal(data.restockLevel, 1);
+        assert.deepEqual(data.aliases, []);
+        assert.equal(data.countedQuantity, 2);
+        assert.equal(data.countedAt, '2024-05-01T00:00:00.000Z');
+    });
+
+    it('runs only the migrations after the stored version', () => {
+        const { data } = migrateDocument(COLLECTIONS.INVENTORY, { name: 'Eggs', quantity: 6, schemaVersion: 1, countedAt: '2024-06-01T00:00:00.000Z' });
+        assert.equal(data.countedQuantity, 6);
+        assert.equal(data.countedAt, '2024-06-01T00:00:00.000Z');
+        assert.equal(data.restockLevel, undefined);
+    });
+
+    it('leaves current documents as they are', () => {
+        const current = withSchemaVersion(COLLECTIONS.INVENTORY, { name: 'Bread', quantity: 1 });
+        const { data, migrated } = migrateDocument(COLLECTIONS.INVENTORY, current);
+        assert.equal(migrated, false);
+        assert.equal(data, current);
+    });
+
+    it('leaves documents from a newer version of the app as they are', () => {
+        const newer = { name: 'Rice', schemaVersion: getSchemaVersion(COLLECTIONS.INVENTORY) + 1 };
+        assert.equal(migrateDocument(COLLECTIONS.INVENTORY, newer).migrated, false);
+    });
+
+    it('drops the stored monthly spend from config', () => {
+        const { data } = migrateDocument(COLLECTIONS.CONFIG, { currentMonthSpend: 120, spendCapMonthly: '300' });
+        assert.equal('currentMonthSpend' in data, false);
+        assert.equal(data.spendCapMonthly, 300);
+        assert.deepEqual(data.vendorAllowlist, []);
+    });
+
+    it('leaves chained audit entries as they were hashed', () => {
+        const entry = { action: 'Purchase', details: { note: '{"looks":"like json"}' }, sequence: 3, prevHash: 'p', hash: 'h', schemaVersion: 1 };
+        assert.deepEqual(migrateDocument(COLLECTIONS.AUDIT, entry).data, { ...entry, schemaVersion: 2 });
+        const unversioned = { action: 'Note', details: 'kept as a string', sequence: 1, prevHash: 'p', hash: 'h' };
+        assert.equal(migrateDocument(COLLECTIONS.AUDIT, unversioned).data.details, 'kept as a string');
+    });
+
+    it('parses legacy audit details', () => {
+        const { data } = migrateDocument(COLLECTIONS.AUDIT, { action: 'Purchase', details: '{"item":"Milk","total":3.5}' });
+        assert.deepEqual(data.details, { item: 'Milk', total: 3.5 });
+        assert.deepEqual(migrateDocument(COLLECTIONS.AUDIT, { details: 'Ran the agent' }).data.details, { message: 'Ran the agent' });
+    });
+
+    it('defaults order status and delivered quantities', () => {
+        const { data } = migrateDocument(COLLECTIONS.ORDERS, { lines: [{ name: 'Milk', quantity: 2 }] });
+        assert.equal(data.status, ORDER_STATUSES.PLACED);
+        assert.deepEqual(data.statusHistory, []);
+        assert.equal(data.lines[0].deliveredQuantity, 0);
+    });
+
+    it('passes collections without a schema through', () => {
+        const receipt = { name: 'receipt.jpg' };
+        assert.deepEqual(migrateDocument(COLLECTIONS.RECEIPTS, receipt), { data: receipt, migrated: false });
+    });
+});
+
+describe('isPersistedSchema', () => {
+    it('writes back collections edited in place only', () => {
+        assert.equal(isPersistedSchema(COLLECTIONS.INVENTORY), true);
+        assert.equal(isPersistedSchema(COLLECTIONS.CONFIG), true);
+        assert.equal(isPersistedSchema(COLLECTIONS.HISTORY), false);
+        assert.equal(isPersistedSchema(COLLECTIONS.AUDIT), false);
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { doc, getDoc, setDoc, where } from 'firebase/firestore';
+import { createRepository, userDataPath, COLLECTIONS, CONFIG_DOC_ID, MAX_BATCH_WRITES } from '../../src/dataRepository.js';
+import { getSchemaVersion } from '../../src/documentSchemas.js';
+import { WRITE_TYPES } from '../../src/offlineStore.js';
+import { SKIP_WITHOUT_EMULATOR, TEST_APP_ID, createTestEnvironment } from '../helpers/emulator.js';
+
+describe('dataRepository', { skip: SKIP_WITHOUT_EMULATOR }, () => {
+    let testEnv;
+    let db;
+    let repository;
+
+    before(async () => {
+        testEnv = await createTestEnvironment();
+    });
+
+    after(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        db = testEnv.authenticatedContext('alice').firestore();
+        repository = createRepository(db, 'alice', { appId: TEST_APP_ID });
+    });
+
+    // A document as stored, bypassing the repository
+    const readStored = async (collectionName, id) => (await getDoc(doc(db, `${userDataPath('alice', TEST_APP_ID)}/${collectionName}/${id}`))).data();
+    const writeStored = (collectionName, id, data) => setDoc(doc(db, `${userDataPath('alice', TEST_APP_ID)}/${collectionName}/${id}`), data);
+
+    it('stamps full writes with the schema version and reads them back with their id', async () => {
+        await repository.commit([{ collection: COLLECTIONS.INVENTORY, id: 'milk', type: WRITE_TYPES.SET, data: { name: 'Milk', quantity: 2 } }]);
+        assert.equal((await readStored(COLLECTIONS.INVENTORY, 'milk')).schemaVersion, getSchemaVersion(COLLECTIONS.INVENTORY));
+        const milk = await repository.getDocument(COLLECTIONS.INVENTORY, 'milk');
+        assert.equal(milk.id, 'milk');
+        assert.equal(milk.quantity, 2);
+    });
+
+    it('merges and deletes', async () => {
+        await repository.commit([{ collection: COLLECTIONS.INVENTORY, id: 'milk', type: WRITE_TYPES.SET, data: { name: 'Milk', quantity: 2 } }]);
+        await repository.commit([{ collection: COLLECTIONS.INVENTORY, id: 'milk', type: WRITE_TYPES.MERGE, data: { quantity: 5 } }]);
+        assert.equal((await repository.getDocument(COLLECTIONS.INVENTORY, 'milk')).name, 'Milk');
+        assert.equal((await repository.getDocument(COLLECTIONS.INVENTORY, 'milk')).quantity, 5);
+
+        await repository.commit([{ collection: COLLECTIONS.INVENTORY, id: 'milk', type: WRITE_TYPES.DELETE }]);
+        assert.equal(await repository.getDocument(COLLECTIONS.INVENTORY, 'milk'), null);
+    });
+
+    it('commits more writes than fit in one batch', async () => {
+        const count = MAX_BATCH_WRITES + 10;
+        const writes = Array.from({ length: count }, (_, i) => ({ collection: COLLECTIONS.HISTORY, id: `p${i}`, type: WRITE_TYPES.SET, data: { name: 'Milk', cost: 1 } }));
+        await repository.commit(writes);
+        assert.equal((await repository.find(COLLECTIONS.HISTORY)).length, count);
+    });
+
+    it('upgrades legacy documents on read without rewriting them', async () => {
+        await writeStored(COLLECTIONS.INVENTORY, 'eggs', { name: 'Eggs', quantity: '12' });
+        const eggs = await repository.getDocument(COLLECTIONS.INVENTORY, 'eggs');
+        assert.equal(eggs.quantity, 12);
+        assert.equal(eggs.schemaVersion, getSchemaVersion(COLLECTIONS.INVENTORY));
+        assert.equal((await readStored(COLLECTIONS.INVENTORY, 'eggs')).quantity, '12');
+    });
+
+    it('finds documents matching constraints', async () => {
+        await repository.commit([
+            { collection: COLLECTIONS.HISTORY, id: 'a', type: WRITE_TYPES.SET, data: { name: 'Milk', date: '2024-05-01T00:00:00.000Z', cost: 3 } },
+            { collection: COLLECTIONS.HISTORY, id: 'b', type: WRITE_TYPES.SET, data: { name: 'Bread', date: '2024-06-01T00:00:00.000Z', cost: 2 } },
+        ]);
+        const june = await repository.find(COLLECTIONS.HISTORY, where('date', '>=', '2024-06-01'));
+        assert.deepEqual(june.map(entry => entry.id), ['b']);
+    });
+
+    it('subscribes newest first, capped at max', async () => {
+        await repository.commit(['2024-01-01', '2024-03-01', '2024-02-01'].map((date, i) => ({
+            collection: COLLECTIONS.HISTORY, id: `p${i}`, type: WRITE_TYPES.SET, data: { name: 'Milk', date, cost: 1 },
+        })));
+        const entries = await new Promise((resolve, reject) => {
+            const unsubscribe = repository.subscribe(COLLECTIONS.HISTORY, { orderByField: 'date', max: 2 }, (data) => {
+                unsubscribe();
+                resolve(data);
+            }, reject);
+        });
+        assert.deepEqual(entries.map(entry => entry.date), ['2024-03-01', '2024-02-01']);
+    });
+
+    it('subscribes to documents matching filters', async () => {
+        await repository.commit(['2024-01-01', '2024-03-01', '2024-02-01'].map((date, i) => ({
+            collection: COLLECTIONS.HISTORY, id: `p${i}`, type: WRITE_TYPES.SET, data: { name: 'Milk', date, cost: 1 },
+        })));
+        const entries = await new Promise((resolve, reject) => {
+            const unsubscribe = repository.subscribe(COLLECTIONS.HISTORY, { filters: [where('date', '>=', '2024-02-01')] }, (data) => {
+                unsubscribe();
+                resolve(data);
+            }, reject);
+        });
+        assert.deepEqual(entries.map(entry => entry.date).sort(), ['2024-02-01', '2024-03-01']);
+    });
+
+    it('subscribes to one document, null while it does not exist', async () => {
+        const seen = [];
+        await new Promise((resolve, reject) => {
+            const unsubscribe = repository.subscribeDocument(COLLECTIONS.CONFIG, CONFIG_DOC_ID, (data) => {
+                seen.push(data);
+                if (data) {
+                    unsubscribe();
+                    resolve();
+                } else {
+                    repository.commit([{ collection: COLLECTIONS.CONFIG, id: CONFIG_DOC_ID, type: WRITE_TYPES.SET, data: { spendCapMonthly: 300 } }]).catch(reject);
+                }
+            }, reject);
+        });
+        assert.equal(seen[0], null);
+        assert.equal(seen[seen.length - 1].spendCapMonthly, 300);
+    });
+
+    it('writes migrated documents back once per schema version', async () => {
+        await writeStored(COLLECTIONS.CONFIG, CONFIG_DOC_ID, { spendCapMonthly: 300 });
+        await writeStored(COLLECTIONS.INVENTORY, 'milk', { name: 'Milk', quantity: '2' });
+        await writeStored(COLLECTIONS.HISTORY, 'p1', { name: 'Milk', cost: '3' });
+
+        assert.equal(await repository.migrateStoredDocuments(), 2);
+        assert.equal((await readStored(COLLECTIONS.INVENTORY, 'milk')).quantity, 2);
+        assert.equal((await readStored(COLLECTIONS.INVENTORY, 'milk')).schemaVersion, getSchemaVersion(COLLECTIONS.INVENTORY));
+        // History is only upgraded on read
+        assert.equal((await readStored(COLLECTIONS.HISTORY, 'p1')).cost, '3');
+        const config = await readStored(COLLECTIONS.CONFIG, CONFIG_DOC_ID);
+        assert.equal(config.migratedSchemaVersions[COLLECTIONS.INVENTORY], getSchemaVersion(COLLECTIONS.INVENTORY));
+
+        assert.equal(await repository.migrateStoredDocuments(), 0);
+    });
+
+    it('does nothing before the account has a config', async () => {
+        await writeStored(COLLECTIONS.INVENTORY, 'milk', { name: 'Milk', quantity: '2' });
+        assert.equal(await repository.migrateStoredDocuments(), 0);
+        assert.equal((await readStored(COLLECTIONS.INVENTORY, 'milk')).quantity, '2');
+    });
+});
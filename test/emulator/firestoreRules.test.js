@@ -0,0 +1,180 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { createRepository, householdDataPath, householdInvitePath, userDataPath, COLLECTIONS, CONFIG_DOC_ID } from '../../src/dataRepository.js';
+import { appendAuditEntry, createAuditEntry, AUDIT_CHAIN_DOC_ID, GENESIS_HASH } from '../../src/auditLog.js';
+import { SKIP_WITHOUT_EMULATOR, TEST_APP_ID, createTestEnvironment } from '../helpers/emulator.js';
+
+const HOUSEHOLD_ID = 'house';
+const INVITE_CODE = 'JOIN1234';
+const householdPath = householdDataPath(HOUSEHOLD_ID, TEST_APP_ID);
+
+describe('firestore.rules', { skip: SKIP_WITHOUT_EMULATOR }, () => {
+    let testEnv;
+
+    const dbFor = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+    const ref = (uid, path) => doc(dbFor(uid), path);
+
+    // A household owned by owen, with mia as a member; eve belongs to none
+    const seedHousehold = () => testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, householdPath), { name: 'Home', ownerUid: 'owen', inviteCode: INVITE_CODE });
+        await setDoc(doc(db, `${householdPath}/members/owen`), { role: 'owner', displayName: 'Owen' });
+        await setDoc(doc(db, `${householdPath}/members/mia`), { role: 'member', displayName: 'Mia' });
+        await setDoc(doc(db, `${householdPath}/config/${CONFIG_DOC_ID}`), { spendCapMonthly: 500, vendorAllowlist: [] });
+        await setDoc(doc(db, `${householdPath}/orders/o1`), { status: 'placed', lines: [] });
+    });
+
+    before(async () => {
+        testEnv = await createTestEnvironment();
+    });
+
+    after(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seedHousehold();
+    });
+
+    describe('own data', () => {
+        const inventoryPath = `${userDataPath('alice', TEST_APP_ID)}/inventory/milk`;
+
+        it('lets users read and write their own data', async () => {
+            await assertSucceeds(setDoc(ref('alice', inventoryPath), { name: 'Milk' }));
+            await assertSucceeds(getDoc(ref('alice', inventoryPath)));
+        });
+
+        it('keeps other users and signed-out clients out', async () => {
+            await assertFails(getDoc(ref('bob', inventoryPath)));
+            await assertFails(setDoc(ref('bob', inventoryPath), { name: 'Milk' }));
+            await assertFails(getDoc(ref(null, inventoryPath)));
+        });
+
+        it('leaves agent runs to the server', async () => {
+            const runPath = `${userDataPath('alice', TEST_APP_ID)}/agentRuns/r1`;
+            await assertSucceeds(getDoc(ref('alice', runPath)));
+            await assertFails(setDoc(ref('alice', runPath), { status: 'ok' }));
+            await assertFails(deleteDoc(ref('alice', runPath)));
+        });
+    });
+
+    describe('households', () => {
+        it('lets members read and write shared collections', async () => {
+            await assertSucceeds(setDoc(ref('mia', `${householdPath}/inventory/milk`), { name: 'Milk' }));
+            await assertSucceeds(getDoc(ref('mia', `${householdPath}/inventory/milk`)));
+            await assertFails(setDoc(ref('mia', `${householdPath}/secrets/x`), { value: 1 }));
+        });
+
+        it('keeps non-members out', async () => {
+            await assertFails(getDoc(ref('eve', householdPath)));
+            await assertFails(getDoc(ref('eve', `${householdPath}/config/${CONFIG_DOC_ID}`)));
+            await assertFails(setDoc(ref('eve', `${householdPath}/inventory/milk`), { name: 'Milk' }));
+        });
+
+        it('lets only owners change spend settings', async () => {
+            const configPath = `${householdPath}/config/${CONFIG_DOC_ID}`;
+            await assertFails(updateDoc(ref('mia', configPath), { spendCapMonthly: 5000 }));
+            await assertFails(updateDoc(ref('mia', configPath), { vendorAllowlist: ['anyone'] }));
+            await assertFails(updateDoc(ref('mia', configPath), { billingPeriod: { startDay: 1, rollover: true } }));
+            await assertFails(updateDoc(ref('mia', configPath), { someNewSetting: true }));
+            await assertSucceeds(updateDoc(ref('mia', configPath), { forecastMode: 'local', priceStrategy: 'lowest' }));
+            await assertSucceeds(updateDoc(ref('owen', configPath), { billingPeriod: { startDay: 15 } }));
+            await assertSucceeds(updateDoc(ref('owen', configPath), { spendCapMonthly: 600 }));
+        });
+
+        it('lets members join only with the current invite code', async () => {
+            const path = `${householdPath}/members/eve`;
+            await assertFails(setDoc(ref('eve', path), { role: 'member', inviteCode: 'WRONG' }));
+            await assertFails(setDoc(ref('eve', path), { role: 'owner', inviteCode: INVITE_CODE }));
+            await assertSucceeds(setDoc(ref('eve', path), { role: 'member', inviteCode: INVITE_CODE }));
+        });
+
+        it('lets owners manage members and members leave', async () => {
+            await assertFails(updateDoc(ref('mia', `${householdPath}/members/mia`), { role: 'owner' }));
+            await assertSucceeds(updateDoc(ref('owen', `${householdPath}/members/mia`), { role: 'owner' }));
+            await assertSucceeds(deleteDoc(ref('mia', `${householdPath}/members/mia`)));
+        });
+
+        it('never leaves a household without an owner', async () => {
+            await updateDoc(ref('owen', `${householdPath}/members/mia`), { role: 'owner' });
+            // owen is the household's ownerUid
+            await assertFails(updateDoc(ref('owen', `${householdPath}/members/owen`), { role: 'member' }));
+            await assertFails(deleteDoc(ref('owen', `${householdPath}/members/owen`)));
+            await assertFails(deleteDoc(ref('mia', `${householdPath}/members/owen`)));
+            await assertFails(updateDoc(ref('owen', householdPath), { ownerUid: 'eve' }));
+        });
+
+        it('lets the ownerUid leave once another owner takes over', async () => {
+            await assertFails(updateDoc(ref('owen', householdPath), { ownerUid: 'mia' }));
+            await updateDoc(ref('owen', `${householdPath}/members/mia`), { role: 'owner' });
+
+            const db = dbFor('owen');
+            const batch = writeBatch(db);
+            batch.update(doc(db, householdPath), { ownerUid: 'mia' });
+            batch.delete(doc(db, `${householdPath}/members/owen`));
+            await assertSucceeds(batch.commit());
+            await assertFails(updateDoc(ref('mia', `${householdPath}/members/mia`), { role: 'member' }));
+        });
+
+        it('resolves invites one at a time, created by owners', async () => {
+            const path = householdInvitePath(INVITE_CODE, TEST_APP_ID);
+            await assertFails(setDoc(ref('mia', path), { householdId: HOUSEHOLD_ID }));
+            await assertSucceeds(setDoc(ref('owen', path), { householdId: HOUSEHOLD_ID }));
+            await assertSucceeds(getDoc(ref('eve', path)));
+        });
+
+        it('lets members record deliveries but not cancel or place orders', async () => {
+            await assertSucceeds(updateDoc(ref('mia', `${householdPath}/orders/o1`), { status: 'delivered' }));
+            await assertFails(updateDoc(ref('mia', `${householdPath}/orders/o1`), { status: 'cancelled' }));
+            await assertFails(setDoc(ref('mia', `${householdPath}/orders/o2`), { status: 'placed' }));
+            await assertSucceeds(updateDoc(ref('owen', `${householdPath}/orders/o1`), { status: 'cancelled' }));
+        });
+
+        it('leaves agent runs to the server', async () => {
+            await assertSucceeds(getDoc(ref('mia', `${householdPath}/agentRuns/r1`)));
+            await assertFails(setDoc(ref('owen', `${householdPath}/agentRuns/r1`), { status: 'ok' }));
+        });
+    });
+
+    describe('audit log', () => {
+        const repositoryFor = (uid) => createRepository(dbFor(uid), uid, { appId: TEST_APP_ID, householdId: HOUSEHOLD_ID });
+        const entryBy = (uid, item) => createAuditEntry('Purchase', { item }, { actorUid: uid, actorName: uid });
+
+        it('appends entries together with the chain head', async () => {
+            const repository = repositoryFor('mia');
+            await assertSucceeds(appendAuditEntry(repository, { id: 'a1', ...entryBy('mia', 'Milk') }));
+            await assertSucceeds(appendAuditEntry(repository, { id: 'a2', ...entryBy('mia', 'Bread') }));
+        });
+
+        it('rejects entries without the chain head', async () => {
+            await assertFails(setDoc(ref('mia', `${householdPath}/auditLog/a1`), { sequence: 1, prevHash: GENESIS_HASH, hash: 'h1', actorUid: 'mia' }));
+        });
+
+        it("rejects entries not linked to the previous entry's hash", async () => {
+            await appendAuditEntry(repositoryFor('mia'), { id: 'a1', ...entryBy('mia', 'Milk') });
+            const batch = writeBatch(dbFor('mia'));
+            batch.set(doc(dbFor('mia'), `${householdPath}/auditLog/a2`), { sequence: 2, prevHash: GENESIS_HASH, hash: 'h2', actorUid: 'mia' });
+            batch.set(doc(dbFor('mia'), `${householdPath}/config/${AUDIT_CHAIN_DOC_ID}`), { sequence: 2, lastHash: 'h2', lastEntryId: 'a2' });
+            await assertFails(batch.commit());
+        });
+
+        it('rejects entries attributed to another member', async () => {
+            await assertFails(appendAuditEntry(repositoryFor('mia'), { id: 'a1', ...entryBy('owen', 'Milk') }));
+        });
+
+        it('rejects edits and deletes of recorded entries', async () => {
+            await appendAuditEntry(repositoryFor('mia'), { id: 'a1', ...entryBy('mia', 'Milk') });
+            await assertFails(updateDoc(ref('owen', `${householdPath}/auditLog/a1`), { action: 'Nothing' }));
+            await assertFails(deleteDoc(ref('owen', `${householdPath}/auditLog/a1`)));
+        });
+
+        it('only moves the chain head forward one entry', async () => {
+            await appendAuditEntry(repositoryFor('mia'), { id: 'a1', ...entryBy('mia', 'Milk') });
+            const headPath = `${householdPath}/config/${AUDIT_CHAIN_DOC_ID}`;
+            await assertFails(updateDoc(ref('owen', headPath), { sequence: 0 }));
+            await assertFails(updateDoc(ref('owen', headPath), { sequence: 5, lastEntryId: 'a1' }));
+        });
+    });
+});
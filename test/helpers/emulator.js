@@ -0,0 +1,26 @@
+// --- Emulator Test Helpers ---
+// Suites in test/emulator run against the Firestore emulator with the project's security rules. `npm test` starts
+// the emulators (firebase.json) and sets FIRESTORE_EMULATOR_HOST; without it those suites are skipped.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+export const PROJECT_ID = 'demo-smart-shopping';
+export const TEST_APP_ID = 'test-app';
+
+// Passed as a suite's `skip` option
+export const SKIP_WITHOUT_EMULATOR = process.env.FIRESTORE_EMULATOR_HOST ? false : 'needs the Firestore emulator (npm test)';
+
+/**
+ * A rules test environment for the emulator, loaded with firestore.rules.
+ */
+export const createTestEnvironment = () => {
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    return initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: {
+            host,
+            port: Number(port),
+            rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8'),
+        },
+    });
+};
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AUTO_MATCH_THRESHOLD, SUGGEST_MATCH_THRESHOLD, normalizeItemName, nameSimilarity, resolveItem, findPossibleDuplicates, shouldLearnAlias,
+} from '../src/itemIdentity.js';
+
+const inventory = [
+    { id: 'milk', name: 'Milk', aliases: [] },
+    { id: 'tp', name: 'Toilet Paper', aliases: ['TP'] },
+    { id: 'eggs', name: 'Eggs', aliases: [] },
+];
+
+describe('normalizeItemName', () => {
+    it('drops case, punctuation, sizes, pack words and plurals', () => {
+        assert.equal(normalizeItemName('Whole Milk 1 gal'), 'whole milk');
+        assert.equal(normalizeItemName('Toilet Paper, 12-pack'), 'toilet paper');
+        assert.equal(normalizeItemName('Eggs Dozen'), 'egg');
+        assert.equal(normalizeItemName('Water 16.9 fl oz x 24'), 'water');
+    });
+
+    it('drops store-brand prefixes, unless the brand is the whole name', () => {
+        assert.equal(normalizeItemName('GV WHOLE MILK 1 GAL'), 'whole milk');
+        assert.equal(normalizeItemName('Great Value Bread'), 'bread');
+        assert.equal(normalizeItemName("Member's Mark Paper Towels"), 'paper towel');
+        assert.equal(normalizeItemName('Kroger'), 'kroger');
+    });
+});
+
+describe('nameSimilarity', () => {
+    it('matches names that only add descriptors and sizes', () => {
+        assert.ok(nameSimilarity('Whole Milk 1 gal', 'Milk') >= AUTO_MATCH_THRESHOLD);
+        assert.ok(nameSimilarity('GV WHOLE MILK 1 GAL', 'Milk') >= AUTO_MATCH_THRESHOLD);
+        assert.ok(nameSimilarity('Organic Large Eggs', 'Eggs') >= AUTO_MATCH_THRESHOLD);
+    });
+
+    it('keeps modifiers below the auto-match threshold', () => {
+        assert.ok(nameSimilarity('Oat Milk', 'Milk') < AUTO_MATCH_THRESHOLD);
+        assert.ok(nameSimilarity('Milk Chocolate', 'Milk') < AUTO_MATCH_THRESHOLD);
+        assert.ok(nameSimilarity('Chocolate Oat Milk', 'Milk') < nameSimilarity('Oat Milk', 'Milk'));
+    });
+
+    it('scores a modifier that changes the kind of item lowest', () => {
+        assert.ok(nameSimilarity('Milk Chocolate', 'Milk') < nameSimilarity('Oat Milk', 'Milk'));
+        assert.ok(nameSimilarity('Milk Chocolate', 'Milk') < SUGGEST_MATCH_THRESHOLD);
+        assert.ok(nameSimilarity('Oat Milk', 'Milk') >= SUGGEST_MATCH_THRESHOLD);
+    });
+
+    it('suggests, but does not apply, matches for typos', () => {
+        const score = nameSimilarity('Mlik', 'Milk');
+        assert.ok(score >= SUGGEST_MATCH_THRESHOLD && score < AUTO_MATCH_THRESHOLD);
+    });
+
+    it('is symmetric and 1 for the same name', () => {
+        assert.equal(nameSimilarity('MILK', 'Milk'), 1);
+        assert.equal(nameSimilarity('Oat Milk', 'Milk'), nameSimilarity('Milk', 'Oat Milk'));
+        assert.equal(nameSimilarity('', 'Milk'), 0);
+    });
+});
+
+describe('resolveItem', () => {
+    it('resolves the request examples to the one inventory item', () => {
+        for (const name of ['Whole Milk 1 gal', 'MILK', 'GV WHOLE MILK 1 GAL']) {
+            assert.equal(resolveItem(name, inventory).item?.id, 'milk', name);
+        }
+        assert.equal(resolveItem('Mlik', inventory, SUGGEST_MATCH_THRESHOLD).item?.id, 'milk');
+    });
+
+    it('reports how an item was matched', () => {
+        assert.equal(resolveItem('milk', inventory).matchType, 'exact');
+        assert.equal(resolveItem('tp', inventory).matchType, 'alias');
+        assert.equal(resolveItem('Whole Milk', inventory).matchType, 'fuzzy');
+    });
+
+    it('leaves different items unmatched', () => {
+        assert.equal(resolveItem('Oat Milk', inventory).item, null);
+        assert.equal(resolveItem('Milk Chocolate', inventory).item, null);
+        assert.equal(resolveItem('Paper Towels', inventory).item, null);
+    });
+});
+
+describe('findPossibleDuplicates', () => {
+    it('pairs items that look like the same thing, most similar first', () => {
+        const pairs = findPossibleDuplicates([...inventory, { id: 'whole', name: 'Whole Milk' }, { id: 'choc', name: 'Milk Chocolate' }]);
+        assert.deepEqual([pairs[0].a.id, pairs[0].b.id], ['milk', 'whole']);
+        assert.ok(!pairs.some(pair => [pair.a.id, pair.b.id].includes('choc')));
+    });
+});
+
+describe('shouldLearnAlias', () => {
+    it('learns names not already covered by the name or aliases', () => {
+        assert.equal(shouldLearnAlias('Whole Milk 1 gal', inventory[0]), true);
+        assert.equal(shouldLearnAlias('MILK 1 GAL', inventory[0]), false);
+        assert.equal(shouldLearnAlias('TP', inventory[1]), false);
+    });
+});
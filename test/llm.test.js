@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider, resolveModel, LLM_PROVIDERS } from '../api/_lib/llm/providers.js';
+import { getTask, LLM_TASKS } from '../api/_lib/llm/tasks.js';
+import { RECEIPT_FIXTURES } from '../api/_lib/llm/fixtures.js';
+
+const ENV_KEYS = ['LLM_PROVIDER', 'MOCK_LLM_RECEIPT', 'GEMINI_MODEL', 'GEMINI_ALLOWED_MODELS'];
+
+// Runs a task the way /api/llm does
+const runTask = async (taskName, input) => {
+    const provider = getProvider();
+    const task = getTask(taskName);
+    task.validate(input);
+    return task.normalize(await provider.run({ taskName, task, prompt: task.buildPrompt(input), input, model: provider.model }));
+};
+
+describe('LLM tasks on the mock provider', () => {
+    const saved = {};
+
+    before(() => {
+        ENV_KEYS.forEach(key => { saved[key] = process.env[key]; delete process.env[key]; });
+        process.env.LLM_PROVIDER = LLM_PROVIDERS.MOCK;
+    });
+
+    after(() => {
+        ENV_KEYS.forEach(key => { if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key]; });
+    });
+
+    it('extracts the same fixture for the same file', async () => {
+        const input = { mimeType: 'image/png', data: Buffer.from('a receipt photo').toString('base64') };
+        const first = await runTask(LLM_TASKS.RECEIPT_EXTRACT, input);
+        assert.deepEqual(await runTask(LLM_TASKS.RECEIPT_EXTRACT, input), first);
+        assert.ok(RECEIPT_FIXTURES.some(fixture => fixture.output.vendor === first.vendor));
+        assert.ok(first.items.length > 0);
+    });
+
+    it('extracts the pinned fixture', async () => {
+        process.env.MOCK_LLM_RECEIPT = 'amazon-coffee';
+        try {
+            const result = await runTask(LLM_TASKS.RECEIPT_EXTRACT, { mimeType: 'application/pdf', data: 'JVBERi0=' });
+            assert.deepEqual(result, { vendor: 'Amazon', purchaseDate: '2025-01-20', total: 25.98, items: RECEIPT_FIXTURES[1].output.items });
+        } finally {
+            delete process.env.MOCK_LLM_RECEIPT;
+        }
+    });
+
+    it('forecasts every item and suggests the ones at their restock level', async () => {
+        const result = await runTask(LLM_TASKS.FORECAST, {
+            inventory: [{ name: 'Milk', quantity: 1, restockLevel: 2 }, { name: 'Dish Soap', quantity: 4, restockLevel: 1 }],
+            history: [],
+        });
+        assert.deepEqual(result.inventoryForecasts.map(forecast => forecast.name), ['Milk', 'Dish Soap']);
+        assert.ok(result.inventoryForecasts.every(forecast => /^\d{4}-\d{2}-\d{2}$/.test(forecast.predictedRunOutDate)));
+        assert.deepEqual(result.suggestedCart, [{ name: 'Milk', quantityToBuy: 3, reason: 'Low stock (mock forecast)', vendor: 'Amazon' }]);
+    });
+
+    it('rejects invalid input before running the provider', () => {
+        assert.throws(() => getTask(LLM_TASKS.RECEIPT_EXTRACT).validate({ mimeType: 'text/plain', data: 'eA==' }), { code: 'invalid_request' });
+        assert.throws(() => getTask(LLM_TASKS.FORECAST).validate({ inventory: [] }), { code: 'invalid_request' });
+        assert.throws(() => getTask('poem'), { code: 'unknown_task' });
+    });
+});
+
+describe('resolveModel', () => {
+    const saved = {};
+
+    before(() => {
+        ENV_KEYS.forEach(key => { saved[key] = process.env[key]; delete process.env[key]; });
+        process.env.LLM_PROVIDER = LLM_PROVIDERS.GEMINI;
+    });
+
+    after(() => {
+        ENV_KEYS.forEach(key => { if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key]; });
+    });
+
+    it('uses the configured model when none is requested', () => {
+        const provider = getProvider();
+        assert.equal(resolveModel(provider, undefined), provider.model);
+    });
+
+    it('accepts allowlisted models only', () => {
+        process.env.GEMINI_ALLOWED_MODELS = 'gemini-2.5-flash, gemini-2.5-pro';
+        const provider = getProvider();
+        assert.equal(resolveModel(provider, 'gemini-2.5-pro'), 'gemini-2.5-pro');
+        assert.throws(() => resolveModel(provider, 'gemini-ultra'), { status: 400, code: 'model_not_allowed' });
+    });
+});
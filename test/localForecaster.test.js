@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runLocalForecast, estimateConsumptionRate, forecastRunOutDate, compareForecasts, FORECAST_CONFIDENCE } from '../src/localForecaster.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+// A purchase of 7 every 7 days: one a day
+const weeklyMilk = ['2026-09-14', '2026-09-21', '2026-09-28', '2026-10-05', '2026-10-12']
+    .map((day, i) => ({ itemId: 'milk', item: 'Milk', quantity: 7, date: `${day}T10:00:00Z`, vendor: i === 4 ? 'Walmart' : 'Amazon' }));
+
+describe('estimateConsumptionRate', () => {
+    it('falls back to dailyUse without history', () => {
+        const estimate = estimateConsumptionRate({ id: 'milk', name: 'Milk', dailyUse: 0.5 }, [], now);
+        assert.deepEqual(estimate, { rate: 0.5, spread: 0.25, source: 'dailyUse', samples: 0, confidence: FORECAST_CONFIDENCE.LOW });
+        assert.equal(estimateConsumptionRate({ id: 'milk', name: 'Milk' }, [], now).source, 'none');
+    });
+
+    it('learns the rate from regular purchase intervals', () => {
+        const estimate = estimateConsumptionRate({ id: 'milk', name: 'Milk', dailyUse: 5 }, weeklyMilk, now);
+        assert.equal(estimate.rate, 1);
+        assert.equal(estimate.spread, 0.1);
+        assert.equal(estimate.source, 'learned');
+        assert.equal(estimate.samples, 4);
+        assert.equal(estimate.confidence, FORECAST_CONFIDENCE.HIGH);
+    });
+
+    it('blends a single interval with dailyUse', () => {
+        const estimate = estimateConsumptionRate({ id: 'milk', name: 'Milk', dailyUse: 3 }, weeklyMilk.slice(0, 2), now);
+        assert.equal(estimate.rate, 2);
+        assert.equal(estimate.source, 'samples+dailyUse');
+    });
+});
+
+describe('forecastRunOutDate', () => {
+    it('counts whole days of supply from today', () => {
+        assert.equal(forecastRunOutDate(10, 2, now), '2026-10-24');
+        assert.equal(forecastRunOutDate(3, 2, now), '2026-10-20');
+        assert.equal(forecastRunOutDate(0, 2, now), '2026-10-19');
+    });
+
+    it('caps the horizon at a year, also without consumption', () => {
+        assert.equal(forecastRunOutDate(1000, 0.001, now), '2027-10-19');
+        assert.equal(forecastRunOutDate(5, 0, now), '2027-10-19');
+    });
+});
+
+describe('runLocalForecast', () => {
+    const inventory = [
+        { id: 'milk', name: 'Milk', quantity: 3, restockLevel: 1 },
+        { id: 'soap', name: 'Dish Soap', quantity: 50, restockLevel: 1, dailyUse: 0.1 },
+        null,
+    ];
+
+    it('forecasts every item with a range', () => {
+        const { inventoryForecasts } = runLocalForecast(inventory, weeklyMilk, now);
+        assert.equal(inventoryForecasts.length, 2);
+        assert.deepEqual(inventoryForecasts[0], {
+            name: 'Milk',
+            predictedRunOutDate: '2026-10-22',
+            runOutEarliest: '2026-10-21',
+            runOutLatest: '2026-10-22',
+            confidence: FORECAST_CONFIDENCE.HIGH,
+            dailyRate: 1,
+            rateSource: 'learned',
+            rateSamples: 4,
+        });
+        assert.equal(inventoryForecasts[1].predictedRunOutDate, '2027-10-19');
+    });
+
+    it('suggests items running out soon, from the vendor they were last bought at', () => {
+        const { suggestedCart } = runLocalForecast(inventory, weeklyMilk, now);
+        assert.deepEqual(suggestedCart, [{ name: 'Milk', quantityToBuy: 27, reason: 'Runs out in 3 days', vendor: 'Walmart' }]);
+    });
+});
+
+describe('compareForecasts', () => {
+    it('reports the difference per item and flags disagreements beyond the threshold', () => {
+        const baseline = [
+            { name: 'Milk', predictedRunOutDate: '2026-10-22' },
+            { name: 'Eggs', predictedRunOutDate: '2026-10-21' },
+            { name: 'Dish Soap', predictedRunOutDate: '2027-10-19' },
+        ];
+        const ai = [
+            { name: 'milk', predictedRunOutDate: '2026-10-30' },
+            { name: 'Eggs', predictedRunOutDate: '2026-10-23' },
+            { name: 'Dish Soap', predictedRunOutDate: 'soon' },
+            { name: 'Bread', predictedRunOutDate: '2026-10-20' },
+        ];
+        assert.deepEqual(compareForecasts(ai, baseline), [
+            { name: 'Milk', aiRunOutDate: '2026-10-30', baselineRunOutDate: '2026-10-22', diffDays: 8, disagrees: true },
+            { name: 'Eggs', aiRunOutDate: '2026-10-23', baselineRunOutDate: '2026-10-21', diffDays: 2, disagrees: false },
+            { name: 'Dish Soap', aiRunOutDate: 'soon', baselineRunOutDate: '2027-10-19', diffDays: null, disagrees: true },
+        ]);
+    });
+});
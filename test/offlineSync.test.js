@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeDocument } from '../src/offlineSync.js';
+
+describe('mergeDocument', () => {
+    const base = { name: 'Milk', quantity: 2, note: 'Whole', aliases: ['milk'] };
+
+    it('combines quantity changes and unions aliases', () => {
+        const local = { ...base, quantity: 1, aliases: ['milk', 'whole milk'] };
+        const remote = { ...base, quantity: 5, aliases: ['milk', 'dairy'] };
+        const { data, conflicts } = mergeDocument(base, local, remote);
+        assert.equal(data.quantity, 4);
+        assert.deepEqual(data.aliases, ['milk', 'dairy', 'whole milk']);
+        assert.deepEqual(conflicts, []);
+    });
+
+    it('keeps the local value of a field both sides changed and reports it', () => {
+        const { data, conflicts } = mergeDocument(base, { ...base, note: 'Skim' }, { ...base, note: 'Oat' });
+        assert.equal(data.note, 'Skim');
+        assert.deepEqual(conflicts, [{ field: 'note', local: 'Skim', remote: 'Oat' }]);
+    });
+
+    it('leaves out a field removed locally instead of setting it to undefined', () => {
+        const { note, ...local } = base;
+        const { data } = mergeDocument(base, local, { ...base, quantity: 3 });
+        assert.equal('note' in data, false);
+        assert.equal(data.quantity, 3);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORDER_STATUSES, applyDelivery, computeInTransit, createItemFromDelivery, remainingQuantities } from '../src/orderLifecycle.js';
+
+const order = {
+    status: ORDER_STATUSES.SHIPPED,
+    lines: [
+        { name: 'Milk', quantity: 2, unit: 'gal', inventoryItemId: 'milk', deliveredQuantity: 0 },
+        { name: 'Oat Milk', quantity: 1, unit: null, inventoryItemId: null, deliveredQuantity: 0 },
+    ],
+};
+
+describe('applyDelivery', () => {
+    it('records what arrived and reports what to restock', () => {
+        const { lines, status, deltas } = applyDelivery(order, { 0: 1 });
+        assert.equal(lines[0].deliveredQuantity, 1);
+        assert.equal(status, ORDER_STATUSES.PARTIALLY_DELIVERED);
+        assert.deepEqual(deltas, [{ index: 0, name: 'Milk', inventoryItemId: 'milk', quantity: 1 }]);
+    });
+
+    it('never receives more than is outstanding', () => {
+        const { status, deltas } = applyDelivery(order, { 0: 5, 1: 1 });
+        assert.equal(status, ORDER_STATUSES.DELIVERED);
+        assert.deepEqual(deltas.map(delta => delta.quantity), [2, 1]);
+        assert.deepEqual(remainingQuantities(order), { 0: 2, 1: 1 });
+    });
+});
+
+describe('createItemFromDelivery', () => {
+    it('adds delivered goods no item takes as a counted item', () => {
+        const now = new Date('2026-10-19T12:00:00Z');
+        const item = createItemFromDelivery(order.lines[1], 1, now);
+        assert.equal(item.name, 'Oat Milk');
+        assert.equal(item.quantity, 1);
+        assert.equal(item.unit, 'unit');
+        assert.equal(item.countedQuantity, 1);
+        assert.equal(item.countedAt, now.toISOString());
+    });
+});
+
+describe('computeInTransit', () => {
+    it('sums what open orders still have to deliver', () => {
+        const inTransit = computeInTransit([
+            { ...order, lines: [{ ...order.lines[0], deliveredQuantity: 0.5 }, order.lines[1]] },
+            { status: ORDER_STATUSES.CANCELLED, lines: [{ ...order.lines[0] }] },
+        ]);
+        assert.equal(inTransit.get('milk'), 1.5);
+        assert.equal(inTransit.get('oat milk'), 1);
+    });
+});
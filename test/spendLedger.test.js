@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSpendLedger, getCurrentPeriod, getLedgerRange, LEDGER_PERIODS } from '../src/spendLedger.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const billingPeriod = { startDay: 1, timeZone: 'UTC' };
+
+describe('getLedgerRange', () => {
+    it('covers the periods the ledger shows, queried a day early', () => {
+        assert.deepEqual(getLedgerRange(billingPeriod, now), { from: '2025-11-01', queryFrom: '2025-10-31' });
+        assert.deepEqual(getLedgerRange({ startDay: 15, timeZone: 'UTC' }, now), { from: '2025-11-15', queryFrom: '2025-11-14' });
+    });
+
+    it('needs all history with rollover', () => {
+        assert.equal(getLedgerRange({ ...billingPeriod, rollover: true }, now), null);
+    });
+});
+
+describe('buildSpendLedger', () => {
+    it('counts every purchase of the current period, however many there are', () => {
+        const history = Array.from({ length: 150 }, (_, i) => ({ date: `2026-10-${String(1 + (i % 18)).padStart(2, '0')}T10:00:00Z`, cost: 4 }));
+        const period = getCurrentPeriod(buildSpendLedger(history, { spendCap: 500, billingPeriod, now }));
+        assert.equal(period.purchases, 150);
+        assert.equal(period.spend, 600);
+        assert.equal(period.remaining, -100);
+    });
+
+    it('leaves out periods before `from`', () => {
+        const { from } = getLedgerRange(billingPeriod, now);
+        const history = [{ date: '2025-10-31T12:00:00Z', cost: 5 }, { date: '2026-10-02T00:00:00Z', cost: 3 }];
+        const ledger = buildSpendLedger(history, { spendCap: 100, billingPeriod, now, from });
+        assert.equal(ledger.length, LEDGER_PERIODS);
+        assert.equal(ledger[0].key, '2025-11');
+        assert.equal(getCurrentPeriod(ledger).spend, 3);
+    });
+
+    it('carries unused budget with rollover', () => {
+        const history = [{ date: '2026-09-10T12:00:00Z', cost: 40 }, { date: '2026-10-02T12:00:00Z', cost: 10 }];
+        const period = getCurrentPeriod(buildSpendLedger(history, { spendCap: 100, billingPeriod: { ...billingPeriod, rollover: true }, now }));
+        assert.equal(period.rolloverIn, 60);
+        assert.equal(period.remaining, 150);
+    });
+});